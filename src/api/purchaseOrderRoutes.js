@@ -2,17 +2,31 @@ const express = require('express');
 const router = express.Router();
 const purchaseOrderController = require('../service/purchaseOrderService');
 const { logger } = require('../util/logger');
+const { ValidationError } = require('../middleware/errorHandler');
 
 /**
  * @route   GET /api/purchaseOrder
- * @desc    Get all purchase orders
+ * @desc    Get a page of purchase orders (?limit, ?cursor), or all pages up to ?maxResults with ?all=true
  * @access  Private
  */
 router.get('/', async (req, res, next) => {
   try {
-    logger.info('Fetching all purchase orders');
-    const purchaseOrders = await purchaseOrderController.getAllPurchaseOrders();
-    res.status(200).json(purchaseOrders);
+    const { limit, cursor, all, maxResults } = req.query;
+    
+    for (const [name, value] of Object.entries({ limit, maxResults })) {
+      if (value !== undefined && !(parseInt(value, 10) > 0)) {
+        throw new ValidationError(`${name} must be a positive integer`);
+      }
+    }
+    
+    logger.info('Fetching purchase orders');
+    const purchaseOrders = await purchaseOrderController.getAllPurchaseOrders({
+      limit: limit ? parseInt(limit, 10) : undefined,
+      cursor,
+      all: all === 'true',
+      maxResults: maxResults ? parseInt(maxResults, 10) : undefined
+    });
+    res.status(200).json({ status: 'success', ...purchaseOrders });
   } catch (error) {
     logger.error(`Error fetching purchase orders: ${error.message}`);
     next(error);
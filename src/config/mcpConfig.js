@@ -6,6 +6,8 @@
  * security settings, and more.
  */
 
+const path = require('path');
+
 require('dotenv').config({ path: process.env.ENV_FILE || './config/.env' });
 
 /**
@@ -47,6 +49,24 @@ function envNum(key, defaultValue) {
   return isNaN(num) ? defaultValue : num;
 }
 
+/**
+ * Parse JSON environment variable
+ * @param {string} key - Environment variable key
+ * @param {*} defaultValue - Default value if not found or invalid
+ * @returns {*} - Parsed value
+ */
+function envJson(key, defaultValue) {
+  const value = process.env[key];
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return defaultValue;
+  }
+}
+
 module.exports = {
   /**
    * MCP Server configuration
@@ -71,6 +91,24 @@ module.exports = {
     logLevel: env('MCP_LOG_LEVEL', 'info')
   },
   
+  /**
+   * Model Context Protocol (JSON-RPC) settings
+   */
+  protocol: {
+    // Maximum number of entities per type returned by resources/list
+    resourceListLimit: envNum('MCP_RESOURCE_LIST_LIMIT', 50),
+    
+    // JSON file with the prompt template catalog
+    promptsFile: env('MCP_PROMPTS_FILE', path.resolve(__dirname, '../../prompts.json')),
+    
+    // Maximum number of live sessions of the /mcp endpoint
+    maxSessions: envNum('MCP_MAX_SESSIONS', 100),
+    
+    // Browser origins allowed to call the /mcp endpoint; requests with any other
+    // Origin header are rejected to prevent DNS rebinding attacks
+    allowedOrigins: env('MCP_ALLOWED_ORIGINS', '').split(',').map(origin => origin.trim()).filter(Boolean)
+  },
+  
   /**
    * Context window settings
    */
@@ -88,7 +126,23 @@ module.exports = {
     defaultTemperature: envNum('MCP_DEFAULT_TEMPERATURE', 0.7),
     
     // Default max tokens for generation
-    defaultMaxTokens: envNum('MCP_DEFAULT_MAX_TOKENS', 1024)
+    defaultMaxTokens: envNum('MCP_DEFAULT_MAX_TOKENS', 1024),
+    
+    // What to do when a context exceeds its token budget: 'drop' the oldest
+    // messages, 'summarize' them with the context's model, or 'reject' the update
+    compaction: env('MCP_CONTEXT_COMPACTION', 'drop'),
+    
+    // Most recent messages never folded into a summary
+    keepRecentMessages: envNum('MCP_CONTEXT_KEEP_RECENT', 4),
+    
+    // Maximum tokens of a generated summary
+    summaryMaxTokens: envNum('MCP_CONTEXT_SUMMARY_MAX_TOKENS', 512),
+    
+    // Where contexts are kept: 'memory' (lost on restart) or 'file' (append-only JSON log)
+    storage: {
+      type: env('MCP_CONTEXT_STORAGE', 'memory'),
+      filePath: env('MCP_CONTEXT_STORAGE_FILE', './data/contexts.ndjson')
+    }
   },
   
   /**
@@ -98,10 +152,11 @@ module.exports = {
     // Default model to use
     defaultModel: env('MCP_DEFAULT_MODEL', 'gpt-3.5-turbo'),
     
-    // Model providers
+    // Model providers, keyed by provider name. `type` selects the implementation.
     providers: {
       // OpenAI configuration
       openai: {
+        type: 'openai',
         apiKey: env('OPENAI_API_KEY', ''),
         models: [
           'gpt-3.5-turbo',
@@ -114,6 +169,7 @@ module.exports = {
       
       // Anthropic configuration
       anthropic: {
+        type: 'anthropic',
         apiKey: env('ANTHROPIC_API_KEY', ''),
         models: [
           'claude-3-opus-20240229',
@@ -125,16 +181,63 @@ module.exports = {
       
       // Ollama configuration
       ollama: {
+        type: 'ollama',
         baseUrl: env('OLLAMA_BASE_URL', 'http://localhost:11434'),
+        // Merge in the models installed on the Ollama server
+        discovery: envBool('OLLAMA_DISCOVERY', true),
+        discoveryIntervalMs: envNum('OLLAMA_DISCOVERY_INTERVAL_MS', 300000),
         models: [
           'llama2',
           'mistral',
           'codellama',
           'phi'
         ]
+      },
+      
+      // OpenAI-compatible inference server (vLLM, LM Studio, llama.cpp server).
+      // Register further servers in MCP_PROVIDERS_FILE.
+      local: {
+        type: 'openai-compatible',
+        enabled: envBool('LOCAL_LLM_ENABLED', false),
+        baseUrl: env('LOCAL_LLM_BASE_URL', 'http://localhost:8000/v1'),
+        apiKey: env('LOCAL_LLM_API_KEY', ''),
+        models: env('LOCAL_LLM_MODELS', '').split(',').filter(Boolean),
+        capabilities: {
+          contextSize: envNum('LOCAL_LLM_CONTEXT_SIZE', 4096),
+          supportsFunctions: envBool('LOCAL_LLM_SUPPORTS_FUNCTIONS', false)
+        }
       }
     },
     
+    // JSON file declaring additional providers (e.g. Azure OpenAI, Mistral, an internal gateway)
+    providersFile: env('MCP_PROVIDERS_FILE', ''),
+    
+    // Models to try, in order, when a model fails, e.g.
+    // {"gpt-4": ["claude-3-sonnet-20240229", "mistral"]}
+    fallbackChains: envJson('MCP_FALLBACK_CHAINS', {}),
+    
+    // Retries of failed model calls (429, 5xx, network errors) with exponential backoff
+    retry: {
+      maxRetries: envNum('MCP_MODEL_MAX_RETRIES', 2),
+      baseDelayMs: envNum('MCP_MODEL_RETRY_BASE_DELAY_MS', 500),
+      maxDelayMs: envNum('MCP_MODEL_RETRY_MAX_DELAY_MS', 10000)
+    },
+    
+    // Per-provider circuit breaker
+    circuitBreaker: {
+      failureThreshold: envNum('MCP_CIRCUIT_FAILURE_THRESHOLD', 5),
+      resetTimeoutMs: envNum('MCP_CIRCUIT_RESET_TIMEOUT_MS', 30000)
+    },
+    
+    // Offer SAP tools to models that support function calling
+    enableTools: envBool('MCP_ENABLE_TOOLS', true),
+    
+    // Also offer the tools that create, update and delete purchase orders
+    enableWriteTools: envBool('MCP_ENABLE_WRITE_TOOLS', false),
+    
+    // Maximum model/tool round trips per query before a final answer is forced
+    maxToolIterations: envNum('MCP_MAX_TOOL_ITERATIONS', 5),
+    
     // Endpoint mappings for models
     endpoints: {
       query: '/api/query',
@@ -150,6 +253,9 @@ module.exports = {
     // SAP ODATA service URL
     serviceUrl: env('SAP_SERVICE_URL', 'https://sap.example.com/sap/opu/odata/sap/ZMM_PURCHASE_ORDER_SRV'),
     
+    // OData version of the service: '2.0' (SAP Gateway) or '4.0' (e.g. S/4HANA Cloud)
+    odataVersion: env('SAP_ODATA_VERSION', '2.0'),
+    
     // SAP authentication
     username: env('SAP_USERNAME', ''),
     password: env('SAP_PASSWORD', ''),
@@ -157,10 +263,19 @@ module.exports = {
     // Maximum results per request
     maxResultsPerRequest: envNum('SAP_MAX_RESULTS', 100),
     
+    // Maximum results when a list request follows all pages
+    maxFetchAllResults: envNum('SAP_MAX_FETCH_ALL_RESULTS', 5000),
+    
+    // Maximum requests in a $batch request, counting each request of a changeset
+    maxBatchRequests: envNum('SAP_MAX_BATCH_REQUESTS', 100),
+    
     // Cache time-to-live in milliseconds
     cacheTtlMs: envNum('SAP_CACHE_TTL_MS', 300000), // 5 minutes
     
-    // Enable schema validation
+    // Time-to-live of the service's $metadata (entity model) in milliseconds
+    metadataCacheTtlMs: envNum('SAP_METADATA_CACHE_TTL_MS', 3600000), // 1 hour
+    
+    // Validate purchase order writes against the entity model of the service
     validateSchema: envBool('SAP_VALIDATE_SCHEMA', true),
     
     // Entity model mapping
@@ -183,8 +298,13 @@ module.exports = {
     // API key for server
     apiKey: env('MCP_API_KEY', ''),
     
-    // Additional API keys
-    additionalApiKeys: [],
+    // Additional API keys, e.g.
+    // [{"value": "...", "scopes": ["context:manage", "model:access"], "owner": "buyer-team-a"}]
+    additionalApiKeys: envJson('MCP_ADDITIONAL_API_KEYS', []),
+    
+    // Secret that paging cursors are signed with; without one a random secret is
+    // used, and cursors are only valid until the server restarts
+    cursorSecret: env('MCP_CURSOR_SECRET', ''),
     
     // Token validity in milliseconds
     tokenValidityMs: envNum('MCP_TOKEN_VALIDITY_MS', 3600000), // 1 hour
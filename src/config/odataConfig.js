@@ -16,6 +16,9 @@ module.exports = {
   odata: {
     version: '4.0', // ODATA version
     maxPageSize: 1000,
+    defaultPageSize: 10,
+    // Maximum results when a list request follows all pages
+    maxFetchAllResults: parseInt(process.env.SAP_MAX_FETCH_ALL_RESULTS, 10) || 5000,
     defaultExpand: ['_Item', '_ScheduleLine'],
     defaultSelect: ['PurchaseOrder', 'PurchaseOrderType', 'Supplier', 'PurchasingOrganization', 'PurchasingGroup']
   },
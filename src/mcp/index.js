@@ -3,12 +3,24 @@
  * 
  * This file serves as the main entry point for the MCP server.
  * It initializes and starts the server, and sets up shutdown handlers.
+ * Run with --stdio to serve MCP over stdin/stdout instead of HTTP.
  */
 
-const mcpServer = require('./mcpServer');
 const mcpContextManager = require('./mcpContextManager');
+const McpStdioTransport = require('./mcpStdioTransport');
 const { logger } = require('../util/logger');
 
+// Active stdio transport, if started in stdio mode
+let stdioTransport = null;
+
+/**
+ * Load the HTTP server lazily so stdio mode does not set up Express
+ * @returns {Object} - MCP HTTP server instance
+ */
+function getMcpServer() {
+  return require('./mcpServer');
+}
+
 /**
  * Start the MCP server
  */
@@ -17,7 +29,7 @@ async function startServer() {
     logger.info('Starting MCP server...');
     
     // Start the server
-    await mcpServer.start();
+    await getMcpServer().start();
     
     logger.info('MCP server started successfully');
     
@@ -30,6 +42,26 @@ async function startServer() {
   }
 }
 
+/**
+ * Start the MCP server on the stdio transport
+ */
+function startStdioServer() {
+  try {
+    logger.info('Starting MCP server on stdio...');
+    
+    stdioTransport = new McpStdioTransport();
+    stdioTransport.on('close', () => shutdown('stdin closed'));
+    stdioTransport.start();
+    
+    // Set up graceful shutdown
+    setupShutdownHandlers();
+    
+  } catch (error) {
+    logger.error(`Error starting MCP stdio server: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 /**
  * Set up handlers for graceful shutdown
  */
@@ -64,11 +96,15 @@ async function shutdown(signal) {
   logger.info(`Received ${signal}. Shutting down gracefully...`);
   
   try {
-    // Stop the server
-    await mcpServer.stop();
+    // Stop the server or transport that was started
+    if (stdioTransport) {
+      stdioTransport.stop();
+    } else {
+      await getMcpServer().stop();
+    }
     
     // Stop the context manager
-    mcpContextManager.stop();
+    await mcpContextManager.stop();
     
     logger.info('Shutdown completed');
     process.exit(0);
@@ -80,10 +116,15 @@ async function shutdown(signal) {
 
 // Start the server if this file is run directly
 if (require.main === module) {
-  startServer();
+  if (process.argv.includes('--stdio')) {
+    startStdioServer();
+  } else {
+    startServer();
+  }
 }
 
 module.exports = {
   startServer,
+  startStdioServer,
   shutdown
 }; 
\ No newline at end of file
@@ -9,6 +9,9 @@ const crypto = require('crypto');
 const mcpConfig = require('../config/mcpConfig');
 const { logger } = require('../util/logger');
 
+// Owner of the requests when authentication is not required
+const ANONYMOUS_OWNER = 'anonymous';
+
 class McpAuth {
   constructor() {
     // Store of valid API keys (in-memory)
@@ -54,8 +57,12 @@ class McpAuth {
    * Middleware for Express routes
    */
   authenticate(req, res, next) {
-    // Skip authentication if not required
+    // Skip authentication if not required; all callers then share one owner
     if (!mcpConfig.security.authRequired) {
+      req.auth = {
+        owner: ANONYMOUS_OWNER,
+        scopes: ['*']
+      };
       return next();
     }
     
@@ -92,12 +99,14 @@ class McpAuth {
     }
     
     // Check if the API key has the required scope
-    const requiredScope = this.getScopeForPath(req.path);
+    // Mounted middleware sees paths relative to its mount point
+    const path = req.baseUrl + req.path;
+    const requiredScope = this.getScopeForPath(path);
     if (!this.hasScope(keyInfo.scopes, requiredScope)) {
-      logger.warn(`Authentication failed: Insufficient scope for ${req.path}`);
+      logger.warn(`Authentication failed: Insufficient scope for ${path}`);
       return res.status(403).json({
         status: 'error',
-        message: `Insufficient permissions for ${req.path}`
+        message: `Insufficient permissions for ${path}`
       });
     }
     
@@ -124,10 +133,13 @@ class McpAuth {
       return 'sap:access';
     } else if (path.startsWith('/api/context')) {
       return 'context:manage';
-    } else if (path.startsWith('/api/query') || path.startsWith('/api/generate')) {
+    } else if (path.startsWith('/api/query') || path.startsWith('/api/generate') ||
+      path.startsWith(mcpConfig.models.endpoints.stream)) {
       return 'model:access';
     } else if (path.startsWith('/api/models')) {
       return 'models:read';
+    } else if (path.startsWith('/mcp')) {
+      return 'mcp:access';
     }
     
     // Default scope for unknown paths
@@ -0,0 +1,261 @@
+/**
+ * MCP Context Compaction
+ *
+ * Brings a context that exceeds its token budget back within it. The strategy is
+ * chosen per context:
+ * - drop: remove the oldest messages
+ * - summarize: keep system messages and the most recent turns, and replace the
+ *   oldest other messages with a summary generated by the context's model
+ * - reject: refuse the update that overflowed the context
+ *
+ * Summaries are stored as system messages marked with `summary: true`, so later
+ * compactions fold them into the next summary instead of pinning them.
+ */
+
+const mcpConfig = require('../config/mcpConfig');
+const mcpMessages = require('./mcpMessages');
+const { APIError } = require('../middleware/errorHandler');
+const { countMessageTokens } = require('../util/tokenizer');
+const { logger } = require('../util/logger');
+
+const SUMMARY_PROMPT = 'Summarize the following earlier part of a conversation about SAP purchasing. ' +
+  'Keep every purchase order number, supplier, material, quantity, amount, date, decision and open ' +
+  'question. Write it as compact notes for the assistant that will continue the conversation.';
+
+class McpContextCompaction {
+  constructor() {
+    // Compaction strategies by name
+    this.strategies = {
+      drop: this.drop,
+      summarize: this.summarize,
+      reject: this.reject
+    };
+  }
+
+  /**
+   * Check whether a compaction strategy exists
+   * @param {string} name - Strategy name
+   * @returns {boolean} - Whether the strategy exists
+   */
+  isValidStrategy(name) {
+    return Object.prototype.hasOwnProperty.call(this.strategies, name);
+  }
+
+  /**
+   * Compact a context until it fits its token budget
+   * @param {Object} context - Context
+   * @param {number} budget - Maximum tokens the context may hold
+   */
+  async compact(context, budget) {
+    if (context.tokenCount <= budget) {
+      return;
+    }
+
+    const strategy = context.compaction || mcpConfig.context.compaction;
+    if (!this.isValidStrategy(strategy)) {
+      throw new Error(`Unknown compaction strategy: ${strategy}`);
+    }
+
+    logger.warn(`Context ${context.id} exceeded its budget of ${budget} tokens. Compacting with strategy ${strategy}.`);
+    await this.strategies[strategy].call(this, context, budget);
+  }
+
+  /**
+   * Remove the oldest messages until the context fits its budget
+   * A tool call is removed together with its results, and results whose call
+   * was removed earlier are removed as well.
+   * @param {Object} context - Context
+   * @param {number} budget - Maximum tokens the context may hold
+   */
+  drop(context, budget) {
+    while (context.contents.length > 0 &&
+           (context.tokenCount > budget || this.isToolResult(context.contents[0]))) {
+      const removed = context.contents.shift();
+      context.tokenCount -= removed.tokenCount;
+    }
+  }
+
+  /**
+   * Replace the oldest unpinned messages with a model-generated summary
+   * Falls back to dropping messages if the summary cannot be generated or the
+   * pinned messages alone exceed the budget.
+   * @param {Object} context - Context
+   * @param {number} budget - Maximum tokens the context may hold
+   */
+  async summarize(context, budget) {
+    const selected = this.selectMessagesToSummarize(context, budget);
+
+    if (selected.length > 0) {
+      try {
+        const summary = await this.generateSummary(context, selected);
+        this.replaceWithSummary(context, selected, summary);
+      } catch (error) {
+        logger.error(`Could not summarize context ${context.id}: ${error.message}`);
+      }
+    }
+
+    if (context.tokenCount > budget) {
+      this.dropUnpinned(context, budget);
+    }
+    if (context.tokenCount > budget) {
+      this.drop(context, budget);
+    }
+  }
+
+  /**
+   * Remove the oldest messages other than system messages until the context fits its budget
+   * A tool call is removed together with its results.
+   * @param {Object} context - Context
+   * @param {number} budget - Maximum tokens the context may hold
+   */
+  dropUnpinned(context, budget) {
+    const remaining = [];
+    let dropped = false;
+
+    for (const message of context.contents) {
+      dropped = (dropped && this.isToolResult(message)) || (context.tokenCount > budget && !this.isPinned(message));
+
+      if (dropped) {
+        context.tokenCount -= message.tokenCount;
+      } else {
+        remaining.push(message);
+      }
+    }
+
+    context.contents = remaining;
+  }
+
+  /**
+   * Check whether a message is kept by summarization
+   * @param {Object} message - Context message
+   * @returns {boolean} - Whether the message is a system message other than a summary
+   */
+  isPinned(message) {
+    return message.role === 'system' && !message.summary;
+  }
+
+  /**
+   * Check whether a message carries tool results, which belong to the preceding tool call
+   * @param {Object} message - Context message
+   * @returns {boolean} - Whether the message is a tool message or has tool_result parts
+   */
+  isToolResult(message) {
+    return message.role === 'tool' ||
+      (Array.isArray(message.content) && message.content.some(part => part && part.type === 'tool_result'));
+  }
+
+  /**
+   * Refuse the update that made the context exceed its budget
+   * @param {Object} context - Context
+   * @param {number} budget - Maximum tokens the context may hold
+   */
+  reject(context, budget) {
+    throw new APIError(
+      `Context ${context.id} would hold ${context.tokenCount} tokens, exceeding its budget of ${budget} tokens`,
+      413,
+      'ERR_CONTEXT_FULL'
+    );
+  }
+
+  /**
+   * Select the oldest messages to fold into a summary
+   * System messages (other than earlier summaries) and the most recent messages are
+   * kept. A tool call is never separated from its results.
+   * @param {Object} context - Context
+   * @param {number} budget - Maximum tokens the context may hold
+   * @returns {Array} - Messages to summarize, in order
+   */
+  selectMessagesToSummarize(context, budget) {
+    const { keepRecentMessages, summaryMaxTokens } = mcpConfig.context;
+    const candidates = context.contents.slice(0, Math.max(0, context.contents.length - keepRecentMessages));
+
+    // Free enough room for the summary itself
+    const excess = context.tokenCount - budget + summaryMaxTokens;
+    const selected = [];
+    let freed = 0;
+    let index = 0;
+
+    for (; index < candidates.length && freed < excess; index++) {
+      const message = candidates[index];
+      if (this.isPinned(message)) {
+        continue;
+      }
+      selected.push(message);
+      freed += message.tokenCount;
+    }
+
+    // Include the results of a selected tool call
+    while (index < context.contents.length && this.isToolResult(context.contents[index]) &&
+           selected.length > 0) {
+      selected.push(context.contents[index]);
+      index++;
+    }
+
+    return selected;
+  }
+
+  /**
+   * Generate a summary of messages with the context's model
+   * @param {Object} context - Context
+   * @param {Array} messages - Messages to summarize
+   * @returns {string} - Summary text
+   */
+  async generateSummary(context, messages) {
+    // Required lazily, the models module depends on the context manager
+    const mcpModels = require('./mcpModels');
+
+    const transcript = messages.map(message => {
+      const content = mcpMessages.toText(message.content);
+      const toolCalls = message.toolCalls ? ` [tool calls: ${JSON.stringify(message.toolCalls)}]` : '';
+      return `${message.role}: ${content}${toolCalls}`;
+    }).join('\n\n');
+
+    const response = await mcpModels.generate({
+      model: context.model,
+      prompt: `${SUMMARY_PROMPT}\n\n${transcript}`,
+      parameters: {
+        maxTokens: mcpConfig.context.summaryMaxTokens,
+        temperature: 0.2
+      }
+    });
+
+    if (!response.content) {
+      throw new Error('Model returned an empty summary');
+    }
+
+    return response.content;
+  }
+
+  /**
+   * Replace messages of a context with a summary message
+   * Messages are matched by identity, so messages appended while the summary was
+   * being generated are kept.
+   * @param {Object} context - Context
+   * @param {Array} messages - Summarized messages
+   * @param {string} summary - Summary text
+   */
+  replaceWithSummary(context, messages, summary) {
+    const summarized = new Set(messages);
+    const position = context.contents.findIndex(message => summarized.has(message));
+    if (position === -1) {
+      return;
+    }
+
+    const summaryMessage = {
+      role: 'system',
+      content: `Summary of the earlier conversation:\n${summary}`,
+      summary: true
+    };
+    summaryMessage.tokenCount = countMessageTokens(summaryMessage, context.model);
+
+    const remaining = context.contents.filter(message => !summarized.has(message));
+    remaining.splice(position, 0, summaryMessage);
+
+    context.contents = remaining;
+    context.tokenCount = remaining.reduce((count, message) => count + message.tokenCount, 0);
+
+    logger.info(`Summarized ${messages.length} messages of context ${context.id}`);
+  }
+}
+
+module.exports = new McpContextCompaction();
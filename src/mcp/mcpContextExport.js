@@ -0,0 +1,372 @@
+/**
+ * MCP Context Export
+ *
+ * Converts contexts to portable documents and back:
+ * - json: the context's settings and messages, which can be imported again
+ * - markdown: a readable transcript for audit files, with SAP data returned by
+ *   tools or stored as system messages rendered as tables
+ */
+
+const mcpMessages = require('./mcpMessages');
+const { ValidationError } = require('../middleware/errorHandler');
+
+const EXPORT_FORMAT = 'mcp-context';
+const EXPORT_VERSION = 1;
+
+// Transcript headings by message role
+const ROLE_HEADINGS = {
+  system: 'System',
+  user: 'User',
+  assistant: 'Assistant',
+  tool: 'Tool result'
+};
+
+class McpContextExport {
+  constructor() {
+    // Export formats by name
+    this.formats = {
+      json: {
+        contentType: 'application/json',
+        extension: 'json',
+        render: context => JSON.stringify(this.toJson(context), null, 2)
+      },
+      markdown: {
+        contentType: 'text/markdown; charset=utf-8',
+        extension: 'md',
+        render: context => this.toMarkdown(context)
+      }
+    };
+  }
+
+  /**
+   * Check whether an export format exists
+   * @param {string} format - Format name
+   * @returns {boolean} - Whether the format exists
+   */
+  isSupportedFormat(format) {
+    return Object.prototype.hasOwnProperty.call(this.formats, format);
+  }
+
+  /**
+   * Export a context
+   * @param {Object} context - Context
+   * @param {string} format - Format name ('json', 'markdown')
+   * @returns {Object} - Content type, file name and body of the export
+   */
+  exportContext(context, format) {
+    const { contentType, extension, render } = this.formats[format];
+
+    return {
+      contentType,
+      fileName: `context-${context.id}.${extension}`,
+      body: render(context)
+    };
+  }
+
+  /**
+   * Build the JSON export of a context
+   * @param {Object} context - Context
+   * @returns {Object} - Export document
+   */
+  toJson(context) {
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      context: {
+        id: context.id,
+        model: context.model,
+        maxTokens: context.maxTokens,
+        compaction: context.compaction,
+        parentId: context.parentId,
+        createdAt: context.createdAt,
+        updatedAt: context.updatedAt,
+        tokenCount: context.tokenCount,
+        // Token counts are recounted on import
+        contents: context.contents.map(message => ({ ...message, tokenCount: undefined }))
+      }
+    };
+  }
+
+  /**
+   * Validate a JSON export and convert it to context creation options
+   * @param {Object} document - Export document
+   * @returns {Object} - Options for McpContextManager.createContext
+   */
+  parseImport(document) {
+    if (!document || document.format !== EXPORT_FORMAT || !document.context) {
+      throw new ValidationError(`Import must be a JSON context export (format "${EXPORT_FORMAT}")`);
+    }
+    if (document.version > EXPORT_VERSION) {
+      throw new ValidationError(`Unsupported context export version: ${document.version}`);
+    }
+
+    const { model, maxTokens, compaction, contents } = document.context;
+
+    if (!model) {
+      throw new ValidationError('Imported context has no model');
+    }
+    if (!Array.isArray(contents)) {
+      throw new ValidationError('Imported context has no contents array');
+    }
+
+    const errors = mcpMessages.validateMessages(contents);
+    if (errors.length > 0) {
+      throw new ValidationError(`Imported context has invalid messages: ${errors.join('; ')}`);
+    }
+
+    return {
+      model,
+      maxTokens,
+      compaction,
+      contents
+    };
+  }
+
+  /**
+   * Render a context as a Markdown transcript
+   * @param {Object} context - Context
+   * @returns {string} - Markdown document
+   */
+  toMarkdown(context) {
+    const lines = [
+      `# Conversation ${context.id}`,
+      '',
+      `- Model: ${context.model}`,
+      `- Created: ${new Date(context.createdAt).toISOString()}`,
+      `- Last updated: ${new Date(context.updatedAt).toISOString()}`,
+      `- Exported: ${new Date().toISOString()}`,
+      `- Messages: ${context.contents.length} (${context.tokenCount} tokens)`
+    ];
+
+    if (context.parentId) {
+      lines.push(`- Forked from: ${context.parentId}`);
+    }
+
+    context.contents.forEach(message => {
+      lines.push('', ...this.renderMessage(message));
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Render a message of the transcript
+   * @param {Object} message - Context message
+   * @returns {Array} - Markdown lines
+   */
+  renderMessage(message) {
+    let heading = ROLE_HEADINGS[message.role] || message.role;
+    if (message.summary) {
+      heading = 'Summary of earlier messages';
+    } else if (message.role === 'tool' && message.name) {
+      heading = `${heading}: ${message.name}${message.isError ? ' (failed)' : ''}`;
+    }
+
+    const blocks = Array.isArray(message.content)
+      ? message.content.map(part => this.renderPart(part))
+      : [this.renderContent(message)];
+
+    (message.toolCalls || []).forEach(toolCall => {
+      blocks.push([this.renderToolCall(toolCall)]);
+    });
+
+    const lines = [`## ${heading}`];
+    blocks.filter(block => block.length > 0).forEach(block => {
+      lines.push('', ...block);
+    });
+
+    return lines;
+  }
+
+  /**
+   * Render string content, showing SAP data stored as JSON as tables
+   * @param {Object} message - Context message
+   * @returns {Array} - Markdown lines
+   */
+  renderContent(message) {
+    // SAP data is stored as JSON in tool results and system messages
+    const data = (message.role === 'tool' || message.role === 'system') && !message.summary
+      ? this.parseJson(message.content)
+      : undefined;
+
+    if (this.isRecord(data) || Array.isArray(data)) {
+      return this.renderData(data);
+    }
+
+    return message.content ? [String(message.content)] : [];
+  }
+
+  /**
+   * Render a content part
+   * @param {Object} part - Content part
+   * @returns {Array} - Markdown lines
+   */
+  renderPart(part) {
+    if (part.type === 'text') {
+      return [part.text];
+    }
+    if (part.type === 'tool_call') {
+      return [this.renderToolCall(part)];
+    }
+    if (part.type === 'tool_result') {
+      const content = this.parseJson(part.content);
+      return [
+        `**Tool result${part.name ? `: ${part.name}` : ''}${part.isError ? ' (failed)' : ''}**`,
+        '',
+        ...(this.isRecord(content) || Array.isArray(content) ? this.renderData(content) : [String(part.content)])
+      ];
+    }
+    if (part.type === 'sap_entity') {
+      return this.renderEntity(part);
+    }
+    return [];
+  }
+
+  /**
+   * Render an SAP entity reference with its fields
+   * @param {Object} part - sap_entity part
+   * @returns {Array} - Markdown lines
+   */
+  renderEntity(part) {
+    const lines = [`**SAP ${part.entity} ${part.id}**`];
+    const fields = Object.entries(part.data || {});
+    const scalars = fields.filter(([, value]) => typeof value !== 'object' || value === null);
+    const nested = fields.filter(([field, value]) => typeof value === 'object' && value !== null && field !== '__metadata');
+
+    if (scalars.length > 0) {
+      lines.push('', ...this.renderTable(scalars.map(([field, value]) => ({ field, value }))));
+    }
+
+    nested.forEach(([field, value]) => {
+      lines.push('', `*${field}*`, '', ...(Array.isArray(value) ? this.renderData(value) : this.renderRecord(value)));
+    });
+
+    return lines;
+  }
+
+  /**
+   * Render a tool call
+   * @param {Object} toolCall - Tool call with name and arguments
+   * @returns {string} - Markdown line
+   */
+  renderToolCall(toolCall) {
+    return `> Called \`${toolCall.name}\` with \`${JSON.stringify(toolCall.arguments || {})}\``;
+  }
+
+  /**
+   * Render structured data as Markdown tables
+   * @param {Object|Array} data - Parsed JSON data
+   * @returns {Array} - Markdown lines
+   */
+  renderData(data) {
+    if (Array.isArray(data)) {
+      return data.length > 0 && data.every(this.isRecord)
+        ? this.renderTable(data)
+        : ['```json', JSON.stringify(data, null, 2), '```'];
+    }
+
+    // Wrapped results, e.g. { status, count, results: [...] } or { status, result: {...} }
+    const nested = Object.entries(data).filter(([, value]) => typeof value === 'object' && value !== null);
+    const scalars = Object.entries(data).filter(([, value]) => typeof value !== 'object' || value === null);
+
+    if (nested.length === 0) {
+      return this.renderTable(scalars.map(([field, value]) => ({ field, value })));
+    }
+
+    const lines = [];
+    if (scalars.length > 0) {
+      lines.push(scalars.map(([field, value]) => `**${field}:** ${value}`).join(' · '), '');
+    }
+
+    nested.forEach(([field, value], index) => {
+      if (index > 0) {
+        lines.push('');
+      }
+      lines.push(`**${field}**`, '');
+      lines.push(...(Array.isArray(value) ? this.renderData(value) : this.renderRecord(value)));
+    });
+
+    return lines;
+  }
+
+  /**
+   * Render a single record as a two-column table
+   * @param {Object} record - Record
+   * @returns {Array} - Markdown lines
+   */
+  renderRecord(record) {
+    return this.renderTable(Object.entries(record)
+      .filter(([field]) => field !== '__metadata')
+      .map(([field, value]) => ({ field, value })));
+  }
+
+  /**
+   * Render records as a table with one column per field
+   * @param {Array} records - Records
+   * @returns {Array} - Markdown lines
+   */
+  renderTable(records) {
+    if (records.length === 0) {
+      return ['_No data_'];
+    }
+
+    const columns = [];
+    records.forEach(record => {
+      Object.keys(record).forEach(key => {
+        // OData v2 metadata is not useful in a transcript
+        if (key !== '__metadata' && !columns.includes(key)) {
+          columns.push(key);
+        }
+      });
+    });
+
+    return [
+      `| ${columns.map(column => this.escapeCell(column)).join(' | ')} |`,
+      `| ${columns.map(() => '---').join(' | ')} |`,
+      ...records.map(record => `| ${columns.map(column => this.escapeCell(record[column])).join(' | ')} |`)
+    ];
+  }
+
+  /**
+   * Format a value for a table cell
+   * @param {*} value - Cell value
+   * @returns {string} - Escaped cell text
+   */
+  escapeCell(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+  }
+
+  /**
+   * Check whether a value is a plain record
+   * @param {*} value - Value
+   * @returns {boolean} - Whether the value is a non-array object
+   */
+  isRecord(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+
+  /**
+   * Parse message content as JSON
+   * @param {*} content - Message content
+   * @returns {*} - Parsed value, or undefined if the content is not JSON
+   */
+  parseJson(content) {
+    if (typeof content !== 'string') {
+      return content;
+    }
+
+    try {
+      return JSON.parse(content);
+    } catch (error) {
+      return undefined;
+    }
+  }
+}
+
+module.exports = new McpContextExport();
@@ -3,16 +3,36 @@
  * 
  * Handles the creation, storage, retrieval, updating, and deletion of MCP contexts.
  * Contexts are used to maintain conversation history and state for AI model interactions.
+ * Emits 'contextDeleted' with the context ID when a context is deleted or expires.
+ * Contexts are kept in the store selected by mcpConfig.context.storage (see ./storage).
+ *
+ * A context can be forked into a new context that records its parentId, and
+ * named snapshots of its contents can be taken and restored later.
+ *
+ * Contexts record the owner of the API key that created them. Methods that take
+ * an owner only return contexts of that owner; internal callers omit it.
+ *
+ * Every message stores its token count (tokenCount), counted with the tokenizer
+ * of the context's model. A context holds at most its token budget: the lower of
+ * maxTokens and the model's context size minus room for the response. A context
+ * over its budget is compacted with the context's compaction strategy.
  */
 
 const crypto = require('crypto');
+const EventEmitter = require('events');
 const mcpConfig = require('../config/mcpConfig');
+const mcpContextCompaction = require('./mcpContextCompaction');
+const { ConflictError, NotFoundError } = require('../middleware/errorHandler');
+const { createContextStore } = require('./storage');
+const { countMessageTokens } = require('../util/tokenizer');
 const { logger } = require('../util/logger');
 
-class McpContextManager {
+class McpContextManager extends EventEmitter {
   constructor() {
-    // In-memory context storage - for production use, replace with a database
-    this.contexts = new Map();
+    super();
+    
+    // Context storage backend
+    this.store = createContextStore(mcpConfig.context.storage);
     
     // Context cleanup interval
     this.cleanupInterval = setInterval(() => {
@@ -25,11 +45,15 @@ class McpContextManager {
    * @param {Object} options - Context creation options
    * @param {string} options.model - Model identifier
    * @param {number} options.maxTokens - Maximum tokens for the context
+   * @param {number} options.contextSize - Context size of the model, if known
+   * @param {string} options.compaction - Compaction strategy ('drop', 'summarize', 'reject')
    * @param {Array} options.contents - Initial context contents
+   * @param {string} options.parentId - ID of the context this one was forked from
+   * @param {string} options.owner - Owner of the creating API key
    * @returns {string} - Context ID
    */
   async createContext(options) {
-    const { model, maxTokens, contents } = options;
+    const { model, maxTokens, contextSize, compaction, contents, parentId, owner } = options;
     
     // Generate unique context ID
     const contextId = crypto.randomUUID();
@@ -39,15 +63,23 @@ class McpContextManager {
       id: contextId,
       model,
       maxTokens: maxTokens || mcpConfig.context.maxTokens,
+      contextSize: contextSize || null,
+      compaction: compaction || mcpConfig.context.compaction,
+      parentId: parentId || null,
+      owner: owner || null,
+      snapshots: [],
       createdAt: new Date(),
       updatedAt: new Date(),
       expiresAt: new Date(Date.now() + mcpConfig.context.ttlMs),
       tokenCount: 0,
-      contents: contents || []
+      contents: []
     };
     
+    (contents || []).forEach(message => this.addMessage(context, message));
+    await this.compact(context);
+    
     // Store the context
-    this.contexts.set(contextId, context);
+    await this.store.set(context);
     
     logger.info(`Created context ${contextId} for model ${model}`);
     return contextId;
@@ -56,19 +88,30 @@ class McpContextManager {
   /**
    * Get a context by its ID
    * @param {string} contextId - Context ID
+   * @param {string} owner - Owner the context must belong to, if given
    * @returns {Object|null} - Context object or null if not found
    */
-  async getContext(contextId) {
-    const context = this.contexts.get(contextId);
+  async getContext(contextId, owner) {
+    const context = await this.store.get(contextId);
     
     if (!context) {
       logger.warn(`Context ${contextId} not found`);
       return null;
     }
     
-    // Update the expiration time
-    context.expiresAt = new Date(Date.now() + mcpConfig.context.ttlMs);
-    context.updatedAt = new Date();
+    // Other owners' contexts are reported as missing, not revealing that they exist
+    if (!this.isAccessible(context, owner)) {
+      logger.warn(`Context ${contextId} is not accessible by ${owner}`);
+      return null;
+    }
+    
+    // Reading extends the expiry. Only the expiry is stored, and only once it has
+    // moved by a tenth of the time-to-live, so reads do not rewrite the context
+    const expiresAt = new Date(Date.now() + mcpConfig.context.ttlMs);
+    if (expiresAt - context.expiresAt >= mcpConfig.context.ttlMs / 10) {
+      await this.store.touch(contextId, expiresAt);
+      context.expiresAt = expiresAt;
+    }
     
     return context;
   }
@@ -77,71 +120,299 @@ class McpContextManager {
    * Update a context
    * @param {string} contextId - Context ID
    * @param {string} operation - Operation to perform ('append', 'replace', 'clear')
-   * @param {Object} content - Content to be added or used for replacement
+   * @param {Object|Array} content - Message or messages to be added or used for replacement
+   * @param {string} owner - Owner the context must belong to, if given
    * @returns {Object|null} - Updated context or null if not found
    */
-  async updateContext(contextId, operation, content) {
-    const context = await this.getContext(contextId);
+  async updateContext(contextId, operation, content, owner) {
+    const context = await this.getContext(contextId, owner);
     
     if (!context) {
       return null;
     }
     
-    switch (operation) {
-      case 'append':
-        context.contents.push(content);
-        break;
-      case 'replace':
-        context.contents = [content];
-        break;
-      case 'clear':
-        context.contents = [];
-        break;
-      default:
-        throw new Error(`Unknown context operation: ${operation}`);
-    }
-    
-    // Estimate token count (very simplified)
-    // In a real application, use a proper tokenizer for the specific model
-    context.tokenCount = context.contents.reduce((count, item) => {
-      const contentStr = typeof item.content === 'string' ? item.content : JSON.stringify(item.content);
-      return count + Math.ceil(contentStr.length / 4); // Very rough estimate
-    }, 0);
-    
-    // Check if token count exceeds the limit
-    if (context.tokenCount > context.maxTokens) {
-      logger.warn(`Context ${contextId} exceeded token limit. Removing oldest messages.`);
-      
-      // Remove oldest messages until token count is under the limit
-      while (context.tokenCount > context.maxTokens && context.contents.length > 0) {
-        const removed = context.contents.shift();
-        const removedContent = typeof removed.content === 'string' ? removed.content : JSON.stringify(removed.content);
-        context.tokenCount -= Math.ceil(removedContent.length / 4);
-      }
+    const messages = Array.isArray(content) ? content : [content];
+    const operations = {
+      append: () => messages.forEach(message => this.addMessage(context, message)),
+      replace: () => {
+        this.clearMessages(context);
+        messages.forEach(message => this.addMessage(context, message));
+      },
+      clear: () => this.clearMessages(context)
+    };
+    
+    if (!operations[operation]) {
+      throw new Error(`Unknown context operation: ${operation}`);
+    }
+    
+    // Keep the previous contents in case the compaction strategy rejects the update
+    const previousContents = context.contents;
+    const previousTokenCount = context.tokenCount;
+    context.contents = [...context.contents];
+    
+    operations[operation]();
+    
+    try {
+      await this.compact(context);
+    } catch (error) {
+      context.contents = previousContents;
+      context.tokenCount = previousTokenCount;
+      throw error;
     }
     
     context.updatedAt = new Date();
     context.expiresAt = new Date(Date.now() + mcpConfig.context.ttlMs);
     
     // Update the context in storage
-    this.contexts.set(contextId, context);
+    await this.store.set(context);
     
     logger.info(`Updated context ${contextId} with operation ${operation}`);
     return context;
   }
   
+  /**
+   * List contexts, most recently active first by default
+   * @param {Object} options - Listing options
+   * @param {string} options.owner - Owner the contexts must belong to, if given
+   * @param {string} options.model - Only list contexts of this model
+   * @param {string} options.sort - Sort field ('updatedAt', 'createdAt')
+   * @param {string} options.order - Sort order ('asc', 'desc')
+   * @param {number} options.limit - Maximum contexts to return
+   * @param {number} options.offset - Contexts to skip
+   * @returns {Object} - Context summaries and the total number of matching contexts
+   */
+  async listContexts(options = {}) {
+    const { owner, model, sort = 'updatedAt', order = 'desc', limit = 20, offset = 0 } = options;
+    
+    const direction = order === 'asc' ? 1 : -1;
+    const contexts = (await this.store.list())
+      .filter(context => this.isAccessible(context, owner))
+      .filter(context => !model || context.model === model)
+      .sort((a, b) => direction * (new Date(a[sort]) - new Date(b[sort])));
+    
+    return {
+      total: contexts.length,
+      contexts: contexts.slice(offset, offset + limit).map(context => this.describeContext(context))
+    };
+  }
+  
+  /**
+   * Describe a context without its contents
+   * @param {Object} context - Context
+   * @returns {Object} - Context settings, activity times and size
+   */
+  describeContext(context) {
+    return {
+      id: context.id,
+      model: context.model,
+      owner: context.owner,
+      parentId: context.parentId,
+      createdAt: context.createdAt,
+      updatedAt: context.updatedAt,
+      expiresAt: context.expiresAt,
+      messageCount: context.contents.length,
+      tokenCount: context.tokenCount
+    };
+  }
+  
+  /**
+   * Check whether a caller may access a context
+   * @param {Object} context - Context
+   * @param {string} owner - Caller's owner, undefined for internal callers, null for callers without an owner
+   * @returns {boolean} - Whether the context is accessible
+   */
+  isAccessible(context, owner) {
+    // Only internal callers may access any context; callers without an owner may access none
+    return owner === undefined || (owner !== null && context.owner === owner);
+  }
+  
+  /**
+   * Fork a context into a new context with the same settings and contents
+   * @param {string} contextId - Context ID
+   * @param {string} snapshotName - Snapshot to fork from instead of the current contents
+   * @param {string} owner - Owner the context must belong to, if given
+   * @returns {string|null} - ID of the new context or null if not found
+   */
+  async forkContext(contextId, snapshotName, owner) {
+    const context = await this.getContext(contextId, owner);
+    
+    if (!context) {
+      return null;
+    }
+    
+    const contents = snapshotName ? this.findSnapshot(context, snapshotName).contents : context.contents;
+    
+    const forkId = await this.createContext({
+      model: context.model,
+      maxTokens: context.maxTokens,
+      contextSize: context.contextSize,
+      compaction: context.compaction,
+      contents,
+      parentId: contextId,
+      owner: context.owner
+    });
+    
+    logger.info(`Forked context ${contextId} into ${forkId}`);
+    return forkId;
+  }
+  
+  /**
+   * Take a named snapshot of the contents of a context
+   * @param {string} contextId - Context ID
+   * @param {string} name - Snapshot name, unique within the context
+   * @param {string} owner - Owner the context must belong to, if given
+   * @returns {Object|null} - Snapshot summary or null if not found
+   */
+  async createSnapshot(contextId, name, owner) {
+    const context = await this.getContext(contextId, owner);
+    
+    if (!context) {
+      return null;
+    }
+    
+    if (context.snapshots.some(snapshot => snapshot.name === name)) {
+      throw new ConflictError(`Snapshot ${name} already exists for context ${contextId}`);
+    }
+    
+    const snapshot = {
+      name,
+      createdAt: new Date(),
+      tokenCount: context.tokenCount,
+      contents: context.contents.map(message => ({ ...message }))
+    };
+    context.snapshots.push(snapshot);
+    
+    await this.store.set(context);
+    
+    logger.info(`Created snapshot ${name} of context ${contextId}`);
+    return this.describeSnapshot(snapshot);
+  }
+  
+  /**
+   * List the snapshots of a context
+   * @param {string} contextId - Context ID
+   * @param {string} owner - Owner the context must belong to, if given
+   * @returns {Array|null} - Snapshot summaries or null if not found
+   */
+  async listSnapshots(contextId, owner) {
+    const context = await this.getContext(contextId, owner);
+    
+    if (!context) {
+      return null;
+    }
+    
+    return context.snapshots.map(snapshot => this.describeSnapshot(snapshot));
+  }
+  
+  /**
+   * Replace the contents of a context with those of a snapshot
+   * @param {string} contextId - Context ID
+   * @param {string} name - Snapshot name
+   * @param {string} owner - Owner the context must belong to, if given
+   * @returns {Object|null} - Updated context or null if not found
+   */
+  async restoreSnapshot(contextId, name, owner) {
+    const context = await this.getContext(contextId, owner);
+    
+    if (!context) {
+      return null;
+    }
+    
+    const snapshot = this.findSnapshot(context, name);
+    
+    logger.info(`Restoring snapshot ${name} of context ${contextId}`);
+    return this.updateContext(contextId, 'replace', snapshot.contents, owner);
+  }
+  
+  /**
+   * Find a snapshot of a context by name
+   * @param {Object} context - Context
+   * @param {string} name - Snapshot name
+   * @returns {Object} - Snapshot
+   */
+  findSnapshot(context, name) {
+    const snapshot = context.snapshots.find(entry => entry.name === name);
+    
+    if (!snapshot) {
+      throw new NotFoundError(`Snapshot ${name} not found for context ${context.id}`);
+    }
+    
+    return snapshot;
+  }
+  
+  /**
+   * Describe a snapshot without its contents
+   * @param {Object} snapshot - Snapshot
+   * @returns {Object} - Name, creation time, message count and token count
+   */
+  describeSnapshot(snapshot) {
+    return {
+      name: snapshot.name,
+      createdAt: snapshot.createdAt,
+      messageCount: snapshot.contents.length,
+      tokenCount: snapshot.tokenCount
+    };
+  }
+  
+  /**
+   * Get the token budget of a context
+   * @param {Object} context - Context
+   * @returns {number} - Maximum tokens the context may hold
+   */
+  getTokenBudget(context) {
+    if (!context.contextSize) {
+      return context.maxTokens;
+    }
+    
+    // Leave room in the model's context window for the response, but never
+    // more than a quarter of a small window
+    const reserve = Math.min(mcpConfig.context.defaultMaxTokens, Math.floor(context.contextSize / 4));
+    return Math.min(context.maxTokens, context.contextSize - reserve);
+  }
+  
+  /**
+   * Add a message to a context, counting its tokens
+   * @param {Object} context - Context
+   * @param {Object} message - Message
+   */
+  addMessage(context, message) {
+    const stored = { ...message, tokenCount: countMessageTokens(message, context.model) };
+    context.contents.push(stored);
+    context.tokenCount += stored.tokenCount;
+  }
+  
+  /**
+   * Remove all messages from a context
+   * @param {Object} context - Context
+   */
+  clearMessages(context) {
+    context.contents = [];
+    context.tokenCount = 0;
+  }
+  
+  /**
+   * Compact a context until it fits its token budget
+   * @param {Object} context - Context
+   */
+  async compact(context) {
+    await mcpContextCompaction.compact(context, this.getTokenBudget(context));
+  }
+  
   /**
    * Delete a context
    * @param {string} contextId - Context ID
+   * @param {string} owner - Owner the context must belong to, if given
    * @returns {boolean} - Success indicator
    */
-  async deleteContext(contextId) {
-    if (!this.contexts.has(contextId)) {
+  async deleteContext(contextId, owner) {
+    const context = await this.store.get(contextId);
+    
+    if (!context || !this.isAccessible(context, owner) || !(await this.store.delete(contextId))) {
       logger.warn(`Attempted to delete non-existent context ${contextId}`);
       return false;
     }
     
-    this.contexts.delete(contextId);
+    this.emit('contextDeleted', contextId);
     logger.info(`Deleted context ${contextId}`);
     return true;
   }
@@ -149,15 +420,19 @@ class McpContextManager {
   /**
    * Clean up expired contexts
    */
-  cleanupExpiredContexts() {
+  async cleanupExpiredContexts() {
     const now = new Date();
     let expiredCount = 0;
     
-    for (const [contextId, context] of this.contexts.entries()) {
-      if (context.expiresAt < now) {
-        this.contexts.delete(contextId);
-        expiredCount++;
+    try {
+      for (const context of await this.store.list()) {
+        if (context.expiresAt < now && await this.store.delete(context.id)) {
+          this.emit('contextDeleted', context.id);
+          expiredCount++;
+        }
       }
+    } catch (error) {
+      logger.error(`Error cleaning up expired contexts: ${error.message}`);
     }
     
     if (expiredCount > 0) {
@@ -168,11 +443,13 @@ class McpContextManager {
   /**
    * Stop the context manager and clean up resources
    */
-  stop() {
+  async stop() {
     if (this.cleanupInterval) {
       clearInterval(this.cleanupInterval);
       this.cleanupInterval = null;
     }
+    
+    await this.store.close();
   }
 }
 
@@ -0,0 +1,359 @@
+/**
+ * MCP Streamable HTTP Transport
+ *
+ * Serves the MCP protocol over the streamable HTTP transport:
+ * - POST carries client messages and is answered with JSON or an SSE stream
+ * - GET opens an SSE stream for server-initiated messages
+ * - DELETE terminates the session
+ *
+ * Sessions are identified by the Mcp-Session-Id header. Each session is backed
+ * by a context from the context manager, so the session's conversation state
+ * lives exactly as long as the session does. Sessions and their contexts belong
+ * to the owner of the authenticated caller that initialized them, and only that
+ * owner can use them.
+ *
+ * Requests from browser origins that are not allowed are rejected, and the
+ * number of live sessions is capped.
+ */
+
+const crypto = require('crypto');
+const mcpConfig = require('../config/mcpConfig');
+const mcpContextManager = require('./mcpContextManager');
+const mcpModels = require('./mcpModels');
+const mcpProtocol = require('./mcpProtocol');
+const { acceptsEventStream, openEventStream, writeEvent, startHeartbeat } = require('../util/sse');
+const { logger } = require('../util/logger');
+
+const SESSION_HEADER = 'Mcp-Session-Id';
+
+class McpHttpTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {Object} options.contextManager - Context manager backing the sessions
+   * @param {number} options.heartbeatIntervalMs - Interval for SSE keep-alive comments
+   * @param {number} options.maxSessions - Maximum number of live sessions
+   * @param {Array} options.allowedOrigins - Browser origins allowed to send requests
+   */
+  constructor(options = {}) {
+    this.contextManager = options.contextManager || mcpContextManager;
+    this.heartbeatIntervalMs = options.heartbeatIntervalMs || 15000;
+    this.maxSessions = options.maxSessions || mcpConfig.protocol.maxSessions;
+    this.allowedOrigins = options.allowedOrigins || mcpConfig.protocol.allowedOrigins;
+
+    // Active sessions by session ID
+    this.sessions = new Map();
+
+    // End sessions whose context was deleted or expired
+    this.contextManager.on('contextDeleted', contextId => {
+      for (const session of this.sessions.values()) {
+        if (session.contextId === contextId) {
+          this.closeSession(session.id);
+        }
+      }
+    });
+
+    this.handlePost = this.handlePost.bind(this);
+    this.handleGet = this.handleGet.bind(this);
+    this.handleDelete = this.handleDelete.bind(this);
+  }
+
+  /**
+   * Get the owner of the caller of a request
+   * @param {Object} req - Express request
+   * @returns {string|null} - Owner of the caller's API key, null if the request was not authenticated
+   */
+  getCallerOwner(req) {
+    return req.auth ? req.auth.owner : null;
+  }
+
+  /**
+   * Check the Origin header of a request, answering with an error if the origin is not allowed
+   * Requests without an Origin header do not come from browsers and are accepted.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {boolean} - Whether the request may proceed
+   */
+  checkOrigin(req, res) {
+    const origin = req.get('Origin');
+
+    if (!origin || this.allowedOrigins.includes(origin)) {
+      return true;
+    }
+
+    logger.warn(`Rejected MCP request from origin ${origin}`);
+    res.status(403).json(mcpProtocol.createErrorResponse(
+      null,
+      mcpProtocol.errorCodes.INVALID_REQUEST,
+      `Origin ${origin} is not allowed`
+    ));
+    return false;
+  }
+
+  /**
+   * Create a new session and its backing context
+   * @param {string} owner - Owner of the caller initializing the session
+   * @returns {Object} - Session
+   */
+  async createSession(owner) {
+    const sessionId = crypto.randomUUID();
+    const model = mcpConfig.models.defaultModel;
+    const capabilities = await mcpModels.getModelCapabilities(model);
+    const contextId = await this.contextManager.createContext({
+      model,
+      maxTokens: mcpConfig.context.maxTokens,
+      contextSize: capabilities?.contextSize,
+      contents: [],
+      owner
+    });
+
+    const session = {
+      id: sessionId,
+      contextId,
+      owner,
+      streams: new Set(),
+      createdAt: new Date(),
+      // State shared with the protocol handlers
+      protocolSession: {
+        transport: 'streamable-http',
+        sessionId,
+        contextId,
+        notify: (method, params) => this.sendToSession(sessionId, { jsonrpc: '2.0', method, params })
+      }
+    };
+
+    this.sessions.set(sessionId, session);
+    logger.info(`Created MCP session ${sessionId} with context ${contextId}`);
+
+    return session;
+  }
+
+  /**
+   * Resolve the session for a request, answering with an error if it is missing or expired
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @returns {Object|null} - Session or null if an error response was sent
+   */
+  async resolveSession(req, res) {
+    const sessionId = req.get(SESSION_HEADER);
+
+    if (!sessionId) {
+      res.status(400).json(mcpProtocol.createErrorResponse(
+        null,
+        mcpProtocol.errorCodes.INVALID_REQUEST,
+        `Missing ${SESSION_HEADER} header`
+      ));
+      return null;
+    }
+
+    // Other owners' sessions are reported as missing, like their contexts
+    const session = this.sessions.get(sessionId);
+    const isOwn = session && session.owner === this.getCallerOwner(req);
+
+    // Reading the context also extends its expiry
+    const context = isOwn ? await this.contextManager.getContext(session.contextId) : null;
+
+    if (!isOwn || !context) {
+      if (isOwn) {
+        this.closeSession(sessionId);
+      }
+      res.status(404).json(mcpProtocol.createErrorResponse(
+        null,
+        mcpProtocol.errorCodes.INVALID_REQUEST,
+        `Session ${sessionId} not found or expired`
+      ));
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * Handle POST requests carrying client messages
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async handlePost(req, res) {
+    if (!this.checkOrigin(req, res)) {
+      return;
+    }
+
+    try {
+      const message = req.body;
+
+      if (!message || typeof message !== 'object') {
+        return res.status(400).json(mcpProtocol.createErrorResponse(
+          null,
+          mcpProtocol.errorCodes.PARSE_ERROR,
+          'Request body must be a JSON-RPC message'
+        ));
+      }
+
+      const messages = Array.isArray(message) ? message : [message];
+      const isInitialize = messages.some(entry => entry && entry.method === 'initialize');
+
+      if (isInitialize && this.sessions.size >= this.maxSessions) {
+        logger.warn(`Rejected MCP session, ${this.sessions.size} sessions are live`);
+        return res.status(503).json(mcpProtocol.createErrorResponse(
+          null,
+          mcpProtocol.errorCodes.INTERNAL_ERROR,
+          'Too many MCP sessions, try again later'
+        ));
+      }
+
+      const session = isInitialize
+        ? await this.createSession(this.getCallerOwner(req))
+        : await this.resolveSession(req, res);
+      if (!session) {
+        return;
+      }
+
+      res.set(SESSION_HEADER, session.id);
+
+      // Notifications and responses are acknowledged without a body
+      const hasRequests = messages.some(entry => entry && entry.method && entry.id !== undefined);
+      if (!hasRequests) {
+        await mcpProtocol.handleMessage(message, session.protocolSession);
+        return res.status(202).end();
+      }
+
+      if (!acceptsEventStream(req)) {
+        const response = await mcpProtocol.handleMessage(message, session.protocolSession);
+        return res.status(200).json(response);
+      }
+
+      // Stream each response as soon as it is ready
+      openEventStream(res);
+      for (const entry of messages) {
+        const response = await mcpProtocol.handleMessage(entry, session.protocolSession);
+        if (response) {
+          writeEvent(res, response, { event: 'message' });
+        }
+      }
+      res.end();
+    } catch (error) {
+      logger.error(`Error handling MCP POST request: ${error.message}`);
+
+      if (res.headersSent) {
+        return res.end();
+      }
+
+      res.status(500).json(mcpProtocol.createErrorResponse(
+        null,
+        mcpProtocol.errorCodes.INTERNAL_ERROR,
+        `Failed to handle MCP request: ${error.message}`
+      ));
+    }
+  }
+
+  /**
+   * Handle GET requests opening a stream for server-initiated messages
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async handleGet(req, res) {
+    if (!this.checkOrigin(req, res)) {
+      return;
+    }
+
+    if (!acceptsEventStream(req)) {
+      return res.status(405).set('Allow', 'POST, DELETE').json({
+        status: 'error',
+        message: 'GET requires Accept: text/event-stream'
+      });
+    }
+
+    const session = await this.resolveSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    openEventStream(res, { [SESSION_HEADER]: session.id });
+    session.streams.add(res);
+
+    // An open stream keeps the session's context alive
+    const stopHeartbeat = startHeartbeat(res, this.heartbeatIntervalMs, () => {
+      this.contextManager.getContext(session.contextId).catch(error => {
+        logger.error(`Error refreshing context of session ${session.id}: ${error.message}`);
+      });
+    });
+
+    req.on('close', () => {
+      stopHeartbeat();
+      session.streams.delete(res);
+    });
+
+    logger.info(`Opened MCP event stream for session ${session.id}`);
+  }
+
+  /**
+   * Handle DELETE requests terminating a session
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async handleDelete(req, res) {
+    if (!this.checkOrigin(req, res)) {
+      return;
+    }
+
+    const session = await this.resolveSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    await this.contextManager.deleteContext(session.contextId);
+    this.closeSession(session.id);
+
+    res.status(204).end();
+  }
+
+  /**
+   * Send a server-initiated message to the session's open streams
+   * @param {string} sessionId - Session ID
+   * @param {Object} message - JSON-RPC message
+   * @returns {boolean} - Whether the message was delivered to at least one stream
+   */
+  sendToSession(sessionId, message) {
+    const session = this.sessions.get(sessionId);
+
+    if (!session || session.streams.size === 0) {
+      logger.debug(`No open stream for MCP session ${sessionId}, dropping ${message.method}`);
+      return false;
+    }
+
+    for (const stream of session.streams) {
+      writeEvent(stream, message, { event: 'message' });
+    }
+
+    return true;
+  }
+
+  /**
+   * Close a session and its open streams
+   * @param {string} sessionId - Session ID
+   */
+  closeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    for (const stream of session.streams) {
+      stream.end();
+    }
+
+    mcpProtocol.endSession(session.protocolSession);
+    this.sessions.delete(sessionId);
+    logger.info(`Closed MCP session ${sessionId}`);
+  }
+
+  /**
+   * Close all sessions
+   */
+  closeAll() {
+    for (const sessionId of Array.from(this.sessions.keys())) {
+      this.closeSession(sessionId);
+    }
+  }
+}
+
+module.exports = McpHttpTransport;
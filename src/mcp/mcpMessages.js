@@ -0,0 +1,262 @@
+/**
+ * MCP Message Schema
+ *
+ * Defines the messages stored in context contents. A message has a role and
+ * content that is either a string or an array of typed parts:
+ * - { type: 'text', text }
+ * - { type: 'tool_call', id, name, arguments } (assistant messages only)
+ * - { type: 'tool_result', toolCallId, name, content, isError }
+ * - { type: 'sap_entity', entity, id, data } - a reference to an SAP business
+ *   object such as a purchase order, optionally with a snapshot of its fields
+ *
+ * The provider-neutral tool call form described in mcpModels.js (toolCalls on
+ * assistant messages, role 'tool' for results) remains valid; tool messages
+ * must name the call they answer in toolCallId. Before messages
+ * are sent to a model, tool_call and tool_result parts are converted to that
+ * form, leaving only text and sap_entity parts for the providers to render.
+ */
+
+const { validateSchema } = require('../util/jsonSchema');
+
+const MESSAGE_ROLES = ['system', 'user', 'assistant', 'tool'];
+
+const messageSchema = {
+  type: 'object',
+  required: ['role'],
+  properties: {
+    role: { type: 'string', enum: MESSAGE_ROLES },
+    content: { type: ['string', 'array', 'null'] },
+    toolCalls: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          arguments: { type: 'object' }
+        }
+      }
+    },
+    toolCallId: { type: 'string', minLength: 1 },
+    name: { type: 'string' },
+    isError: { type: 'boolean' }
+  }
+};
+
+// Schemas of content parts by type
+const partSchemas = {
+  text: {
+    type: 'object',
+    required: ['type', 'text'],
+    properties: {
+      type: { type: 'string' },
+      text: { type: 'string' }
+    },
+    additionalProperties: false
+  },
+  tool_call: {
+    type: 'object',
+    required: ['type', 'id', 'name'],
+    properties: {
+      type: { type: 'string' },
+      id: { type: 'string', minLength: 1 },
+      name: { type: 'string', minLength: 1 },
+      arguments: { type: 'object' }
+    },
+    additionalProperties: false
+  },
+  tool_result: {
+    type: 'object',
+    required: ['type', 'toolCallId', 'content'],
+    properties: {
+      type: { type: 'string' },
+      toolCallId: { type: 'string', minLength: 1 },
+      name: { type: 'string' },
+      content: { type: ['string', 'object', 'array'] },
+      isError: { type: 'boolean' }
+    },
+    additionalProperties: false
+  },
+  sap_entity: {
+    type: 'object',
+    required: ['type', 'entity', 'id'],
+    properties: {
+      type: { type: 'string' },
+      entity: { type: 'string', minLength: 1 },
+      id: { type: 'string', minLength: 1 },
+      data: { type: 'object' }
+    },
+    additionalProperties: false
+  }
+};
+
+class McpMessages {
+  /**
+   * Validate a message
+   * @param {Object} message - Message
+   * @param {string} path - Path of the message, used in error messages
+   * @returns {Array} - List of validation error messages (empty when valid)
+   */
+  validateMessage(message, path = 'message') {
+    const errors = validateSchema(messageSchema, message, path);
+
+    if (errors.length === 0 && message.role === 'tool' && message.toolCallId === undefined) {
+      errors.push(`${path}.toolCallId is required in tool messages`);
+    }
+
+    if (errors.length > 0 || !Array.isArray(message.content)) {
+      return errors;
+    }
+
+    message.content.forEach((part, index) => {
+      const partPath = `${path}.content[${index}]`;
+      const schema = part && partSchemas[part.type];
+
+      if (!schema) {
+        errors.push(`${partPath}.type must be one of: ${Object.keys(partSchemas).join(', ')}`);
+        return;
+      }
+
+      errors.push(...validateSchema(schema, part, partPath));
+
+      if (part.type === 'tool_call' && message.role !== 'assistant') {
+        errors.push(`${partPath} is only allowed in assistant messages`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validate a message or a list of messages
+   * @param {Object|Array} messages - Message or messages
+   * @returns {Array} - List of validation error messages (empty when valid)
+   */
+  validateMessages(messages) {
+    if (!Array.isArray(messages)) {
+      return this.validateMessage(messages);
+    }
+
+    return messages.flatMap((message, index) => this.validateMessage(message, `messages[${index}]`));
+  }
+
+  /**
+   * Convert tool_call and tool_result parts to the provider-neutral tool call form
+   * @param {Array} messages - Context messages
+   * @returns {Array} - Messages whose content is a string or text and sap_entity parts
+   */
+  normalizeMessages(messages) {
+    return messages.flatMap(message => {
+      if (!Array.isArray(message.content)) {
+        return [message];
+      }
+
+      const parts = message.content.filter(part => part.type === 'text' || part.type === 'sap_entity');
+      const toolCalls = message.content
+        .filter(part => part.type === 'tool_call')
+        .map(part => ({ id: part.id, name: part.name, arguments: part.arguments || {} }));
+      const toolResults = message.content
+        .filter(part => part.type === 'tool_result')
+        .map(part => ({
+          role: 'tool',
+          toolCallId: part.toolCallId,
+          name: part.name,
+          content: typeof part.content === 'string' ? part.content : JSON.stringify(part.content),
+          isError: Boolean(part.isError)
+        }));
+
+      const normalized = [];
+      if (parts.length > 0 || toolCalls.length > 0 || toolResults.length === 0) {
+        normalized.push({
+          ...message,
+          content: parts.length > 0 ? parts : '',
+          ...(toolCalls.length > 0 ? { toolCalls: [...(message.toolCalls || []), ...toolCalls] } : {})
+        });
+      }
+
+      // Tool results answer the preceding tool calls, so they come before other content
+      return message.role === 'assistant' ? [...normalized, ...toolResults] : [...toolResults, ...normalized];
+    });
+  }
+
+  /**
+   * Render message content as plain text
+   * @param {string|Array} content - Message content
+   * @returns {string} - Text
+   */
+  toText(content) {
+    if (!Array.isArray(content)) {
+      return content || '';
+    }
+
+    return content
+      .map(part => this.renderPart(part))
+      .filter(text => text)
+      .join('\n\n');
+  }
+
+  /**
+   * Render a content part as text
+   * @param {Object} part - Content part
+   * @returns {string} - Text, empty for parts without a text form
+   */
+  renderPart(part) {
+    if (part.type === 'text') {
+      return part.text;
+    }
+    if (part.type === 'sap_entity') {
+      return this.renderEntity(part);
+    }
+    if (part.type === 'tool_call') {
+      return `[Tool call ${part.name}: ${JSON.stringify(part.arguments || {})}]`;
+    }
+    if (part.type === 'tool_result') {
+      const content = typeof part.content === 'string' ? part.content : JSON.stringify(part.content);
+      return `[Tool result${part.name ? ` ${part.name}` : ''}: ${content}]`;
+    }
+    return '';
+  }
+
+  /**
+   * Render an SAP entity reference as labelled fields
+   * @param {Object} part - sap_entity part
+   * @returns {string} - Text
+   */
+  renderEntity(part) {
+    const lines = [`[SAP ${part.entity} ${part.id}]`];
+
+    for (const [field, value] of Object.entries(part.data || {})) {
+      if (value === undefined || value === null || field === '__metadata') {
+        continue;
+      }
+
+      if (Array.isArray(value)) {
+        lines.push(`${field}:`);
+        value.forEach(item => lines.push(`- ${this.renderFields(item)}`));
+      } else {
+        lines.push(`${field}: ${this.renderFields(value)}`);
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Render a value as comma-separated fields
+   * @param {*} value - Value
+   * @returns {string} - Text
+   */
+  renderFields(value) {
+    if (typeof value !== 'object' || value === null) {
+      return String(value);
+    }
+
+    return Object.entries(value)
+      .filter(([field, fieldValue]) => fieldValue !== undefined && fieldValue !== null && field !== '__metadata')
+      .map(([field, fieldValue]) => `${field}: ${typeof fieldValue === 'object' ? JSON.stringify(fieldValue) : fieldValue}`)
+      .join(', ');
+  }
+}
+
+module.exports = new McpMessages();
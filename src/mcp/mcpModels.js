@@ -2,48 +2,45 @@
  * MCP Models Module
  * 
  * Handles interactions with AI models through the MCP protocol.
- * Supports multiple model providers including OpenAI, Anthropic, and Ollama.
+ * Model providers (OpenAI, Anthropic, Ollama and any configured extras) are
+ * resolved through the provider registry.
+ *
+ * Queries run as an agent loop: models that support function calling receive the
+ * SAP tool definitions, tool calls are executed through the SAP adapter and their
+ * results are fed back until the model produces a final answer.
+ *
+ * Tool calls are kept in a provider-neutral form inside contexts:
+ * - { role: 'assistant', content, toolCalls: [{ id, name, arguments }] }
+ * - { role: 'tool', toolCallId, name, content }
+ * Context messages may also carry tool calls and results as content parts; they
+ * are converted to this form before a model is called (see mcpMessages.js).
+ *
+ * Generations can also be streamed token by token using each provider's native
+ * streaming format.
+ *
+ * Failed model calls are retried with exponential backoff and then passed on
+ * along the model's fallback chain (mcpConfig.models.fallbackChains), skipping
+ * providers whose circuit breaker is open. Responses report the model that
+ * actually answered in `model` and the requested one in `requestedModel`.
  */
 
-const axios = require('axios');
 const mcpConfig = require('../config/mcpConfig');
 const mcpContextManager = require('./mcpContextManager');
+const mcpMessages = require('./mcpMessages');
+const mcpTools = require('./mcpTools');
+const providerRegistry = require('./providers/providerRegistry');
+const { ModelProviderError, NotFoundError } = require('../middleware/errorHandler');
+const { retryWithBackoff, isRetryableError } = require('../util/retry');
 const { logger } = require('../util/logger');
 
 class McpModels {
-  constructor() {
-    // Model providers and their configurations
-    this.providers = {
-      openai: {
-        baseUrl: 'https://api.openai.com/v1',
-        apiKey: mcpConfig.models.providers.openai.apiKey,
-        supportedModels: mcpConfig.models.providers.openai.models || []
-      },
-      anthropic: {
-        baseUrl: 'https://api.anthropic.com/v1',
-        apiKey: mcpConfig.models.providers.anthropic.apiKey,
-        supportedModels: mcpConfig.models.providers.anthropic.models || []
-      },
-      ollama: {
-        baseUrl: mcpConfig.models.providers.ollama.baseUrl || 'http://localhost:11434',
-        supportedModels: mcpConfig.models.providers.ollama.models || []
-      }
-    };
-  }
-  
   /**
    * Get the provider for a model
    * @param {string} modelId - Model identifier
-   * @returns {Object} - Provider information
+   * @returns {Object} - Provider instance
    */
-  getProviderForModel(modelId) {
-    for (const [providerName, provider] of Object.entries(this.providers)) {
-      if (provider.supportedModels.includes(modelId)) {
-        return { name: providerName, ...provider };
-      }
-    }
-    
-    throw new Error(`No provider found for model ${modelId}`);
+  async getProviderForModel(modelId) {
+    return providerRegistry.getProviderForModel(modelId);
   }
   
   /**
@@ -53,16 +50,13 @@ class McpModels {
   async getAvailableModels() {
     const models = [];
     
-    for (const [providerName, provider] of Object.entries(this.providers)) {
-      // Only include providers with configured models
-      if (provider.supportedModels && provider.supportedModels.length > 0) {
-        for (const modelId of provider.supportedModels) {
-          models.push({
-            id: modelId,
-            provider: providerName,
-            capabilities: await this.getModelCapabilities(modelId)
-          });
-        }
+    for (const provider of providerRegistry.list()) {
+      for (const modelId of await provider.listModels()) {
+        models.push({
+          id: modelId,
+          provider: provider.name,
+          capabilities: await this.getModelCapabilities(modelId)
+        });
       }
     }
     
@@ -75,51 +69,9 @@ class McpModels {
    * @returns {Object} - Model capabilities
    */
   async getModelCapabilities(modelId) {
-    // Default capabilities
-    const capabilities = {
-      contextSize: 2048,
-      supportsFunctions: false,
-      supportsVision: false,
-      supportsStreaming: true
-    };
-    
     try {
-      const provider = this.getProviderForModel(modelId);
-      
-      // Set provider-specific capabilities
-      switch (provider.name) {
-        case 'openai':
-          // OpenAI models capabilities
-          if (modelId.includes('gpt-4')) {
-            capabilities.contextSize = modelId.includes('32k') ? 32768 : 8192;
-            capabilities.supportsFunctions = true;
-            capabilities.supportsVision = modelId.includes('vision');
-          } else if (modelId.includes('gpt-3.5-turbo')) {
-            capabilities.contextSize = modelId.includes('16k') ? 16384 : 4096;
-            capabilities.supportsFunctions = true;
-          }
-          break;
-          
-        case 'anthropic':
-          // Anthropic models capabilities
-          if (modelId.includes('claude-3')) {
-            capabilities.contextSize = 200000;
-            capabilities.supportsVision = true;
-          } else if (modelId.includes('claude-2')) {
-            capabilities.contextSize = 100000;
-          } else {
-            capabilities.contextSize = 9000;
-          }
-          break;
-          
-        case 'ollama':
-          // Ollama models capabilities - these vary by model
-          capabilities.contextSize = 4096;  // Default for most Ollama models
-          // Can be overridden with specific values if known
-          break;
-      }
-      
-      return capabilities;
+      const provider = await this.getProviderForModel(modelId);
+      return provider.getCapabilities(modelId);
       
     } catch (error) {
       logger.error(`Error getting capabilities for model ${modelId}: ${error.message}`);
@@ -131,58 +83,33 @@ class McpModels {
    * Query a model
    * @param {Object} options - Query options
    * @param {string} options.contextId - Context ID
+   * @param {string} options.owner - Owner the context must belong to, if given
    * @param {string} options.query - Query text
    * @param {string} options.model - Model to use
+   * @param {Object} options.parameters - Generation parameters
    * @returns {Object} - Query result
    */
   async query(options) {
-    const { contextId, query, model = mcpConfig.models.defaultModel } = options;
+    const { contextId, owner, query, model = mcpConfig.models.defaultModel, parameters = {} } = options;
     
     try {
-      // Get context if provided
-      let context = null;
-      if (contextId) {
-        context = await mcpContextManager.getContext(contextId);
-        if (!context) {
-          throw new Error(`Context ${contextId} not found`);
-        }
-      }
-      
-      // Get provider for the model
-      const provider = this.getProviderForModel(model);
-      
       // Create messages based on context and query
-      const messages = [];
+      const messages = await this.buildMessages(contextId, query, owner);
+      await this.appendPrompt(contextId, query, owner);
       
-      if (context && context.contents.length > 0) {
-        messages.push(...context.contents);
-      }
+      // Offer the SAP tools to models that can call functions, the ones that change data only if enabled
+      const capabilities = await this.getModelCapabilities(model);
+      const tools = mcpConfig.models.enableTools && capabilities?.supportsFunctions
+        ? mcpTools.listTools({ writes: mcpConfig.models.enableWriteTools })
+        : [];
       
-      // Add the user query
-      messages.push({
-        role: 'user',
-        content: query
-      });
+      const { response, newMessages } = await this.runAgentLoop(model, messages, parameters, tools);
       
-      // Call the appropriate provider
-      let response;
-      switch (provider.name) {
-        case 'openai':
-          response = await this.callOpenAI(model, messages);
-          break;
-        case 'anthropic':
-          response = await this.callAnthropic(model, messages);
-          break;
-        case 'ollama':
-          response = await this.callOllama(model, messages);
-          break;
-        default:
-          throw new Error(`Unsupported provider: ${provider.name}`);
-      }
-      
-      // Update context if provided
-      if (contextId && response.responseMessage) {
-        await mcpContextManager.updateContext(contextId, 'append', response.responseMessage);
+      // Update context with the tool exchange and the final answer
+      if (contextId) {
+        for (const message of newMessages) {
+          await mcpContextManager.updateContext(contextId, 'append', message, owner);
+        }
       }
       
       return response;
@@ -197,6 +124,7 @@ class McpModels {
    * Generate content using a model
    * @param {Object} options - Generation options
    * @param {string} options.contextId - Context ID
+   * @param {string} options.owner - Owner the context must belong to, if given
    * @param {string} options.prompt - Prompt text
    * @param {string} options.model - Model to use
    * @param {Object} options.parameters - Generation parameters
@@ -205,60 +133,22 @@ class McpModels {
   async generate(options) {
     const { 
       contextId, 
+      owner,
       prompt, 
       model = mcpConfig.models.defaultModel,
       parameters = {}
     } = options;
     
     try {
-      // Get context if provided
-      let context = null;
-      if (contextId) {
-        context = await mcpContextManager.getContext(contextId);
-        if (!context) {
-          throw new Error(`Context ${contextId} not found`);
-        }
-      }
-      
-      // Get provider for the model
-      const provider = this.getProviderForModel(model);
-      
       // Create messages based on context and prompt
-      const messages = [];
+      const messages = await this.buildMessages(contextId, prompt, owner);
+      await this.appendPrompt(contextId, prompt, owner);
       
-      if (context && context.contents.length > 0) {
-        messages.push(...context.contents);
-      }
-      
-      // Add the prompt if provided
-      if (prompt) {
-        messages.push({
-          role: 'user',
-          content: prompt
-        });
-      } else if (!context || context.contents.length === 0) {
-        throw new Error('Either prompt or non-empty context is required');
-      }
-      
-      // Call the appropriate provider
-      let response;
-      switch (provider.name) {
-        case 'openai':
-          response = await this.callOpenAI(model, messages, parameters);
-          break;
-        case 'anthropic':
-          response = await this.callAnthropic(model, messages, parameters);
-          break;
-        case 'ollama':
-          response = await this.callOllama(model, messages, parameters);
-          break;
-        default:
-          throw new Error(`Unsupported provider: ${provider.name}`);
-      }
+      const response = await this.callModel(model, messages, parameters);
       
       // Update context if provided
       if (contextId && response.responseMessage) {
-        await mcpContextManager.updateContext(contextId, 'append', response.responseMessage);
+        await mcpContextManager.updateContext(contextId, 'append', response.responseMessage, owner);
       }
       
       return response;
@@ -270,193 +160,273 @@ class McpModels {
   }
   
   /**
-   * Call OpenAI API
-   * @param {string} model - Model to use
-   * @param {Array} messages - Messages
-   * @param {Object} parameters - Generation parameters
-   * @returns {Object} - API response
+   * Stream content from a model token by token
+   * Tools are not offered while streaming. The prompt is appended to the context
+   * before streaming, the assembled assistant message once the stream has finished.
+   * @param {Object} options - Generation options
+   * @param {string} options.contextId - Context ID
+   * @param {string} options.owner - Owner the context must belong to, if given
+   * @param {string} options.prompt - Prompt text
+   * @param {string} options.model - Model to use
+   * @param {Object} options.parameters - Generation parameters
+   * @param {Function} onToken - Called with each text delta as it arrives
+   * @param {Object} cancelToken - Axios cancel token to abort the upstream request
+   * @returns {Object} - Generation result with the complete content
    */
-  async callOpenAI(model, messages, parameters = {}) {
-    const provider = this.providers.openai;
+  async stream(options, onToken, cancelToken) {
+    const { 
+      contextId, 
+      owner,
+      prompt, 
+      model = mcpConfig.models.defaultModel,
+      parameters = {}
+    } = options;
     
     try {
-      // Set up request
-      const requestBody = {
-        model,
-        messages,
-        temperature: parameters.temperature ?? 0.7,
-        max_tokens: parameters.maxTokens ?? 1024,
-        top_p: parameters.topP ?? 1.0,
-        frequency_penalty: parameters.frequencyPenalty ?? 0,
-        presence_penalty: parameters.presencePenalty ?? 0
-      };
-      
-      // Call OpenAI API
-      const response = await axios.post(
-        `${provider.baseUrl}/chat/completions`,
-        requestBody,
-        {
-          headers: {
-            'Authorization': `Bearer ${provider.apiKey}`,
-            'Content-Type': 'application/json'
-          }
+      const messages = await this.buildMessages(contextId, prompt, owner);
+      await this.appendPrompt(contextId, prompt, owner);
+      
+      const response = await this.callWithFallback(model, async (provider, candidate) => {
+        let started = false;
+        try {
+          return await provider.stream(candidate, messages, parameters, token => {
+            started = true;
+            onToken(token);
+          }, cancelToken);
+        } catch (error) {
+          // Tokens already sent to the client cannot be taken back
+          error.partial = started;
+          // A stream cut off by the client is not a provider failure
+          error.cancelled = error.cancelled || Boolean(cancelToken && cancelToken.reason);
+          throw error;
         }
-      );
+      });
       
-      // Extract response
-      const aiResponse = response.data;
-      const responseMessage = aiResponse.choices[0].message;
+      // Update context with the assembled message
+      if (contextId) {
+        await mcpContextManager.updateContext(contextId, 'append', response.responseMessage, owner);
+      }
       
-      return {
-        content: responseMessage.content,
-        responseMessage: {
-          role: 'assistant',
-          content: responseMessage.content
-        },
-        model,
-        provider: 'openai',
-        usage: aiResponse.usage,
-        rawResponse: aiResponse
-      };
+      return response;
       
     } catch (error) {
-      logger.error(`OpenAI API error: ${error.message}`);
-      throw new Error(`Failed to call OpenAI API: ${error.message}`);
+      logger.error(`Error streaming from model ${model}: ${error.message}`);
+      throw error;
     }
   }
   
   /**
-   * Call Anthropic API
+   * Build the messages for a generation from the context and an optional prompt
+   * @param {string} contextId - Context ID
+   * @param {string} prompt - Prompt text
+   * @param {string} owner - Owner the context must belong to, if given
+   * @returns {Array} - Messages
+   */
+  async buildMessages(contextId, prompt, owner) {
+    // Get context if provided
+    let context = null;
+    if (contextId) {
+      context = await mcpContextManager.getContext(contextId, owner);
+      if (!context) {
+        throw new NotFoundError(`Context ${contextId} not found`);
+      }
+    }
+    
+    const messages = [];
+    
+    if (context && context.contents.length > 0) {
+      messages.push(...mcpMessages.normalizeMessages(context.contents));
+    }
+    
+    // Add the prompt if provided
+    if (prompt) {
+      messages.push({
+        role: 'user',
+        content: prompt
+      });
+    } else if (!context || context.contents.length === 0) {
+      throw new Error('Either prompt or non-empty context is required');
+    }
+    
+    return messages;
+  }
+  
+  /**
+   * Append the prompt of a request to its context, before the model answers it
+   * @param {string} contextId - Context ID, if any
+   * @param {string} prompt - Prompt text, if any
+   * @param {string} owner - Owner the context must belong to, if given
+   */
+  async appendPrompt(contextId, prompt, owner) {
+    if (contextId && prompt) {
+      await mcpContextManager.updateContext(contextId, 'append', { role: 'user', content: prompt }, owner);
+    }
+  }
+  
+  /**
+   * Call a model, falling back along its fallback chain if it fails
    * @param {string} model - Model to use
    * @param {Array} messages - Messages
    * @param {Object} parameters - Generation parameters
-   * @returns {Object} - API response
+   * @param {Array} tools - Tool definitions offered to the model
+   * @returns {Object} - Response of the model that answered
+   */
+  async callModel(model, messages, parameters = {}, tools = []) {
+    return this.callWithFallback(model, (provider, candidate) => {
+      // A fallback model may not support function calling
+      const offeredTools = tools.length > 0 && provider.getCapabilities(candidate).supportsFunctions ? tools : [];
+      return provider.chat(candidate, messages, parameters, offeredTools);
+    });
+  }
+  
+  /**
+   * Get the models to try for a request: the model followed by its fallback chain
+   * @param {string} model - Requested model
+   * @returns {Array} - Model identifiers
    */
-  async callAnthropic(model, messages, parameters = {}) {
-    const provider = this.providers.anthropic;
+  getModelChain(model) {
+    const fallbacks = mcpConfig.models.fallbackChains[model] || [];
+    return [...new Set([model, ...fallbacks])];
+  }
+  
+  /**
+   * Run a model call with retries, the provider's circuit breaker and the fallback chain
+   * @param {string} model - Requested model
+   * @param {Function} call - Called with the provider and model to try, returns the response
+   * @returns {Object} - Response of the model that answered
+   */
+  async callWithFallback(model, call) {
+    const chain = this.getModelChain(model);
+    const failures = [];
+    let lastError = null;
     
-    try {
-      // Convert messages to Anthropic format
-      const anthropicMessages = messages.map(msg => ({
-        role: msg.role === 'system' ? 'assistant' : msg.role,
-        content: msg.content
-      }));
-      
-      // Extract system message if present
-      let systemPrompt = '';
-      const systemMessage = messages.find(msg => msg.role === 'system');
-      if (systemMessage) {
-        systemPrompt = systemMessage.content;
-        // Remove system message from messages
-        const index = anthropicMessages.findIndex(msg => msg.role === 'assistant' && msg.content === systemMessage.content);
-        if (index !== -1) {
-          anthropicMessages.splice(index, 1);
-        }
+    for (const candidate of chain) {
+      let provider;
+      try {
+        provider = await this.getProviderForModel(candidate);
+      } catch (error) {
+        lastError = error;
+        failures.push(error.message);
+        continue;
       }
       
-      // Set up request
-      const requestBody = {
-        model,
-        messages: anthropicMessages,
-        system: systemPrompt,
-        max_tokens: parameters.maxTokens ?? 1024,
-        temperature: parameters.temperature ?? 0.7,
-        top_p: parameters.topP ?? 1.0
-      };
+      if (!provider.circuitBreaker.canRequest()) {
+        logger.warn(`Skipping model ${candidate}: circuit for provider ${provider.name} is open`);
+        lastError = new ModelProviderError(`Provider ${provider.name} is unavailable`, { provider: provider.name, status: 503 });
+        failures.push(`${candidate}: provider ${provider.name} is unavailable`);
+        continue;
+      }
       
-      // Call Anthropic API
-      const response = await axios.post(
-        `${provider.baseUrl}/messages`,
-        requestBody,
-        {
-          headers: {
-            'x-api-key': provider.apiKey,
-            'anthropic-version': '2023-06-01',
-            'Content-Type': 'application/json'
-          }
+      try {
+        const response = await retryWithBackoff(() => call(provider, candidate), {
+          ...mcpConfig.models.retry,
+          shouldRetry: error => !error.partial && isRetryableError(error),
+          label: `model ${candidate}`
+        });
+        
+        provider.circuitBreaker.recordSuccess();
+        if (candidate !== model) {
+          logger.warn(`Model ${model} failed, answered by fallback model ${candidate}`);
         }
-      );
-      
-      // Extract response
-      const aiResponse = response.data;
-      const content = aiResponse.content[0].text;
-      
-      return {
-        content,
-        responseMessage: {
-          role: 'assistant',
-          content
-        },
-        model,
-        provider: 'anthropic',
-        usage: {
-          prompt_tokens: aiResponse.usage?.input_tokens,
-          completion_tokens: aiResponse.usage?.output_tokens,
-          total_tokens: (aiResponse.usage?.input_tokens || 0) + (aiResponse.usage?.output_tokens || 0)
-        },
-        rawResponse: aiResponse
-      };
-      
-    } catch (error) {
-      logger.error(`Anthropic API error: ${error.message}`);
-      throw new Error(`Failed to call Anthropic API: ${error.message}`);
+        
+        return { ...response, model: candidate, requestedModel: model };
+        
+      } catch (error) {
+        // Client errors show the provider is reachable, only availability failures count
+        if (isRetryableError(error)) {
+          provider.circuitBreaker.recordFailure();
+        } else if (!error.cancelled) {
+          provider.circuitBreaker.recordSuccess();
+        }
+        
+        if (error.cancelled || error.partial) {
+          throw error;
+        }
+        
+        lastError = error;
+        failures.push(`${candidate}: ${error.message}`);
+      }
+    }
+    
+    if (chain.length === 1) {
+      throw lastError;
     }
+    
+    throw new ModelProviderError(`No model in the fallback chain of ${model} could answer (${failures.join('; ')})`, {
+      status: lastError?.status
+    });
   }
   
   /**
-   * Call Ollama API
+   * Run the agent loop: call the model, execute requested tool calls, feed the
+   * results back and repeat until the model answers without calling tools
    * @param {string} model - Model to use
-   * @param {Array} messages - Messages
+   * @param {Array} messages - Conversation messages
    * @param {Object} parameters - Generation parameters
-   * @returns {Object} - API response
+   * @param {Array} tools - Tool definitions offered to the model
+   * @returns {Object} - Final response and the messages added during the loop
    */
-  async callOllama(model, messages, parameters = {}) {
-    const provider = this.providers.ollama;
+  async runAgentLoop(model, messages, parameters = {}, tools = []) {
+    const conversation = [...messages];
+    const newMessages = [];
+    const toolCalls = [];
+    const maxIterations = mcpConfig.models.maxToolIterations;
     
-    try {
-      // Set up request
-      const requestBody = {
-        model,
-        messages,
-        options: {
-          temperature: parameters.temperature ?? 0.7,
-          top_p: parameters.topP ?? 1.0,
-          num_predict: parameters.maxTokens ?? 1024
-        }
-      };
+    for (let iteration = 0; iteration <= maxIterations; iteration++) {
+      // Withhold tools on the last iteration to force a final answer
+      const offeredTools = iteration < maxIterations ? tools : [];
+      const response = await this.callModel(model, conversation, parameters, offeredTools);
       
-      // Call Ollama API
-      const response = await axios.post(
-        `${provider.baseUrl}/api/chat`,
-        requestBody,
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-      
-      // Extract response
-      const aiResponse = response.data;
-      const content = aiResponse.message?.content || '';
+      conversation.push(response.responseMessage);
+      newMessages.push(response.responseMessage);
       
-      return {
-        content,
-        responseMessage: {
-          role: 'assistant',
-          content
-        },
-        model,
-        provider: 'ollama',
-        usage: null, // Ollama doesn't provide token usage
-        rawResponse: aiResponse
-      };
+      if (!response.toolCalls || response.toolCalls.length === 0) {
+        response.toolCalls = toolCalls;
+        return { response, newMessages };
+      }
       
+      // Execute the requested tool calls and feed the results back
+      for (const toolCall of response.toolCalls) {
+        const toolMessage = await this.executeToolCall(toolCall, tools);
+        toolCalls.push({ ...toolCall, isError: toolMessage.isError });
+        
+        conversation.push(toolMessage);
+        newMessages.push(toolMessage);
+      }
+    }
+    
+    throw new Error(`Model ${model} did not produce a final answer after ${maxIterations} tool iterations`);
+  }
+  
+  /**
+   * Execute a tool call requested by a model
+   * @param {Object} toolCall - Tool call ({ id, name, arguments })
+   * @param {Array} tools - Tool definitions offered to the model
+   * @returns {Object} - Tool result message
+   */
+  async executeToolCall(toolCall, tools) {
+    const message = {
+      role: 'tool',
+      toolCallId: toolCall.id,
+      name: toolCall.name
+    };
+    
+    // Models may name tools they were not offered, such as withheld write tools
+    if (!tools.some(tool => tool.name === toolCall.name)) {
+      logger.warn(`Model called tool ${toolCall.name}, which was not offered`);
+      return { ...message, content: `Error: Tool ${toolCall.name} is not available`, isError: true };
+    }
+    
+    try {
+      const result = await mcpTools.callTool(toolCall.name, toolCall.arguments);
+      return { ...message, content: JSON.stringify(result), isError: false };
     } catch (error) {
-      logger.error(`Ollama API error: ${error.message}`);
-      throw new Error(`Failed to call Ollama API: ${error.message}`);
+      // Report the error to the model so it can correct the call
+      logger.warn(`Tool call ${toolCall.name} failed: ${error.message}`);
+      const details = Array.isArray(error.data) ? error.data.join('; ') : JSON.stringify(error.data);
+      return { ...message, content: `Error: ${error.message}${error.data ? ` (${details})` : ''}`, isError: true };
     }
   }
 }
 
-module.exports = new McpModels(); 
\ No newline at end of file
+module.exports = new McpModels();
@@ -0,0 +1,176 @@
+/**
+ * MCP Prompts
+ *
+ * Loads the catalog of parameterized prompt templates and renders them with
+ * live SAP data for the MCP prompts/list and prompts/get methods.
+ *
+ * Templates reference arguments and fetched data with {{name}} or {{name.Field}}
+ * placeholders. Objects are inserted as formatted JSON.
+ */
+
+const fs = require('fs');
+const mcpSapAdapter = require('./mcpSapAdapter');
+const mcpConfig = require('../config/mcpConfig');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { logger } = require('../util/logger');
+
+/**
+ * Data sources that prompt templates can bind to an argument
+ */
+const dataSources = {
+  purchaseOrder: id => mcpSapAdapter.getPurchaseOrderById(id),
+  supplier: id => mcpSapAdapter.getSupplierById(id),
+  material: id => mcpSapAdapter.getMaterialById(id)
+};
+
+/**
+ * Resolve a dotted path against a set of variables
+ * @param {Object} variables - Template variables
+ * @param {string} path - Dotted path, e.g. purchaseOrder.Supplier
+ * @returns {*} - Resolved value or undefined
+ */
+function resolvePath(variables, path) {
+  return path.split('.').reduce(
+    (value, key) => (value !== undefined && value !== null ? value[key] : undefined),
+    variables
+  );
+}
+
+/**
+ * Render a template string
+ * @param {string} template - Template with {{placeholders}}
+ * @param {Object} variables - Template variables
+ * @returns {string} - Rendered text
+ */
+function renderTemplate(template, variables) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (placeholder, path) => {
+    const value = resolvePath(variables, path);
+
+    if (value === undefined || value === null) {
+      return '';
+    }
+    if (typeof value === 'object') {
+      return JSON.stringify(value, null, 2);
+    }
+    return String(value);
+  });
+}
+
+class McpPrompts {
+  constructor() {
+    // Prompt templates by name
+    this.prompts = new Map();
+
+    this.loadPrompts(mcpConfig.protocol.promptsFile);
+  }
+
+  /**
+   * Load the prompt catalog from a JSON file
+   * @param {string} filePath - Path to the catalog file
+   */
+  loadPrompts(filePath) {
+    this.prompts.clear();
+
+    try {
+      const catalog = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+      (catalog.prompts || []).forEach(prompt => {
+        if (!prompt.name || !Array.isArray(prompt.messages)) {
+          logger.warn(`Skipping invalid prompt definition in ${filePath}`);
+          return;
+        }
+        this.prompts.set(prompt.name, prompt);
+      });
+
+      logger.info(`Loaded ${this.prompts.size} prompt templates from ${filePath}`);
+    } catch (error) {
+      logger.warn(`Could not load prompt templates from ${filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * List the prompts without their templates
+   * @returns {Array} - Prompt descriptions
+   */
+  listPrompts() {
+    return Array.from(this.prompts.values()).map(prompt => ({
+      name: prompt.name,
+      title: prompt.title,
+      description: prompt.description,
+      arguments: (prompt.arguments || []).map(({ name, description, required }) => ({
+        name,
+        description,
+        required: Boolean(required)
+      }))
+    }));
+  }
+
+  /**
+   * Check whether a prompt exists
+   * @param {string} name - Prompt name
+   * @returns {boolean} - Whether the prompt exists
+   */
+  hasPrompt(name) {
+    return this.prompts.has(name);
+  }
+
+  /**
+   * Render a prompt with its arguments and live SAP data
+   * @param {string} name - Prompt name
+   * @param {Object} args - Prompt arguments
+   * @returns {Object} - Prompt description and rendered messages
+   */
+  async getPrompt(name, args = {}) {
+    const prompt = this.prompts.get(name);
+
+    if (!prompt) {
+      throw new NotFoundError(`Unknown prompt: ${name}`);
+    }
+
+    // Apply defaults and check required arguments
+    const variables = {};
+    const missing = [];
+    for (const argument of prompt.arguments || []) {
+      const value = args[argument.name] !== undefined ? args[argument.name] : argument.default;
+      if (argument.required && (value === undefined || value === '')) {
+        missing.push(argument.name);
+      }
+      variables[argument.name] = value;
+    }
+
+    if (missing.length > 0) {
+      throw new ValidationError(`Missing required arguments for prompt ${name}: ${missing.join(', ')}`);
+    }
+
+    // Fetch the SAP data the template is bound to
+    for (const [variable, binding] of Object.entries(prompt.data || {})) {
+      const fetchData = dataSources[binding.source];
+      if (!fetchData) {
+        throw new Error(`Unknown data source ${binding.source} in prompt ${name}`);
+      }
+
+      const result = await fetchData(variables[binding.argument]);
+      if (!result || result.status === 'error') {
+        throw new NotFoundError(result ? result.message : `No ${binding.source} data for prompt ${name}`);
+      }
+
+      // Leave out internal bookkeeping fields such as _cachedAt
+      variables[variable] = Object.fromEntries(
+        Object.entries(result.result).filter(([key]) => !key.startsWith('_'))
+      );
+    }
+
+    return {
+      description: prompt.description,
+      messages: prompt.messages.map(message => ({
+        role: message.role,
+        content: {
+          type: 'text',
+          text: renderTemplate(message.text, variables)
+        }
+      }))
+    };
+  }
+}
+
+module.exports = new McpPrompts();
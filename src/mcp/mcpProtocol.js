@@ -0,0 +1,344 @@
+/**
+ * MCP Protocol Handler
+ *
+ * Implements the JSON-RPC 2.0 message layer of the Model Context Protocol.
+ * Messages are dispatched to method handlers independently of the transport
+ * that delivered them.
+ */
+
+const crypto = require('crypto');
+const mcpTools = require('./mcpTools');
+const mcpResources = require('./mcpResources');
+const mcpPrompts = require('./mcpPrompts');
+const mcpContextManager = require('./mcpContextManager');
+const { logger } = require('../util/logger');
+
+// JSON-RPC 2.0 error codes
+const errorCodes = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  // MCP-specific error codes
+  RESOURCE_NOT_FOUND: -32002
+};
+
+// Protocol revisions understood by this server, newest first
+const supportedProtocolVersions = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+/**
+ * Error raised by method handlers to produce a JSON-RPC error response
+ */
+class McpProtocolError extends Error {
+  constructor(code, message, data = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.data = data;
+  }
+}
+
+class McpProtocol {
+  constructor() {
+    this.serverInfo = {
+      name: 'sap-mmpur-mcp',
+      version: process.env.npm_package_version || '1.0.0'
+    };
+
+    // Method handlers by JSON-RPC method name
+    this.methods = new Map();
+
+    this.registerMethod('initialize', this.handleInitialize.bind(this));
+    this.registerMethod('ping', async () => ({}));
+    this.registerMethod('notifications/initialized', this.handleInitialized.bind(this));
+    this.registerMethod('tools/list', this.handleToolsList.bind(this));
+    this.registerMethod('tools/call', this.handleToolsCall.bind(this));
+    this.registerMethod('resources/list', this.handleResourcesList.bind(this));
+    this.registerMethod('resources/templates/list', this.handleResourceTemplatesList.bind(this));
+    this.registerMethod('resources/read', this.handleResourcesRead.bind(this));
+    this.registerMethod('resources/subscribe', this.handleResourcesSubscribe.bind(this));
+    this.registerMethod('resources/unsubscribe', this.handleResourcesUnsubscribe.bind(this));
+    this.registerMethod('prompts/list', this.handlePromptsList.bind(this));
+    this.registerMethod('prompts/get', this.handlePromptsGet.bind(this));
+  }
+
+  /**
+   * Register a JSON-RPC method handler
+   * @param {string} method - Method name
+   * @param {Function} handler - Async function called with (params, session)
+   */
+  registerMethod(method, handler) {
+    this.methods.set(method, handler);
+  }
+
+  /**
+   * Get the capabilities advertised during initialization
+   * @returns {Object} - Server capabilities
+   */
+  getCapabilities() {
+    return {
+      tools: { listChanged: false },
+      resources: { subscribe: true, listChanged: false },
+      prompts: { listChanged: false }
+    };
+  }
+
+  /**
+   * Release state held for a session when its transport closes
+   * @param {Object} session - Transport session state
+   */
+  endSession(session) {
+    mcpResources.removeSession(session);
+  }
+
+  /**
+   * Handle an incoming JSON-RPC message or batch
+   * @param {Object|Array} message - Parsed JSON-RPC message or batch of messages
+   * @param {Object} session - Transport session state
+   * @returns {Object|Array|null} - Response, batch of responses, or null when nothing is to be sent
+   */
+  async handleMessage(message, session = {}) {
+    if (Array.isArray(message)) {
+      if (message.length === 0) {
+        return this.createErrorResponse(null, errorCodes.INVALID_REQUEST, 'Empty batch');
+      }
+
+      const responses = [];
+      for (const entry of message) {
+        const response = await this.handleSingleMessage(entry, session);
+        if (response) {
+          responses.push(response);
+        }
+      }
+
+      return responses.length > 0 ? responses : null;
+    }
+
+    return this.handleSingleMessage(message, session);
+  }
+
+  /**
+   * Handle a single JSON-RPC message
+   * @param {Object} message - JSON-RPC message
+   * @param {Object} session - Transport session state
+   * @returns {Object|null} - Response, or null for notifications and responses
+   */
+  async handleSingleMessage(message, session) {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      return this.createErrorResponse(null, errorCodes.INVALID_REQUEST, 'Invalid JSON-RPC 2.0 message');
+    }
+
+    const { id, method, params } = message;
+    const isNotification = id === undefined;
+
+    // Responses to server-initiated requests are not dispatched
+    if (!method) {
+      if ('result' in message || 'error' in message) {
+        return null;
+      }
+      return this.createErrorResponse(id ?? null, errorCodes.INVALID_REQUEST, 'Missing method');
+    }
+
+    const handler = this.methods.get(method);
+    if (!handler) {
+      if (isNotification) {
+        logger.debug(`Ignoring unknown MCP notification ${method}`);
+        return null;
+      }
+      return this.createErrorResponse(id, errorCodes.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+
+    try {
+      const result = await handler(params || {}, session);
+      return isNotification ? null : { jsonrpc: '2.0', id, result };
+    } catch (error) {
+      if (isNotification) {
+        logger.error(`Error handling MCP notification ${method}: ${error.message}`);
+        return null;
+      }
+
+      if (error instanceof McpProtocolError) {
+        return this.createErrorResponse(id, error.code, error.message, error.data);
+      }
+
+      logger.error(`Error handling MCP method ${method}: ${error.message}`);
+      return this.createErrorResponse(id, errorCodes.INTERNAL_ERROR, error.message);
+    }
+  }
+
+  /**
+   * Create a JSON-RPC error response
+   * @param {string|number|null} id - Request ID
+   * @param {number} code - JSON-RPC error code
+   * @param {string} message - Error message
+   * @param {*} data - Additional error data
+   * @returns {Object} - Error response
+   */
+  createErrorResponse(id, code, message, data = null) {
+    const error = { code, message };
+    if (data !== null) {
+      error.data = data;
+    }
+
+    return { jsonrpc: '2.0', id, error };
+  }
+
+  // Method Handlers
+
+  async handleInitialize(params, session) {
+    const requestedVersion = params.protocolVersion;
+    const protocolVersion = supportedProtocolVersions.includes(requestedVersion)
+      ? requestedVersion
+      : supportedProtocolVersions[0];
+
+    session.protocolVersion = protocolVersion;
+    session.clientInfo = params.clientInfo || null;
+    session.clientCapabilities = params.capabilities || {};
+
+    logger.info(`MCP client ${session.clientInfo?.name || 'unknown'} initializing with protocol ${protocolVersion}`);
+
+    return {
+      protocolVersion,
+      capabilities: this.getCapabilities(),
+      serverInfo: this.serverInfo,
+      instructions: 'Provides access to SAP MM purchasing data: purchase orders, suppliers and materials.'
+    };
+  }
+
+  async handleInitialized(params, session) {
+    session.initialized = true;
+  }
+
+  async handleToolsList() {
+    return { tools: mcpTools.listTools() };
+  }
+
+  async handleToolsCall(params, session) {
+    const { name, arguments: args = {} } = params;
+
+    if (!name || !mcpTools.hasTool(name)) {
+      throw new McpProtocolError(errorCodes.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+
+    try {
+      const result = await mcpTools.callTool(name, args);
+      await this.recordToolCall(session, name, args, result, false);
+
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        structuredContent: result,
+        isError: false
+      };
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        throw new McpProtocolError(errorCodes.INVALID_PARAMS, error.message, error.data);
+      }
+
+      // Tool execution errors are reported in the result so the model can react to them,
+      // with details such as the current version of a purchase order after a conflict
+      logger.error(`Tool ${name} failed: ${error.message}`);
+      await this.recordToolCall(session, name, args, { message: error.message, ...(error.data ? { data: error.data } : {}) }, true);
+
+      return {
+        content: [
+          { type: 'text', text: error.message },
+          ...(error.data ? [{ type: 'text', text: JSON.stringify(error.data, null, 2) }] : [])
+        ],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * Record a tool call and its result in the session's context, as the tool_call
+   * and tool_result parts that the agent loop of mcpModels also produces
+   * @param {Object} session - Session state
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @param {*} result - Tool result, or the error of a failed call
+   * @param {boolean} isError - Whether the call failed
+   */
+  async recordToolCall(session, name, args, result, isError) {
+    if (!session.contextId) {
+      return;
+    }
+
+    const toolCallId = `call_${crypto.randomUUID()}`;
+    await mcpContextManager.updateContext(session.contextId, 'append', [
+      {
+        role: 'assistant',
+        content: [{ type: 'tool_call', id: toolCallId, name, arguments: args }]
+      },
+      {
+        role: 'tool',
+        toolCallId,
+        name,
+        content: [{ type: 'tool_result', toolCallId, name, content: result, isError }]
+      }
+    ]);
+  }
+
+  async handleResourcesList() {
+    return { resources: await mcpResources.listResources() };
+  }
+
+  async handleResourceTemplatesList() {
+    return { resourceTemplates: mcpResources.listTemplates() };
+  }
+
+  async handleResourcesRead(params) {
+    try {
+      return { contents: [await mcpResources.readResource(params.uri)] };
+    } catch (error) {
+      if (error.name === 'NotFoundError') {
+        throw new McpProtocolError(errorCodes.RESOURCE_NOT_FOUND, error.message, { uri: params.uri });
+      }
+      throw error;
+    }
+  }
+
+  async handleResourcesSubscribe(params, session) {
+    try {
+      mcpResources.subscribe(params.uri, session);
+      return {};
+    } catch (error) {
+      if (error.name === 'NotFoundError') {
+        throw new McpProtocolError(errorCodes.RESOURCE_NOT_FOUND, error.message, { uri: params.uri });
+      }
+      throw new McpProtocolError(errorCodes.INVALID_REQUEST, error.message);
+    }
+  }
+
+  async handleResourcesUnsubscribe(params, session) {
+    mcpResources.unsubscribe(params.uri, session);
+    return {};
+  }
+
+  async handlePromptsList() {
+    return { prompts: mcpPrompts.listPrompts() };
+  }
+
+  async handlePromptsGet(params) {
+    const { name, arguments: args = {} } = params;
+
+    if (!name || !mcpPrompts.hasPrompt(name)) {
+      throw new McpProtocolError(errorCodes.INVALID_PARAMS, `Unknown prompt: ${name}`);
+    }
+
+    try {
+      return await mcpPrompts.getPrompt(name, args);
+    } catch (error) {
+      if (error.name === 'ValidationError' || error.name === 'NotFoundError') {
+        throw new McpProtocolError(errorCodes.INVALID_PARAMS, error.message);
+      }
+      throw error;
+    }
+  }
+}
+
+const mcpProtocol = new McpProtocol();
+
+module.exports = mcpProtocol;
+module.exports.McpProtocolError = McpProtocolError;
+module.exports.errorCodes = errorCodes;
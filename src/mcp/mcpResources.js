@@ -0,0 +1,223 @@
+/**
+ * MCP Resources
+ *
+ * Exposes SAP purchase orders, suppliers and materials as read-only MCP resources
+ * addressed by URIs such as sap://purchaseOrder/{id}. Sessions can subscribe to a
+ * purchase order and are notified when it is changed through the server.
+ */
+
+const mcpSapAdapter = require('./mcpSapAdapter');
+const mcpConfig = require('../config/mcpConfig');
+const { NotFoundError, ValidationError } = require('../middleware/errorHandler');
+const { logger } = require('../util/logger');
+
+const URI_SCHEME = 'sap://';
+const MIME_TYPE = 'application/json';
+
+/**
+ * Resource types keyed by the entity segment of the URI
+ */
+const resourceTypes = {
+  purchaseOrder: {
+    title: 'Purchase order',
+    description: 'SAP purchase order header with its items',
+    idField: 'PurchaseOrder',
+    describe: po => [po.SupplierName || po.Supplier, po.StatusDescription].filter(Boolean).join(' - '),
+    read: id => mcpSapAdapter.getPurchaseOrderById(id),
+    list: limit => mcpSapAdapter.getPurchaseOrders({ limit })
+  },
+  supplier: {
+    title: 'Supplier',
+    description: 'SAP supplier master data',
+    idField: 'SupplierId',
+    describe: supplier => [supplier.Name, supplier.City, supplier.Country].filter(Boolean).join(', '),
+    read: id => mcpSapAdapter.getSupplierById(id),
+    list: limit => mcpSapAdapter.getSuppliers({ limit })
+  },
+  material: {
+    title: 'Material',
+    description: 'SAP material master data',
+    idField: 'MaterialId',
+    describe: material => material.Description || '',
+    read: id => mcpSapAdapter.getMaterialById(id),
+    list: limit => mcpSapAdapter.getMaterials({ limit })
+  }
+};
+
+/**
+ * Remove internal bookkeeping fields (prefixed with an underscore) from an entity
+ * @param {Object} entity - Entity
+ * @returns {Object} - Entity without internal fields
+ */
+function stripInternalFields(entity) {
+  return Object.fromEntries(Object.entries(entity).filter(([key]) => !key.startsWith('_')));
+}
+
+class McpResources {
+  constructor() {
+    // Subscribed sessions by resource URI
+    this.subscriptions = new Map();
+
+    mcpSapAdapter.on('purchaseOrderUpdated', id => {
+      this.notifyUpdated(this.buildUri('purchaseOrder', id));
+    });
+  }
+
+  /**
+   * Build a resource URI
+   * @param {string} type - Resource type (purchaseOrder, supplier, material)
+   * @param {string} id - Entity ID
+   * @returns {string} - Resource URI
+   */
+  buildUri(type, id) {
+    return `${URI_SCHEME}${type}/${encodeURIComponent(id)}`;
+  }
+
+  /**
+   * Parse a resource URI
+   * @param {string} uri - Resource URI
+   * @returns {Object|null} - Resource type and ID, or null if the URI is not a SAP resource
+   */
+  parseUri(uri) {
+    const match = typeof uri === 'string' && uri.match(/^sap:\/\/([A-Za-z]+)\/(.+)$/);
+
+    if (!match || !resourceTypes[match[1]]) {
+      return null;
+    }
+
+    return { type: match[1], id: decodeURIComponent(match[2]) };
+  }
+
+  /**
+   * List the resource URI templates
+   * @returns {Array} - Resource templates
+   */
+  listTemplates() {
+    return Object.entries(resourceTypes).map(([type, definition]) => ({
+      uriTemplate: `${URI_SCHEME}${type}/{id}`,
+      name: type,
+      title: definition.title,
+      description: definition.description,
+      mimeType: MIME_TYPE
+    }));
+  }
+
+  /**
+   * List concrete resources for the most recent entities of each type
+   * @returns {Array} - Resources
+   */
+  async listResources() {
+    const limit = mcpConfig.protocol.resourceListLimit;
+    const resources = [];
+
+    for (const [type, definition] of Object.entries(resourceTypes)) {
+      try {
+        const { results = [] } = await definition.list(limit);
+
+        results.forEach(entity => {
+          const id = entity[definition.idField];
+          resources.push({
+            uri: this.buildUri(type, id),
+            name: `${definition.title} ${id}`,
+            description: definition.describe(entity),
+            mimeType: MIME_TYPE
+          });
+        });
+      } catch (error) {
+        // One unavailable entity set should not hide the others
+        logger.warn(`Could not list ${type} resources: ${error.message}`);
+      }
+    }
+
+    return resources;
+  }
+
+  /**
+   * Read a resource
+   * @param {string} uri - Resource URI
+   * @returns {Object} - Resource contents
+   */
+  async readResource(uri) {
+    const parsed = this.parseUri(uri);
+    if (!parsed) {
+      throw new NotFoundError(`Unknown resource URI: ${uri}`);
+    }
+
+    const result = await resourceTypes[parsed.type].read(parsed.id);
+    if (!result || result.status === 'error') {
+      throw new NotFoundError(result ? result.message : `Resource ${uri} not found`);
+    }
+
+    return {
+      uri,
+      mimeType: MIME_TYPE,
+      text: JSON.stringify(stripInternalFields(result.result), null, 2)
+    };
+  }
+
+  /**
+   * Subscribe a session to updates of a resource
+   * @param {string} uri - Resource URI
+   * @param {Object} session - Protocol session with a notify function
+   */
+  subscribe(uri, session) {
+    if (!this.parseUri(uri)) {
+      throw new NotFoundError(`Unknown resource URI: ${uri}`);
+    }
+
+    if (typeof session.notify !== 'function') {
+      throw new ValidationError('Resource subscriptions require a session that can receive notifications');
+    }
+
+    if (!this.subscriptions.has(uri)) {
+      this.subscriptions.set(uri, new Set());
+    }
+    this.subscriptions.get(uri).add(session);
+
+    logger.info(`Session ${session.sessionId || session.transport} subscribed to ${uri}`);
+  }
+
+  /**
+   * Unsubscribe a session from updates of a resource
+   * @param {string} uri - Resource URI
+   * @param {Object} session - Protocol session
+   */
+  unsubscribe(uri, session) {
+    const subscribers = this.subscriptions.get(uri);
+    if (!subscribers) {
+      return;
+    }
+
+    subscribers.delete(session);
+    if (subscribers.size === 0) {
+      this.subscriptions.delete(uri);
+    }
+  }
+
+  /**
+   * Remove all subscriptions of a session
+   * @param {Object} session - Protocol session
+   */
+  removeSession(session) {
+    for (const uri of Array.from(this.subscriptions.keys())) {
+      this.unsubscribe(uri, session);
+    }
+  }
+
+  /**
+   * Notify subscribed sessions that a resource changed
+   * @param {string} uri - Resource URI
+   */
+  notifyUpdated(uri) {
+    const subscribers = this.subscriptions.get(uri);
+    if (!subscribers) {
+      return;
+    }
+
+    for (const session of subscribers) {
+      session.notify('notifications/resources/updated', { uri });
+    }
+  }
+}
+
+module.exports = new McpResources();
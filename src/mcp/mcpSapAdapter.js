@@ -3,20 +3,110 @@
  * 
  * Bridges between the MCP server and SAP ODATA services.
  * Handles ODATA queries, transformations, and operations.
+ * Emits 'purchaseOrderUpdated' with (id, purchaseOrder) when a purchase order
+ * is changed or deleted through the server. The purchase order is null after a
+ * delete and omitted for changes made through a $batch request.
  */
 
-const { createFilter, executeODataRequest } = require('../util/sapConnectivity');
+const EventEmitter = require('events');
+const { createFilter, executeODataRequest, executeBatchRequest, validateBatchRequest } = require('../util/sapConnectivity');
+const { getODataDialect } = require('../util/odataDialect');
+const { compileFilter } = require('../util/odataFilter');
+const { decodeCursor, fetchPages } = require('../util/odataPaging');
+const mcpSchemaRegistry = require('./mcpSchemaRegistry');
 const mcpConfig = require('../config/mcpConfig');
+const { ConflictError, ValidationError } = require('../middleware/errorHandler');
 const { logger } = require('../util/logger');
 
-class McpSapAdapter {
+// Purchase order header fields that can be changed with an update, when the
+// entity model of the service is not available
+const UPDATABLE_FIELDS = [
+  'CompanyCode',
+  'PurchaseOrderType',
+  'PurchasingOrganization',
+  'PurchasingGroup',
+  'Supplier',
+  'DocumentDate',
+  'Currency',
+  'ValidityStart',
+  'ValidityEnd'
+];
+
+// Fields that list filters may refer to, when the entity model of the service is not available
+const FILTER_FIELDS = {
+  purchaseOrders: [
+    'PurchaseOrder',
+    'CompanyCode',
+    'PurchaseOrderType',
+    'PurchasingOrganization',
+    'PurchasingGroup',
+    'Supplier',
+    'SupplierName',
+    'CreatedBy',
+    'CreationDate',
+    'DocumentDate',
+    'Currency',
+    'ValidityStart',
+    'ValidityEnd',
+    'Status',
+    'GrossAmount',
+    'NetAmount',
+    'TaxAmount'
+  ],
+  suppliers: ['SupplierId', 'Name', 'Street', 'City', 'PostalCode', 'Country', 'PhoneNumber', 'Email', 'VATNumber', 'Status'],
+  materials: [
+    'MaterialId',
+    'Description',
+    'MaterialType',
+    'MaterialGroup',
+    'BaseUnitOfMeasure',
+    'StandardPrice',
+    'Currency',
+    'Plant',
+    'StorageLocation',
+    'ProductHierarchy'
+  ]
+};
+
+// Purchase order fields that searchPurchaseOrders matches the search term against
+const SEARCH_FIELDS = ['CompanyName', 'PurchaseOrderType', 'DocumentType'];
+
+// Key literals by EDM type, with the pattern key values must match; keys of other types are strings
+const KEY_LITERALS = {
+  'Edm.String': { pattern: /^.+$/, format: (value, odata) => odata.quote(value) },
+  'Edm.Byte': { pattern: /^\d{1,3}$/, format: value => value },
+  'Edm.Int16': { pattern: /^-?\d{1,5}$/, format: value => value },
+  'Edm.Int32': { pattern: /^-?\d{1,10}$/, format: value => value },
+  'Edm.Int64': { pattern: /^-?\d{1,19}$/, format: (value, odata) => odata.formatInt64(value) },
+  'Edm.Guid': {
+    pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    format: (value, odata) => odata.formatGuid(value)
+  }
+};
+
+// HTTP methods allowed in $batch requests
+const BATCH_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'MERGE', 'DELETE'];
+
+class McpSapAdapter extends EventEmitter {
   constructor() {
+    super();
+    
     this.sapServiceUrl = mcpConfig.sap.serviceUrl;
     this.sapCredentials = {
       username: mcpConfig.sap.username,
       password: mcpConfig.sap.password
     };
     
+    // Envelopes, filter syntax and names differ between OData v2 and v4
+    this.odata = getODataDialect(mcpConfig.sap.odataVersion);
+    this.requestOptions = { version: this.odata.version, serviceUrl: this.sapServiceUrl };
+    this.entitySets = {
+      purchaseOrders: this.odata.entitySet('PurchaseOrder'),
+      suppliers: this.odata.entitySet('Supplier'),
+      materials: this.odata.entitySet('Material')
+    };
+    this.itemsNavigation = this.odata.navigation.purchaseOrderItems;
+    
     // Cache for SAP entities - implement proper caching if needed
     this.cache = {
       purchaseOrders: new Map(),
@@ -35,8 +125,9 @@ class McpSapAdapter {
     try {
       logger.info('Initializing MCP SAP adapter');
       
-      // Perform any initialization tasks here
-      // For example, pre-fetch common data, validate connection, etc.
+      // Load the entity model of the service; until it is available the
+      // built-in field lists are used
+      await mcpSchemaRegistry.ensureLoaded();
       
       logger.info('MCP SAP adapter initialized successfully');
     } catch (error) {
@@ -118,6 +209,53 @@ class McpSapAdapter {
     }
   }
   
+  /**
+   * Convert the result of a SAP query to message content parts
+   * Records become sap_entity parts, so models see labelled fields instead of JSON.
+   * @param {string} query - Query text
+   * @param {Object} result - Result of processSapQuery
+   * @returns {Array} - Content parts
+   */
+  toMessageParts(query, result) {
+    if (result.status !== 'success') {
+      return [{ type: 'text', text: `SAP query "${query}" failed: ${result.message}` }];
+    }
+    
+    const records = result.results || (result.result ? [result.result] : []);
+    
+    return [
+      { type: 'text', text: `SAP query "${query}" returned ${records.length} ${records.length === 1 ? 'record' : 'records'}.` },
+      ...records.map(record => this.toEntityPart(record))
+    ];
+  }
+  
+  /**
+   * Convert a record to a sap_entity content part
+   * @param {Object} record - Purchase order, supplier or material in MCP format
+   * @returns {Object} - Content part
+   */
+  toEntityPart(record) {
+    const entityKeys = {
+      PurchaseOrder: 'PurchaseOrder',
+      Supplier: 'SupplierId',
+      Material: 'MaterialId'
+    };
+    
+    const entity = Object.keys(entityKeys).find(name => record[entityKeys[name]] !== undefined);
+    
+    if (!entity) {
+      return { type: 'text', text: JSON.stringify(record) };
+    }
+    
+    return {
+      type: 'sap_entity',
+      entity,
+      id: String(record[entityKeys[entity]]),
+      // Leave out internal bookkeeping fields such as _cachedAt
+      data: Object.fromEntries(Object.entries(record).filter(([key]) => !key.startsWith('_')))
+    };
+  }
+  
   /**
    * Extract query intent and parameters from a natural language query
    * @param {string} query - Query text
@@ -179,52 +317,25 @@ class McpSapAdapter {
   
   /**
    * Get purchase orders
-   * @param {Object} options - Filter options
-   * @returns {Array} - Purchase orders
+   * @param {Object} options - Filter and paging options, see fetchCollection
+   * @returns {Object} - Purchase orders, with the cursor of the next page
    */
   async getPurchaseOrders(options = {}) {
     try {
-      const { limit = mcpConfig.sap.maxResultsPerRequest, filter } = options;
-      
-      // Build OData query
-      let odataQuery = `${this.sapServiceUrl}/PurchaseOrderSet`;
-      const queryParams = [];
-      
-      // Add $top parameter for limiting results
-      queryParams.push(`$top=${limit}`);
-      
-      // Add $filter parameter if a filter is provided
-      if (filter) {
-        const odataFilter = createFilter(filter);
-        if (odataFilter) {
-          queryParams.push(`$filter=${encodeURIComponent(odataFilter)}`);
-        }
-      }
-      
-      // Add $expand parameter to include related entities
-      queryParams.push('$expand=ToItems');
-      
-      // Build the final query URL
-      if (queryParams.length > 0) {
-        odataQuery += '?' + queryParams.join('&');
-      }
-      
-      // Execute the OData request
-      const response = await executeODataRequest(odataQuery, 'GET', null, this.sapCredentials);
+      const page = await this.fetchCollection(this.entitySets.purchaseOrders, {
+        ...options,
+        expand: this.itemsNavigation
+      });
       
       // Transform the response for MCP
-      const purchaseOrders = response.d.results.map(po => this.transformPurchaseOrder(po));
+      const purchaseOrders = page.results.map(po => this.transformPurchaseOrder(po));
       
       // Cache the purchase orders
       purchaseOrders.forEach(po => {
         this.cache.purchaseOrders.set(po.PurchaseOrder, po);
       });
       
-      return {
-        status: 'success',
-        count: purchaseOrders.length,
-        results: purchaseOrders
-      };
+      return this.buildPageResult(purchaseOrders, page);
       
     } catch (error) {
       logger.error(`Error fetching purchase orders: ${error.message}`);
@@ -235,12 +346,14 @@ class McpSapAdapter {
   /**
    * Get a purchase order by ID
    * @param {string} id - Purchase order ID
+   * @param {Object} options - Read options
+   * @param {boolean} options.refresh - Read from SAP even if the purchase order is cached
    * @returns {Object} - Purchase order
    */
-  async getPurchaseOrderById(id) {
+  async getPurchaseOrderById(id, options = {}) {
     try {
       // Check cache first
-      if (this.cache.purchaseOrders.has(id)) {
+      if (!options.refresh && this.cache.purchaseOrders.has(id)) {
         const cachedPO = this.cache.purchaseOrders.get(id);
         // Only use cache if not expired
         const cacheExpiry = mcpConfig.sap.cacheTtlMs || 300000; // 5 minutes default
@@ -253,14 +366,20 @@ class McpSapAdapter {
         }
       }
       
+      await mcpSchemaRegistry.ensureLoaded();
+      
       // Build OData query
-      const odataQuery = `${this.sapServiceUrl}/PurchaseOrderSet('${id}')?$expand=ToItems`;
+      const odataQuery = `${this.buildEntityUrl(this.entitySets.purchaseOrders, id)}?$expand=${this.itemsNavigation}`;
       
       // Execute the OData request
-      const response = await executeODataRequest(odataQuery, 'GET', null, this.sapCredentials);
+      const response = await executeODataRequest(odataQuery, 'GET', null, this.sapCredentials,
+        { ...this.requestOptions, fullResponse: true });
       
       // Transform the response for MCP
-      const purchaseOrder = this.transformPurchaseOrder(response.d);
+      const purchaseOrder = this.transformPurchaseOrder(this.odata.parseEntity(response.data));
+      
+      // The entity tag is in the body, and for single entities also in the ETag header
+      purchaseOrder._etag = purchaseOrder._etag || response.headers.etag;
       
       // Cache the purchase order
       purchaseOrder._cachedAt = Date.now();
@@ -295,7 +414,7 @@ class McpSapAdapter {
   async searchPurchaseOrders(searchTerm) {
     try {
       // Build OData query with search filters
-      let odataQuery = `${this.sapServiceUrl}/PurchaseOrderSet`;
+      let odataQuery = `${this.sapServiceUrl}/${this.entitySets.purchaseOrders}`;
       const queryParams = [];
       
       // Add $top parameter for limiting results
@@ -303,11 +422,14 @@ class McpSapAdapter {
       
       // Create search filter
       // This is a simple implementation - extend as needed
-      const searchFilter = `substringof('${searchTerm}', CompanyName) or substringof('${searchTerm}', PurchaseOrderType) or substringof('${searchTerm}', DocumentType)`;
+      const searchFilter = compileFilter({
+        type: 'or',
+        conditions: SEARCH_FIELDS.map(field => ({ type: 'contains', field, value: String(searchTerm) }))
+      }, { version: this.odata.version });
       queryParams.push(`$filter=${encodeURIComponent(searchFilter)}`);
       
       // Add $expand parameter to include related entities
-      queryParams.push('$expand=ToItems');
+      queryParams.push(`$expand=${this.itemsNavigation}`);
       
       // Build the final query URL
       if (queryParams.length > 0) {
@@ -315,10 +437,11 @@ class McpSapAdapter {
       }
       
       // Execute the OData request
-      const response = await executeODataRequest(odataQuery, 'GET', null, this.sapCredentials);
+      const response = await executeODataRequest(odataQuery, 'GET', null, this.sapCredentials, this.requestOptions);
+      await mcpSchemaRegistry.ensureLoaded();
       
       // Transform the response for MCP
-      const purchaseOrders = response.d.results.map(po => this.transformPurchaseOrder(po));
+      const purchaseOrders = this.odata.parseCollection(response).results.map(po => this.transformPurchaseOrder(po));
       
       // Cache the purchase orders
       purchaseOrders.forEach(po => {
@@ -345,17 +468,20 @@ class McpSapAdapter {
    */
   async createPurchaseOrder(purchaseOrderData) {
     try {
+      await mcpSchemaRegistry.ensureLoaded();
+      this.validatePurchaseOrder(purchaseOrderData, 'create');
+      
       // Transform MCP format to SAP format
       const sapPurchaseOrderData = this.transformPurchaseOrderForSap(purchaseOrderData);
       
       // Build OData query
-      const odataQuery = `${this.sapServiceUrl}/PurchaseOrderSet`;
+      const odataQuery = `${this.sapServiceUrl}/${this.entitySets.purchaseOrders}`;
       
       // Execute the OData request
-      const response = await executeODataRequest(odataQuery, 'POST', sapPurchaseOrderData, this.sapCredentials);
+      const response = await executeODataRequest(odataQuery, 'POST', sapPurchaseOrderData, this.sapCredentials, this.requestOptions);
       
       // Transform the response for MCP
-      const createdPurchaseOrder = this.transformPurchaseOrder(response.d);
+      const createdPurchaseOrder = this.transformPurchaseOrder(this.odata.parseEntity(response));
       
       // Cache the purchase order
       createdPurchaseOrder._cachedAt = Date.now();
@@ -371,41 +497,66 @@ class McpSapAdapter {
   
   /**
    * Update a purchase order
+   *
+   * The purchase order is read from SAP first, and only the fields that differ
+   * from it are sent, with a partial update (MERGE in OData v2, PATCH in v4).
+   * The update is conditional on the entity tag of the version the caller read,
+   * so changes made in SAP since then are not overwritten. Without an entity tag
+   * the update is unconditional: the last writer wins.
    * @param {string} id - Purchase order ID
    * @param {Object} updateData - Update data
+   * @param {Object} options - Update options
+   * @param {string} options.etag - Entity tag of the version the changes are based on, or * to
+   *   update any version
    * @returns {Object} - Updated purchase order
    */
-  async updatePurchaseOrder(id, updateData) {
+  async updatePurchaseOrder(id, updateData, options = {}) {
     try {
-      // Get the current purchase order
-      const { result: currentPO } = await this.getPurchaseOrderById(id);
+      if (updateData.Items !== undefined) {
+        throw new ValidationError('Items cannot be changed with a purchase order update, change them through POST /api/sap/batch');
+      }
+      
+      await mcpSchemaRegistry.ensureLoaded();
+      this.validatePurchaseOrder(updateData, 'update');
+      
+      // Get the current purchase order from SAP, a cached one may miss changes made since
+      const { result: currentPO } = await this.getPurchaseOrderById(id, { refresh: true });
       
       if (!currentPO) {
         return null;
       }
       
-      // Merge current data with update data
-      const mergedData = { ...currentPO, ...updateData };
+      // SAP would reject the change anyway, and the current version is already at hand
+      if (this.isOutdated(currentPO, options.etag)) {
+        throw this.buildConflictError(id, 'updated', currentPO);
+      }
+      
+      const changes = this.getChangedFields(currentPO, updateData);
       
-      // Transform MCP format to SAP format
-      const sapPurchaseOrderData = this.transformPurchaseOrderForSap(mergedData);
+      if (Object.keys(changes).length === 0) {
+        return currentPO;
+      }
       
       // Build OData query
-      const odataQuery = `${this.sapServiceUrl}/PurchaseOrderSet('${id}')`;
+      const odataQuery = this.buildEntityUrl(this.entitySets.purchaseOrders, id);
       
       // Execute the OData request
-      const response = await executeODataRequest(odataQuery, 'PUT', sapPurchaseOrderData, this.sapCredentials);
-      
-      // Transform the response for MCP
-      const updatedPurchaseOrder = this.transformPurchaseOrder(response.d);
+      await executeODataRequest(odataQuery, this.odata.updateMethod, changes, this.sapCredentials, {
+        ...this.requestOptions,
+        headers: options.etag ? { 'If-Match': options.etag } : {}
+      });
       
-      // Update cache
-      updatedPurchaseOrder._cachedAt = Date.now();
-      this.cache.purchaseOrders.set(id, updatedPurchaseOrder);
+      // Partial updates return no content, read the new version and entity tag
+      const { result: updatedPurchaseOrder } = await this.getPurchaseOrderById(id, { refresh: true });
+      this.emit('purchaseOrderUpdated', id, updatedPurchaseOrder);
       
       return updatedPurchaseOrder;
       
     } catch (error) {
+      if (error.response && error.response.status === 412) {
+        throw await this.createConflictError(id, 'updated');
+      }
+      
       logger.error(`Error updating purchase order ${id}: ${error.message}`);
       throw error;
     }
@@ -413,23 +564,39 @@ class McpSapAdapter {
   
   /**
    * Delete a purchase order
+   *
+   * The deletion is conditional on the entity tag of the version the caller read.
+   * Without an entity tag it is unconditional: the last writer wins.
    * @param {string} id - Purchase order ID
+   * @param {Object} options - Delete options
+   * @param {string} options.etag - Entity tag of the version the deletion is based on, or * to
+   *   delete any version
    * @returns {boolean} - Success indicator
    */
-  async deletePurchaseOrder(id) {
+  async deletePurchaseOrder(id, options = {}) {
     try {
+      await mcpSchemaRegistry.ensureLoaded();
+      
       // Build OData query
-      const odataQuery = `${this.sapServiceUrl}/PurchaseOrderSet('${id}')`;
+      const odataQuery = this.buildEntityUrl(this.entitySets.purchaseOrders, id);
       
       // Execute the OData request
-      await executeODataRequest(odataQuery, 'DELETE', null, this.sapCredentials);
+      await executeODataRequest(odataQuery, 'DELETE', null, this.sapCredentials, {
+        ...this.requestOptions,
+        headers: options.etag ? { 'If-Match': options.etag } : {}
+      });
       
       // Remove from cache
       this.cache.purchaseOrders.delete(id);
+      this.emit('purchaseOrderUpdated', id, null);
       
       return true;
       
     } catch (error) {
+      if (error.response && error.response.status === 412) {
+        throw await this.createConflictError(id, 'deleted');
+      }
+      
       logger.error(`Error deleting purchase order ${id}: ${error.message}`);
       
       // Check if it's a "not found" error
@@ -442,50 +609,235 @@ class McpSapAdapter {
   }
   
   /**
-   * Get suppliers
-   * @param {Object} options - Filter options
-   * @returns {Array} - Suppliers
+   * Build the URL of a single entity
+   *
+   * The ID is checked against the EDM type of the entity's key, written as a
+   * literal of that type and URL-encoded, so it cannot change the path or add
+   * query options. Without the entity model of the service keys are strings.
+   * @param {string} entitySet - Entity set name
+   * @param {string} id - Entity ID
+   * @returns {string} - Entity URL
    */
-  async getSuppliers(options = {}) {
+  buildEntityUrl(entitySet, id) {
+    const entityType = mcpSchemaRegistry.getEntityType(entitySet);
+    const keys = entityType ? entityType.keys : [];
+    
+    if (keys.length > 1) {
+      throw new ValidationError(`${entitySet} has a composite key and cannot be read by a single ID`);
+    }
+    
+    const property = keys.length === 1 ? entityType.properties[keys[0]] : undefined;
+    const type = property && KEY_LITERALS[property.type] ? property.type : 'Edm.String';
+    const value = typeof id === 'number' ? String(id) : id;
+    
+    if (typeof value !== 'string' || !KEY_LITERALS[type].pattern.test(value) ||
+      (property && property.maxLength && value.length > property.maxLength)) {
+      throw new ValidationError(`Invalid ID for ${entitySet}: ${id} is not a valid ${type}` +
+        (property && property.maxLength ? ` of at most ${property.maxLength} characters` : ''));
+    }
+    
+    return `${this.sapServiceUrl}/${entitySet}(${encodeURIComponent(KEY_LITERALS[type].format(value, this.odata))})`;
+  }
+  
+  /**
+   * Validate purchase order data against the entity model of the service
+   * @param {Object} data - Purchase order data in MCP format
+   * @param {string} mode - 'create' or 'update'
+   */
+  validatePurchaseOrder(data, mode) {
+    if (!mcpConfig.sap.validateSchema) {
+      return;
+    }
+    
+    const errors = mcpSchemaRegistry.validateEntity(this.entitySets.purchaseOrders, data, {
+      mode,
+      expand: mode === 'create' ? { Items: this.itemsNavigation } : {}
+    });
+    
+    if (errors.length > 0) {
+      throw new ValidationError(`Invalid purchase order data for ${mode}`, errors);
+    }
+  }
+  
+  /**
+   * Get the updatable header fields that differ from the current purchase order
+   * @param {Object} currentPO - Current purchase order in MCP format
+   * @param {Object} updateData - Update data in MCP format
+   * @returns {Object} - Changed fields in SAP format
+   */
+  getChangedFields(currentPO, updateData) {
+    const entityType = mcpSchemaRegistry.getEntityType(this.entitySets.purchaseOrders);
+    const fields = entityType ? mcpSchemaRegistry.getWritableProperties(entityType, 'update') : UPDATABLE_FIELDS;
+    const changedFields = fields.filter(field => updateData[field] !== undefined && updateData[field] !== currentPO[field]);
+    
+    if (entityType) {
+      return mcpSchemaRegistry.serializeEntity(entityType, updateData, changedFields);
+    }
+    
+    return Object.fromEntries(changedFields.map(field => [field, updateData[field]]));
+  }
+  
+  /**
+   * Build the error for a change rejected because the purchase order changed in SAP
+   * @param {string} id - Purchase order ID
+   * @param {string} action - Rejected action, used in the message
+   * @returns {ConflictError} - Error with the current purchase order in data.current
+   */
+  async createConflictError(id, action) {
+    const { result: current } = await this.getPurchaseOrderById(id, { refresh: true });
+    
+    return this.buildConflictError(id, action, current);
+  }
+  
+  /**
+   * Check whether a purchase order is no longer the version of an entity tag
+   * @param {Object} purchaseOrder - Current purchase order
+   * @param {string} etag - Entity tag the caller read, * for any version
+   * @returns {boolean} - Whether the purchase order has a different entity tag
+   */
+  isOutdated(purchaseOrder, etag) {
+    return Boolean(etag && etag !== '*' && purchaseOrder._etag && purchaseOrder._etag !== etag);
+  }
+  
+  /**
+   * Build the error for a change rejected because the purchase order changed in SAP
+   * @param {string} id - Purchase order ID
+   * @param {string} action - Rejected action, used in the message
+   * @param {Object} current - Current purchase order, if it still exists
+   * @returns {ConflictError} - Error with the current purchase order in data.current
+   */
+  buildConflictError(id, action, current) {
+    logger.warn(`Purchase order ${id} was changed in SAP, it was not ${action}`);
+    
+    return new ConflictError(
+      `Purchase order ${id} was changed in SAP since it was read and was not ${action}. ` +
+      'Review the current version and retry.',
+      { current: current || null }
+    );
+  }
+  
+  /**
+   * Execute requests in a single OData $batch request
+   * @param {Array} requests - Requests ({ method, url, data }, url relative to the
+   *   service root) and changesets ({ changeset: [requests] }) applied atomically
+   * @returns {Array} - One result per entry of requests
+   */
+  async executeBatch(requests) {
     try {
-      const { limit = mcpConfig.sap.maxResultsPerRequest, filter } = options;
+      this.validateBatch(requests);
+      
+      const results = await executeBatchRequest(`${this.sapServiceUrl}/$batch`, requests,
+        this.sapCredentials, this.requestOptions);
+      
+      // Cached purchase orders changed by the batch are stale
+      const changedIds = new Set();
+      results.forEach((result, index) => {
+        const entries = requests[index].changeset
+          ? (result.success ? requests[index].changeset : [])
+          : (result.status < 400 ? [requests[index]] : []);
+        
+        entries.filter(entry => entry.method !== 'GET').forEach(entry => {
+          const id = this.getPurchaseOrderId(entry.url);
+          if (id) {
+            changedIds.add(id);
+          }
+        });
+      });
       
-      // Build OData query
-      let odataQuery = `${this.sapServiceUrl}/SupplierSet`;
-      const queryParams = [];
+      changedIds.forEach(id => {
+        this.cache.purchaseOrders.delete(id);
+        this.emit('purchaseOrderUpdated', id);
+      });
       
-      // Add $top parameter for limiting results
-      queryParams.push(`$top=${limit}`);
+      return results;
       
-      // Add $filter parameter if a filter is provided
-      if (filter) {
-        const odataFilter = createFilter(filter);
-        if (odataFilter) {
-          queryParams.push(`$filter=${encodeURIComponent(odataFilter)}`);
-        }
+    } catch (error) {
+      logger.error(`Error executing batch request: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Validate the requests of a $batch request
+   * @param {Array} requests - Requests and changesets
+   */
+  validateBatch(requests) {
+    if (!Array.isArray(requests) || requests.length === 0) {
+      throw new ValidationError('requests must be a non-empty array');
+    }
+    
+    const errors = [];
+    let count = 0;
+    
+    const validateRequest = (request, path, inChangeset) => {
+      count++;
+      if (!request || !BATCH_METHODS.includes(request.method)) {
+        errors.push(`${path}.method must be one of: ${BATCH_METHODS.join(', ')}`);
+      } else if (inChangeset && request.method === 'GET') {
+        errors.push(`${path} must not be a GET request, changesets may only contain changes`);
       }
-      
-      // Build the final query URL
-      if (queryParams.length > 0) {
-        odataQuery += '?' + queryParams.join('&');
+      if (!request || typeof request.url !== 'string' || !/^[A-Za-z_]/.test(request.url) || /^\w+:\/\//.test(request.url)) {
+        errors.push(`${path}.url must be a path relative to the service root, e.g. ${this.entitySets.purchaseOrders}('4500000001')`);
       }
-      
-      // Execute the OData request
-      const response = await executeODataRequest(odataQuery, 'GET', null, this.sapCredentials);
+      if (request) {
+        // Line breaks in the URL or headers would add requests that bypass these checks
+        errors.push(...validateBatchRequest(request).map(error => `${path}.${error}`));
+      }
+    };
+    
+    requests.forEach((request, index) => {
+      if (request && request.changeset !== undefined) {
+        if (!Array.isArray(request.changeset) || request.changeset.length === 0) {
+          errors.push(`requests[${index}].changeset must be a non-empty array`);
+          return;
+        }
+        request.changeset.forEach((changesetRequest, position) => {
+          validateRequest(changesetRequest, `requests[${index}].changeset[${position}]`, true);
+        });
+      } else {
+        validateRequest(request, `requests[${index}]`, false);
+      }
+    });
+    
+    if (count > mcpConfig.sap.maxBatchRequests) {
+      errors.push(`A batch may contain at most ${mcpConfig.sap.maxBatchRequests} requests, got ${count}`);
+    }
+    
+    if (errors.length > 0) {
+      throw new ValidationError(`Invalid batch: ${errors.join('; ')}`);
+    }
+  }
+  
+  /**
+   * Get the purchase order a request URL refers to
+   * @param {string} url - Request URL relative to the service root
+   * @returns {string|null} - Purchase order ID, or null
+   */
+  getPurchaseOrderId(url) {
+    // Purchase orders by key, and items by a compound key containing the purchase order
+    const match = new RegExp(`^${this.entitySets.purchaseOrders}\\('([^']+)'\\)`).exec(url) ||
+      /[(,]PurchaseOrder='([^']+)'/.exec(url);
+    return match ? match[1] : null;
+  }
+  
+  /**
+   * Get suppliers
+   * @param {Object} options - Filter and paging options, see fetchCollection
+   * @returns {Object} - Suppliers, with the cursor of the next page
+   */
+  async getSuppliers(options = {}) {
+    try {
+      const page = await this.fetchCollection(this.entitySets.suppliers, options);
       
       // Transform the response for MCP
-      const suppliers = response.d.results.map(supplier => this.transformSupplier(supplier));
+      const suppliers = page.results.map(supplier => this.transformSupplier(supplier));
       
       // Cache the suppliers
       suppliers.forEach(supplier => {
         this.cache.suppliers.set(supplier.SupplierId, supplier);
       });
       
-      return {
-        status: 'success',
-        count: suppliers.length,
-        results: suppliers
-      };
+      return this.buildPageResult(suppliers, page);
       
     } catch (error) {
       logger.error(`Error fetching suppliers: ${error.message}`);
@@ -495,63 +847,223 @@ class McpSapAdapter {
   
   /**
    * Get materials
-   * @param {Object} options - Filter options
-   * @returns {Array} - Materials
+   * @param {Object} options - Filter and paging options, see fetchCollection
+   * @returns {Object} - Materials, with the cursor of the next page
    */
   async getMaterials(options = {}) {
     try {
-      const { limit = mcpConfig.sap.maxResultsPerRequest, filter } = options;
+      const page = await this.fetchCollection(this.entitySets.materials, options);
       
-      // Build OData query
-      let odataQuery = `${this.sapServiceUrl}/MaterialSet`;
-      const queryParams = [];
+      // Transform the response for MCP
+      const materials = page.results.map(material => this.transformMaterial(material));
       
-      // Add $top parameter for limiting results
-      queryParams.push(`$top=${limit}`);
+      // Cache the materials
+      materials.forEach(material => {
+        this.cache.materials.set(material.MaterialId, material);
+      });
       
-      // Add $filter parameter if a filter is provided
-      if (filter) {
-        const odataFilter = createFilter(filter);
-        if (odataFilter) {
-          queryParams.push(`$filter=${encodeURIComponent(odataFilter)}`);
-        }
-      }
+      return this.buildPageResult(materials, page);
       
-      // Build the final query URL
-      if (queryParams.length > 0) {
-        odataQuery += '?' + queryParams.join('&');
+    } catch (error) {
+      logger.error(`Error fetching materials: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  /**
+   * Fetch a page of an entity set, or all pages up to a maximum
+   * @param {string} entitySet - OData entity set name
+   * @param {Object} options - Filter and paging options
+   * @param {number} options.limit - Page size ($top)
+   * @param {Object} options.filter - Field filters, see createFilter
+   * @param {string} options.expand - Navigation property to expand
+   * @param {string} options.cursor - nextCursor of the previous page; replaces limit and filter
+   * @param {boolean} options.all - Follow the next pages until maxResults results
+   * @param {number} options.maxResults - Maximum results when following pages
+   * @returns {Object} - SAP entities, cursor of the next page (null on the last page)
+   *   and whether results past maxResults were cut off
+   */
+  async fetchCollection(entitySet, options = {}) {
+    const { limit = mcpConfig.sap.maxResultsPerRequest, filter, expand, cursor, all = false } = options;
+    const maxResults = Math.min(options.maxResults || mcpConfig.sap.maxFetchAllResults, mcpConfig.sap.maxFetchAllResults);
+    
+    // The entity model drives the transformation of the results
+    await mcpSchemaRegistry.ensureLoaded();
+    
+    return fetchPages({
+      path: cursor ? decodeCursor(cursor, entitySet) : this.buildCollectionPath(entitySet, { limit, filter, expand }),
+      serviceUrl: this.sapServiceUrl,
+      all,
+      maxResults,
+      fetchPage: async path => {
+        // Execute the OData request
+        const response = await executeODataRequest(`${this.sapServiceUrl}/${path}`, 'GET', null,
+          this.sapCredentials, this.requestOptions);
+        return this.odata.parseCollection(response);
+      }
+    });
+  }
+  
+  /**
+   * Build the path of the first page of an entity set
+   * @param {string} entitySet - OData entity set name
+   * @param {Object} options - Query options (limit, filter, expand)
+   * @returns {string} - Path relative to the service root
+   */
+  buildCollectionPath(entitySet, { limit, filter, expand }) {
+    const queryParams = [];
+    
+    // Add $top parameter for limiting results
+    queryParams.push(`$top=${limit}`);
+    
+    // Add $filter parameter if a filter is provided
+    if (filter) {
+      const odataFilter = createFilter(filter, this.odata.version, { fields: this.getFilterFields(entitySet) });
+      if (odataFilter) {
+        queryParams.push(`$filter=${encodeURIComponent(odataFilter)}`);
+      }
+    }
+    
+    // Add $expand parameter to include related entities
+    if (expand) {
+      queryParams.push(`$expand=${expand}`);
+    }
+    
+    return `${entitySet}?${queryParams.join('&')}`;
+  }
+  
+  /**
+   * Get the fields that filters on an entity set may refer to
+   * @param {string} entitySet - OData entity set name
+   * @returns {Array|undefined} - Property names of the entity type, or the fields known to the
+   *   adapter without the entity model; undefined for other entity sets
+   */
+  getFilterFields(entitySet) {
+    const entityType = mcpSchemaRegistry.getEntityType(entitySet);
+    if (entityType) {
+      return Object.keys(entityType.properties);
+    }
+    
+    const key = Object.keys(this.entitySets).find(name => this.entitySets[name] === entitySet);
+    return FILTER_FIELDS[key];
+  }
+  
+  /**
+   * Build the result of a list request
+   * @param {Array} results - Entities in MCP format
+   * @param {Object} page - Page returned by fetchCollection
+   * @returns {Object} - List result
+   */
+  buildPageResult(results, page) {
+    return {
+      status: 'success',
+      count: results.length,
+      results,
+      nextCursor: page.nextCursor,
+      ...(page.truncated ? { truncated: true } : {})
+    };
+  }
+  
+  /**
+   * Get a supplier by ID
+   * @param {string} id - Supplier ID
+   * @returns {Object} - Supplier
+   */
+  async getSupplierById(id) {
+    return this.getEntityById(this.entitySets.suppliers, id, this.cache.suppliers,
+      supplier => this.transformSupplier(supplier), 'Supplier');
+  }
+  
+  /**
+   * Get a material by ID
+   * @param {string} id - Material ID
+   * @returns {Object} - Material
+   */
+  async getMaterialById(id) {
+    return this.getEntityById(this.entitySets.materials, id, this.cache.materials,
+      material => this.transformMaterial(material), 'Material');
+  }
+  
+  /**
+   * Get a single entity by key, using the given cache
+   * @param {string} entitySet - OData entity set name
+   * @param {string} id - Entity key
+   * @param {Map} cache - Cache for the entity type
+   * @param {Function} transform - Transformation to MCP format
+   * @param {string} entityName - Entity name used in messages
+   * @returns {Object} - Entity result
+   */
+  async getEntityById(entitySet, id, cache, transform, entityName) {
+    try {
+      // Check cache first
+      const cached = cache.get(id);
+      const cacheExpiry = mcpConfig.sap.cacheTtlMs || 300000; // 5 minutes default
+      if (cached && cached._cachedAt && (Date.now() - cached._cachedAt) < cacheExpiry) {
+        return {
+          status: 'success',
+          result: cached,
+          source: 'cache'
+        };
       }
       
+      await mcpSchemaRegistry.ensureLoaded();
+      
+      // Build OData query
+      const odataQuery = this.buildEntityUrl(entitySet, id);
+      
       // Execute the OData request
-      const response = await executeODataRequest(odataQuery, 'GET', null, this.sapCredentials);
+      const response = await executeODataRequest(odataQuery, 'GET', null, this.sapCredentials, this.requestOptions);
       
       // Transform the response for MCP
-      const materials = response.d.results.map(material => this.transformMaterial(material));
+      const entity = transform(this.odata.parseEntity(response));
       
-      // Cache the materials
-      materials.forEach(material => {
-        this.cache.materials.set(material.MaterialId, material);
-      });
+      // Cache the entity
+      entity._cachedAt = Date.now();
+      cache.set(id, entity);
       
       return {
         status: 'success',
-        count: materials.length,
-        results: materials
+        result: entity,
+        source: 'sap'
       };
       
     } catch (error) {
-      logger.error(`Error fetching materials: ${error.message}`);
+      logger.error(`Error fetching ${entityName.toLowerCase()} ${id}: ${error.message}`);
+      
+      // Check if it's a "not found" error
+      if (error.response && error.response.status === 404) {
+        return {
+          status: 'error',
+          message: `${entityName} with ID ${id} not found`
+        };
+      }
+      
       throw error;
     }
   }
   
   /**
    * Transform a SAP purchase order to MCP format
+   *
+   * With the entity model of the service all declared properties are taken
+   * over, coerced by their EDM types. Otherwise the fields known to the adapter are.
    * @param {Object} sapPurchaseOrder - SAP purchase order
    * @returns {Object} - MCP purchase order
    */
   transformPurchaseOrder(sapPurchaseOrder) {
-    const items = sapPurchaseOrder.ToItems?.results?.map(item => ({
+    const entityType = mcpSchemaRegistry.getEntityType(this.entitySets.purchaseOrders);
+    const itemType = mcpSchemaRegistry.getNavigationTarget(entityType, this.itemsNavigation);
+    const sapItems = this.odata.parseExpanded(sapPurchaseOrder[this.itemsNavigation]);
+    
+    if (entityType && itemType) {
+      return {
+        ...mcpSchemaRegistry.coerceEntity(entityType, sapPurchaseOrder),
+        Items: sapItems.map(item => mcpSchemaRegistry.coerceEntity(itemType, item)),
+        _etag: this.odata.getETag(sapPurchaseOrder)
+      };
+    }
+    
+    const items = sapItems.map(item => ({
       ItemNumber: item.ItemNumber,
       Material: item.Material,
       MaterialDescription: item.MaterialDescription,
@@ -563,7 +1075,7 @@ class McpSapAdapter {
       Currency: item.Currency,
       DeliveryDate: item.DeliveryDate,
       PurchasingInfoRecord: item.PurchasingInfoRecord
-    })) || [];
+    }));
     
     return {
       PurchaseOrder: sapPurchaseOrder.PurchaseOrder,
@@ -584,16 +1096,34 @@ class McpSapAdapter {
       GrossAmount: parseFloat(sapPurchaseOrder.GrossAmount),
       NetAmount: parseFloat(sapPurchaseOrder.NetAmount),
       TaxAmount: parseFloat(sapPurchaseOrder.TaxAmount),
-      Items: items
+      Items: items,
+      _etag: this.odata.getETag(sapPurchaseOrder)
     };
   }
   
   /**
    * Transform a purchase order from MCP format to SAP format
+   *
+   * With the entity model of the service all creatable properties are sent,
+   * serialized by their EDM types. Otherwise the fields known to the adapter are.
    * @param {Object} mcpPurchaseOrder - MCP purchase order
    * @returns {Object} - SAP purchase order
    */
   transformPurchaseOrderForSap(mcpPurchaseOrder) {
+    const entityType = mcpSchemaRegistry.getEntityType(this.entitySets.purchaseOrders);
+    const itemType = mcpSchemaRegistry.getNavigationTarget(entityType, this.itemsNavigation);
+    
+    if (entityType && itemType) {
+      const itemFields = mcpSchemaRegistry.getWritableProperties(itemType, 'create');
+      const items = (mcpPurchaseOrder.Items || []).map(item => mcpSchemaRegistry.serializeEntity(itemType, item, itemFields));
+      
+      return {
+        ...mcpSchemaRegistry.serializeEntity(entityType, mcpPurchaseOrder,
+          mcpSchemaRegistry.getWritableProperties(entityType, 'create')),
+        [this.itemsNavigation]: this.odata.toExpanded(items)
+      };
+    }
+    
     const items = mcpPurchaseOrder.Items?.map(item => ({
       ItemNumber: item.ItemNumber,
       Material: item.Material,
@@ -616,9 +1146,7 @@ class McpSapAdapter {
       Currency: mcpPurchaseOrder.Currency,
       ValidityStart: mcpPurchaseOrder.ValidityStart,
       ValidityEnd: mcpPurchaseOrder.ValidityEnd,
-      ToItems: {
-        results: items
-      }
+      [this.itemsNavigation]: this.odata.toExpanded(items)
     };
   }
   
@@ -628,6 +1156,11 @@ class McpSapAdapter {
    * @returns {Object} - MCP supplier
    */
   transformSupplier(sapSupplier) {
+    const entityType = mcpSchemaRegistry.getEntityType(this.entitySets.suppliers);
+    if (entityType) {
+      return mcpSchemaRegistry.coerceEntity(entityType, sapSupplier);
+    }
+    
     return {
       SupplierId: sapSupplier.SupplierId,
       Name: sapSupplier.Name,
@@ -648,6 +1181,11 @@ class McpSapAdapter {
    * @returns {Object} - MCP material
    */
   transformMaterial(sapMaterial) {
+    const entityType = mcpSchemaRegistry.getEntityType(this.entitySets.materials);
+    if (entityType) {
+      return mcpSchemaRegistry.coerceEntity(entityType, sapMaterial);
+    }
+    
     return {
       MaterialId: sapMaterial.MaterialId,
       Description: sapMaterial.Description,
@@ -0,0 +1,518 @@
+/**
+ * MCP Schema Registry
+ *
+ * Keeps the entity model of the SAP service, read from its $metadata document:
+ * entity sets, their entity types with keys, properties and navigation
+ * properties, and function imports. The model drives
+ * - coercion of values read from SAP (Edm.Decimal strings to numbers,
+ *   /Date(...)/ values to ISO 8601)
+ * - serialization of values written to SAP in the format of its OData version
+ * - JSON Schemas of entities, used to validate writes and as MCP tool input schemas
+ * - typing of filter values given as text, e.g. in query strings
+ *
+ * The model is cached for mcpConfig.sap.metadataCacheTtlMs. Once it expires it
+ * is refreshed in the background and the previous model is used until the
+ * refresh succeeds. Until a model has been loaded, callers fall back to their
+ * own field lists.
+ */
+
+const { executeODataRequest } = require('../util/sapConnectivity');
+const { getODataDialect } = require('../util/odataDialect');
+const { parseEdmx } = require('../util/edmx');
+const { validateSchema } = require('../util/jsonSchema');
+const mcpConfig = require('../config/mcpConfig');
+const { ValidationError } = require('../middleware/errorHandler');
+const { logger } = require('../util/logger');
+
+// Wait before loading the metadata again after a failed load
+const RETRY_INTERVAL_MS = 60000;
+
+// ISO 8601 date or date-time, or an OData v2 /Date(...)/ value
+const DATE_TIME_PATTERN = '^(\\d{4}-\\d{2}-\\d{2}([T ]\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:?\\d{2})?)?|\\/Date\\(-?\\d+([+-]\\d{4})?\\)\\/)$';
+
+// JSON Schemas of EDM primitive types, as exposed to MCP clients
+const EDM_SCHEMAS = {
+  'Edm.String': { type: 'string' },
+  'Edm.Guid': { type: 'string', pattern: '^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$' },
+  'Edm.Boolean': { type: 'boolean' },
+  'Edm.Byte': { type: 'integer', minimum: 0, maximum: 255 },
+  'Edm.SByte': { type: 'integer', minimum: -128, maximum: 127 },
+  'Edm.Int16': { type: 'integer', minimum: -32768, maximum: 32767 },
+  'Edm.Int32': { type: 'integer', minimum: -2147483648, maximum: 2147483647 },
+  'Edm.Int64': { type: 'integer' },
+  'Edm.Decimal': { type: ['number', 'string'], pattern: '^-?\\d+(\\.\\d+)?$' },
+  'Edm.Double': { type: 'number' },
+  'Edm.Single': { type: 'number' },
+  'Edm.DateTime': { type: 'string', pattern: DATE_TIME_PATTERN },
+  'Edm.DateTimeOffset': { type: 'string', pattern: DATE_TIME_PATTERN },
+  'Edm.Date': { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}' }
+};
+
+/**
+ * Convert a numeric string to a number
+ * @param {*} value - Value read from SAP
+ * @returns {*} - Number, or the value if it is not numeric
+ */
+function toNumber(value) {
+  return typeof value === 'string' && value.trim() !== '' && !isNaN(value) ? parseFloat(value) : value;
+}
+
+/**
+ * Convert an OData v2 /Date(...)/ value to ISO 8601
+ * @param {*} value - Value read from SAP
+ * @returns {*} - ISO 8601 date-time, or the value if it is not a /Date(...)/ value
+ */
+function toIsoDateTime(value) {
+  const match = typeof value === 'string' && /^\/Date\((-?\d+)([+-]\d{4})?\)\/$/.exec(value);
+  return match ? new Date(parseInt(match[1], 10)).toISOString() : value;
+}
+
+/**
+ * Convert a date or date-time to milliseconds since the epoch
+ * @param {*} value - Value in MCP format
+ * @returns {number|null} - Milliseconds, or null if the value is not a date
+ */
+function toTime(value) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  return isNaN(time) ? null : time;
+}
+
+// Conversions of values read from SAP, by EDM type
+const READ_COERCIONS = {
+  'Edm.Decimal': toNumber,
+  'Edm.Double': toNumber,
+  'Edm.Single': toNumber,
+  'Edm.Int64': toNumber,
+  'Edm.DateTime': toIsoDateTime,
+  'Edm.DateTimeOffset': toIsoDateTime
+};
+
+// Conversions of values written to SAP, by OData version and EDM type
+const WRITE_SERIALIZERS = {
+  '2.0': {
+    // OData v2 JSON carries 64-bit integers and decimals as strings
+    'Edm.Decimal': value => (typeof value === 'number' ? String(value) : value),
+    'Edm.Int64': value => (typeof value === 'number' ? String(value) : value),
+    'Edm.DateTime': value => (toTime(value) === null ? value : `/Date(${toTime(value)})/`),
+    'Edm.DateTimeOffset': value => (toTime(value) === null ? value : `/Date(${toTime(value)}+0000)/`)
+  },
+  '4.0': {
+    'Edm.Date': value => (toTime(value) === null ? value : new Date(toTime(value)).toISOString().split('T')[0]),
+    'Edm.DateTimeOffset': value => (toTime(value) === null ? value : new Date(toTime(value)).toISOString())
+  }
+};
+
+/**
+ * Parse an integer filter value
+ * @param {string} text - Value text
+ * @returns {number|undefined} - Integer, undefined if the text is not one
+ */
+function parseInteger(text) {
+  return /^-?\d+$/.test(text) ? parseInt(text, 10) : undefined;
+}
+
+/**
+ * Parse a floating-point filter value
+ * @param {string} text - Value text
+ * @returns {number|undefined} - Number, undefined if the text is not one
+ */
+function parseNumber(text) {
+  return /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(text) ? parseFloat(text) : undefined;
+}
+
+// Conversions of filter values given as text, by EDM type; the values of typed
+// literals are checked when the filter is compiled
+const FILTER_PARSERS = {
+  'Edm.Boolean': text => ({ true: true, false: false })[text],
+  'Edm.Byte': parseInteger,
+  'Edm.SByte': parseInteger,
+  'Edm.Int16': parseInteger,
+  'Edm.Int32': parseInteger,
+  'Edm.Int64': parseInteger,
+  'Edm.Double': parseNumber,
+  'Edm.Single': parseNumber,
+  'Edm.Decimal': text => (/^-?\d+(\.\d+)?$/.test(text) ? { type: 'decimal', value: text } : undefined),
+  'Edm.DateTime': text => ({ type: 'datetime', value: text }),
+  'Edm.DateTimeOffset': text => ({ type: 'datetimeoffset', value: text }),
+  'Edm.Date': text => ({ type: 'date', value: text }),
+  'Edm.Guid': text => ({ type: 'guid', value: text })
+};
+
+// Filter operators that take strings whatever the type of the field
+const STRING_OPERATORS = ['contains', 'startswith', 'endswith'];
+
+/**
+ * Convert a filter value given as text to the EDM type of its field
+ * @param {string} field - Field name, used in messages
+ * @param {Object} property - Property of the field
+ * @param {*} value - Filter value
+ * @returns {*} - Typed value; values of string fields and values that are no text are kept
+ */
+function parseFilterValue(field, property, value) {
+  const parse = FILTER_PARSERS[property.type];
+
+  if (!parse || typeof value !== 'string') {
+    return value;
+  }
+
+  const parsed = parse(value);
+  if (parsed === undefined) {
+    throw new ValidationError(`Invalid ${property.type} value for ${field} in filter: ${value}`);
+  }
+
+  return parsed;
+}
+
+/**
+ * Convert the text values of the conditions on one field to the field's EDM type
+ * @param {string} field - Field name
+ * @param {Object} property - Property of the field
+ * @param {*} value - Value, list of values or object of operators
+ * @returns {*} - Conditions with typed values
+ */
+function parseFieldFilter(field, property, value) {
+  if (Array.isArray(value)) {
+    return value.map(item => parseFilterValue(field, property, item));
+  }
+
+  if (!value || typeof value !== 'object') {
+    return parseFilterValue(field, property, value);
+  }
+
+  return Object.fromEntries(Object.entries(value).map(([operator, operand]) => {
+    if (STRING_OPERATORS.includes(operator)) {
+      return [operator, operand];
+    }
+    if (Array.isArray(operand)) {
+      return [operator, operand.map(item => parseFilterValue(field, property, item))];
+    }
+    // Query strings have no null, so null checks are written as text
+    if (operand === 'null' && ['eq', 'ne'].includes(operator) && property.type !== 'Edm.String') {
+      return [operator, null];
+    }
+    return [operator, parseFilterValue(field, property, operand)];
+  }));
+}
+
+class McpSchemaRegistry {
+  constructor() {
+    // Parsed $metadata of the service, and when it was loaded
+    this.model = null;
+    this.loadedAt = 0;
+
+    // Time of the last failed load, to not retry on every request
+    this.failedAt = 0;
+
+    // Load in progress, shared by concurrent callers
+    this.pendingLoad = null;
+  }
+
+  /**
+   * Load the $metadata document of the service
+   * @returns {Object} - Parsed entity model
+   */
+  async load() {
+    if (!this.pendingLoad) {
+      this.pendingLoad = this.fetchModel()
+        .then(model => {
+          this.model = model;
+          this.loadedAt = Date.now();
+          this.failedAt = 0;
+          return model;
+        })
+        .catch(error => {
+          this.failedAt = Date.now();
+          throw error;
+        })
+        .finally(() => {
+          this.pendingLoad = null;
+        });
+    }
+
+    return this.pendingLoad;
+  }
+
+  /**
+   * Fetch and parse the $metadata document
+   * @returns {Object} - Parsed entity model
+   */
+  async fetchModel() {
+    const serviceUrl = mcpConfig.sap.serviceUrl.replace(/\/+$/, '');
+
+    const xml = await executeODataRequest(`${serviceUrl}/$metadata`, 'GET', null, {
+      username: mcpConfig.sap.username,
+      password: mcpConfig.sap.password
+    }, {
+      version: mcpConfig.sap.odataVersion,
+      serviceUrl,
+      headers: { 'Accept': 'application/xml' }
+    });
+
+    const model = parseEdmx(typeof xml === 'string' ? xml : String(xml));
+
+    logger.info(`Loaded metadata of ${serviceUrl}: ${Object.keys(model.entitySets).length} entity sets, ` +
+      `${Object.keys(model.functionImports).length} function imports`);
+
+    if (model.version !== getODataDialect(mcpConfig.sap.odataVersion).version) {
+      logger.warn(`The service is OData ${model.version}, but SAP_ODATA_VERSION is ${mcpConfig.sap.odataVersion}`);
+    }
+
+    return model;
+  }
+
+  /**
+   * Get the entity model, loading it if there is none or it expired
+   *
+   * Never fails: without a model (SAP unreachable, no $metadata) it resolves to
+   * null, and an expired model is returned while it is refreshed in the background.
+   * @returns {Object|null} - Parsed entity model
+   */
+  async ensureLoaded() {
+    if (this.model) {
+      return this.getModel();
+    }
+
+    if (Date.now() - this.failedAt < RETRY_INTERVAL_MS) {
+      return null;
+    }
+
+    try {
+      return await this.load();
+    } catch (error) {
+      logger.warn(`Could not load the SAP service metadata: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get the loaded entity model, starting a background refresh if it expired
+   * @returns {Object|null} - Parsed entity model, null if none was loaded
+   */
+  getModel() {
+    const expired = Date.now() - this.loadedAt >= mcpConfig.sap.metadataCacheTtlMs;
+
+    if (this.model && expired && !this.pendingLoad && Date.now() - this.failedAt >= RETRY_INTERVAL_MS) {
+      this.load().catch(error => {
+        logger.warn(`Could not refresh the SAP service metadata, keeping the previous version: ${error.message}`);
+      });
+    }
+
+    return this.model;
+  }
+
+  /**
+   * Get the entity type of an entity set
+   * @param {string} entitySetName - Entity set name, e.g. PurchaseOrderSet
+   * @returns {Object|null} - Entity type, null if unknown or no model is loaded
+   */
+  getEntityType(entitySetName) {
+    const model = this.getModel();
+    const entitySet = model && model.entitySets[entitySetName];
+    return (entitySet && model.entityTypes[entitySet.entityType]) || null;
+  }
+
+  /**
+   * Get the target entity type of a navigation property
+   * @param {Object} entityType - Source entity type
+   * @param {string} navigationName - Navigation property name, e.g. ToItems
+   * @returns {Object|null} - Target entity type, null if unknown
+   */
+  getNavigationTarget(entityType, navigationName) {
+    const navigation = entityType && entityType.navigationProperties[navigationName];
+    return (navigation && this.model && this.model.entityTypes[navigation.type]) || null;
+  }
+
+  /**
+   * Get a function import
+   * @param {string} name - Function import name
+   * @returns {Object|null} - Function import, null if unknown
+   */
+  getFunctionImport(name) {
+    const model = this.getModel();
+    return (model && model.functionImports[name]) || null;
+  }
+
+  /**
+   * Get the properties that a write can set
+   * @param {Object} entityType - Entity type
+   * @param {string} mode - 'create' or 'update'; updates cannot change keys
+   * @returns {Array} - Property names
+   */
+  getWritableProperties(entityType, mode) {
+    return Object.entries(entityType.properties)
+      .filter(([name, property]) => (mode === 'update'
+        ? property.updatable && !entityType.keys.includes(name)
+        : property.creatable))
+      .map(([name]) => name);
+  }
+
+  /**
+   * Coerce the declared properties of an entity read from SAP
+   * @param {Object} entityType - Entity type
+   * @param {Object} sapEntity - Entity as returned by SAP
+   * @returns {Object} - Declared properties, with numbers and ISO 8601 dates
+   */
+  coerceEntity(entityType, sapEntity) {
+    return Object.fromEntries(Object.entries(entityType.properties).map(([name, property]) => {
+      const coerce = READ_COERCIONS[property.type];
+      const value = sapEntity[name];
+      return [name, coerce && value !== null && value !== undefined ? coerce(value) : value];
+    }));
+  }
+
+  /**
+   * Serialize the declared properties of an entity for a write to SAP
+   * @param {Object} entityType - Entity type
+   * @param {Object} data - Entity data in MCP format
+   * @param {Array} propertyNames - Properties to write, defaults to all declared properties
+   * @returns {Object} - Properties that are set, in the format of the service's OData version
+   */
+  serializeEntity(entityType, data, propertyNames = Object.keys(entityType.properties)) {
+    const serializers = WRITE_SERIALIZERS[getODataDialect(mcpConfig.sap.odataVersion).version] || {};
+
+    return Object.fromEntries(propertyNames
+      .filter(name => entityType.properties[name] && data[name] !== undefined)
+      .map(name => {
+        const serialize = serializers[entityType.properties[name].type];
+        return [name, serialize && data[name] !== null ? serialize(data[name]) : data[name]];
+      }));
+  }
+
+  /**
+   * Build the JSON Schema of an entity set's entities
+   * @param {string} entitySetName - Entity set name
+   * @param {Object} options - Schema options
+   * @param {string} options.mode - 'read' for all properties, 'create' or 'update' for the writable ones
+   * @param {Object} options.expand - Collection navigation properties to include, by MCP field name,
+   *   e.g. { Items: 'ToItems' }
+   * @returns {Object|null} - JSON Schema, null if the entity set is unknown
+   */
+  toJsonSchema(entitySetName, options = {}) {
+    const entityType = this.getEntityType(entitySetName);
+    return entityType ? this.buildEntitySchema(entityType, options) : null;
+  }
+
+  /**
+   * Build the JSON Schema of an entity type
+   * @param {Object} entityType - Entity type
+   * @param {Object} options - Schema options (mode, expand), see toJsonSchema
+   * @returns {Object} - JSON Schema
+   */
+  buildEntitySchema(entityType, { mode = 'read', expand = {} } = {}) {
+    const propertyNames = mode === 'read' ? Object.keys(entityType.properties) : this.getWritableProperties(entityType, mode);
+    const properties = Object.fromEntries(propertyNames
+      .map(name => [name, this.buildPropertySchema(entityType.properties[name])]));
+
+    Object.entries(expand).forEach(([field, navigationName]) => {
+      const target = this.getNavigationTarget(entityType, navigationName);
+      if (target && entityType.navigationProperties[navigationName].collection) {
+        properties[field] = {
+          type: 'array',
+          items: this.buildEntitySchema(target, { mode: mode === 'update' ? 'create' : mode })
+        };
+      }
+    });
+
+    return {
+      type: 'object',
+      properties,
+      additionalProperties: false
+    };
+  }
+
+  /**
+   * Build the JSON Schema of a property
+   * @param {Object} property - Property with EDM type and facets
+   * @returns {Object} - JSON Schema
+   */
+  buildPropertySchema(property) {
+    const schema = { ...(EDM_SCHEMAS[property.type] || { type: 'string' }) };
+
+    if (property.nullable) {
+      schema.type = [].concat(schema.type, 'null');
+    }
+
+    if (property.maxLength !== undefined && property.type === 'Edm.String') {
+      schema.maxLength = property.maxLength;
+    }
+
+    schema.description = property.label ? `${property.label} (${property.type})` : property.type;
+
+    return schema;
+  }
+
+  /**
+   * Validate entity data against the entity model
+   * @param {string} entitySetName - Entity set name
+   * @param {Object} data - Entity data in MCP format
+   * @param {Object} options - Schema options (mode, expand), see toJsonSchema
+   * @returns {Array} - Validation error messages, empty if valid or the entity set is unknown
+   */
+  validateEntity(entitySetName, data, options = {}) {
+    const schema = this.toJsonSchema(entitySetName, options);
+    return schema ? validateSchema(schema, data, entitySetName) : [];
+  }
+
+  /**
+   * Convert the text values of a filter object to the EDM types of their fields
+   *
+   * Query strings carry all values as text, so filter[NetAmount][gt]=1000 would
+   * otherwise compare NetAmount with the string '1000'. Values of string fields,
+   * of string functions (contains, startswith, endswith) and of unknown fields
+   * are kept.
+   * @param {string} entitySetName - Entity set name
+   * @param {Object} filter - Filter object, see odataFilter.fromFilterObject
+   * @returns {Object} - Filter object with typed values; the filter itself if the entity set is unknown
+   */
+  parseFilter(entitySetName, filter) {
+    const entityType = this.getEntityType(entitySetName);
+    return entityType ? this.parseFilterObject(entityType, filter) : filter;
+  }
+
+  /**
+   * Convert the text values of a filter object, including its $and, $or and $not filters
+   * @param {Object} entityType - Entity type
+   * @param {Object} filter - Filter object
+   * @returns {Object} - Filter object with typed values
+   */
+  parseFilterObject(entityType, filter) {
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+      return filter;
+    }
+
+    return Object.fromEntries(Object.entries(filter).map(([key, value]) => {
+      if (['$and', '$or'].includes(key) && Array.isArray(value)) {
+        return [key, value.map(item => this.parseFilterObject(entityType, item))];
+      }
+      if (key === '$not') {
+        return [key, this.parseFilterObject(entityType, value)];
+      }
+
+      const property = entityType.properties[key];
+      return [key, property ? parseFieldFilter(key, property, value) : value];
+    }));
+  }
+
+  /**
+   * Describe the loaded entity model
+   * @returns {Object|null} - Entity model with its load time, null if none was loaded
+   */
+  describe() {
+    const model = this.getModel();
+
+    if (!model) {
+      return null;
+    }
+
+    return {
+      loadedAt: new Date(this.loadedAt).toISOString(),
+      ...model
+    };
+  }
+}
+
+module.exports = new McpSchemaRegistry();
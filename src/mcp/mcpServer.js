@@ -13,9 +13,16 @@ const { rateLimit } = require('express-rate-limit');
 const { logger } = require('../util/logger');
 const mcpConfig = require('../config/mcpConfig');
 const mcpContextManager = require('./mcpContextManager');
+const mcpContextCompaction = require('./mcpContextCompaction');
+const mcpContextExport = require('./mcpContextExport');
+const mcpMessages = require('./mcpMessages');
 const mcpAuth = require('./mcpAuth');
 const mcpModels = require('./mcpModels');
 const mcpSapAdapter = require('./mcpSapAdapter');
+const mcpSchemaRegistry = require('./mcpSchemaRegistry');
+const McpHttpTransport = require('./mcpHttpTransport');
+const { openEventStream, writeEvent } = require('../util/sse');
+const axios = require('axios');
 const helmet = require('helmet');
 const https = require('https');
 const http = require('http');
@@ -24,6 +31,7 @@ const path = require('path');
 const contextManager = require('./contextManager');
 const auth = require('../middleware/auth');
 const errorHandler = require('../middleware/errorHandler');
+const { NotFoundError } = require('../middleware/errorHandler');
 
 class McpServer {
   constructor() {
@@ -57,7 +65,8 @@ class McpServer {
         ? (process.env.ALLOWED_ORIGINS || '').split(',') 
         : '*',
       methods: ['GET', 'POST', 'PUT', 'DELETE'],
-      allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key', 'Mcp-Session-Id', 'Mcp-Protocol-Version'],
+      exposedHeaders: ['Mcp-Session-Id'],
       credentials: true,
       maxAge: 86400 // 24 hours
     };
@@ -71,6 +80,10 @@ class McpServer {
         if (req.headers['x-no-compression']) {
           return false;
         }
+        // Event streams must be flushed as they are written
+        if ((req.headers.accept || '').includes('text/event-stream')) {
+          return false;
+        }
         return compression.filter(req, res);
       }
     }));
@@ -128,24 +141,44 @@ class McpServer {
       });
     });
     
+    // Model Context Protocol endpoint (streamable HTTP transport), sessions belong to the caller's owner
+    this.mcpTransport = new McpHttpTransport({ contextManager: mcpContextManager });
+    this.app.use('/mcp', mcpAuth.authenticate.bind(mcpAuth));
+    this.app.post('/mcp', this.mcpTransport.handlePost);
+    this.app.get('/mcp', this.mcpTransport.handleGet);
+    this.app.delete('/mcp', this.mcpTransport.handleDelete);
+    
     // MCP Protocol Endpoints
     
-    // 1. Context management
+    // 1. Context management, scoped to the owner of the caller's API key
+    this.app.use('/api/context', mcpAuth.authenticate.bind(mcpAuth));
+    this.app.get('/api/context', this.listContexts.bind(this));
     this.app.post('/api/context', this.createContext.bind(this));
+    this.app.post('/api/context/import', this.importContext.bind(this));
     this.app.get('/api/context/:contextId', this.getContext.bind(this));
     this.app.put('/api/context/:contextId', this.updateContext.bind(this));
     this.app.delete('/api/context/:contextId', this.deleteContext.bind(this));
+    this.app.get('/api/context/:contextId/export', this.exportContext.bind(this));
+    this.app.post('/api/context/:contextId/fork', this.forkContext.bind(this));
+    this.app.get('/api/context/:contextId/snapshots', this.listSnapshots.bind(this));
+    this.app.post('/api/context/:contextId/snapshots', this.createSnapshot.bind(this));
+    this.app.post('/api/context/:contextId/snapshots/:name/restore', this.restoreSnapshot.bind(this));
     
-    // 2. Query endpoints
+    // 2. Query endpoints, using contexts of the caller's owner
+    this.app.use(['/api/query', '/api/generate', mcpConfig.models.endpoints.stream], mcpAuth.authenticate.bind(mcpAuth));
     this.app.post('/api/query', this.handleQuery.bind(this));
     this.app.post('/api/generate', this.handleGeneration.bind(this));
+    this.app.post(mcpConfig.models.endpoints.stream, this.handleStream.bind(this));
     
-    // 3. SAP ODATA endpoints through MCP
+    // 3. SAP ODATA endpoints through MCP, recording to contexts of the caller's owner
+    this.app.use('/api/sap', mcpAuth.authenticate.bind(mcpAuth));
     this.app.get('/api/sap/purchaseOrder', this.getPurchaseOrders.bind(this));
     this.app.get('/api/sap/purchaseOrder/:id', this.getPurchaseOrderById.bind(this));
     this.app.post('/api/sap/purchaseOrder', this.createPurchaseOrder.bind(this));
     this.app.put('/api/sap/purchaseOrder/:id', this.updatePurchaseOrder.bind(this));
     this.app.delete('/api/sap/purchaseOrder/:id', this.deletePurchaseOrder.bind(this));
+    this.app.post('/api/sap/batch', this.executeSapBatch.bind(this));
+    this.app.get('/api/sap/metadata', this.getSapMetadata.bind(this));
     
     // 4. Model info and capabilities
     this.app.get('/api/models', this.getModels.bind(this));
@@ -157,9 +190,30 @@ class McpServer {
   
   // Context Management Methods
   
+  /**
+   * Get the owner a request acts for
+   * @param {Object} req - Express request
+   * @returns {string|null} - Owner of the caller's API key, null if the request was not authenticated
+   */
+  getCallerOwner(req) {
+    return req.auth ? req.auth.owner : null;
+  }
+  
+  /**
+   * Check that the caller may use the context given with a request
+   * @param {string} contextId - Context ID, if any
+   * @param {Object} req - Express request
+   * @throws {NotFoundError} - If the context does not exist or belongs to another owner
+   */
+  async checkContextAccess(contextId, req) {
+    if (contextId && !(await this.contextManager.getContext(contextId, this.getCallerOwner(req)))) {
+      throw new NotFoundError(`Context with ID ${contextId} not found`);
+    }
+  }
+  
   async createContext(req, res) {
     try {
-      const { model, maxTokens, contents } = req.body;
+      const { model, maxTokens, compaction, contents } = req.body;
       
       if (!model) {
         return res.status(400).json({ 
@@ -168,10 +222,34 @@ class McpServer {
         });
       }
       
+      if (compaction && !mcpContextCompaction.isValidStrategy(compaction)) {
+        return res.status(400).json({ 
+          status: 'error', 
+          message: `Unknown compaction strategy: ${compaction}` 
+        });
+      }
+      
+      const errors = contents === undefined || Array.isArray(contents)
+        ? mcpMessages.validateMessages(contents || [])
+        : ['contents must be an array'];
+      if (errors.length > 0) {
+        return res.status(400).json({ 
+          status: 'error', 
+          message: 'Invalid context contents', 
+          errors 
+        });
+      }
+      
+      // The model's context size caps the context's token budget
+      const capabilities = await mcpModels.getModelCapabilities(model);
+      
       const contextId = await this.contextManager.createContext({
         model,
         maxTokens: maxTokens || mcpConfig.context.maxTokens,
-        contents: contents || []
+        contextSize: capabilities?.contextSize,
+        compaction,
+        contents: contents || [],
+        owner: this.getCallerOwner(req)
       });
       
       res.status(201).json({
@@ -181,17 +259,62 @@ class McpServer {
       });
     } catch (error) {
       logger.error(`Error creating context: ${error.message}`);
-      res.status(500).json({ 
+      res.status(error.statusCode || 500).json({ 
         status: 'error', 
         message: `Failed to create context: ${error.message}` 
       });
     }
   }
   
+  async listContexts(req, res) {
+    try {
+      const { model, sort = 'updatedAt', order = 'desc' } = req.query;
+      const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 20;
+      const offset = req.query.offset !== undefined ? parseInt(req.query.offset) : 0;
+      
+      if (isNaN(limit) || limit < 1 || limit > 100 || isNaN(offset) || offset < 0) {
+        return res.status(400).json({ 
+          status: 'error', 
+          message: 'limit must be between 1 and 100 and offset must not be negative' 
+        });
+      }
+      
+      if (!['updatedAt', 'createdAt'].includes(sort) || !['asc', 'desc'].includes(order)) {
+        return res.status(400).json({ 
+          status: 'error', 
+          message: 'sort must be updatedAt or createdAt and order must be asc or desc' 
+        });
+      }
+      
+      const { contexts, total } = await this.contextManager.listContexts({
+        owner: this.getCallerOwner(req),
+        model,
+        sort,
+        order,
+        limit,
+        offset
+      });
+      
+      res.status(200).json({
+        status: 'success',
+        contexts,
+        total,
+        limit,
+        offset
+      });
+    } catch (error) {
+      logger.error(`Error listing contexts: ${error.message}`);
+      res.status(500).json({ 
+        status: 'error', 
+        message: `Failed to list contexts: ${error.message}` 
+      });
+    }
+  }
+  
   async getContext(req, res) {
     try {
       const { contextId } = req.params;
-      const context = await this.contextManager.getContext(contextId);
+      const context = await this.contextManager.getContext(contextId, this.getCallerOwner(req));
       
       if (!context) {
         return res.status(404).json({ 
@@ -225,7 +348,23 @@ class McpServer {
         });
       }
       
-      const updatedContext = await this.contextManager.updateContext(contextId, operation, content);
+      const errors = operation === 'clear' ? [] : mcpMessages.validateMessages(content);
+      if (errors.length > 0) {
+        return res.status(400).json({ 
+          status: 'error', 
+          message: 'Invalid message content', 
+          errors 
+        });
+      }
+      
+      const updatedContext = await this.contextManager.updateContext(contextId, operation, content, this.getCallerOwner(req));
+      
+      if (!updatedContext) {
+        return res.status(404).json({ 
+          status: 'error', 
+          message: `Context with ID ${contextId} not found` 
+        });
+      }
       
       res.status(200).json({
         status: 'success',
@@ -233,7 +372,7 @@ class McpServer {
       });
     } catch (error) {
       logger.error(`Error updating context: ${error.message}`);
-      res.status(500).json({ 
+      res.status(error.statusCode || 500).json({ 
         status: 'error', 
         message: `Failed to update context: ${error.message}` 
       });
@@ -243,7 +382,7 @@ class McpServer {
   async deleteContext(req, res) {
     try {
       const { contextId } = req.params;
-      const result = await this.contextManager.deleteContext(contextId);
+      const result = await this.contextManager.deleteContext(contextId, this.getCallerOwner(req));
       
       if (!result) {
         return res.status(404).json({ 
@@ -265,11 +404,193 @@ class McpServer {
     }
   }
   
+  async exportContext(req, res) {
+    try {
+      const { contextId } = req.params;
+      const format = req.query.format || 'json';
+      
+      if (!mcpContextExport.isSupportedFormat(format)) {
+        return res.status(400).json({ 
+          status: 'error', 
+          message: `Unsupported export format: ${format}` 
+        });
+      }
+      
+      const context = await this.contextManager.getContext(contextId, this.getCallerOwner(req));
+      
+      if (!context) {
+        return res.status(404).json({ 
+          status: 'error', 
+          message: `Context with ID ${contextId} not found` 
+        });
+      }
+      
+      const exported = mcpContextExport.exportContext(context, format);
+      
+      res.status(200)
+        .type(exported.contentType)
+        .attachment(exported.fileName)
+        .send(exported.body);
+    } catch (error) {
+      logger.error(`Error exporting context: ${error.message}`);
+      res.status(500).json({ 
+        status: 'error', 
+        message: `Failed to export context: ${error.message}` 
+      });
+    }
+  }
+  
+  async importContext(req, res) {
+    try {
+      const options = mcpContextExport.parseImport(req.body);
+      
+      if (options.compaction && !mcpContextCompaction.isValidStrategy(options.compaction)) {
+        return res.status(400).json({ 
+          status: 'error', 
+          message: `Unknown compaction strategy: ${options.compaction}` 
+        });
+      }
+      
+      // The model's context size caps the context's token budget
+      const capabilities = await mcpModels.getModelCapabilities(options.model);
+      
+      const contextId = await this.contextManager.createContext({
+        ...options,
+        contextSize: capabilities?.contextSize,
+        owner: this.getCallerOwner(req)
+      });
+      
+      res.status(201).json({
+        status: 'success',
+        contextId,
+        message: 'Context imported successfully'
+      });
+    } catch (error) {
+      logger.error(`Error importing context: ${error.message}`);
+      res.status(error.statusCode || 500).json({ 
+        status: 'error', 
+        message: `Failed to import context: ${error.message}` 
+      });
+    }
+  }
+  
+  async forkContext(req, res) {
+    try {
+      const { contextId } = req.params;
+      const { snapshot } = req.body || {};
+      const forkId = await this.contextManager.forkContext(contextId, snapshot, this.getCallerOwner(req));
+      
+      if (!forkId) {
+        return res.status(404).json({ 
+          status: 'error', 
+          message: `Context with ID ${contextId} not found` 
+        });
+      }
+      
+      res.status(201).json({
+        status: 'success',
+        contextId: forkId,
+        parentId: contextId,
+        message: 'Context forked successfully'
+      });
+    } catch (error) {
+      logger.error(`Error forking context: ${error.message}`);
+      res.status(error.statusCode || 500).json({ 
+        status: 'error', 
+        message: `Failed to fork context: ${error.message}` 
+      });
+    }
+  }
+  
+  async listSnapshots(req, res) {
+    try {
+      const { contextId } = req.params;
+      const snapshots = await this.contextManager.listSnapshots(contextId, this.getCallerOwner(req));
+      
+      if (!snapshots) {
+        return res.status(404).json({ 
+          status: 'error', 
+          message: `Context with ID ${contextId} not found` 
+        });
+      }
+      
+      res.status(200).json({
+        status: 'success',
+        snapshots
+      });
+    } catch (error) {
+      logger.error(`Error listing snapshots: ${error.message}`);
+      res.status(500).json({ 
+        status: 'error', 
+        message: `Failed to list snapshots: ${error.message}` 
+      });
+    }
+  }
+  
+  async createSnapshot(req, res) {
+    try {
+      const { contextId } = req.params;
+      const { name } = req.body || {};
+      
+      if (!name || typeof name !== 'string') {
+        return res.status(400).json({ 
+          status: 'error', 
+          message: 'Snapshot name is required' 
+        });
+      }
+      
+      const snapshot = await this.contextManager.createSnapshot(contextId, name, this.getCallerOwner(req));
+      
+      if (!snapshot) {
+        return res.status(404).json({ 
+          status: 'error', 
+          message: `Context with ID ${contextId} not found` 
+        });
+      }
+      
+      res.status(201).json({
+        status: 'success',
+        snapshot
+      });
+    } catch (error) {
+      logger.error(`Error creating snapshot: ${error.message}`);
+      res.status(error.statusCode || 500).json({ 
+        status: 'error', 
+        message: `Failed to create snapshot: ${error.message}` 
+      });
+    }
+  }
+  
+  async restoreSnapshot(req, res) {
+    try {
+      const { contextId, name } = req.params;
+      const context = await this.contextManager.restoreSnapshot(contextId, name, this.getCallerOwner(req));
+      
+      if (!context) {
+        return res.status(404).json({ 
+          status: 'error', 
+          message: `Context with ID ${contextId} not found` 
+        });
+      }
+      
+      res.status(200).json({
+        status: 'success',
+        context
+      });
+    } catch (error) {
+      logger.error(`Error restoring snapshot: ${error.message}`);
+      res.status(error.statusCode || 500).json({ 
+        status: 'error', 
+        message: `Failed to restore snapshot: ${error.message}` 
+      });
+    }
+  }
+  
   // Query and Generation Methods
   
   async handleQuery(req, res) {
     try {
-      const { contextId, query, model } = req.body;
+      const { contextId, query, model, parameters, stream } = req.body;
       
       if (!query) {
         return res.status(400).json({ 
@@ -278,16 +599,26 @@ class McpServer {
         });
       }
       
-      // Process through SAP adapter if it's a SAP-related query
-      if (this.sapAdapter.isSapQuery(query)) {
+      if (stream) {
+        return this.handleStream(req, res);
+      }
+      
+      const modelId = model || mcpConfig.models.defaultModel;
+      const capabilities = await mcpModels.getModelCapabilities(modelId);
+      const useAgent = mcpConfig.models.enableTools && capabilities?.supportsFunctions;
+      
+      // Models without function calling get SAP data through keyword matching
+      if (!useAgent && this.sapAdapter.isSapQuery(query)) {
+        await this.checkContextAccess(contextId, req);
+        
         const sapResult = await this.sapAdapter.processSapQuery(query);
         
         // Add result to context if contextId is provided
         if (contextId) {
           await this.contextManager.updateContext(contextId, 'append', {
             role: 'system',
-            content: JSON.stringify(sapResult)
-          });
+            content: this.sapAdapter.toMessageParts(query, sapResult)
+          }, this.getCallerOwner(req));
         }
         
         return res.status(200).json({
@@ -296,11 +627,13 @@ class McpServer {
         });
       }
       
-      // Otherwise, process as a regular model query
+      // Otherwise, let the model answer, calling SAP tools as needed
       const result = await mcpModels.query({
         contextId,
+        owner: this.getCallerOwner(req),
         query,
-        model: model || mcpConfig.models.defaultModel
+        model: modelId,
+        parameters: parameters || {}
       });
       
       res.status(200).json({
@@ -309,7 +642,7 @@ class McpServer {
       });
     } catch (error) {
       logger.error(`Error processing query: ${error.message}`);
-      res.status(500).json({ 
+      res.status(error.statusCode || 500).json({ 
         status: 'error', 
         message: `Failed to process query: ${error.message}` 
       });
@@ -318,7 +651,7 @@ class McpServer {
   
   async handleGeneration(req, res) {
     try {
-      const { contextId, prompt, model, parameters } = req.body;
+      const { contextId, prompt, model, parameters, stream } = req.body;
       
       if (!prompt && !contextId) {
         return res.status(400).json({ 
@@ -327,8 +660,13 @@ class McpServer {
         });
       }
       
+      if (stream) {
+        return this.handleStream(req, res);
+      }
+      
       const result = await mcpModels.generate({
         contextId,
+        owner: this.getCallerOwner(req),
         prompt,
         model: model || mcpConfig.models.defaultModel,
         parameters: parameters || {}
@@ -340,37 +678,151 @@ class McpServer {
       });
     } catch (error) {
       logger.error(`Error generating content: ${error.message}`);
-      res.status(500).json({ 
+      res.status(error.statusCode || 500).json({ 
         status: 'error', 
         message: `Failed to generate content: ${error.message}` 
       });
     }
   }
   
+  /**
+   * Stream a model response as server-sent events
+   * Emits token events with each text delta, then a done event with the complete
+   * content and usage, or an error event if the generation fails midway.
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  async handleStream(req, res) {
+    const { contextId, model, parameters } = req.body;
+    // /api/query sends the text as query, /api/generate as prompt
+    const prompt = req.body.prompt || req.body.query;
+    
+    if (!prompt && !contextId) {
+      return res.status(400).json({ 
+        status: 'error', 
+        message: 'Either prompt or contextId is required' 
+      });
+    }
+    
+    // Report a missing context before the event stream starts
+    try {
+      await this.checkContextAccess(contextId, req);
+    } catch (error) {
+      return res.status(error.statusCode || 500).json({ 
+        status: 'error', 
+        message: `Failed to stream content: ${error.message}` 
+      });
+    }
+    
+    // Abort the upstream request when the client goes away
+    const cancelSource = axios.CancelToken.source();
+    let finished = false;
+    res.on('close', () => {
+      if (!finished) {
+        cancelSource.cancel('Client closed the stream');
+      }
+    });
+    
+    try {
+      openEventStream(res);
+      
+      const result = await mcpModels.stream(
+        {
+          contextId,
+          owner: this.getCallerOwner(req),
+          prompt,
+          model: model || mcpConfig.models.defaultModel,
+          parameters: parameters || {}
+        },
+        token => writeEvent(res, { content: token }, { event: 'token' }),
+        cancelSource.token
+      );
+      
+      writeEvent(res, {
+        content: result.content,
+        model: result.model,
+        requestedModel: result.requestedModel,
+        provider: result.provider,
+        usage: result.usage
+      }, { event: 'done' });
+    } catch (error) {
+      logger.error(`Error streaming content: ${error.message}`);
+      
+      if (!res.writableEnded) {
+        writeEvent(res, {
+          status: 'error',
+          message: `Failed to stream content: ${error.message}`
+        }, { event: 'error' });
+      }
+    } finally {
+      finished = true;
+      res.end();
+    }
+  }
+  
   // SAP ODATA Methods
   
   async getPurchaseOrders(req, res) {
     try {
-      const { contextId, limit, filter } = req.query;
+      const { contextId, limit, filter, cursor, all, maxResults } = req.query;
+      
+      const pageSize = limit ? parseInt(limit, 10) : mcpConfig.sap.maxResultsPerRequest;
+      if (!Number.isInteger(pageSize) || pageSize < 1) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'limit must be a positive integer'
+        });
+      }
+      
+      const fetchAll = all === 'true';
+      const maxResultCount = maxResults ? parseInt(maxResults, 10) : undefined;
+      if (maxResults && (!Number.isInteger(maxResultCount) || maxResultCount < 1)) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'maxResults must be a positive integer'
+        });
+      }
       
-      // Call the SAP adapter to get purchase orders
+      // Filters come as filter[Field][operator]=value, or as a JSON object
+      let filterObject = filter;
+      if (typeof filter === 'string') {
+        try {
+          filterObject = JSON.parse(filter);
+        } catch (error) {
+          return res.status(400).json({
+            status: 'error',
+            message: `filter must be a JSON object: ${error.message}`
+          });
+        }
+      }
+      
+      await this.checkContextAccess(contextId, req);
+      
+      // Query string values are text, type them by the fields of the entity model
+      await mcpSchemaRegistry.ensureLoaded();
+      const typedFilter = filterObject && mcpSchemaRegistry.parseFilter(this.sapAdapter.entitySets.purchaseOrders, filterObject);
+      
+      // Call the SAP adapter to get a page of purchase orders, or all pages up to maxResults
       const purchaseOrders = await this.sapAdapter.getPurchaseOrders({
-        limit: limit ? parseInt(limit) : mcpConfig.sap.maxResultsPerRequest,
-        filter
+        limit: pageSize,
+        filter: typedFilter,
+        cursor,
+        all: fetchAll,
+        maxResults: maxResultCount
       });
       
       // Add to context if contextId is provided
       if (contextId) {
         await this.contextManager.updateContext(contextId, 'append', {
           role: 'system',
-          content: `Retrieved ${purchaseOrders.length} purchase orders`
-        });
+          content: `Retrieved ${purchaseOrders.count} purchase orders`
+        }, this.getCallerOwner(req));
       }
       
       res.status(200).json(purchaseOrders);
     } catch (error) {
       logger.error(`Error fetching purchase orders: ${error.message}`);
-      res.status(500).json({ 
+      res.status(error.statusCode || 500).json({ 
         status: 'error', 
         message: `Failed to fetch purchase orders: ${error.message}` 
       });
@@ -382,6 +834,8 @@ class McpServer {
       const { id } = req.params;
       const { contextId } = req.query;
       
+      await this.checkContextAccess(contextId, req);
+      
       // Call the SAP adapter to get the purchase order
       const purchaseOrder = await this.sapAdapter.getPurchaseOrderById(id);
       
@@ -397,13 +851,18 @@ class McpServer {
         await this.contextManager.updateContext(contextId, 'append', {
           role: 'system',
           content: `Retrieved purchase order ${id}`
-        });
+        }, this.getCallerOwner(req));
+      }
+      
+      // Clients can send the entity tag back in If-Match when they change the purchase order
+      if (purchaseOrder.result && purchaseOrder.result._etag) {
+        res.set('ETag', purchaseOrder.result._etag);
       }
       
       res.status(200).json(purchaseOrder);
     } catch (error) {
       logger.error(`Error fetching purchase order: ${error.message}`);
-      res.status(500).json({ 
+      res.status(error.statusCode || 500).json({ 
         status: 'error', 
         message: `Failed to fetch purchase order: ${error.message}` 
       });
@@ -415,6 +874,8 @@ class McpServer {
       const purchaseOrderData = req.body;
       const { contextId } = req.query;
       
+      await this.checkContextAccess(contextId, req);
+      
       // Call the SAP adapter to create a purchase order
       const newPurchaseOrder = await this.sapAdapter.createPurchaseOrder(purchaseOrderData);
       
@@ -423,15 +884,16 @@ class McpServer {
         await this.contextManager.updateContext(contextId, 'append', {
           role: 'system',
           content: `Created purchase order ${newPurchaseOrder.PurchaseOrder}`
-        });
+        }, this.getCallerOwner(req));
       }
       
       res.status(201).json(newPurchaseOrder);
     } catch (error) {
       logger.error(`Error creating purchase order: ${error.message}`);
-      res.status(500).json({ 
+      res.status(error.statusCode || 500).json({ 
         status: 'error', 
-        message: `Failed to create purchase order: ${error.message}` 
+        message: `Failed to create purchase order: ${error.message}`,
+        ...(error.data ? { data: error.data } : {})
       });
     }
   }
@@ -442,8 +904,12 @@ class McpServer {
       const updateData = req.body;
       const { contextId } = req.query;
       
-      // Call the SAP adapter to update the purchase order
-      const updatedPurchaseOrder = await this.sapAdapter.updatePurchaseOrder(id, updateData);
+      await this.checkContextAccess(contextId, req);
+      
+      // Call the SAP adapter to update the purchase order, based on the version in If-Match if given
+      const updatedPurchaseOrder = await this.sapAdapter.updatePurchaseOrder(id, updateData, {
+        etag: req.get('If-Match')
+      });
       
       if (!updatedPurchaseOrder) {
         return res.status(404).json({ 
@@ -457,15 +923,16 @@ class McpServer {
         await this.contextManager.updateContext(contextId, 'append', {
           role: 'system',
           content: `Updated purchase order ${id}`
-        });
+        }, this.getCallerOwner(req));
       }
       
       res.status(200).json(updatedPurchaseOrder);
     } catch (error) {
       logger.error(`Error updating purchase order: ${error.message}`);
-      res.status(500).json({ 
+      res.status(error.statusCode || 500).json({ 
         status: 'error', 
-        message: `Failed to update purchase order: ${error.message}` 
+        message: `Failed to update purchase order: ${error.message}`,
+        ...(error.data ? { data: error.data } : {})
       });
     }
   }
@@ -475,8 +942,10 @@ class McpServer {
       const { id } = req.params;
       const { contextId } = req.query;
       
-      // Call the SAP adapter to delete the purchase order
-      const result = await this.sapAdapter.deletePurchaseOrder(id);
+      await this.checkContextAccess(contextId, req);
+      
+      // Call the SAP adapter to delete the purchase order, based on the version in If-Match if given
+      const result = await this.sapAdapter.deletePurchaseOrder(id, { etag: req.get('If-Match') });
       
       if (!result) {
         return res.status(404).json({ 
@@ -490,7 +959,7 @@ class McpServer {
         await this.contextManager.updateContext(contextId, 'append', {
           role: 'system',
           content: `Deleted purchase order ${id}`
-        });
+        }, this.getCallerOwner(req));
       }
       
       res.status(200).json({ 
@@ -499,9 +968,74 @@ class McpServer {
       });
     } catch (error) {
       logger.error(`Error deleting purchase order: ${error.message}`);
-      res.status(500).json({ 
+      res.status(error.statusCode || 500).json({ 
+        status: 'error', 
+        message: `Failed to delete purchase order: ${error.message}`,
+        ...(error.data ? { data: error.data } : {})
+      });
+    }
+  }
+  
+  async executeSapBatch(req, res) {
+    try {
+      const { requests } = req.body;
+      const { contextId } = req.query;
+      
+      await this.checkContextAccess(contextId, req);
+      
+      // Call the SAP adapter to execute the requests in one $batch request
+      const results = await this.sapAdapter.executeBatch(requests);
+      
+      // Add to context if contextId is provided
+      if (contextId) {
+        const failed = results.filter(result => (result.changeset ? !result.success : result.status >= 400)).length;
+        await this.contextManager.updateContext(contextId, 'append', {
+          role: 'system',
+          content: `Executed SAP batch with ${results.length} entries (${failed} failed)`
+        }, this.getCallerOwner(req));
+      }
+      
+      res.status(200).json({
+        status: 'success',
+        count: results.length,
+        results
+      });
+    } catch (error) {
+      logger.error(`Error executing SAP batch: ${error.message}`);
+      res.status(error.statusCode || 500).json({ 
         status: 'error', 
-        message: `Failed to delete purchase order: ${error.message}` 
+        message: `Failed to execute SAP batch: ${error.message}` 
+      });
+    }
+  }
+  
+  async getSapMetadata(req, res) {
+    try {
+      // Reload the $metadata of the service on request, otherwise use the cached entity model
+      if (req.query.refresh === 'true') {
+        await mcpSchemaRegistry.load();
+      } else {
+        await mcpSchemaRegistry.ensureLoaded();
+      }
+      
+      const metadata = mcpSchemaRegistry.describe();
+      
+      if (!metadata) {
+        return res.status(503).json({
+          status: 'error',
+          message: 'The metadata of the SAP service is not available'
+        });
+      }
+      
+      res.status(200).json({
+        status: 'success',
+        metadata
+      });
+    } catch (error) {
+      logger.error(`Error getting SAP metadata: ${error.message}`);
+      res.status(error.statusCode || 500).json({ 
+        status: 'error', 
+        message: `Failed to get SAP metadata: ${error.message}` 
       });
     }
   }
@@ -618,6 +1152,9 @@ class McpServer {
       return;
     }
 
+    // End open MCP sessions so their event streams do not hold the server open
+    this.mcpTransport.closeAll();
+
     return new Promise((resolve, reject) => {
       this.server.close((err) => {
         if (err) {
@@ -0,0 +1,139 @@
+/**
+ * MCP stdio Transport
+ *
+ * Serves the MCP protocol over newline-delimited JSON-RPC on stdin/stdout,
+ * so the server can be launched as a subprocess by local MCP clients.
+ * Nothing but protocol messages may be written to stdout in this mode.
+ */
+
+const EventEmitter = require('events');
+const mcpProtocol = require('./mcpProtocol');
+const { logger } = require('../util/logger');
+
+class McpStdioTransport extends EventEmitter {
+  /**
+   * @param {Object} options - Transport options
+   * @param {Object} options.input - Readable stream to receive messages from (defaults to stdin)
+   * @param {Object} options.output - Writable stream to send messages to (defaults to stdout)
+   */
+  constructor(options = {}) {
+    super();
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.buffer = '';
+    this.isRunning = false;
+
+    // Messages still being processed, awaited before signalling close
+    this.pending = new Set();
+
+    // A stdio connection is a single session for its whole lifetime
+    this.session = {
+      transport: 'stdio',
+      notify: (method, params) => this.send({ jsonrpc: '2.0', method, params })
+    };
+
+    this.onData = this.onData.bind(this);
+    this.onEnd = this.onEnd.bind(this);
+  }
+
+  /**
+   * Start reading messages from the input stream
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('MCP stdio transport is already running');
+      return;
+    }
+
+    this.input.setEncoding('utf8');
+    this.input.on('data', this.onData);
+    this.input.on('end', this.onEnd);
+    this.isRunning = true;
+
+    logger.info('MCP stdio transport listening on stdin');
+  }
+
+  /**
+   * Stop reading messages and detach from the streams
+   */
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.input.off('data', this.onData);
+    this.input.off('end', this.onEnd);
+    mcpProtocol.endSession(this.session);
+    this.isRunning = false;
+
+    logger.info('MCP stdio transport stopped');
+  }
+
+  /**
+   * Buffer incoming data and process each complete line
+   * @param {string} chunk - Data read from the input stream
+   */
+  onData(chunk) {
+    this.buffer += chunk;
+
+    let newlineIndex;
+    while ((newlineIndex = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(newlineIndex + 1);
+
+      if (line.trim()) {
+        const task = this.handleLine(line).finally(() => this.pending.delete(task));
+        this.pending.add(task);
+      }
+    }
+  }
+
+  /**
+   * Handle the end of the input stream
+   */
+  async onEnd() {
+    logger.info('MCP stdio input closed');
+    this.stop();
+    await Promise.allSettled(this.pending);
+    this.emit('close');
+  }
+
+  /**
+   * Parse and dispatch a single line
+   * @param {string} line - Line containing a JSON-RPC message
+   */
+  async handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      logger.warn(`Received invalid JSON on stdin: ${error.message}`);
+      this.send(mcpProtocol.createErrorResponse(null, mcpProtocol.errorCodes.PARSE_ERROR, 'Parse error'));
+      return;
+    }
+
+    try {
+      const response = await mcpProtocol.handleMessage(message, this.session);
+      if (response) {
+        this.send(response);
+      }
+    } catch (error) {
+      logger.error(`Error handling MCP message on stdin: ${error.message}`);
+      this.send(mcpProtocol.createErrorResponse(
+        message.id ?? null,
+        mcpProtocol.errorCodes.INTERNAL_ERROR,
+        error.message
+      ));
+    }
+  }
+
+  /**
+   * Write a message to the output stream
+   * @param {Object} message - JSON-RPC message
+   */
+  send(message) {
+    this.output.write(`${JSON.stringify(message)}\n`);
+  }
+}
+
+module.exports = McpStdioTransport;
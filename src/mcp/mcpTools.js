@@ -0,0 +1,376 @@
+/**
+ * MCP Tools
+ *
+ * Defines the tools that MCP clients can discover and call.
+ * Each tool declares a JSON Schema for its input and is backed by a McpSapAdapter method.
+ * Tools that write entities build their input schema from the entity model of the
+ * SAP service once it is loaded, and use the built-in schema until then.
+ */
+
+const mcpSapAdapter = require('./mcpSapAdapter');
+const mcpSchemaRegistry = require('./mcpSchemaRegistry');
+const { validateSchema } = require('../util/jsonSchema');
+const { ValidationError, NotFoundError } = require('../middleware/errorHandler');
+const { logger } = require('../util/logger');
+
+// Reusable schema fragments
+const filterSchema = {
+  type: 'object',
+  description: 'Field filters, joined with and. String values match as substrings, numbers and booleans ' +
+    'match exactly, lists match any of their values. Use an object of operators for other conditions: ' +
+    'eq/ne/gt/ge/lt/le (null for null checks), in, contains, startswith, endswith, e.g. ' +
+    '{ "NetAmount": { "gt": 1000 }, "Status": { "in": ["01", "02"] } }. Typed values are written as ' +
+    '{ "type": "datetime" | "datetimeoffset" | "date" | "guid" | "decimal", "value": "..." }. ' +
+    'Combine filters with "$or": [filters], "$and": [filters] and "$not": filter.'
+};
+
+const limitSchema = {
+  type: 'integer',
+  description: 'Maximum number of results to return',
+  minimum: 1
+};
+
+const cursorSchema = {
+  type: 'string',
+  description: 'nextCursor of the previous result, to get the next page with the same filter'
+};
+
+const purchaseOrderIdSchema = {
+  type: 'string',
+  description: 'Purchase order number, e.g. 4500000123',
+  minLength: 1
+};
+
+const etagSchema = {
+  type: 'string',
+  description: '_etag of the purchase order as returned by get_purchase_order. The change fails with a ' +
+    'conflict if the purchase order was changed in SAP since. Use "*" only to overwrite any changes, ' +
+    'e.g. if the purchase order has no _etag',
+  minLength: 1
+};
+
+// Fields a new purchase order and its items need, beyond what the entity model requires
+const requiredPurchaseOrderFields = ['CompanyCode', 'PurchaseOrderType', 'PurchasingOrganization', 'Supplier', 'Items'];
+const requiredPurchaseOrderItemFields = ['Material', 'Plant', 'OrderQuantity', 'NetPrice'];
+
+const purchaseOrderItemSchema = {
+  type: 'object',
+  required: requiredPurchaseOrderItemFields,
+  properties: {
+    ItemNumber: { type: 'string', description: 'Item number, e.g. 00010' },
+    Material: { type: 'string', description: 'Material number' },
+    Plant: { type: 'string', description: 'Receiving plant' },
+    StorageLocation: { type: 'string', description: 'Storage location' },
+    OrderQuantity: { type: 'number', description: 'Ordered quantity' },
+    QuantityUnit: { type: 'string', description: 'Unit of measure, e.g. EA' },
+    NetPrice: { type: 'number', description: 'Net price per unit' },
+    Currency: { type: 'string', description: 'Currency key, e.g. EUR' },
+    DeliveryDate: { type: 'string', description: 'Delivery date (ISO 8601)' }
+  }
+};
+
+// Fields that an update can change
+const purchaseOrderHeaderProperties = {
+  CompanyCode: { type: 'string', description: 'Company code' },
+  PurchaseOrderType: { type: 'string', description: 'Purchase order type, e.g. NB' },
+  PurchasingOrganization: { type: 'string', description: 'Purchasing organization' },
+  PurchasingGroup: { type: 'string', description: 'Purchasing group' },
+  Supplier: { type: 'string', description: 'Supplier number' },
+  DocumentDate: { type: 'string', description: 'Document date (ISO 8601)' },
+  Currency: { type: 'string', description: 'Document currency' },
+  ValidityStart: { type: 'string', description: 'Validity start date (ISO 8601)' },
+  ValidityEnd: { type: 'string', description: 'Validity end date (ISO 8601)' }
+};
+
+const purchaseOrderProperties = {
+  ...purchaseOrderHeaderProperties,
+  Items: { type: 'array', description: 'Purchase order items', items: purchaseOrderItemSchema }
+};
+
+/**
+ * Require the fields of an object schema that it declares
+ * @param {Object} schema - Object schema
+ * @param {Array} fields - Fields to require
+ * @returns {Object} - Schema with the declared fields among them required
+ */
+function withRequired(schema, fields) {
+  return {
+    ...schema,
+    required: fields.filter(field => schema.properties[field] !== undefined)
+  };
+}
+
+/**
+ * Built-in tool definitions backed by the SAP adapter
+ */
+const sapTools = [
+  {
+    name: 'get_purchase_orders',
+    description: 'List purchase orders from SAP, optionally filtered by field values',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: limitSchema,
+        filter: filterSchema,
+        cursor: cursorSchema
+      }
+    },
+    handler: args => mcpSapAdapter.getPurchaseOrders({ limit: args.limit, filter: args.filter, cursor: args.cursor })
+  },
+  {
+    name: 'get_purchase_order',
+    description: 'Get a single purchase order including its items',
+    inputSchema: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: purchaseOrderIdSchema
+      }
+    },
+    handler: async args => {
+      const result = await mcpSapAdapter.getPurchaseOrderById(args.id);
+      if (result.status === 'error') {
+        throw new NotFoundError(result.message);
+      }
+      return result;
+    }
+  },
+  {
+    name: 'search_purchase_orders',
+    description: 'Search purchase orders by company name, purchase order type or document type',
+    inputSchema: {
+      type: 'object',
+      required: ['searchTerm'],
+      properties: {
+        searchTerm: { type: 'string', description: 'Text to search for', minLength: 1 }
+      }
+    },
+    handler: args => mcpSapAdapter.searchPurchaseOrders(args.searchTerm)
+  },
+  {
+    name: 'get_suppliers',
+    description: 'List suppliers from SAP, optionally filtered by field values',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: limitSchema,
+        filter: filterSchema,
+        cursor: cursorSchema
+      }
+    },
+    handler: args => mcpSapAdapter.getSuppliers({ limit: args.limit, filter: args.filter, cursor: args.cursor })
+  },
+  {
+    name: 'get_materials',
+    description: 'List materials from SAP, optionally filtered by field values',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        limit: limitSchema,
+        filter: filterSchema,
+        cursor: cursorSchema
+      }
+    },
+    handler: args => mcpSapAdapter.getMaterials({ limit: args.limit, filter: args.filter, cursor: args.cursor })
+  },
+  {
+    name: 'create_purchase_order',
+    description: 'Create a new purchase order in SAP',
+    writes: true,
+    inputSchema: {
+      type: 'object',
+      required: ['purchaseOrder'],
+      properties: {
+        purchaseOrder: {
+          type: 'object',
+          required: requiredPurchaseOrderFields,
+          properties: purchaseOrderProperties
+        }
+      }
+    },
+    buildInputSchema: () => {
+      const purchaseOrder = mcpSchemaRegistry.toJsonSchema(mcpSapAdapter.entitySets.purchaseOrders, {
+        mode: 'create',
+        expand: { Items: mcpSapAdapter.itemsNavigation }
+      });
+
+      if (!purchaseOrder || !purchaseOrder.properties.Items) {
+        return null;
+      }
+
+      return {
+        type: 'object',
+        required: ['purchaseOrder'],
+        properties: {
+          purchaseOrder: withRequired({
+            ...purchaseOrder,
+            properties: {
+              ...purchaseOrder.properties,
+              Items: {
+                ...purchaseOrder.properties.Items,
+                description: 'Purchase order items',
+                items: withRequired(purchaseOrder.properties.Items.items, requiredPurchaseOrderItemFields)
+              }
+            }
+          }, requiredPurchaseOrderFields)
+        }
+      };
+    },
+    handler: args => mcpSapAdapter.createPurchaseOrder(args.purchaseOrder)
+  },
+  {
+    name: 'update_purchase_order',
+    description: 'Update header fields of an existing purchase order in SAP. Fails with a conflict ' +
+      'that includes the current version if the purchase order was changed in SAP since it was read.',
+    writes: true,
+    inputSchema: {
+      type: 'object',
+      required: ['id', 'etag', 'changes'],
+      properties: {
+        id: purchaseOrderIdSchema,
+        etag: etagSchema,
+        changes: {
+          type: 'object',
+          description: 'Fields to change on the purchase order',
+          properties: purchaseOrderHeaderProperties,
+          additionalProperties: false
+        }
+      }
+    },
+    buildInputSchema: () => {
+      const changes = mcpSchemaRegistry.toJsonSchema(mcpSapAdapter.entitySets.purchaseOrders, { mode: 'update' });
+
+      if (!changes) {
+        return null;
+      }
+
+      return {
+        type: 'object',
+        required: ['id', 'etag', 'changes'],
+        properties: {
+          id: purchaseOrderIdSchema,
+          etag: etagSchema,
+          changes: { ...changes, description: 'Fields to change on the purchase order' }
+        }
+      };
+    },
+    handler: async args => {
+      const result = await mcpSapAdapter.updatePurchaseOrder(args.id, args.changes, { etag: args.etag });
+      if (!result) {
+        throw new NotFoundError(`Purchase order with ID ${args.id} not found`);
+      }
+      return result;
+    }
+  },
+  {
+    name: 'delete_purchase_order',
+    description: 'Delete a purchase order in SAP. Fails with a conflict that includes the current ' +
+      'version if the purchase order was changed in SAP since it was read.',
+    writes: true,
+    inputSchema: {
+      type: 'object',
+      required: ['id', 'etag'],
+      properties: {
+        id: purchaseOrderIdSchema,
+        etag: etagSchema
+      }
+    },
+    handler: async args => {
+      const deleted = await mcpSapAdapter.deletePurchaseOrder(args.id, { etag: args.etag });
+      if (!deleted) {
+        throw new NotFoundError(`Purchase order with ID ${args.id} not found`);
+      }
+      return {
+        status: 'success',
+        message: `Purchase order with ID ${args.id} successfully deleted`
+      };
+    }
+  }
+];
+
+class McpTools {
+  constructor() {
+    // Registered tools by name
+    this.tools = new Map();
+
+    sapTools.forEach(tool => this.registerTool(tool));
+  }
+
+  /**
+   * Register a tool
+   * @param {Object} tool - Tool definition
+   * @param {string} tool.name - Unique tool name
+   * @param {string} tool.description - Human-readable description
+   * @param {Object} tool.inputSchema - JSON Schema for the tool arguments
+   * @param {Function} tool.buildInputSchema - Optional function that builds the JSON Schema from
+   *   the entity model of the service, returning null to use inputSchema
+   * @param {boolean} tool.writes - Whether the tool changes data in SAP
+   * @param {Function} tool.handler - Async function invoked with the validated arguments
+   */
+  registerTool(tool) {
+    if (!tool.name || typeof tool.handler !== 'function') {
+      throw new Error('Tool definitions require a name and a handler');
+    }
+
+    this.tools.set(tool.name, tool);
+  }
+
+  /**
+   * Check whether a tool is registered
+   * @param {string} name - Tool name
+   * @returns {boolean} - Whether the tool exists
+   */
+  hasTool(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * List tool definitions without their handlers
+   * @param {Object} options - Listing options
+   * @param {boolean} options.writes - Include tools that change data in SAP
+   * @returns {Array} - Tool definitions
+   */
+  listTools(options = {}) {
+    const { writes = true } = options;
+
+    return Array.from(this.tools.values()).filter(tool => writes || !tool.writes).map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: this.getInputSchema(tool)
+    }));
+  }
+
+  /**
+   * Get the input schema of a tool
+   * @param {Object} tool - Tool definition
+   * @returns {Object} - JSON Schema built from the entity model if possible, the declared one otherwise
+   */
+  getInputSchema(tool) {
+    return (tool.buildInputSchema && tool.buildInputSchema()) || tool.inputSchema;
+  }
+
+  /**
+   * Call a tool
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @returns {Object} - Tool result
+   */
+  async callTool(name, args = {}) {
+    const tool = this.tools.get(name);
+
+    if (!tool) {
+      throw new NotFoundError(`Unknown tool: ${name}`);
+    }
+
+    // Validate the arguments against the tool's input schema
+    const errors = validateSchema(this.getInputSchema(tool), args, 'arguments');
+    if (errors.length > 0) {
+      throw new ValidationError(`Invalid arguments for tool ${name}`, errors);
+    }
+
+    logger.info(`Calling tool ${name}`);
+    return tool.handler(args);
+  }
+}
+
+module.exports = new McpTools();
@@ -0,0 +1,266 @@
+/**
+ * Anthropic Model Provider
+ *
+ * Talks to the Anthropic messages API, including tool use and streaming over
+ * server-sent events.
+ */
+
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+const mcpMessages = require('../mcpMessages');
+const { parseSSE } = require('../../util/streamParsers');
+const { logger } = require('../../util/logger');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+class AnthropicProvider extends BaseProvider {
+  /**
+   * @param {string} name - Provider name
+   * @param {Object} config - Provider configuration
+   */
+  constructor(name, config = {}) {
+    super(name, { ...config, baseUrl: config.baseUrl || 'https://api.anthropic.com/v1' });
+  }
+
+  /**
+   * Get the capabilities of a model
+   * @param {string} modelId - Model identifier
+   * @returns {Object} - Model capabilities
+   */
+  getCapabilities(modelId) {
+    const capabilities = super.getCapabilities(modelId);
+
+    if (modelId.includes('claude-3')) {
+      capabilities.contextSize = 200000;
+      capabilities.supportsFunctions = true;
+      capabilities.supportsVision = true;
+    } else if (modelId.includes('claude-2')) {
+      capabilities.contextSize = 100000;
+    } else {
+      capabilities.contextSize = 9000;
+    }
+
+    return capabilities;
+  }
+
+  /**
+   * Get the request headers
+   * @returns {Object} - HTTP headers
+   */
+  getHeaders() {
+    return {
+      'x-api-key': this.apiKey,
+      'anthropic-version': ANTHROPIC_VERSION,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Build the messages request body
+   * @param {string} model - Model to use
+   * @param {Array} messages - Messages
+   * @param {Object} parameters - Generation parameters
+   * @returns {Object} - Request body
+   */
+  buildRequestBody(model, messages, parameters = {}) {
+    const { system, messages: anthropicMessages } = this.toAnthropicMessages(messages);
+
+    return {
+      model,
+      messages: anthropicMessages,
+      system,
+      max_tokens: parameters.maxTokens ?? 1024,
+      temperature: parameters.temperature ?? 0.7,
+      top_p: parameters.topP ?? 1.0
+    };
+  }
+
+  /**
+   * Call the messages API
+   * @param {string} model - Model to use
+   * @param {Array} messages - Messages
+   * @param {Object} parameters - Generation parameters
+   * @param {Array} tools - Tool definitions offered to the model
+   * @returns {Object} - API response
+   */
+  async chat(model, messages, parameters = {}, tools = []) {
+    try {
+      const requestBody = this.buildRequestBody(model, messages, parameters);
+
+      if (tools.length > 0) {
+        requestBody.tools = tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          input_schema: tool.inputSchema
+        }));
+      }
+
+      const response = await axios.post(
+        `${this.baseUrl}/messages`,
+        requestBody,
+        { headers: this.getHeaders() }
+      );
+
+      // Extract response
+      const aiResponse = response.data;
+      const content = aiResponse.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+      const toolCalls = aiResponse.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }));
+
+      return {
+        content,
+        responseMessage: this.createAssistantMessage(content, toolCalls),
+        toolCalls,
+        model,
+        provider: this.name,
+        usage: {
+          prompt_tokens: aiResponse.usage?.input_tokens,
+          completion_tokens: aiResponse.usage?.output_tokens,
+          total_tokens: (aiResponse.usage?.input_tokens || 0) + (aiResponse.usage?.output_tokens || 0)
+        },
+        rawResponse: aiResponse
+      };
+
+    } catch (error) {
+      logger.error(`Anthropic API error (${this.name}): ${error.message}`);
+      throw this.createError('Failed to call Anthropic API', error);
+    }
+  }
+
+  /**
+   * Stream from the messages API (server-sent events)
+   * @param {string} model - Model to use
+   * @param {Array} messages - Messages
+   * @param {Object} parameters - Generation parameters
+   * @param {Function} onToken - Called with each text delta
+   * @param {Object} cancelToken - Axios cancel token
+   * @returns {Object} - API response with the assembled content
+   */
+  async stream(model, messages, parameters = {}, onToken, cancelToken) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/messages`,
+        { ...this.buildRequestBody(model, messages, parameters), stream: true },
+        {
+          headers: this.getHeaders(),
+          responseType: 'stream',
+          cancelToken
+        }
+      );
+
+      let content = '';
+      let inputTokens = 0;
+      let outputTokens = 0;
+
+      for await (const event of parseSSE(response.data)) {
+        const data = JSON.parse(event.data);
+
+        if (data.type === 'message_start') {
+          inputTokens = data.message?.usage?.input_tokens || 0;
+        } else if (data.type === 'content_block_delta' && data.delta?.type === 'text_delta') {
+          content += data.delta.text;
+          onToken(data.delta.text);
+        } else if (data.type === 'message_delta') {
+          outputTokens = data.usage?.output_tokens || outputTokens;
+        } else if (data.type === 'error') {
+          throw new Error(data.error?.message || 'Stream error');
+        } else if (data.type === 'message_stop') {
+          break;
+        }
+      }
+
+      return {
+        content,
+        responseMessage: this.createAssistantMessage(content),
+        model,
+        provider: this.name,
+        usage: {
+          prompt_tokens: inputTokens,
+          completion_tokens: outputTokens,
+          total_tokens: inputTokens + outputTokens
+        }
+      };
+
+    } catch (error) {
+      logger.error(`Anthropic streaming error (${this.name}): ${error.message}`);
+      throw this.createError('Failed to stream from Anthropic API', error);
+    }
+  }
+
+  /**
+   * Convert messages to the Anthropic format
+   * The first system message becomes the system prompt, later system messages are
+   * passed as assistant messages. Tool calls become tool_use blocks and tool results
+   * are sent back as tool_result blocks in a user message.
+   * @param {Array} messages - Messages
+   * @returns {Object} - System prompt and Anthropic messages
+   */
+  toAnthropicMessages(messages) {
+    const systemMessage = messages.find(msg => msg.role === 'system');
+    const anthropicMessages = [];
+
+    for (const msg of messages) {
+      if (msg === systemMessage) {
+        continue;
+      }
+
+      if (msg.role === 'tool') {
+        const block = {
+          type: 'tool_result',
+          tool_use_id: msg.toolCallId,
+          content: msg.content,
+          is_error: Boolean(msg.isError)
+        };
+
+        // Results of parallel tool calls belong in a single user message
+        const previous = anthropicMessages[anthropicMessages.length - 1];
+        if (previous && previous.role === 'user' && Array.isArray(previous.content) &&
+            previous.content.every(item => item.type === 'tool_result')) {
+          previous.content.push(block);
+        } else {
+          anthropicMessages.push({ role: 'user', content: [block] });
+        }
+        continue;
+      }
+
+      if (msg.toolCalls && msg.toolCalls.length > 0) {
+        const text = this.renderText(msg.content);
+        const content = text ? [{ type: 'text', text }] : [];
+        msg.toolCalls.forEach(toolCall => {
+          content.push({ type: 'tool_use', id: toolCall.id, name: toolCall.name, input: toolCall.arguments });
+        });
+        anthropicMessages.push({ role: 'assistant', content });
+        continue;
+      }
+
+      anthropicMessages.push({
+        role: msg.role === 'system' ? 'assistant' : msg.role,
+        content: this.renderContent(msg.content)
+      });
+    }
+
+    return {
+      system: systemMessage ? this.renderText(systemMessage.content) : '',
+      messages: anthropicMessages
+    };
+  }
+
+  /**
+   * Render message content, sending content parts as text blocks
+   * @param {string|Array} content - Message content
+   * @returns {string|Array} - Anthropic content
+   */
+  renderContent(content) {
+    if (!Array.isArray(content)) {
+      return content;
+    }
+
+    return content.map(part => ({ type: 'text', text: mcpMessages.renderPart(part) }));
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,180 @@
+/**
+ * Base Model Provider
+ *
+ * Defines the interface every model provider implements:
+ * - chat: complete a conversation, optionally offering tools
+ * - stream: complete a conversation, reporting text deltas as they arrive
+ * - getCapabilities: describe what a model supports
+ * - listModels: list the models the provider serves
+ *
+ * Providers receive and return messages in the internal format described in
+ * mcpModels.js and convert them to their wire format themselves. Message content
+ * is either a string or an array of text and sap_entity parts (see mcpMessages.js),
+ * which renderContent converts to the provider's content format.
+ */
+
+const axios = require('axios');
+const CircuitBreaker = require('./circuitBreaker');
+const mcpMessages = require('../mcpMessages');
+const { ModelProviderError } = require('../../middleware/errorHandler');
+const { parseRetryAfter, isNetworkError } = require('../../util/retry');
+const { logger } = require('../../util/logger');
+
+class BaseProvider {
+  /**
+   * @param {string} name - Provider name, used to reference it in configuration
+   * @param {Object} config - Provider configuration
+   * @param {string} config.baseUrl - API base URL
+   * @param {string} config.apiKey - API key
+   * @param {Array} config.models - Models served by the provider
+   * @param {Object} config.circuitBreaker - Circuit breaker options
+   */
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+    this.baseUrl = config.baseUrl;
+    this.apiKey = config.apiKey;
+    this.models = config.models || [];
+    this.circuitBreaker = new CircuitBreaker(`provider ${name}`, config.circuitBreaker);
+  }
+
+  /**
+   * List the models served by the provider
+   * @returns {Array} - Model identifiers
+   */
+  async listModels() {
+    return this.models;
+  }
+
+  /**
+   * Refresh the list of models, for providers that discover their models
+   * @param {boolean} force - Refresh even if a cached list is still fresh
+   */
+  async refreshModels(force = false) {
+    // Configured model lists are static
+  }
+
+  /**
+   * Check whether the provider serves a model
+   * @param {string} modelId - Model identifier
+   * @returns {boolean} - Whether the model is served
+   */
+  supportsModel(modelId) {
+    return this.models.includes(modelId);
+  }
+
+  /**
+   * Get the capabilities of a model
+   * @param {string} modelId - Model identifier
+   * @returns {Object} - Model capabilities
+   */
+  getCapabilities(modelId) {
+    return {
+      contextSize: 2048,
+      supportsFunctions: false,
+      supportsVision: false,
+      supportsStreaming: true
+    };
+  }
+
+  /**
+   * Complete a conversation
+   * @param {string} model - Model to use
+   * @param {Array} messages - Messages
+   * @param {Object} parameters - Generation parameters
+   * @param {Array} tools - Tool definitions offered to the model
+   * @returns {Object} - Response with content, responseMessage, toolCalls and usage
+   */
+  async chat(model, messages, parameters = {}, tools = []) {
+    throw new Error(`Provider ${this.name} does not implement chat`);
+  }
+
+  /**
+   * Complete a conversation, reporting text deltas as they arrive
+   * @param {string} model - Model to use
+   * @param {Array} messages - Messages
+   * @param {Object} parameters - Generation parameters
+   * @param {Function} onToken - Called with each text delta
+   * @param {Object} cancelToken - Axios cancel token
+   * @returns {Object} - Response with the assembled content
+   */
+  async stream(model, messages, parameters = {}, onToken, cancelToken) {
+    throw new Error(`Provider ${this.name} does not support streaming`);
+  }
+
+  /**
+   * Wrap a failed API call in an error that keeps the details needed to retry it
+   * @param {string} message - Description of the failed call
+   * @param {Object} error - Original error
+   * @returns {Object} - ModelProviderError
+   */
+  createError(message, error) {
+    return new ModelProviderError(`${message}: ${error.message}`, {
+      provider: this.name,
+      status: error.response?.status,
+      retryAfterMs: parseRetryAfter(error.response?.headers?.['retry-after']),
+      network: !axios.isCancel(error) && isNetworkError(error),
+      cancelled: axios.isCancel(error)
+    });
+  }
+
+  /**
+   * Parse tool call arguments that may be encoded as a JSON string
+   * @param {string|Object} args - Raw arguments
+   * @returns {Object} - Parsed arguments
+   */
+  parseToolArguments(args) {
+    if (!args) {
+      return {};
+    }
+    if (typeof args === 'object') {
+      return args;
+    }
+
+    try {
+      return JSON.parse(args);
+    } catch (error) {
+      logger.warn(`Model returned invalid tool arguments: ${args}`);
+      return {};
+    }
+  }
+
+  /**
+   * Render message content as plain text
+   * @param {string|Array} content - Message content
+   * @returns {string} - Text
+   */
+  renderText(content) {
+    return mcpMessages.toText(content);
+  }
+
+  /**
+   * Render message content in the provider's content format, plain text by default
+   * @param {string|Array} content - Message content
+   * @returns {string|Array} - Provider content
+   */
+  renderContent(content) {
+    return this.renderText(content);
+  }
+
+  /**
+   * Create an assistant message in the internal format
+   * @param {string} content - Text content
+   * @param {Array} toolCalls - Tool calls requested by the model
+   * @returns {Object} - Assistant message
+   */
+  createAssistantMessage(content, toolCalls = []) {
+    const message = {
+      role: 'assistant',
+      content
+    };
+
+    if (toolCalls.length > 0) {
+      message.toolCalls = toolCalls;
+    }
+
+    return message;
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,106 @@
+/**
+ * Circuit Breaker
+ *
+ * Stops sending requests to a provider after repeated failures. The circuit
+ * opens after failureThreshold consecutive failures, lets a single trial request
+ * through once resetTimeoutMs has passed (half-open), and closes again when
+ * that request succeeds.
+ */
+
+const { logger } = require('../../util/logger');
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+class CircuitBreaker {
+  /**
+   * @param {string} name - Name used in log messages
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.resetTimeoutMs - Time before a trial request is allowed
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialStartedAt = null;
+  }
+
+  /**
+   * Check whether a request may be sent, moving an expired open circuit to half-open
+   * @returns {boolean} - Whether the request may be sent
+   */
+  canRequest() {
+    const now = Date.now();
+
+    if (this.state === STATES.OPEN && now - this.openedAt >= this.resetTimeoutMs) {
+      this.state = STATES.HALF_OPEN;
+      this.trialStartedAt = null;
+    }
+
+    if (this.state === STATES.CLOSED) {
+      return true;
+    }
+
+    // Only one trial request at a time while half-open. A trial whose outcome was
+    // never recorded (e.g. a cancelled request) stops blocking after resetTimeoutMs.
+    if (this.state === STATES.HALF_OPEN &&
+        (this.trialStartedAt === null || now - this.trialStartedAt >= this.resetTimeoutMs)) {
+      this.trialStartedAt = now;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a successful request
+   */
+  recordSuccess() {
+    if (this.state !== STATES.CLOSED) {
+      logger.info(`Circuit for ${this.name} closed`);
+    }
+
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.trialStartedAt = null;
+  }
+
+  /**
+   * Record a failed request
+   */
+  recordFailure() {
+    this.failures++;
+    this.trialStartedAt = null;
+
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      if (this.state !== STATES.OPEN) {
+        logger.warn(`Circuit for ${this.name} opened after ${this.failures} failures`);
+      }
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Get the current state
+   * @returns {Object} - State and consecutive failures
+   */
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
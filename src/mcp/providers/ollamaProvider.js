@@ -0,0 +1,343 @@
+/**
+ * Ollama Model Provider
+ *
+ * Talks to a local or remote Ollama server through its chat API, including tool
+ * calling for the model families that support it and streaming as
+ * newline-delimited JSON.
+ *
+ * Installed models are discovered through /api/tags and /api/show and merged
+ * with the configured ones, so a freshly pulled model can be used without a
+ * configuration change. Discovery results are cached for discoveryIntervalMs.
+ */
+
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+const OllamaIntegration = require('../../util/ollamaIntegration');
+const { parseNDJSON } = require('../../util/streamParsers');
+const { logger } = require('../../util/logger');
+
+// Minimum time between discoveries, also for forced refreshes of unknown models
+const MIN_DISCOVERY_INTERVAL_MS = 10000;
+
+// Ollama model families that support tool calling
+const ollamaToolModels = ['llama3.1', 'llama3.2', 'llama3.3', 'mistral', 'mistral-nemo', 'qwen2.5', 'command-r'];
+
+class OllamaProvider extends BaseProvider {
+  /**
+   * @param {string} name - Provider name
+   * @param {Object} config - Provider configuration
+   */
+  constructor(name, config = {}) {
+    super(name, { ...config, baseUrl: config.baseUrl || 'http://localhost:11434' });
+
+    this.integration = new OllamaIntegration({ baseUrl: this.baseUrl });
+    this.discoveryEnabled = config.discovery !== false;
+    this.discoveryIntervalMs = config.discoveryIntervalMs ?? 300000;
+
+    // Installed models by name, with the details reported by /api/show
+    this.installedModels = new Map();
+    this.available = true;
+    this.lastDiscovery = 0;
+    this.discovery = null;
+  }
+
+  /**
+   * List the configured and installed models, skipping Ollama when it is down
+   * @returns {Array} - Model identifiers
+   */
+  async listModels() {
+    if (!this.discoveryEnabled) {
+      return this.models;
+    }
+
+    await this.refreshModels();
+
+    if (!this.available) {
+      return [];
+    }
+
+    const installed = Array.from(this.installedModels.keys());
+    const configured = this.models.filter(modelId => !this.installedModels.has(this.normalizeModelName(modelId)));
+
+    return [...configured, ...installed];
+  }
+
+  /**
+   * Check whether the provider serves a model
+   * @param {string} modelId - Model identifier
+   * @returns {boolean} - Whether the model is configured or installed
+   */
+  supportsModel(modelId) {
+    return super.supportsModel(modelId) || this.installedModels.has(this.normalizeModelName(modelId));
+  }
+
+  /**
+   * Refresh the installed models if the cached list is older than the refresh interval
+   * @param {boolean} force - Refresh even if the cached list is still fresh
+   */
+  async refreshModels(force = false) {
+    if (!this.discoveryEnabled) {
+      return;
+    }
+    const maxAge = force ? MIN_DISCOVERY_INTERVAL_MS : this.discoveryIntervalMs;
+    if (Date.now() - this.lastDiscovery < maxAge) {
+      return;
+    }
+
+    // Share one discovery between concurrent callers
+    if (!this.discovery) {
+      this.discovery = this.discoverModels().finally(() => {
+        this.discovery = null;
+      });
+    }
+
+    await this.discovery;
+  }
+
+  /**
+   * Discover the installed models and their context lengths
+   */
+  async discoverModels() {
+    this.lastDiscovery = Date.now();
+    this.available = await this.integration.isAvailable();
+
+    if (!this.available) {
+      logger.warn(`Ollama at ${this.baseUrl} is not available, skipping model discovery`);
+      return;
+    }
+
+    try {
+      const response = await axios.get(`${this.baseUrl}/api/tags`);
+      const installedModels = new Map();
+
+      for (const model of response.data.models || []) {
+        installedModels.set(model.name, await this.getModelDetails(model.name));
+      }
+
+      this.installedModels = installedModels;
+      logger.info(`Discovered ${installedModels.size} installed Ollama models at ${this.baseUrl}`);
+    } catch (error) {
+      // Keep the previous discovery results
+      logger.error(`Error discovering Ollama models: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the details of an installed model from /api/show
+   * @param {string} modelName - Installed model name
+   * @returns {Object} - Context length and tool support, where reported
+   */
+  async getModelDetails(modelName) {
+    try {
+      const response = await axios.post(`${this.baseUrl}/api/show`, { model: modelName });
+      const modelInfo = response.data.model_info || {};
+      const contextKey = Object.keys(modelInfo).find(key => key.endsWith('.context_length'));
+
+      return {
+        contextSize: contextKey ? modelInfo[contextKey] : undefined,
+        // Older Ollama versions do not report capabilities
+        supportsFunctions: Array.isArray(response.data.capabilities)
+          ? response.data.capabilities.includes('tools')
+          : undefined
+      };
+    } catch (error) {
+      logger.warn(`Could not get details of Ollama model ${modelName}: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Normalize a model name to the form listed by /api/tags
+   * @param {string} modelId - Model identifier
+   * @returns {string} - Model name with a tag
+   */
+  normalizeModelName(modelId) {
+    return modelId.includes(':') ? modelId : `${modelId}:latest`;
+  }
+
+  /**
+   * Get the capabilities of a model
+   * @param {string} modelId - Model identifier
+   * @returns {Object} - Model capabilities
+   */
+  getCapabilities(modelId) {
+    const capabilities = super.getCapabilities(modelId);
+    const details = this.installedModels.get(this.normalizeModelName(modelId)) || {};
+
+    // Capabilities vary by model, 4096 is the default for most Ollama models
+    capabilities.contextSize = details.contextSize || 4096;
+    capabilities.supportsFunctions = details.supportsFunctions ?? ollamaToolModels.includes(modelId.split(':')[0]);
+
+    return capabilities;
+  }
+
+  /**
+   * Build the chat request body
+   * @param {string} model - Model to use
+   * @param {Array} messages - Messages
+   * @param {Object} parameters - Generation parameters
+   * @param {boolean} stream - Whether to stream the response
+   * @returns {Object} - Request body
+   */
+  buildRequestBody(model, messages, parameters = {}, stream = false) {
+    return {
+      model,
+      messages: this.toOllamaMessages(messages),
+      stream,
+      options: {
+        temperature: parameters.temperature ?? 0.7,
+        top_p: parameters.topP ?? 1.0,
+        num_predict: parameters.maxTokens ?? 1024
+      }
+    };
+  }
+
+  /**
+   * Call the chat API
+   * @param {string} model - Model to use
+   * @param {Array} messages - Messages
+   * @param {Object} parameters - Generation parameters
+   * @param {Array} tools - Tool definitions offered to the model
+   * @returns {Object} - API response
+   */
+  async chat(model, messages, parameters = {}, tools = []) {
+    try {
+      const requestBody = this.buildRequestBody(model, messages, parameters);
+
+      if (tools.length > 0) {
+        requestBody.tools = tools.map(tool => ({
+          type: 'function',
+          function: {
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.inputSchema
+          }
+        }));
+      }
+
+      const response = await axios.post(
+        `${this.baseUrl}/api/chat`,
+        requestBody,
+        {
+          headers: {
+            'Content-Type': 'application/json'
+          }
+        }
+      );
+
+      // Extract response
+      const aiResponse = response.data;
+      const content = aiResponse.message?.content || '';
+
+      // Ollama does not assign IDs to tool calls
+      const toolCalls = (aiResponse.message?.tool_calls || []).map((toolCall, index) => ({
+        id: `call_${Date.now()}_${index}`,
+        name: toolCall.function.name,
+        arguments: this.parseToolArguments(toolCall.function.arguments)
+      }));
+
+      return {
+        content,
+        responseMessage: this.createAssistantMessage(content, toolCalls),
+        toolCalls,
+        model,
+        provider: this.name,
+        usage: null, // Ollama doesn't provide token usage
+        rawResponse: aiResponse
+      };
+
+    } catch (error) {
+      logger.error(`Ollama API error (${this.name}): ${error.message}`);
+      throw this.createError('Failed to call Ollama API', error);
+    }
+  }
+
+  /**
+   * Stream from the chat API (newline-delimited JSON)
+   * @param {string} model - Model to use
+   * @param {Array} messages - Messages
+   * @param {Object} parameters - Generation parameters
+   * @param {Function} onToken - Called with each text delta
+   * @param {Object} cancelToken - Axios cancel token
+   * @returns {Object} - API response with the assembled content
+   */
+  async stream(model, messages, parameters = {}, onToken, cancelToken) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/api/chat`,
+        this.buildRequestBody(model, messages, parameters, true),
+        {
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          responseType: 'stream',
+          cancelToken
+        }
+      );
+
+      let content = '';
+      let usage = null;
+
+      for await (const chunk of parseNDJSON(response.data)) {
+        if (chunk.error) {
+          throw new Error(chunk.error);
+        }
+
+        const delta = chunk.message?.content;
+        if (delta) {
+          content += delta;
+          onToken(delta);
+        }
+
+        // The final chunk reports the token counts
+        if (chunk.done) {
+          usage = {
+            prompt_tokens: chunk.prompt_eval_count,
+            completion_tokens: chunk.eval_count,
+            total_tokens: (chunk.prompt_eval_count || 0) + (chunk.eval_count || 0)
+          };
+          break;
+        }
+      }
+
+      return {
+        content,
+        responseMessage: this.createAssistantMessage(content),
+        model,
+        provider: this.name,
+        usage
+      };
+
+    } catch (error) {
+      logger.error(`Ollama streaming error (${this.name}): ${error.message}`);
+      throw this.createError('Failed to stream from Ollama API', error);
+    }
+  }
+
+  /**
+   * Convert messages to the Ollama chat format
+   * @param {Array} messages - Messages
+   * @returns {Array} - Ollama messages
+   */
+  toOllamaMessages(messages) {
+    return messages.map(msg => {
+      if (msg.role === 'tool') {
+        return { role: 'tool', content: msg.content };
+      }
+
+      if (msg.toolCalls && msg.toolCalls.length > 0) {
+        return {
+          role: 'assistant',
+          content: this.renderText(msg.content),
+          tool_calls: msg.toolCalls.map(toolCall => ({
+            function: { name: toolCall.name, arguments: toolCall.arguments }
+          }))
+        };
+      }
+
+      return { role: msg.role, content: this.renderContent(msg.content) };
+    });
+  }
+}
+
+module.exports = OllamaProvider;
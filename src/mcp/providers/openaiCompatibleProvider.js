@@ -0,0 +1,74 @@
+/**
+ * OpenAI-Compatible Model Provider
+ *
+ * Talks to inference servers that implement the OpenAI chat completions API at
+ * their own base URL, such as vLLM, LM Studio or the llama.cpp server.
+ *
+ * Model names say nothing about what a local model supports, so capabilities
+ * start from the conservative defaults and are set in configuration:
+ * - capabilities: overrides applied to every model of the provider
+ * - modelCapabilities: overrides for individual models, keyed by model ID
+ */
+
+const OpenAIProvider = require('./openaiProvider');
+const BaseProvider = require('./baseProvider');
+
+class OpenAICompatibleProvider extends OpenAIProvider {
+  /**
+   * @param {string} name - Provider name
+   * @param {Object} config - Provider configuration
+   * @param {string} config.baseUrl - API base URL, e.g. http://localhost:8000/v1
+   * @param {string} config.apiKey - Optional API key
+   * @param {Array} config.models - Models served by the server
+   * @param {Object} config.capabilities - Capability overrides for all models
+   * @param {Object} config.modelCapabilities - Capability overrides by model ID
+   */
+  constructor(name, config = {}) {
+    if (!config.baseUrl) {
+      throw new Error(`Provider ${name} requires a baseUrl`);
+    }
+
+    super(name, { ...config, baseUrl: config.baseUrl.replace(/\/+$/, '') });
+  }
+
+  /**
+   * Get the capabilities of a model
+   * @param {string} modelId - Model identifier
+   * @returns {Object} - Model capabilities
+   */
+  getCapabilities(modelId) {
+    // Skip the OpenAI model name heuristics
+    return {
+      ...BaseProvider.prototype.getCapabilities.call(this, modelId),
+      ...this.config.capabilities,
+      ...(this.config.modelCapabilities || {})[modelId]
+    };
+  }
+
+  /**
+   * Get the request headers, sending a key only if one is configured
+   * @returns {Object} - HTTP headers
+   */
+  getHeaders() {
+    const headers = {
+      'Content-Type': 'application/json'
+    };
+
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Render message content as plain text, many servers accept only string content
+   * @param {string|Array} content - Message content
+   * @returns {string} - Text
+   */
+  renderContent(content) {
+    return this.renderText(content);
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,231 @@
+/**
+ * OpenAI Model Provider
+ *
+ * Talks to the OpenAI chat completions API, including function calling and
+ * streaming over server-sent events.
+ */
+
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+const mcpMessages = require('../mcpMessages');
+const { parseSSE } = require('../../util/streamParsers');
+const { logger } = require('../../util/logger');
+
+class OpenAIProvider extends BaseProvider {
+  /**
+   * @param {string} name - Provider name
+   * @param {Object} config - Provider configuration
+   */
+  constructor(name, config = {}) {
+    super(name, { ...config, baseUrl: config.baseUrl || 'https://api.openai.com/v1' });
+  }
+
+  /**
+   * Get the capabilities of a model
+   * @param {string} modelId - Model identifier
+   * @returns {Object} - Model capabilities
+   */
+  getCapabilities(modelId) {
+    const capabilities = super.getCapabilities(modelId);
+
+    if (modelId.includes('gpt-4')) {
+      capabilities.contextSize = modelId.includes('32k') ? 32768 : 8192;
+      capabilities.supportsFunctions = true;
+      capabilities.supportsVision = modelId.includes('vision');
+    } else if (modelId.includes('gpt-3.5-turbo')) {
+      capabilities.contextSize = modelId.includes('16k') ? 16384 : 4096;
+      capabilities.supportsFunctions = true;
+    }
+
+    return capabilities;
+  }
+
+  /**
+   * Get the request headers
+   * @returns {Object} - HTTP headers
+   */
+  getHeaders() {
+    return {
+      'Authorization': `Bearer ${this.apiKey}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Build the chat completions request body
+   * @param {string} model - Model to use
+   * @param {Array} messages - Messages
+   * @param {Object} parameters - Generation parameters
+   * @returns {Object} - Request body
+   */
+  buildRequestBody(model, messages, parameters = {}) {
+    return {
+      model,
+      messages: this.toOpenAIMessages(messages),
+      temperature: parameters.temperature ?? 0.7,
+      max_tokens: parameters.maxTokens ?? 1024,
+      top_p: parameters.topP ?? 1.0,
+      frequency_penalty: parameters.frequencyPenalty ?? 0,
+      presence_penalty: parameters.presencePenalty ?? 0
+    };
+  }
+
+  /**
+   * Call the chat completions API
+   * @param {string} model - Model to use
+   * @param {Array} messages - Messages
+   * @param {Object} parameters - Generation parameters
+   * @param {Array} tools - Tool definitions offered to the model
+   * @returns {Object} - API response
+   */
+  async chat(model, messages, parameters = {}, tools = []) {
+    try {
+      const requestBody = this.buildRequestBody(model, messages, parameters);
+
+      if (tools.length > 0) {
+        requestBody.tools = tools.map(tool => ({
+          type: 'function',
+          function: {
+            name: tool.name,
+            description: tool.description,
+            parameters: tool.inputSchema
+          }
+        }));
+      }
+
+      const response = await axios.post(
+        `${this.baseUrl}/chat/completions`,
+        requestBody,
+        { headers: this.getHeaders() }
+      );
+
+      // Extract response
+      const aiResponse = response.data;
+      const responseMessage = aiResponse.choices[0].message;
+      const content = responseMessage.content || '';
+      const toolCalls = (responseMessage.tool_calls || []).map(toolCall => ({
+        id: toolCall.id,
+        name: toolCall.function.name,
+        arguments: this.parseToolArguments(toolCall.function.arguments)
+      }));
+
+      return {
+        content,
+        responseMessage: this.createAssistantMessage(content, toolCalls),
+        toolCalls,
+        model,
+        provider: this.name,
+        usage: aiResponse.usage,
+        rawResponse: aiResponse
+      };
+
+    } catch (error) {
+      logger.error(`OpenAI API error (${this.name}): ${error.message}`);
+      throw this.createError('Failed to call OpenAI API', error);
+    }
+  }
+
+  /**
+   * Stream from the chat completions API (server-sent events)
+   * @param {string} model - Model to use
+   * @param {Array} messages - Messages
+   * @param {Object} parameters - Generation parameters
+   * @param {Function} onToken - Called with each text delta
+   * @param {Object} cancelToken - Axios cancel token
+   * @returns {Object} - API response with the assembled content
+   */
+  async stream(model, messages, parameters = {}, onToken, cancelToken) {
+    try {
+      const response = await axios.post(
+        `${this.baseUrl}/chat/completions`,
+        {
+          ...this.buildRequestBody(model, messages, parameters),
+          stream: true,
+          stream_options: { include_usage: true }
+        },
+        {
+          headers: this.getHeaders(),
+          responseType: 'stream',
+          cancelToken
+        }
+      );
+
+      let content = '';
+      let usage = null;
+
+      for await (const event of parseSSE(response.data)) {
+        if (event.data === '[DONE]') {
+          break;
+        }
+
+        const chunk = JSON.parse(event.data);
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          onToken(delta);
+        }
+        // The final chunk carries the usage and no choices
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+      }
+
+      return {
+        content,
+        responseMessage: this.createAssistantMessage(content),
+        model,
+        provider: this.name,
+        usage
+      };
+
+    } catch (error) {
+      logger.error(`OpenAI streaming error (${this.name}): ${error.message}`);
+      throw this.createError('Failed to stream from OpenAI API', error);
+    }
+  }
+
+  /**
+   * Convert messages to the OpenAI chat format
+   * @param {Array} messages - Messages
+   * @returns {Array} - OpenAI messages
+   */
+  toOpenAIMessages(messages) {
+    return messages.map(msg => {
+      if (msg.role === 'tool') {
+        return { role: 'tool', tool_call_id: msg.toolCallId, content: msg.content };
+      }
+
+      if (msg.toolCalls && msg.toolCalls.length > 0) {
+        return {
+          role: 'assistant',
+          content: this.renderText(msg.content) || null,
+          tool_calls: msg.toolCalls.map(toolCall => ({
+            id: toolCall.id,
+            type: 'function',
+            function: {
+              name: toolCall.name,
+              arguments: JSON.stringify(toolCall.arguments)
+            }
+          }))
+        };
+      }
+
+      return { role: msg.role, content: this.renderContent(msg.content) };
+    });
+  }
+
+  /**
+   * Render message content, sending content parts as text parts
+   * @param {string|Array} content - Message content
+   * @returns {string|Array} - OpenAI content
+   */
+  renderContent(content) {
+    if (!Array.isArray(content)) {
+      return content;
+    }
+
+    return content.map(part => ({ type: 'text', text: mcpMessages.renderPart(part) }));
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,169 @@
+/**
+ * Model Provider Registry
+ *
+ * Creates the model providers from configuration and resolves the provider that
+ * serves a model. Each configured provider names its implementation with `type`
+ * (openai, openai-compatible, anthropic, ollama, or a type registered with
+ * registerType), or with `module`, a path to a module exporting a BaseProvider
+ * subclass. Additional providers can be declared in the JSON file named by
+ * MCP_PROVIDERS_FILE:
+ *
+ *   { "providers": { "gateway": { "type": "openai", "baseUrl": "...", "models": [...] } } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mcpConfig = require('../../config/mcpConfig');
+const BaseProvider = require('./baseProvider');
+const OpenAIProvider = require('./openaiProvider');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const OllamaProvider = require('./ollamaProvider');
+const { logger } = require('../../util/logger');
+
+class ProviderRegistry {
+  constructor() {
+    // Provider implementations by type
+    this.types = new Map([
+      ['openai', OpenAIProvider],
+      ['openai-compatible', OpenAICompatibleProvider],
+      ['anthropic', AnthropicProvider],
+      ['ollama', OllamaProvider]
+    ]);
+
+    // Provider instances by name, in configuration order
+    this.providers = new Map();
+
+    this.loadProviders(mcpConfig.models.providers, mcpConfig.models.providersFile);
+  }
+
+  /**
+   * Register a provider implementation
+   * @param {string} type - Type name used in provider configuration
+   * @param {Function} ProviderClass - BaseProvider subclass
+   */
+  registerType(type, ProviderClass) {
+    if (!(ProviderClass.prototype instanceof BaseProvider)) {
+      throw new Error(`Provider type ${type} must extend BaseProvider`);
+    }
+    this.types.set(type, ProviderClass);
+  }
+
+  /**
+   * Register a provider instance, replacing any provider with the same name
+   * @param {Object} provider - Provider instance
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+    logger.info(`Registered model provider ${provider.name} with ${provider.models.length} models`);
+  }
+
+  /**
+   * Create a provider instance from its configuration
+   * @param {string} name - Provider name
+   * @param {Object} providerConfig - Provider configuration
+   * @returns {Object} - Provider instance
+   */
+  createProvider(name, providerConfig) {
+    const config = { circuitBreaker: mcpConfig.models.circuitBreaker, ...providerConfig };
+
+    if (config.module) {
+      const ProviderClass = require(path.resolve(config.module));
+      if (!(ProviderClass.prototype instanceof BaseProvider)) {
+        throw new Error(`Module ${config.module} must export a BaseProvider subclass`);
+      }
+      return new ProviderClass(name, config);
+    }
+
+    // Built-in providers are named after their type
+    const type = config.type || name;
+    const ProviderClass = this.types.get(type);
+    if (!ProviderClass) {
+      throw new Error(`Unknown provider type ${type}`);
+    }
+
+    return new ProviderClass(name, config);
+  }
+
+  /**
+   * Load providers from configuration and an optional JSON file
+   * @param {Object} providersConfig - Provider configurations by name
+   * @param {string} filePath - Path to a JSON file with additional providers
+   */
+  loadProviders(providersConfig = {}, filePath = '') {
+    const configs = { ...providersConfig };
+
+    if (filePath) {
+      try {
+        const file = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        Object.assign(configs, file.providers || {});
+      } catch (error) {
+        logger.warn(`Could not load model providers from ${filePath}: ${error.message}`);
+      }
+    }
+
+    for (const [name, config] of Object.entries(configs)) {
+      if (config.enabled === false) {
+        continue;
+      }
+
+      try {
+        this.register(this.createProvider(name, config));
+      } catch (error) {
+        // One misconfigured provider should not disable the others
+        logger.error(`Could not create model provider ${name}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name
+   * @returns {Object|undefined} - Provider instance
+   */
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  /**
+   * List the registered providers
+   * @returns {Array} - Provider instances
+   */
+  list() {
+    return Array.from(this.providers.values());
+  }
+
+  /**
+   * Find the provider serving a model among the models known so far
+   * @param {string} modelId - Model identifier
+   * @returns {Object|undefined} - Provider instance
+   */
+  findProvider(modelId) {
+    return this.list().find(provider => provider.supportsModel(modelId));
+  }
+
+  /**
+   * Get the provider serving a model, refreshing discovered model lists if the
+   * model is unknown, e.g. because it was installed after the last discovery
+   * @param {string} modelId - Model identifier
+   * @returns {Object} - Provider instance
+   */
+  async getProviderForModel(modelId) {
+    let provider = this.findProvider(modelId);
+
+    if (!provider) {
+      for (const candidate of this.list()) {
+        await candidate.refreshModels(true);
+      }
+      provider = this.findProvider(modelId);
+    }
+
+    if (!provider) {
+      throw new Error(`No provider found for model ${modelId}`);
+    }
+
+    return provider;
+  }
+}
+
+module.exports = new ProviderRegistry();
@@ -0,0 +1,82 @@
+/**
+ * Base Context Store
+ *
+ * Defines the interface every context storage backend implements:
+ * - get: read a context by ID
+ * - set: create or overwrite a context
+ * - touch: extend the expiry of a context, without rewriting it
+ * - delete: remove a context
+ * - list: read all stored contexts
+ * - close: flush pending writes and release resources
+ *
+ * All methods are asynchronous so that backends can be disk or network based.
+ * Contexts are plain objects whose createdAt, updatedAt and expiresAt fields are
+ * Date instances; backends that serialize contexts must restore them as Dates.
+ */
+
+class BaseContextStore {
+  /**
+   * @param {string} name - Store name used in log messages
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Get a context by its ID
+   * @param {string} contextId - Context ID
+   * @returns {Object|null} - Context or null if not stored
+   */
+  async get(contextId) {
+    throw new Error(`Context store ${this.name} does not implement get`);
+  }
+
+  /**
+   * Create or overwrite a context
+   * @param {Object} context - Context with an id field
+   */
+  async set(context) {
+    throw new Error(`Context store ${this.name} does not implement set`);
+  }
+
+  /**
+   * Extend the expiry of a context
+   * Backends that can store the expiry on its own override this.
+   * @param {string} contextId - Context ID
+   * @param {Date} expiresAt - New expiry
+   */
+  async touch(contextId, expiresAt) {
+    const context = await this.get(contextId);
+
+    if (context) {
+      context.expiresAt = expiresAt;
+      await this.set(context);
+    }
+  }
+
+  /**
+   * Delete a context
+   * @param {string} contextId - Context ID
+   * @returns {boolean} - Whether the context existed
+   */
+  async delete(contextId) {
+    throw new Error(`Context store ${this.name} does not implement delete`);
+  }
+
+  /**
+   * List all stored contexts
+   * @returns {Array} - Contexts
+   */
+  async list() {
+    throw new Error(`Context store ${this.name} does not implement list`);
+  }
+
+  /**
+   * Flush pending writes and release resources
+   */
+  async close() {
+    // Nothing to release by default
+  }
+}
+
+module.exports = BaseContextStore;
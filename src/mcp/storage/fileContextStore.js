@@ -0,0 +1,204 @@
+/**
+ * File Context Store
+ *
+ * Persists contexts in an append-only log of newline-delimited JSON records:
+ *   {"op":"set","context":{...}}
+ *   {"op":"touch","id":"...","expiresAt":"..."}
+ *   {"op":"delete","id":"..."}
+ *
+ * The log is replayed into memory on startup, so reads never read the disk.
+ * Every change appends one record; extending the expiry of a context appends a
+ * small touch record rather than the whole context. Once superseded records
+ * outnumber the live contexts the log is rewritten with only the live ones. A
+ * record cut short by a crash is skipped when the log is replayed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MemoryContextStore = require('./memoryContextStore');
+const { logger } = require('../../util/logger');
+
+// Records written before a rewrite of the log is considered
+const MIN_RECORDS_BEFORE_COMPACTION = 1000;
+
+// Context fields stored as Dates
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'expiresAt'];
+
+class FileContextStore extends MemoryContextStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.filePath - Path of the log file
+   */
+  constructor(options = {}) {
+    super({ name: 'file' });
+
+    if (!options.filePath) {
+      throw new Error('File context store requires a filePath');
+    }
+
+    this.filePath = path.resolve(options.filePath);
+    this.records = 0;
+
+    // Appends and rewrites run one at a time, in order
+    this.writeQueue = Promise.resolve();
+
+    this.load();
+  }
+
+  /**
+   * Replay the log into memory and rewrite it without expired or superseded records
+   */
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+      lines.forEach((line, index) => {
+        if (!line.trim()) {
+          return;
+        }
+
+        try {
+          this.applyRecord(JSON.parse(line));
+        } catch (error) {
+          logger.warn(`Skipping invalid record on line ${index + 1} of ${this.filePath}: ${error.message}`);
+        }
+      });
+    }
+
+    const now = new Date();
+    for (const [contextId, context] of this.contexts.entries()) {
+      if (context.expiresAt < now) {
+        this.contexts.delete(contextId);
+      }
+    }
+
+    fs.writeFileSync(this.filePath, this.serializeContexts());
+    this.records = this.contexts.size;
+
+    logger.info(`Loaded ${this.contexts.size} contexts from ${this.filePath}`);
+  }
+
+  /**
+   * Apply a log record to the in-memory contexts
+   * @param {Object} record - Log record
+   */
+  applyRecord(record) {
+    if (record.op === 'set') {
+      DATE_FIELDS.forEach(field => {
+        record.context[field] = new Date(record.context[field]);
+      });
+      this.contexts.set(record.context.id, record.context);
+    } else if (record.op === 'touch') {
+      const context = this.contexts.get(record.id);
+      if (context) {
+        context.expiresAt = new Date(record.expiresAt);
+      }
+    } else if (record.op === 'delete') {
+      this.contexts.delete(record.id);
+    }
+  }
+
+  /**
+   * Create or overwrite a context
+   * @param {Object} context - Context with an id field
+   */
+  async set(context) {
+    await super.set(context);
+    await this.append({ op: 'set', context });
+  }
+
+  /**
+   * Extend the expiry of a context
+   * @param {string} contextId - Context ID
+   * @param {Date} expiresAt - New expiry
+   */
+  async touch(contextId, expiresAt) {
+    if (this.contexts.has(contextId)) {
+      await super.touch(contextId, expiresAt);
+      await this.append({ op: 'touch', id: contextId, expiresAt });
+    }
+  }
+
+  /**
+   * Delete a context
+   * @param {string} contextId - Context ID
+   * @returns {boolean} - Whether the context existed
+   */
+  async delete(contextId) {
+    const existed = await super.delete(contextId);
+
+    if (existed) {
+      await this.append({ op: 'delete', id: contextId });
+    }
+
+    return existed;
+  }
+
+  /**
+   * Wait for pending writes
+   */
+  async close() {
+    await this.writeQueue;
+  }
+
+  /**
+   * Append a record to the log, rewriting the log when it has grown
+   * @param {Object} record - Log record
+   */
+  async append(record) {
+    // Serialize now, later changes to the context belong to later records
+    const line = `${JSON.stringify(record)}\n`;
+
+    await this.enqueue(async () => {
+      await fs.promises.appendFile(this.filePath, line);
+      this.records++;
+
+      if (this.records >= MIN_RECORDS_BEFORE_COMPACTION && this.records > 2 * this.contexts.size) {
+        await this.rewrite();
+      }
+    });
+  }
+
+  /**
+   * Rewrite the log with one record per live context
+   */
+  async rewrite() {
+    const tempPath = `${this.filePath}.tmp`;
+
+    await fs.promises.writeFile(tempPath, this.serializeContexts());
+    await fs.promises.rename(tempPath, this.filePath);
+
+    logger.info(`Compacted context log ${this.filePath} from ${this.records} to ${this.contexts.size} records`);
+    this.records = this.contexts.size;
+  }
+
+  /**
+   * Serialize the live contexts as log records
+   * @returns {string} - Log file contents
+   */
+  serializeContexts() {
+    return Array.from(this.contexts.values())
+      .map(context => `${JSON.stringify({ op: 'set', context })}\n`)
+      .join('');
+  }
+
+  /**
+   * Run a write after the pending ones
+   * @param {Function} write - Async write operation
+   * @returns {Promise} - Settles with the write
+   */
+  enqueue(write) {
+    const result = this.writeQueue.then(write);
+
+    // A failed write must not block the ones after it
+    this.writeQueue = result.catch(error => {
+      logger.error(`Error writing context log ${this.filePath}: ${error.message}`);
+    });
+
+    return result;
+  }
+}
+
+module.exports = FileContextStore;
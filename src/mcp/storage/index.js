@@ -0,0 +1,38 @@
+/**
+ * Context Storage
+ *
+ * Creates the context store selected by mcpConfig.context.storage.type:
+ * - memory: contexts are kept in process memory (default)
+ * - file: contexts are persisted in an append-only JSON log at storage.filePath
+ */
+
+const MemoryContextStore = require('./memoryContextStore');
+const FileContextStore = require('./fileContextStore');
+
+// Store implementations by type
+const storeTypes = {
+  memory: MemoryContextStore,
+  file: FileContextStore
+};
+
+/**
+ * Create a context store
+ * @param {Object} config - Storage configuration
+ * @param {string} config.type - Store type
+ * @param {string} config.filePath - Log file path, for the file store
+ * @returns {Object} - Context store
+ */
+function createContextStore(config = {}) {
+  const type = config.type || 'memory';
+  const StoreClass = storeTypes[type];
+
+  if (!StoreClass) {
+    throw new Error(`Unknown context storage type: ${type}`);
+  }
+
+  return new StoreClass(config);
+}
+
+module.exports = {
+  createContextStore
+};
@@ -0,0 +1,68 @@
+/**
+ * Memory Context Store
+ *
+ * Keeps contexts in a Map. Contexts are lost when the process exits, which is
+ * fine for development and single-request integrations.
+ */
+
+const BaseContextStore = require('./baseContextStore');
+
+class MemoryContextStore extends BaseContextStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.name - Store name used in log messages
+   */
+  constructor(options = {}) {
+    super(options.name || 'memory');
+    this.contexts = new Map();
+  }
+
+  /**
+   * Get a context by its ID
+   * @param {string} contextId - Context ID
+   * @returns {Object|null} - Context or null if not stored
+   */
+  async get(contextId) {
+    return this.contexts.get(contextId) || null;
+  }
+
+  /**
+   * Create or overwrite a context
+   * @param {Object} context - Context with an id field
+   */
+  async set(context) {
+    this.contexts.set(context.id, context);
+  }
+
+  /**
+   * Extend the expiry of a context
+   * @param {string} contextId - Context ID
+   * @param {Date} expiresAt - New expiry
+   */
+  async touch(contextId, expiresAt) {
+    const context = this.contexts.get(contextId);
+
+    if (context) {
+      context.expiresAt = expiresAt;
+    }
+  }
+
+  /**
+   * Delete a context
+   * @param {string} contextId - Context ID
+   * @returns {boolean} - Whether the context existed
+   */
+  async delete(contextId) {
+    return this.contexts.delete(contextId);
+  }
+
+  /**
+   * List all stored contexts
+   * @returns {Array} - Contexts
+   */
+  async list() {
+    return Array.from(this.contexts.values());
+  }
+}
+
+module.exports = MemoryContextStore;
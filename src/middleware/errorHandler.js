@@ -25,6 +25,7 @@ const errorTypes = {
   RateLimitError: { statusCode: 429, log: 'warn' },
   SAPConnectionError: { statusCode: 503, log: 'error' },
   SAPDataError: { statusCode: 502, log: 'error' },
+  ModelProviderError: { statusCode: 502, log: 'error' },
   DatabaseError: { statusCode: 500, log: 'error' },
   ConfigurationError: { statusCode: 500, log: 'error' },
   APIError: { statusCode: 500, log: 'error' },
@@ -111,8 +112,9 @@ module.exports = {
     }
   },
   ConflictError: class ConflictError extends APIError {
-    constructor(message) {
+    constructor(message, data = null) {
       super(message, 409, 'ERR_CONFLICT');
+      this.data = data;
     }
   },
   RateLimitError: class RateLimitError extends APIError {
@@ -130,5 +132,17 @@ module.exports = {
       super(message, 502, 'ERR_SAP_DATA');
       this.data = data;
     }
+  },
+  ModelProviderError: class ModelProviderError extends APIError {
+    constructor(message, details = {}) {
+      super(message, 502, 'ERR_MODEL_PROVIDER');
+      // Upstream HTTP status, requested wait before retrying, and whether the call
+      // failed in the network or was cancelled
+      this.provider = details.provider;
+      this.status = details.status;
+      this.retryAfterMs = details.retryAfterMs;
+      this.network = Boolean(details.network);
+      this.cancelled = Boolean(details.cancelled);
+    }
   }
 }; 
\ No newline at end of file
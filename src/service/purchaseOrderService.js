@@ -1,24 +1,51 @@
 const axios = require('axios');
 const { logger } = require('../util/logger');
 const odataConfig = require('../config/odataConfig');
+const { getODataDialect } = require('../util/odataDialect');
+const { decodeCursor, fetchPages } = require('../util/odataPaging');
 
 /**
- * Get all purchase orders from SAP system
- * @returns {Promise<Array>} Array of purchase orders
+ * Get purchase orders from SAP system, a page at a time
+ * @param {Object} options Paging options
+ * @param {number} options.limit Page size
+ * @param {string} options.cursor nextCursor of the previous page
+ * @param {boolean} options.all Follow the next pages up to options.maxResults purchase orders
+ * @param {number} options.maxResults Maximum purchase orders when following pages
+ * @returns {Promise<Object>} Purchase orders (results) and the cursor of the next page (nextCursor)
  */
-async function getAllPurchaseOrders() {
+async function getAllPurchaseOrders(options = {}) {
+  const endpoint = odataConfig.purchaseOrderEndpoint;
+  const limit = Math.min(options.limit || odataConfig.odata.defaultPageSize, odataConfig.odata.maxPageSize);
+  const maxFetchAllResults = odataConfig.odata.maxFetchAllResults;
+  
+  // An invalid cursor is the caller's error, not a failed SAP request
+  const path = options.cursor ? decodeCursor(options.cursor, endpoint) : `${endpoint}?$top=${limit}`;
+  
   try {
-    const response = await axios.get(`${odataConfig.baseUrl}${odataConfig.purchaseOrderEndpoint}`, {
-      headers: {
-        'APIKey': odataConfig.apiKey,
-        'Accept': 'application/json'
-      },
-      params: {
-        $top: 10 // Limit results
+    const dialect = getODataDialect(odataConfig.odata.version);
+    
+    const page = await fetchPages({
+      path,
+      serviceUrl: odataConfig.baseUrl,
+      all: Boolean(options.all),
+      maxResults: Math.min(options.maxResults || maxFetchAllResults, maxFetchAllResults),
+      fetchPage: async pagePath => {
+        const response = await axios.get(`${odataConfig.baseUrl}${pagePath}`, {
+          headers: {
+            'APIKey': odataConfig.apiKey,
+            'Accept': 'application/json'
+          }
+        });
+        return dialect.parseCollection(response.data);
       }
     });
     
-    return response.data.value || [];
+    return {
+      count: page.results.length,
+      results: page.results,
+      nextCursor: page.nextCursor,
+      ...(page.truncated ? { truncated: true } : {})
+    };
   } catch (error) {
     logger.error(`Failed to fetch purchase orders: ${error.message}`);
     throw new Error(`Failed to fetch purchase orders: ${error.message}`);
@@ -0,0 +1,330 @@
+/**
+ * EDMX Parser
+ *
+ * Parses the $metadata document (EDMX) of an OData v2 or v4 service into a
+ * plain description of its entity types, entity sets and function imports:
+ *
+ *   {
+ *     version: '2.0' | '4.0',
+ *     entityTypes: { 'Namespace.Type': { name, keys, properties, navigationProperties } },
+ *     entitySets: { SetName: { name, entityType } },
+ *     functionImports: { Name: { name, kind, httpMethod, returnType, entitySet, parameters } }
+ *   }
+ *
+ * Properties are { type, nullable, maxLength, precision, scale, label, creatable, updatable },
+ * navigation properties { type, collection }. Type names are namespace-qualified,
+ * with schema aliases resolved.
+ *
+ * Only the parts of XML that EDMX documents use are supported: elements,
+ * attributes, comments, CDATA and declarations. Text content is ignored.
+ */
+
+// Tags, comments, CDATA sections and declarations
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<[?!][\s\S]*?>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+const ATTRIBUTE_PATTERN = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\''
+};
+
+/**
+ * Parse an XML document into a tree of elements
+ * @param {string} text - XML document
+ * @returns {Object} - Document element with children ({ name, attributes, children })
+ */
+function parseXml(text) {
+  const document = { name: '#document', attributes: {}, children: [] };
+  const stack = [document];
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+    const [, closingName, openingName, attributeText, selfClosing] = match;
+
+    if (closingName) {
+      const element = stack.pop();
+      if (stack.length === 0 || element.name !== localName(closingName)) {
+        throw new Error(`Unexpected closing tag </${closingName}>`);
+      }
+    } else if (openingName) {
+      const element = {
+        name: localName(openingName),
+        attributes: parseAttributes(attributeText),
+        children: []
+      };
+      stack[stack.length - 1].children.push(element);
+
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`Unclosed element <${stack[stack.length - 1].name}>`);
+  }
+
+  return document;
+}
+
+/**
+ * Parse the attributes of a tag
+ * @param {string} text - Attribute text of the tag
+ * @returns {Object} - Attribute values by qualified name (e.g. Name, sap:label)
+ */
+function parseAttributes(text) {
+  const attributes = {};
+  let match;
+
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(text || '')) !== null) {
+    attributes[match[1]] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+  }
+
+  return attributes;
+}
+
+/**
+ * Decode XML character and entity references
+ * @param {string} value - Attribute value
+ * @returns {string} - Decoded value
+ */
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (reference, name) => {
+    if (name[0] === '#') {
+      return String.fromCodePoint(name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+    }
+    return XML_ENTITIES[name] !== undefined ? XML_ENTITIES[name] : reference;
+  });
+}
+
+/**
+ * Strip the namespace prefix of an element name
+ * @param {string} name - Qualified name, e.g. edmx:Edmx
+ * @returns {string} - Local name, e.g. Edmx
+ */
+function localName(name) {
+  return name.slice(name.indexOf(':') + 1);
+}
+
+/**
+ * Get the child elements with a name
+ * @param {Object} element - Parent element
+ * @param {string} name - Local name
+ * @returns {Array} - Child elements
+ */
+function childrenNamed(element, name) {
+  return element ? element.children.filter(child => child.name === name) : [];
+}
+
+/**
+ * Parse an EDMX document
+ * @param {string} xml - $metadata document
+ * @returns {Object} - Service description
+ */
+function parseEdmx(xml) {
+  const edmx = childrenNamed(parseXml(xml), 'Edmx')[0];
+
+  if (!edmx) {
+    throw new Error('The document is not an EDMX document');
+  }
+
+  const schemas = childrenNamed(childrenNamed(edmx, 'DataServices')[0], 'Schema');
+  const model = {
+    version: edmx.attributes.Version === '4.0' ? '4.0' : '2.0',
+    entityTypes: {},
+    entitySets: {},
+    functionImports: {}
+  };
+
+  // Type references may use a schema's alias instead of its namespace
+  const aliases = {};
+  schemas.forEach(schema => {
+    if (schema.attributes.Alias) {
+      aliases[schema.attributes.Alias] = schema.attributes.Namespace;
+    }
+  });
+
+  const resolveType = type => {
+    const separator = type.lastIndexOf('.');
+    const namespace = type.slice(0, separator);
+    return aliases[namespace] ? `${aliases[namespace]}${type.slice(separator)}` : type;
+  };
+
+  const associations = {};
+  const operations = {};
+  const baseTypes = {};
+
+  schemas.forEach(schema => {
+    const namespace = schema.attributes.Namespace;
+
+    // OData v2 relationships, needed to find the targets of navigation properties
+    childrenNamed(schema, 'Association').forEach(association => {
+      associations[`${namespace}.${association.attributes.Name}`] = Object.fromEntries(
+        childrenNamed(association, 'End').map(end => [end.attributes.Role, end.attributes])
+      );
+    });
+
+    // OData v4 functions and actions, referenced by function and action imports
+    ['Function', 'Action'].forEach(kind => {
+      childrenNamed(schema, kind).forEach(operation => {
+        operations[`${kind}:${namespace}.${operation.attributes.Name}`] = operation;
+      });
+    });
+  });
+
+  schemas.forEach(schema => {
+    const namespace = schema.attributes.Namespace;
+
+    childrenNamed(schema, 'EntityType').forEach(entityType => {
+      const name = `${namespace}.${entityType.attributes.Name}`;
+
+      if (entityType.attributes.BaseType) {
+        baseTypes[name] = resolveType(entityType.attributes.BaseType);
+      }
+
+      model.entityTypes[name] = {
+        name,
+        keys: childrenNamed(childrenNamed(entityType, 'Key')[0], 'PropertyRef').map(ref => ref.attributes.Name),
+        properties: Object.fromEntries(childrenNamed(entityType, 'Property')
+          .map(property => [property.attributes.Name, parseProperty(property.attributes, resolveType)])),
+        navigationProperties: Object.fromEntries(childrenNamed(entityType, 'NavigationProperty')
+          .map(navigation => [navigation.attributes.Name, parseNavigation(navigation.attributes, associations, resolveType)]))
+      };
+    });
+
+    childrenNamed(schema, 'EntityContainer').forEach(container => {
+      childrenNamed(container, 'EntitySet').forEach(entitySet => {
+        model.entitySets[entitySet.attributes.Name] = {
+          name: entitySet.attributes.Name,
+          entityType: resolveType(entitySet.attributes.EntityType)
+        };
+      });
+
+      // OData v2 function imports declare their parameters themselves
+      childrenNamed(container, 'FunctionImport').filter(functionImport => !functionImport.attributes.Function)
+        .forEach(functionImport => {
+          model.functionImports[functionImport.attributes.Name] = parseOperation(functionImport, {
+            kind: 'function',
+            httpMethod: functionImport.attributes['m:HttpMethod'] || 'GET',
+            returnType: functionImport.attributes.ReturnType
+          }, resolveType);
+        });
+
+      // OData v4 function and action imports refer to functions and actions
+      [['FunctionImport', 'Function', 'GET'], ['ActionImport', 'Action', 'POST']].forEach(([tag, kind, httpMethod]) => {
+        childrenNamed(container, tag).filter(operationImport => operationImport.attributes[kind])
+          .forEach(operationImport => {
+            const operation = operations[`${kind}:${resolveType(operationImport.attributes[kind])}`];
+            if (!operation) {
+              return;
+            }
+
+            const returnType = childrenNamed(operation, 'ReturnType')[0];
+            model.functionImports[operationImport.attributes.Name] = parseOperation(operation, {
+              name: operationImport.attributes.Name,
+              kind: kind.toLowerCase(),
+              httpMethod,
+              returnType: returnType && returnType.attributes.Type,
+              entitySet: operationImport.attributes.EntitySet
+            }, resolveType);
+          });
+      });
+    });
+  });
+
+  // Derived entity types inherit the keys and properties of their base types
+  const inherit = name => {
+    const baseName = baseTypes[name];
+    if (!baseName || !model.entityTypes[baseName]) {
+      return;
+    }
+
+    inherit(baseName);
+    delete baseTypes[name];
+
+    const entityType = model.entityTypes[name];
+    const baseType = model.entityTypes[baseName];
+    entityType.keys = entityType.keys.length > 0 ? entityType.keys : baseType.keys;
+    entityType.properties = { ...baseType.properties, ...entityType.properties };
+    entityType.navigationProperties = { ...baseType.navigationProperties, ...entityType.navigationProperties };
+  };
+  Object.keys(baseTypes).forEach(inherit);
+
+  return model;
+}
+
+/**
+ * Describe a property
+ * @param {Object} attributes - Attributes of the Property element
+ * @param {Function} resolveType - Resolves aliased type names
+ * @returns {Object} - Property description
+ */
+function parseProperty(attributes, resolveType) {
+  const optionalNumber = value => (value !== undefined && /^\d+$/.test(value) ? parseInt(value, 10) : undefined);
+
+  return {
+    type: attributes.Type.startsWith('Edm.') ? attributes.Type : resolveType(attributes.Type),
+    nullable: attributes.Nullable !== 'false',
+    maxLength: optionalNumber(attributes.MaxLength),
+    precision: optionalNumber(attributes.Precision),
+    scale: optionalNumber(attributes.Scale),
+    label: attributes['sap:label'],
+    // SAP annotations of OData v2 services
+    creatable: attributes['sap:creatable'] !== 'false',
+    updatable: attributes['sap:updatable'] !== 'false'
+  };
+}
+
+/**
+ * Describe a navigation property
+ * @param {Object} attributes - Attributes of the NavigationProperty element
+ * @param {Object} associations - OData v2 association ends by association name and role
+ * @param {Function} resolveType - Resolves aliased type names
+ * @returns {Object} - Target entity type and whether it is a collection
+ */
+function parseNavigation(attributes, associations, resolveType) {
+  // OData v4: Type="Namespace.Type" or Type="Collection(Namespace.Type)"
+  if (attributes.Type) {
+    const collection = /^Collection\((.+)\)$/.exec(attributes.Type);
+    return {
+      type: resolveType(collection ? collection[1] : attributes.Type),
+      collection: Boolean(collection)
+    };
+  }
+
+  // OData v2: the target is the association end of ToRole
+  const end = (associations[resolveType(attributes.Relationship)] || {})[attributes.ToRole] || {};
+  return {
+    type: end.Type ? resolveType(end.Type) : undefined,
+    collection: end.Multiplicity === '*'
+  };
+}
+
+/**
+ * Describe a function import, or a v4 function or action
+ * @param {Object} element - FunctionImport, Function or Action element
+ * @param {Object} details - Name, kind, HTTP method, return type and entity set
+ * @param {Function} resolveType - Resolves aliased type names
+ * @returns {Object} - Function import description
+ */
+function parseOperation(element, details, resolveType) {
+  return {
+    name: details.name || element.attributes.Name,
+    kind: details.kind,
+    httpMethod: details.httpMethod,
+    returnType: details.returnType,
+    entitySet: details.entitySet || element.attributes.EntitySet,
+    parameters: Object.fromEntries(childrenNamed(element, 'Parameter')
+      .map(parameter => [parameter.attributes.Name, parseProperty(parameter.attributes, resolveType)]))
+  };
+}
+
+module.exports = {
+  parseXml,
+  parseEdmx
+};
@@ -0,0 +1,126 @@
+/**
+ * JSON Schema Utility
+ *
+ * Provides a lightweight validator for the subset of JSON Schema used by
+ * MCP tool definitions (type, required, properties, items, enum, minimum, maximum,
+ * minLength, maxLength, pattern).
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} - JSON Schema type name
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+/**
+ * Check whether a value matches a JSON Schema type
+ * @param {*} value - Value to check
+ * @param {string} type - Expected JSON Schema type
+ * @returns {boolean} - Whether the value matches
+ */
+function matchesType(value, type) {
+  const actualType = typeOf(value);
+
+  // Integers are valid numbers
+  if (type === 'number') {
+    return actualType === 'number' || actualType === 'integer';
+  }
+
+  return actualType === type;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Path of the value, used in error messages
+ * @returns {Array} - List of validation error messages (empty when valid)
+ */
+function validateSchema(schema, value, path = 'value') {
+  const errors = [];
+
+  if (!schema || typeof schema !== 'object') {
+    return errors;
+  }
+
+  // Type check
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${path} must be of type ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+
+  // Enumerated values
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  // Numeric bounds
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+
+  // String constraints
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${path} must be at least ${schema.minLength} characters long`);
+  }
+  if (typeof value === 'string' && schema.maxLength !== undefined && value.length > schema.maxLength) {
+    errors.push(`${path} must be at most ${schema.maxLength} characters long`);
+  }
+  if (typeof value === 'string' && schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path} must match the pattern ${schema.pattern}`);
+  }
+
+  // Object properties
+  if (typeOf(value) === 'object') {
+    for (const requiredProperty of schema.required || []) {
+      if (value[requiredProperty] === undefined) {
+        errors.push(`${path}.${requiredProperty} is required`);
+      }
+    }
+
+    for (const [property, propertyValue] of Object.entries(value)) {
+      const propertySchema = schema.properties && schema.properties[property];
+
+      if (propertySchema) {
+        errors.push(...validateSchema(propertySchema, propertyValue, `${path}.${property}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${property} is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, propertyValue, `${path}.${property}`));
+      }
+    }
+  }
+
+  // Array items
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateSchema
+};
@@ -21,6 +21,10 @@ const logFilePath = process.env.LOG_FILE_PATH || path.join(logsDir, 'server.log'
 // Determine if we're in production environment
 const isProduction = process.env.NODE_ENV === 'production';
 
+// In stdio transport mode stdout carries the MCP protocol stream,
+// so all console output has to go to stderr instead
+const isStdioTransport = process.argv.includes('--stdio') || process.env.MCP_TRANSPORT === 'stdio';
+
 // Define log levels
 const levels = {
   error: 0,
@@ -78,7 +82,8 @@ const logger = winston.createLogger({
     // Write to console in development or if specifically enabled
     ...(isProduction && process.env.CONSOLE_LOGGING !== 'true' ? [] : [
       new winston.transports.Console({
-        format: consoleFormat
+        format: consoleFormat,
+        stderrLevels: isStdioTransport ? Object.keys(levels) : []
       })
     ]),
     
@@ -0,0 +1,117 @@
+/**
+ * OData Dialects
+ *
+ * Describes the differences between OData v2 (SAP Gateway, e.g. ECC) and
+ * OData v4 (e.g. S/4HANA Cloud) that the connectivity layer has to know about:
+ * - response envelopes: { d: { results, __next, __count } } vs { value, @odata.nextLink, @odata.count }
+ * - filter functions: substringof('x', Field) vs contains(Field, 'x')
+ * - literals: datetime'2024-01-31T00:00:00' vs 2024-01-31, guid'...' vs a bare GUID,
+ *   1000.50M vs 1000.50 for decimals, 123L vs 123 for 64-bit integers
+ * - entity set and navigation property names: PurchaseOrderSet/ToItems vs PurchaseOrder/_Item
+ * - expanded and deep-inserted collections: { results: [...] } vs [...]
+ * - entity tags: __metadata.etag vs @odata.etag, and MERGE vs PATCH for partial updates
+ */
+
+/**
+ * Quote a string literal, doubling embedded quotes
+ * @param {string} value - String value
+ * @returns {string} - OData string literal
+ */
+function quote(value) {
+  return `'${String(value).replace(/'/g, '\'\'')}'`;
+}
+
+const dialects = {
+  '2.0': {
+    version: '2.0',
+    headers: {},
+    countParameter: '$inlinecount=allpages',
+    updateMethod: 'MERGE',
+    navigation: {
+      purchaseOrderItems: 'ToItems'
+    },
+    entitySet: name => `${name}Set`,
+    quote,
+    parseCollection: body => ({
+      results: body.d.results,
+      count: body.d.__count !== undefined ? parseInt(body.d.__count, 10) : undefined,
+      nextLink: body.d.__next
+    }),
+    parseEntity: body => body.d,
+    parseExpanded: value => value?.results || [],
+    getETag: entity => entity?.__metadata?.etag,
+    toExpanded: items => ({ results: items }),
+    substringFilter: (field, value) => `substringof(${quote(value)}, ${field})`,
+    formatDate: date => `datetime'${date.toISOString().split('T')[0]}T00:00:00'`,
+    formatDateTime: date => `datetime'${date.toISOString().replace(/Z$/, '')}'`,
+    formatDateTimeOffset: date => `datetimeoffset'${date.toISOString()}'`,
+    formatGuid: guid => `guid'${guid}'`,
+    formatDecimal: decimal => `${decimal}M`,
+    formatInt64: value => `${value}L`,
+    errorMessage: body => body?.error?.message?.value
+  },
+  '4.0': {
+    version: '4.0',
+    headers: {
+      'OData-Version': '4.0',
+      'OData-MaxVersion': '4.0'
+    },
+    countParameter: '$count=true',
+    updateMethod: 'PATCH',
+    navigation: {
+      purchaseOrderItems: '_Item'
+    },
+    entitySet: name => name,
+    quote,
+    parseCollection: body => ({
+      results: body.value,
+      count: body['@odata.count'],
+      nextLink: body['@odata.nextLink']
+    }),
+    parseEntity: body => body,
+    parseExpanded: value => (Array.isArray(value) ? value : []),
+    getETag: entity => entity?.['@odata.etag'],
+    toExpanded: items => items,
+    substringFilter: (field, value) => `contains(${field}, ${quote(value)})`,
+    formatDate: date => date.toISOString().split('T')[0],
+    formatDateTime: date => date.toISOString(),
+    formatDateTimeOffset: date => date.toISOString(),
+    formatGuid: guid => guid,
+    formatDecimal: decimal => decimal,
+    formatInt64: value => value,
+    errorMessage: body => {
+      const message = body?.error?.message;
+      return typeof message === 'object' && message !== null ? message.value : message;
+    }
+  }
+};
+
+// Accepted spellings of each version
+const VERSION_ALIASES = {
+  '2': '2.0',
+  '2.0': '2.0',
+  'v2': '2.0',
+  '4': '4.0',
+  '4.0': '4.0',
+  '4.01': '4.0',
+  'v4': '4.0'
+};
+
+/**
+ * Get the dialect of an OData version
+ * @param {string} version - OData version ('2.0' or '4.0')
+ * @returns {Object} - Dialect
+ */
+function getODataDialect(version = '2.0') {
+  const dialect = dialects[VERSION_ALIASES[String(version).toLowerCase()]];
+
+  if (!dialect) {
+    throw new Error(`Unsupported OData version: ${version} (supported: ${Object.keys(dialects).join(', ')})`);
+  }
+
+  return dialect;
+}
+
+module.exports = {
+  getODataDialect
+};
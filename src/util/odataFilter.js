@@ -0,0 +1,353 @@
+/**
+ * OData Filter Builder
+ *
+ * Builds $filter expressions from a syntax tree instead of by string
+ * concatenation, so values cannot end their literal and add clauses of their own.
+ * Nodes:
+ *   { type: 'and' | 'or', conditions: [nodes] }
+ *   { type: 'not', condition: node }
+ *   { type: 'compare', field, operator: 'eq' | 'ne' | 'gt' | 'ge' | 'lt' | 'le', value }
+ *   { type: 'in', field, values: [values] }
+ *   { type: 'contains' | 'startswith' | 'endswith', field, value }
+ *
+ * Values are strings, finite numbers, booleans, Dates, null (for null checks
+ * with eq and ne) or typed literals { type, value } with type 'datetime',
+ * 'datetimeoffset', 'date', 'guid' or 'decimal'. Field names must be plain
+ * property names or paths, and can be restricted to an allow-list.
+ */
+
+const { ValidationError } = require('../middleware/errorHandler');
+const { getODataDialect } = require('./odataDialect');
+
+// Property name or path, e.g. Supplier or _Supplier/Country
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\/[A-Za-z_][A-Za-z0-9_]*)*$/;
+
+const COMPARISON_OPERATORS = ['eq', 'ne', 'gt', 'ge', 'lt', 'le'];
+
+/**
+ * Convert a typed literal value to a Date
+ * @param {*} value - Date, ISO 8601 string or milliseconds
+ * @param {string} type - Literal type, used in messages
+ * @returns {Date} - Date
+ */
+function toDate(value, type) {
+  const date = value instanceof Date ? value : new Date(value);
+
+  if (value === null || typeof value === 'boolean' || isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid ${type} value in filter: ${value}`);
+  }
+
+  return date;
+}
+
+/**
+ * Check a value against the pattern of its literal type
+ * @param {*} value - Literal value
+ * @param {RegExp} pattern - Pattern of valid values
+ * @param {string} type - Literal type, used in messages
+ * @returns {string} - Value as string
+ */
+function checkPattern(value, pattern, type) {
+  const text = String(value);
+
+  if (!pattern.test(text)) {
+    throw new ValidationError(`Invalid ${type} value in filter: ${text}`);
+  }
+
+  return text;
+}
+
+// Formatters of typed literals, by literal type
+const LITERAL_FORMATTERS = {
+  datetime: (value, dialect) => dialect.formatDateTime(toDate(value, 'datetime')),
+  datetimeoffset: (value, dialect) => dialect.formatDateTimeOffset(toDate(value, 'datetimeoffset')),
+  date: (value, dialect) => dialect.formatDate(toDate(value, 'date')),
+  guid: (value, dialect) => dialect.formatGuid(checkPattern(value,
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i, 'guid')),
+  decimal: (value, dialect) => dialect.formatDecimal(checkPattern(value, /^-?\d+(\.\d+)?$/, 'decimal'))
+};
+
+/**
+ * Check whether a value is a typed literal
+ * @param {*} value - Filter value
+ * @returns {boolean} - Whether the value is a { type, value } literal
+ */
+function isTypedLiteral(value) {
+  return value !== null && typeof value === 'object' && !(value instanceof Date) &&
+    Object.prototype.hasOwnProperty.call(LITERAL_FORMATTERS, value.type) && 'value' in value;
+}
+
+/**
+ * Format a value as an OData literal
+ * @param {*} value - Filter value
+ * @param {Object} context - Compilation context (dialect)
+ * @returns {string} - OData literal
+ */
+function formatLiteral(value, context) {
+  if (value === null) {
+    return 'null';
+  }
+
+  if (typeof value === 'string') {
+    return context.dialect.quote(value);
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new ValidationError(`Invalid number in filter: ${value}`);
+    }
+    return String(value);
+  }
+
+  if (typeof value === 'boolean') {
+    return String(value);
+  }
+
+  if (value instanceof Date) {
+    return context.dialect.formatDateTime(toDate(value, 'datetime'));
+  }
+
+  if (isTypedLiteral(value)) {
+    return LITERAL_FORMATTERS[value.type](value.value, context.dialect);
+  }
+
+  throw new ValidationError(`Unsupported value in filter: ${JSON.stringify(value)}`);
+}
+
+/**
+ * Check a field name and the allow-list
+ * @param {string} field - Property name or path
+ * @param {Object} context - Compilation context (fields)
+ * @returns {string} - Field name
+ */
+function checkField(field, context) {
+  if (typeof field !== 'string' || !FIELD_PATTERN.test(field)) {
+    throw new ValidationError(`Invalid field name in filter: ${field}`);
+  }
+
+  if (context.fields && !context.fields.includes(field)) {
+    throw new ValidationError(`Cannot filter by ${field}, allowed fields: ${context.fields.join(', ')}`);
+  }
+
+  return field;
+}
+
+/**
+ * Check that a value is a string, as string functions need
+ * @param {*} value - Filter value
+ * @param {string} name - Function name, used in messages
+ * @returns {string} - Value
+ */
+function checkString(value, name) {
+  if (typeof value !== 'string') {
+    throw new ValidationError(`${name} needs a string value in filter`);
+  }
+
+  return value;
+}
+
+/**
+ * Compile the conditions of an and/or node
+ * @param {Object} node - and/or node
+ * @param {Object} context - Compilation context
+ * @returns {Array} - Expressions of the conditions, leaving out empty ones
+ */
+function compileConditions(node, context) {
+  if (!Array.isArray(node.conditions)) {
+    throw new ValidationError(`Filter ${node.type} needs a list of conditions`);
+  }
+
+  return node.conditions.map(condition => compileNode(condition, context)).filter(Boolean);
+}
+
+/**
+ * Compile an and/or node
+ * @param {Object} node - and/or node
+ * @param {Object} context - Compilation context
+ * @returns {string} - Expression, empty if there are no conditions
+ */
+function compileJunction(node, context) {
+  const parts = compileConditions(node, context);
+
+  // Parenthesize so the result can be nested in any other expression
+  return parts.length > 1 ? `(${parts.join(` ${node.type} `)})` : parts.join('');
+}
+
+// Compilers of filter nodes, by node type
+const NODE_COMPILERS = {
+  and: compileJunction,
+  or: compileJunction,
+  not: (node, context) => {
+    const condition = compileNode(node.condition, context);
+    return condition ? `not (${condition})` : '';
+  },
+  compare: (node, context) => {
+    const field = checkField(node.field, context);
+
+    if (!COMPARISON_OPERATORS.includes(node.operator)) {
+      throw new ValidationError(`Unsupported operator in filter: ${node.operator}`);
+    }
+    if (node.value === null && !['eq', 'ne'].includes(node.operator)) {
+      throw new ValidationError(`${field} can only be compared with null using eq or ne`);
+    }
+
+    return `${field} ${node.operator} ${formatLiteral(node.value, context)}`;
+  },
+  in: (node, context) => {
+    const field = checkField(node.field, context);
+
+    if (!Array.isArray(node.values) || node.values.length === 0) {
+      throw new ValidationError(`Filter in for ${field} needs a non-empty list of values`);
+    }
+
+    // The in operator is OData 4.01 only, so it is written as a disjunction
+    const comparisons = node.values.map(value => `${field} eq ${formatLiteral(value, context)}`);
+    return comparisons.length > 1 ? `(${comparisons.join(' or ')})` : comparisons[0];
+  },
+  contains: (node, context) => context.dialect.substringFilter(checkField(node.field, context),
+    checkString(node.value, 'contains')),
+  startswith: (node, context) =>
+    `startswith(${checkField(node.field, context)}, ${context.dialect.quote(checkString(node.value, 'startswith'))})`,
+  endswith: (node, context) =>
+    `endswith(${checkField(node.field, context)}, ${context.dialect.quote(checkString(node.value, 'endswith'))})`
+};
+
+/**
+ * Compile a filter node
+ * @param {Object} node - Filter node
+ * @param {Object} context - Compilation context
+ * @returns {string} - Expression
+ */
+function compileNode(node, context) {
+  const compile = node && Object.prototype.hasOwnProperty.call(NODE_COMPILERS, node.type) && NODE_COMPILERS[node.type];
+
+  if (!compile) {
+    throw new ValidationError(`Unsupported filter node: ${JSON.stringify(node)}`);
+  }
+
+  return compile(node, context);
+}
+
+/**
+ * Compile a filter syntax tree into a $filter expression
+ * @param {Object} node - Root filter node
+ * @param {Object} options - Compilation options
+ * @param {string} options.version - OData version of the service ('2.0' or '4.0')
+ * @param {Array} options.fields - Fields the filter may refer to, any field if omitted
+ * @returns {string} - $filter expression (not URL-encoded), empty if there are no conditions
+ */
+function compileFilter(node, options = {}) {
+  const context = {
+    dialect: getODataDialect(options.version),
+    fields: options.fields
+  };
+
+  // A top-level and/or needs no parentheses
+  if (node && ['and', 'or'].includes(node.type)) {
+    return compileConditions(node, context).join(` ${node.type} `);
+  }
+
+  return compileNode(node, context);
+}
+
+// Logical keys of filter objects
+const LOGICAL_KEYS = {
+  $and: filters => ({ type: 'and', conditions: toFilterList(filters, '$and').map(fromFilterObject) }),
+  $or: filters => ({ type: 'or', conditions: toFilterList(filters, '$or').map(fromFilterObject) }),
+  $not: filter => ({ type: 'not', condition: fromFilterObject(filter) })
+};
+
+/**
+ * Check the operand of $and and $or
+ * @param {*} filters - Operand
+ * @param {string} key - Logical key, used in messages
+ * @returns {Array} - Filter objects
+ */
+function toFilterList(filters, key) {
+  if (!Array.isArray(filters)) {
+    throw new ValidationError(`${key} needs a list of filters`);
+  }
+
+  return filters;
+}
+
+/**
+ * Convert the conditions on one field of a filter object to filter nodes
+ * @param {string} field - Field name
+ * @param {*} value - Value, list of values or object of operators
+ * @returns {Array} - Filter nodes
+ */
+function fromFieldFilter(field, value) {
+  // Strings match as substrings, other values exactly
+  if (typeof value === 'string') {
+    return [{ type: 'contains', field, value }];
+  }
+  if (typeof value === 'number' || typeof value === 'boolean' || isTypedLiteral(value)) {
+    return [{ type: 'compare', field, operator: 'eq', value }];
+  }
+  if (value instanceof Date) {
+    return [{ type: 'compare', field, operator: 'eq', value: { type: 'date', value } }];
+  }
+  if (Array.isArray(value)) {
+    return [{ type: 'in', field, values: value }];
+  }
+
+  if (typeof value !== 'object') {
+    throw new ValidationError(`Unsupported filter for ${field}: ${JSON.stringify(value)}`);
+  }
+
+  return Object.entries(value).filter(([, operand]) => operand !== undefined).map(([operator, operand]) => {
+    if (COMPARISON_OPERATORS.includes(operator)) {
+      return { type: 'compare', field, operator, value: operand };
+    }
+    if (operator === 'in') {
+      return { type: 'in', field, values: operand };
+    }
+    if (['contains', 'startswith', 'endswith'].includes(operator)) {
+      return { type: operator, field, value: operand };
+    }
+
+    throw new ValidationError(`Unsupported operator for ${field}: ${operator}`);
+  });
+}
+
+/**
+ * Convert a filter object to a filter syntax tree
+ *
+ * Keys are field names, and $and, $or (lists of filter objects) and $not (a
+ * filter object). Field values are
+ * - a string: the field contains it
+ * - a number, boolean, Date or typed literal: the field equals it
+ * - a list: the field equals one of its values
+ * - an object of operators: eq, ne, gt, ge, lt, le (null for null checks),
+ *   in (a list), contains, startswith and endswith (strings)
+ * Fields with undefined or null values are ignored.
+ * @param {Object} filter - Filter object, e.g. { Supplier: '173', NetAmount: { gt: 1000 } }
+ * @returns {Object} - Filter node; the conditions are joined with and
+ */
+function fromFilterObject(filter) {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    throw new ValidationError('A filter must be an object of field conditions');
+  }
+
+  const conditions = [];
+
+  for (const [key, value] of Object.entries(filter)) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+
+    if (Object.prototype.hasOwnProperty.call(LOGICAL_KEYS, key)) {
+      conditions.push(LOGICAL_KEYS[key](value));
+    } else {
+      conditions.push(...fromFieldFilter(key, value));
+    }
+  }
+
+  return { type: 'and', conditions };
+}
+
+module.exports = {
+  compileFilter,
+  fromFilterObject
+};
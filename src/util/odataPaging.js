@@ -0,0 +1,192 @@
+/**
+ * OData Paging
+ *
+ * Opaque cursors for paging through OData collections. A cursor encodes the
+ * path of the next page relative to the service root:
+ * - the next link of the response (__next in OData v2, @odata.nextLink in v4,
+ *   usually with a $skiptoken) when the service pages on its own
+ * - otherwise the same query with $skip advanced by $top, if the page was full
+ *
+ * Cursors are signed with an HMAC of the server's cursor secret, so clients
+ * cannot change the path, e.g. to read other entity sets or add query options.
+ */
+
+const crypto = require('crypto');
+const mcpConfig = require('../config/mcpConfig');
+const { ValidationError } = require('../middleware/errorHandler');
+
+// Used when no cursor secret is configured; cursors then expire with the process
+const RANDOM_CURSOR_SECRET = crypto.randomBytes(32);
+
+/**
+ * Sign the payload of a cursor
+ * @param {string} payload - Encoded payload
+ * @returns {Buffer} - HMAC of the payload
+ */
+function sign(payload) {
+  return crypto.createHmac('sha256', mcpConfig.security.cursorSecret || RANDOM_CURSOR_SECRET)
+    .update(payload)
+    .digest();
+}
+
+/**
+ * Encode the path of the next page as a signed cursor
+ * @param {string} path - Path relative to the service root, e.g. PurchaseOrderSet?$top=100&$skip=100
+ * @returns {string} - Cursor
+ */
+function encodeCursor(path) {
+  const payload = Buffer.from(JSON.stringify({ path })).toString('base64url');
+  return `${payload}.${sign(payload).toString('base64url')}`;
+}
+
+/**
+ * Decode a cursor, checking its signature and that it pages through the expected entity set
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} entitySet - Entity set being listed
+ * @returns {string} - Path of the page relative to the service root
+ */
+function decodeCursor(cursor, entitySet) {
+  const [payload, signature, ...rest] = String(cursor).split('.');
+  const expected = sign(payload);
+  const actual = Buffer.from(signature || '', 'base64url');
+
+  if (rest.length > 0 || actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  let path;
+
+  try {
+    ({ path } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8')));
+  } catch (error) {
+    path = undefined;
+  }
+
+  if (typeof path !== 'string' || !(path === entitySet || path.startsWith(`${entitySet}?`))) {
+    throw new ValidationError('Invalid cursor');
+  }
+
+  return path;
+}
+
+/**
+ * Get the path of the page after the given one
+ * @param {string} path - Path of the page relative to the service root
+ * @param {Object} page - Parsed page with results and nextLink
+ * @param {string} serviceUrl - Service root URL
+ * @returns {string|null} - Path of the next page, or null on the last page
+ */
+function getNextPagePath(path, page, serviceUrl) {
+  if (page.nextLink) {
+    return toServicePath(page.nextLink, serviceUrl);
+  }
+
+  const top = parseInt(getQueryParameter(path, '$top'), 10);
+  if (!top || page.results.length < top) {
+    return null;
+  }
+
+  const skip = parseInt(getQueryParameter(path, '$skip'), 10) || 0;
+  return setQueryParameter(path, '$skip', skip + top);
+}
+
+/**
+ * Fetch a page, or follow the next pages up to a maximum number of results
+ * @param {Object} options - Paging options
+ * @param {string} options.path - Path of the first page relative to the service root
+ * @param {string} options.serviceUrl - Service root URL
+ * @param {Function} options.fetchPage - Async function that gets a path and resolves to { results, nextLink }
+ * @param {boolean} options.all - Follow the next pages until maxResults results
+ * @param {number} options.maxResults - Maximum results when following pages
+ * @returns {Object} - Results, cursor of the next page (null on the last page) and
+ *   whether results past maxResults were cut off
+ */
+async function fetchPages({ path, serviceUrl, fetchPage, all = false, maxResults = Infinity }) {
+  const pageSize = getQueryParameter(path, '$top');
+  const results = [];
+  let pagePath = path;
+  let nextPath;
+
+  do {
+    // Ask for no more than the remaining results, unless the server drives the paging
+    const remaining = maxResults - results.length;
+    if (all && parseInt(pageSize, 10) > remaining && getQueryParameter(pagePath, '$skiptoken') === undefined) {
+      pagePath = setQueryParameter(pagePath, '$top', remaining);
+    }
+
+    const page = await fetchPage(pagePath);
+    results.push(...page.results);
+    nextPath = getNextPagePath(pagePath, page, serviceUrl);
+
+    // Later pages keep the requested page size
+    if (nextPath && pageSize !== undefined && getQueryParameter(nextPath, '$skiptoken') === undefined) {
+      nextPath = setQueryParameter(nextPath, '$top', pageSize);
+    }
+    pagePath = nextPath;
+  } while (all && nextPath && results.length < maxResults);
+
+  // A page sized by the server can end past maxResults, its rest cannot be resumed
+  const truncated = results.length > maxResults;
+
+  return {
+    results: truncated ? results.slice(0, maxResults) : results,
+    nextCursor: nextPath && !truncated ? encodeCursor(nextPath) : null,
+    truncated
+  };
+}
+
+/**
+ * Convert a next link to a path relative to the service root
+ * @param {string} link - Absolute, server-relative or service-relative link
+ * @param {string} serviceUrl - Service root URL
+ * @returns {string} - Path relative to the service root
+ */
+function toServicePath(link, serviceUrl) {
+  if (!/^(https?:\/\/|\/)/i.test(link)) {
+    return link;
+  }
+
+  const root = new URL(`${serviceUrl.replace(/\/+$/, '')}/`);
+  const url = new URL(link, root);
+
+  if (url.origin !== root.origin || !url.pathname.startsWith(root.pathname)) {
+    throw new Error(`Next link ${link} is outside the service ${serviceUrl}`);
+  }
+
+  return url.pathname.slice(root.pathname.length) + url.search;
+}
+
+/**
+ * Get a query parameter of a path
+ * @param {string} path - Path with query string
+ * @param {string} name - Parameter name, e.g. $top
+ * @returns {string|undefined} - Raw parameter value
+ */
+function getQueryParameter(path, name) {
+  const query = path.split('?')[1] || '';
+  const parameter = query.split('&').find(pair => pair.split('=')[0] === name);
+  return parameter === undefined ? undefined : parameter.slice(name.length + 1);
+}
+
+/**
+ * Set a query parameter of a path, keeping the other parameters as they are
+ * @param {string} path - Path with query string
+ * @param {string} name - Parameter name, e.g. $skip
+ * @param {*} value - Parameter value, already encoded
+ * @returns {string} - Path with the parameter set
+ */
+function setQueryParameter(path, name, value) {
+  const [resource, query = ''] = path.split('?');
+  const parameters = query.split('&').filter(pair => pair && pair.split('=')[0] !== name);
+  parameters.push(`${name}=${value}`);
+  return `${resource}?${parameters.join('&')}`;
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  fetchPages,
+  getNextPagePath,
+  getQueryParameter,
+  setQueryParameter
+};
@@ -0,0 +1,132 @@
+/**
+ * Retry Utility
+ *
+ * Retries failing asynchronous calls with exponential backoff and jitter,
+ * waiting at least as long as the server asked for with Retry-After. When the
+ * server asks for a longer wait than the longest delay, the call is not retried.
+ */
+
+const { logger } = require('./logger');
+
+/**
+ * Parse a Retry-After header value
+ * @param {string} value - Delay in seconds or an HTTP date
+ * @returns {number|undefined} - Delay in milliseconds
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+// Error codes of failed connections and timeouts
+const NETWORK_ERROR_CODES = [
+  'ECONNABORTED',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'ENOTFOUND',
+  'EPIPE',
+  'ETIMEDOUT'
+];
+
+/**
+ * Check whether an error is a network failure: a request that got no response
+ * @param {Object} error - Error, e.g. an axios error
+ * @returns {boolean} - Whether the request failed in the network
+ */
+function isNetworkError(error) {
+  if (error.network) {
+    return true;
+  }
+
+  return !error.response && (Boolean(error.request) || NETWORK_ERROR_CODES.includes(error.code));
+}
+
+/**
+ * Check whether an HTTP status or network failure is worth retrying
+ * @param {Object} error - Error with optional status, network and cancelled fields
+ * @returns {boolean} - Whether the call may succeed when retried
+ */
+function isRetryableError(error) {
+  if (error.cancelled) {
+    return false;
+  }
+
+  // Errors without a status are only retried if the network failed, not e.g. on programming errors
+  if (!error.status) {
+    return isNetworkError(error);
+  }
+
+  return error.status === 408 || error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise} - Resolves after the delay
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Call a function, retrying retryable failures with exponential backoff
+ * @param {Function} fn - Async function to call, receives the attempt number
+ * @param {Object} options - Retry options
+ * @param {number} options.maxRetries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - Delay before the first retry
+ * @param {number} options.maxDelayMs - Upper bound for a single delay
+ * @param {Function} options.shouldRetry - Decides whether an error is retried
+ * @param {string} options.label - Name of the call for log messages
+ * @returns {*} - Result of the function
+ */
+async function retryWithBackoff(fn, options = {}) {
+  const {
+    maxRetries = 2,
+    baseDelayMs = 500,
+    maxDelayMs = 10000,
+    shouldRetry = isRetryableError,
+    label = 'call'
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= maxRetries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      // Retrying earlier than the server asked for would fail again
+      if (error.retryAfterMs > maxDelayMs) {
+        logger.warn(`Not retrying ${label}, the server asked to wait ${Math.round(error.retryAfterMs)}ms`);
+        throw error;
+      }
+
+      // Full jitter spreads out retries from concurrent callers
+      const backoff = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+      const delay = Math.max(backoff, error.retryAfterMs || 0);
+
+      logger.warn(`Retrying ${label} in ${Math.round(delay)}ms after error: ${error.message}`);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  parseRetryAfter,
+  isNetworkError,
+  isRetryableError,
+  retryWithBackoff
+};
@@ -5,86 +5,56 @@
  * Handles authentication, request execution, and error handling.
  */
 
-const axios = require('axios');
+const crypto = require('crypto');
 const { logger } = require('./logger');
+const { getODataDialect } = require('./odataDialect');
+const { compileFilter, fromFilterObject } = require('./odataFilter');
+const SapHttpClient = require('./sapHttpClient');
+
+// Shared client, so CSRF tokens and session cookies are reused across requests
+const sapHttpClient = new SapHttpClient();
+
+// Line break of multipart and HTTP messages
+const CRLF = '\r\n';
+
+// Request URLs and header fields are written into $batch bodies as they are, so they must not
+// contain line breaks, which would start new request lines, headers or parts
+const BATCH_URL_PATTERN = /^\S+$/;
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const HEADER_VALUE_PATTERN = /^[^\r\n]*$/;
 
 /**
  * Create an OData filter from a filter object
- * @param {Object} filter - Filter object
+ * @param {Object} filter - Filter object, see fromFilterObject in odataFilter
+ * @param {string} version - OData version of the service ('2.0' or '4.0')
+ * @param {Object} options - Filter options
+ * @param {Array} options.fields - Fields the filter may refer to, any field if omitted
  * @returns {string} - OData filter string
  */
-function createFilter(filter) {
+function createFilter(filter, version, options = {}) {
   if (!filter || typeof filter !== 'object') {
     return '';
   }
   
-  const conditions = [];
-  
-  for (const [field, value] of Object.entries(filter)) {
-    if (value === undefined || value === null) {
-      continue;
-    }
-    
-    if (typeof value === 'string') {
-      // String comparison
-      conditions.push(`substringof('${value}', ${field})`);
-    } else if (typeof value === 'number' || typeof value === 'boolean') {
-      // Number or boolean comparison
-      conditions.push(`${field} eq ${value}`);
-    } else if (value instanceof Date) {
-      // Date comparison
-      const dateStr = value.toISOString().split('T')[0];
-      conditions.push(`${field} eq datetime'${dateStr}'`);
-    } else if (typeof value === 'object') {
-      // Range comparison
-      if (value.eq !== undefined) {
-        conditions.push(`${field} eq ${formatValue(value.eq)}`);
-      }
-      if (value.ne !== undefined) {
-        conditions.push(`${field} ne ${formatValue(value.ne)}`);
-      }
-      if (value.gt !== undefined) {
-        conditions.push(`${field} gt ${formatValue(value.gt)}`);
-      }
-      if (value.ge !== undefined) {
-        conditions.push(`${field} ge ${formatValue(value.ge)}`);
-      }
-      if (value.lt !== undefined) {
-        conditions.push(`${field} lt ${formatValue(value.lt)}`);
-      }
-      if (value.le !== undefined) {
-        conditions.push(`${field} le ${formatValue(value.le)}`);
-      }
-    }
-  }
-  
-  return conditions.join(' and ');
-}
-
-/**
- * Format a value for OData query
- * @param {*} value - Value to format
- * @returns {string} - Formatted value
- */
-function formatValue(value) {
-  if (typeof value === 'string') {
-    return `'${value}'`;
-  } else if (value instanceof Date) {
-    return `datetime'${value.toISOString()}'`;
-  } else {
-    return String(value);
-  }
+  return compileFilter(fromFilterObject(filter), { version, fields: options.fields });
 }
 
 /**
  * Execute an OData request to SAP
  * @param {string} url - Request URL
- * @param {string} method - HTTP method (GET, POST, PUT, DELETE)
+ * @param {string} method - HTTP method (GET, POST, PUT, PATCH, MERGE, DELETE)
  * @param {Object} data - Request data
  * @param {Object} credentials - Authentication credentials
+ * @param {Object} options - Request options
+ * @param {string} options.version - OData version of the service ('2.0' or '4.0')
+ * @param {string} options.serviceUrl - Service root URL, derived from url if omitted
+ * @param {Object} options.headers - Additional request headers, e.g. If-Match
+ * @param {boolean} options.fullResponse - Return status, headers and data instead of the data
  * @returns {Object} - Response data
  */
-async function executeODataRequest(url, method, data, credentials) {
+async function executeODataRequest(url, method, data, credentials, options = {}) {
+  const dialect = getODataDialect(options.version);
+  
   try {
     logger.info(`Executing ${method} request to ${url}`);
     
@@ -94,33 +64,31 @@ async function executeODataRequest(url, method, data, credentials) {
       url,
       headers: {
         'Accept': 'application/json',
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...dialect.headers,
+        ...options.headers
       }
     };
     
-    // Add authentication if credentials are provided
-    if (credentials) {
-      if (credentials.username && credentials.password) {
-        // Basic authentication
-        const authString = Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64');
-        config.headers['Authorization'] = `Basic ${authString}`;
-      } else if (credentials.token) {
-        // Token authentication
-        config.headers['Authorization'] = `Bearer ${credentials.token}`;
-      }
-    }
-    
-    // Add request data for POST and PUT requests
-    if (data && (method === 'POST' || method === 'PUT')) {
+    // Add request data for POST, PUT, PATCH and MERGE requests
+    if (data && ['POST', 'PUT', 'PATCH', 'MERGE'].includes(method)) {
       config.data = data;
     }
     
-    // Execute the request
-    const response = await axios(config);
+    // Execute the request, with a CSRF token for changes
+    const response = await sapHttpClient.request(config, { credentials, serviceUrl: options.serviceUrl });
     
     // Log success
     logger.info(`${method} request to ${url} successful`);
     
+    if (options.fullResponse) {
+      return {
+        status: response.status,
+        headers: response.headers,
+        data: response.data
+      };
+    }
+    
     return response.data;
     
   } catch (error) {
@@ -131,8 +99,9 @@ async function executeODataRequest(url, method, data, credentials) {
     if (error.response) {
       logger.error(`SAP responded with status code ${error.response.status}`);
       
-      if (error.response.data && error.response.data.error) {
-        logger.error(`SAP error message: ${error.response.data.error.message.value}`);
+      const sapMessage = dialect.errorMessage(error.response.data);
+      if (sapMessage) {
+        logger.error(`SAP error message: ${sapMessage}`);
       }
     }
     
@@ -142,46 +111,15 @@ async function executeODataRequest(url, method, data, credentials) {
 }
 
 /**
- * Create an XSRF token for SAP Gateway
- * @param {string} url - Gateway URL
+ * Get the CSRF token of the SAP session for a service, fetching one if none is cached
+ * @param {string} url - Service root URL
  * @param {Object} credentials - Authentication credentials
  * @returns {string} - XSRF token
  */
 async function createXsrfToken(url, credentials) {
   try {
-    // Execute a HEAD request to get the XSRF token
-    const config = {
-      method: 'HEAD',
-      url,
-      headers: {
-        'x-csrf-token': 'Fetch',
-        'Accept': 'application/json'
-      }
-    };
-    
-    // Add authentication if credentials are provided
-    if (credentials) {
-      if (credentials.username && credentials.password) {
-        // Basic authentication
-        const authString = Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64');
-        config.headers['Authorization'] = `Basic ${authString}`;
-      } else if (credentials.token) {
-        // Token authentication
-        config.headers['Authorization'] = `Bearer ${credentials.token}`;
-      }
-    }
-    
-    // Execute the request
-    const response = await axios(config);
-    
-    // Get the XSRF token from the response headers
-    const xsrfToken = response.headers['x-csrf-token'];
-    
-    if (!xsrfToken) {
-      throw new Error('Failed to fetch XSRF token');
-    }
-    
-    return xsrfToken;
+    const session = await sapHttpClient.getSession(url, credentials);
+    return session.token;
     
   } catch (error) {
     logger.error(`Error fetching XSRF token: ${error.message}`);
@@ -190,76 +128,308 @@ async function createXsrfToken(url, credentials) {
 }
 
 /**
- * Batch execute multiple OData requests
+ * Execute OData requests in a single $batch request
+ *
+ * Each entry of requests is either a request ({ method, url, data, headers }, with
+ * url relative to the service root) or a changeset ({ changeset: [requests] }).
+ * The requests of a changeset are applied atomically: SAP either applies all of
+ * them or none.
  * @param {string} batchUrl - Batch endpoint URL
- * @param {Array} requests - Array of request objects
+ * @param {Array} requests - Requests and changesets
  * @param {Object} credentials - Authentication credentials
- * @returns {Array} - Array of response objects
+ * @param {Object} options - Request options
+ * @param {string} options.version - OData version of the service ('2.0' or '4.0')
+ * @param {string} options.serviceUrl - Service root URL, derived from batchUrl if omitted
+ * @returns {Array} - One result per entry of requests: a response
+ *   ({ status, statusText, headers, body }) or a changeset result
+ *   ({ changeset: true, success, responses })
  */
-async function executeBatchRequest(batchUrl, requests, credentials) {
+async function executeBatchRequest(batchUrl, requests, credentials, options = {}) {
+  const dialect = getODataDialect(options.version);
+
   try {
-    // Get XSRF token
-    const xsrfToken = await createXsrfToken(batchUrl, credentials);
-    
     // Generate a batch boundary
-    const boundary = `batch_${Date.now()}`;
-    
-    // Build the batch request body
-    let batchBody = '';
-    
-    requests.forEach((request, index) => {
-      // Add batch delimiter
-      batchBody += `--${boundary}\r\n`;
-      batchBody += 'Content-Type: application/http\r\n';
-      batchBody += `Content-Transfer-Encoding: binary\r\n\r\n`;
-      
-      // Add request line
-      batchBody += `${request.method} ${request.url} HTTP/1.1\r\n`;
-      
-      // Add headers
-      batchBody += 'Accept: application/json\r\n';
-      if (request.method === 'POST' || request.method === 'PUT') {
-        batchBody += 'Content-Type: application/json\r\n';
-      }
-      
-      // Add request data for POST and PUT requests
-      if (request.data && (request.method === 'POST' || request.method === 'PUT')) {
-        const jsonData = JSON.stringify(request.data);
-        batchBody += `Content-Length: ${Buffer.byteLength(jsonData, 'utf8')}\r\n\r\n`;
-        batchBody += `${jsonData}\r\n`;
-      } else {
-        batchBody += '\r\n';
-      }
-    });
-    
-    // Add final boundary
-    batchBody += `--${boundary}--`;
-    
-    // Execute the batch request
-    const response = await axios({
+    const boundary = `batch_${crypto.randomUUID()}`;
+
+    logger.info(`Executing batch request to ${batchUrl} with ${requests.length} entries`);
+
+    // Execute the batch request, a POST with a CSRF token
+    const response = await sapHttpClient.request({
       method: 'POST',
       url: batchUrl,
       headers: {
         'Content-Type': `multipart/mixed; boundary=${boundary}`,
-        'x-csrf-token': xsrfToken,
-        'Accept': 'multipart/mixed'
+        'Accept': 'multipart/mixed',
+        ...dialect.headers
       },
-      data: batchBody
+      data: buildBatchBody(requests, boundary),
+      // Keep the multipart body as text
+      responseType: 'text',
+      transformResponse: [data => data]
+    }, { credentials, serviceUrl: options.serviceUrl });
+
+    const results = parseBatchResponse(response.data, response.headers['content-type']);
+
+    if (results.length !== requests.length) {
+      throw new Error(`Batch response has ${results.length} parts for ${requests.length} entries`);
+    }
+
+    return results.map((result, index) => {
+      if (!requests[index].changeset) {
+        return result;
+      }
+
+      // A failed changeset is answered with a single error response
+      const responses = result.changeset ? result.responses : [result];
+      return {
+        changeset: true,
+        success: responses.every(changesetResponse => changesetResponse.status < 400),
+        responses
+      };
     });
-    
-    // Parse the batch response
-    // This is a simplified version, in production implement proper batch response parsing
-    return response.data;
-    
+
   } catch (error) {
     logger.error(`Error executing batch request: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * Check the URL and headers of a request of a $batch request
+ * @param {Object} request - Request with method, url, data and headers
+ * @returns {Array} - Errors, each naming the field of the request
+ */
+function validateBatchRequest(request) {
+  const errors = [];
+
+  if (typeof request.url !== 'string' || !BATCH_URL_PATTERN.test(request.url)) {
+    errors.push('url must be a non-empty string without whitespace or line breaks');
+  }
+
+  const { headers } = request;
+  if (headers === undefined) {
+    return errors;
+  }
+
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+    errors.push('headers must be an object of header names and string values');
+    return errors;
+  }
+
+  Object.entries(headers).forEach(([name, value]) => {
+    if (!HEADER_NAME_PATTERN.test(name)) {
+      errors.push(`headers has an invalid header name: ${JSON.stringify(name)}`);
+    } else if (typeof value !== 'string' || !HEADER_VALUE_PATTERN.test(value)) {
+      errors.push(`headers.${name} must be a string without line breaks`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Build the multipart body of a $batch request
+ * @param {Array} requests - Requests and changesets
+ * @param {string} boundary - Batch boundary
+ * @returns {string} - Request body
+ */
+function buildBatchBody(requests, boundary) {
+  const parts = requests.map((request, index) => {
+    if (!request.changeset) {
+      return buildRequestPart(request);
+    }
+
+    const changesetBoundary = `changeset_${index}_${boundary}`;
+    return [
+      `Content-Type: multipart/mixed; boundary=${changesetBoundary}`,
+      '',
+      buildMultipart(request.changeset.map((changesetRequest, position) =>
+        buildRequestPart(changesetRequest, position + 1)), changesetBoundary)
+    ].join(CRLF);
+  });
+
+  return buildMultipart(parts, boundary);
+}
+
+/**
+ * Join parts into a multipart body
+ * @param {Array} parts - Parts, each with its MIME headers
+ * @param {string} boundary - Boundary
+ * @returns {string} - Multipart body
+ */
+function buildMultipart(parts, boundary) {
+  return parts.map(part => `--${boundary}${CRLF}${part}${CRLF}`).join('') + `--${boundary}--${CRLF}`;
+}
+
+/**
+ * Build the part of a single request in a $batch request
+ * @param {Object} request - Request with method, url, data and headers
+ * @param {number} contentId - Content-ID of the request within its changeset
+ * @returns {string} - Part with MIME headers
+ */
+function buildRequestPart(request, contentId) {
+  const errors = validateBatchRequest(request);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid batch request ${request.method} ${JSON.stringify(request.url)}: ${errors.join('; ')}`);
+  }
+
+  const lines = ['Content-Type: application/http', 'Content-Transfer-Encoding: binary'];
+
+  if (contentId !== undefined) {
+    lines.push(`Content-ID: ${contentId}`);
+  }
+
+  lines.push('', `${request.method} ${request.url} HTTP/1.1`, 'Accept: application/json');
+
+  Object.entries(request.headers || {}).forEach(([name, value]) => {
+    lines.push(`${name}: ${value}`);
+  });
+
+  if (request.data !== undefined && request.data !== null) {
+    const jsonData = JSON.stringify(request.data);
+    lines.push('Content-Type: application/json', `Content-Length: ${Buffer.byteLength(jsonData, 'utf8')}`, '', jsonData);
+  } else {
+    lines.push('', '');
+  }
+
+  return lines.join(CRLF);
+}
+
+/**
+ * Parse the multipart body of a $batch response
+ * @param {string} body - Response body
+ * @param {string} contentType - Content-Type header of the response
+ * @returns {Array} - Responses, and changeset results ({ changeset: true, responses })
+ */
+function parseBatchResponse(body, contentType) {
+  const boundary = getBoundary(contentType);
+
+  if (!boundary) {
+    throw new Error(`Batch response is not multipart (Content-Type: ${contentType})`);
+  }
+
+  return splitMultipart(body, boundary).map(part => {
+    const { head, content } = splitHead(part);
+    const changesetBoundary = getBoundary(parseHeaders(head)['content-type']);
+
+    if (!changesetBoundary) {
+      return parseHttpResponse(content);
+    }
+
+    return {
+      changeset: true,
+      responses: splitMultipart(content, changesetBoundary).map(changesetPart => {
+        const changesetPartHead = splitHead(changesetPart);
+        const contentId = parseHeaders(changesetPartHead.head)['content-id'];
+        return {
+          ...(contentId !== undefined ? { contentId } : {}),
+          ...parseHttpResponse(changesetPartHead.content)
+        };
+      })
+    };
+  });
+}
+
+/**
+ * Get the boundary parameter of a multipart Content-Type
+ * @param {string} contentType - Content-Type header
+ * @returns {string|null} - Boundary, or null if the content is not multipart
+ */
+function getBoundary(contentType) {
+  const match = /^multipart\/mixed;.*boundary=("?)([^";]+)\1/i.exec(contentType || '');
+  return match ? match[2] : null;
+}
+
+/**
+ * Split a multipart body into its parts
+ * @param {string} body - Multipart body
+ * @param {string} boundary - Boundary
+ * @returns {Array} - Parts, each with its MIME headers
+ */
+function splitMultipart(body, boundary) {
+  return body.split(`--${boundary}`)
+    // Drop the preamble, and the closing delimiter with the epilogue
+    .slice(1)
+    .filter(part => !part.startsWith('--'))
+    .map(part => part.replace(/^\r?\n/, '').replace(/\r?\n$/, ''));
+}
+
+/**
+ * Split a message into its header lines and content at the first empty line
+ * @param {string} text - Message
+ * @returns {Object} - Header lines (head) and content
+ */
+function splitHead(text) {
+  const match = /\r?\n\r?\n/.exec(text);
+
+  if (!match) {
+    return { head: text.split(/\r?\n/), content: '' };
+  }
+
+  return {
+    head: text.slice(0, match.index).split(/\r?\n/),
+    content: text.slice(match.index + match[0].length)
+  };
+}
+
+/**
+ * Parse header lines
+ * @param {Array} lines - Header lines
+ * @returns {Object} - Headers by lower-case name
+ */
+function parseHeaders(lines) {
+  const headers = {};
+
+  lines.forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  });
+
+  return headers;
+}
+
+/**
+ * Parse an HTTP response embedded in a $batch response
+ * @param {string} text - Status line, headers and body
+ * @returns {Object} - Status, status text, headers and body (parsed if JSON)
+ */
+function parseHttpResponse(text) {
+  const { head, content } = splitHead(text);
+  const [statusLine, ...headerLines] = head;
+  const match = /^HTTP\/\d\.\d\s+(\d{3})\s*(.*)$/.exec(statusLine.trim());
+
+  if (!match) {
+    throw new Error(`Invalid status line in batch response: ${statusLine}`);
+  }
+
+  const headers = parseHeaders(headerLines);
+  const body = content.trim();
+  let parsedBody = body || null;
+
+  if (body && /json/i.test(headers['content-type'] || '')) {
+    try {
+      parsedBody = JSON.parse(body);
+    } catch (error) {
+      logger.warn(`Batch response part has invalid JSON: ${error.message}`);
+    }
+  }
+
+  return {
+    status: parseInt(match[1], 10),
+    statusText: match[2],
+    headers,
+    body: parsedBody
+  };
+}
+
 module.exports = {
   createFilter,
   executeODataRequest,
   createXsrfToken,
-  executeBatchRequest
-}; 
\ No newline at end of file
+  executeBatchRequest,
+  validateBatchRequest,
+  parseBatchResponse
+};
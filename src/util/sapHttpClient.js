@@ -0,0 +1,257 @@
+/**
+ * SAP HTTP Client
+ *
+ * Sends requests to SAP OData services within a session. SAP Gateway rejects
+ * changing requests (POST, PUT, PATCH, MERGE, DELETE) without a CSRF token, and
+ * the token is only valid together with the session cookies it was issued with.
+ *
+ * The client fetches a token and the session cookies per service URL and
+ * credentials, caches them, and attaches them to every write. When SAP answers
+ * a write with 403 "CSRF token validation failed" (e.g. after the session
+ * expired) the token is fetched again and the request retried once.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Methods that need no CSRF token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+class SapHttpClient {
+  constructor() {
+    // Token and cookies by service URL and credentials
+    this.sessions = new Map();
+
+    // Token fetches in progress, shared by concurrent requests
+    this.pendingSessions = new Map();
+  }
+
+  /**
+   * Execute a request within the session of a service
+   * @param {Object} config - Axios request configuration
+   * @param {Object} options - Session options
+   * @param {Object} options.credentials - Authentication credentials
+   * @param {string} options.serviceUrl - Service root URL, derived from the request URL if omitted
+   * @returns {Object} - Axios response
+   */
+  async request(config, options = {}) {
+    const { credentials } = options;
+    const serviceUrl = options.serviceUrl || this.getServiceUrl(config.url);
+    const method = (config.method || 'GET').toUpperCase();
+    const needsToken = !SAFE_METHODS.includes(method);
+
+    let session = needsToken
+      ? await this.getSession(serviceUrl, credentials)
+      : this.sessions.get(this.getSessionKey(serviceUrl, credentials));
+
+    try {
+      return await this.send(config, credentials, session);
+    } catch (error) {
+      if (!needsToken || !this.isCsrfFailure(error.response)) {
+        throw error;
+      }
+
+      logger.info(`CSRF token for ${serviceUrl} was rejected, fetching a new one`);
+      this.invalidate(serviceUrl, credentials);
+      session = await this.getSession(serviceUrl, credentials);
+
+      return this.send(config, credentials, session);
+    }
+  }
+
+  /**
+   * Send a request with the authentication, token and cookies of a session
+   * @param {Object} config - Axios request configuration
+   * @param {Object} credentials - Authentication credentials
+   * @param {Object} session - Session with token and cookies, if any
+   * @returns {Object} - Axios response
+   */
+  async send(config, credentials, session) {
+    const headers = {
+      ...config.headers,
+      ...this.getAuthHeaders(credentials)
+    };
+
+    if (session) {
+      headers['x-csrf-token'] = session.token;
+      if (session.cookies.size > 0) {
+        headers['Cookie'] = this.serializeCookies(session.cookies);
+      }
+    }
+
+    try {
+      const response = await axios({ ...config, headers });
+      this.updateCookies(session, response);
+      return response;
+    } catch (error) {
+      this.updateCookies(session, error.response);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the cached session of a service, fetching a token if there is none
+   * @param {string} serviceUrl - Service root URL
+   * @param {Object} credentials - Authentication credentials
+   * @returns {Object} - Session with token and cookies
+   */
+  async getSession(serviceUrl, credentials) {
+    const key = this.getSessionKey(serviceUrl, credentials);
+
+    if (this.sessions.has(key)) {
+      return this.sessions.get(key);
+    }
+
+    if (!this.pendingSessions.has(key)) {
+      const pending = this.fetchSession(serviceUrl, credentials)
+        .then(session => {
+          this.sessions.set(key, session);
+          return session;
+        })
+        .finally(() => {
+          this.pendingSessions.delete(key);
+        });
+
+      this.pendingSessions.set(key, pending);
+    }
+
+    return this.pendingSessions.get(key);
+  }
+
+  /**
+   * Fetch a CSRF token and session cookies from the service root
+   * @param {string} serviceUrl - Service root URL
+   * @param {Object} credentials - Authentication credentials
+   * @returns {Object} - Session with token and cookies
+   */
+  async fetchSession(serviceUrl, credentials) {
+    logger.info(`Fetching CSRF token for ${serviceUrl}`);
+
+    const response = await axios({
+      method: 'GET',
+      url: serviceUrl,
+      headers: {
+        'x-csrf-token': 'Fetch',
+        'Accept': 'application/json',
+        ...this.getAuthHeaders(credentials)
+      }
+    });
+
+    const token = response.headers['x-csrf-token'];
+
+    if (!token || token.toLowerCase() === 'required') {
+      throw new Error(`SAP did not return a CSRF token for ${serviceUrl}`);
+    }
+
+    const session = { token, cookies: new Map() };
+    this.updateCookies(session, response);
+
+    return session;
+  }
+
+  /**
+   * Forget the session of a service
+   * @param {string} serviceUrl - Service root URL
+   * @param {Object} credentials - Authentication credentials
+   */
+  invalidate(serviceUrl, credentials) {
+    this.sessions.delete(this.getSessionKey(serviceUrl, credentials));
+  }
+
+  /**
+   * Check whether a response rejects the CSRF token
+   * @param {Object} response - Axios response
+   * @returns {boolean} - Whether the token was rejected
+   */
+  isCsrfFailure(response) {
+    if (!response || response.status !== 403) {
+      return false;
+    }
+
+    const tokenHeader = response.headers && response.headers['x-csrf-token'];
+    if (tokenHeader && tokenHeader.toLowerCase() === 'required') {
+      return true;
+    }
+
+    const body = typeof response.data === 'string' ? response.data : JSON.stringify(response.data || '');
+    return /CSRF token validation failed/i.test(body);
+  }
+
+  /**
+   * Store the cookies set by a response in a session
+   * @param {Object} session - Session, if any
+   * @param {Object} response - Axios response, if any
+   */
+  updateCookies(session, response) {
+    const setCookie = response && response.headers && response.headers['set-cookie'];
+
+    if (!session || !setCookie) {
+      return;
+    }
+
+    (Array.isArray(setCookie) ? setCookie : [setCookie]).forEach(cookie => {
+      const [pair] = cookie.split(';');
+      const separator = pair.indexOf('=');
+      if (separator > 0) {
+        session.cookies.set(pair.slice(0, separator).trim(), pair.slice(separator + 1).trim());
+      }
+    });
+  }
+
+  /**
+   * Serialize session cookies for the Cookie header
+   * @param {Map} cookies - Cookie values by name
+   * @returns {string} - Cookie header value
+   */
+  serializeCookies(cookies) {
+    return Array.from(cookies.entries()).map(([name, value]) => `${name}=${value}`).join('; ');
+  }
+
+  /**
+   * Build the cache key of a session
+   * @param {string} serviceUrl - Service root URL
+   * @param {Object} credentials - Authentication credentials
+   * @returns {string} - Session key
+   */
+  getSessionKey(serviceUrl, credentials = {}) {
+    // Hash the credentials so they are not kept in plain text as map keys
+    const identity = crypto.createHash('sha256')
+      .update(JSON.stringify([credentials.username, credentials.password, credentials.token]))
+      .digest('hex');
+
+    return `${serviceUrl.replace(/\/+$/, '')}#${identity}`;
+  }
+
+  /**
+   * Derive the service root URL from a request URL
+   * @param {string} url - Request URL, e.g. .../ZMM_PURCHASE_ORDER_SRV/PurchaseOrderSet('1')
+   * @returns {string} - Service root URL, e.g. .../ZMM_PURCHASE_ORDER_SRV/
+   */
+  getServiceUrl(url) {
+    const [path] = url.split('?');
+    return path.replace(/\/+$/, '').replace(/[^/]*$/, '');
+  }
+
+  /**
+   * Build authentication headers
+   * @param {Object} credentials - Authentication credentials
+   * @returns {Object} - Authorization header, if credentials are provided
+   */
+  getAuthHeaders(credentials) {
+    if (credentials && credentials.username && credentials.password) {
+      // Basic authentication
+      const authString = Buffer.from(`${credentials.username}:${credentials.password}`).toString('base64');
+      return { 'Authorization': `Basic ${authString}` };
+    }
+
+    if (credentials && credentials.token) {
+      // Token authentication
+      return { 'Authorization': `Bearer ${credentials.token}` };
+    }
+
+    return {};
+  }
+}
+
+module.exports = SapHttpClient;
@@ -0,0 +1,82 @@
+/**
+ * Server-Sent Events Utility
+ *
+ * Helpers for writing Server-Sent Events (SSE) streams to Express responses.
+ */
+
+/**
+ * Check whether a request accepts an SSE response
+ * @param {Object} req - Express request
+ * @returns {boolean} - Whether text/event-stream is accepted
+ */
+function acceptsEventStream(req) {
+  return (req.headers.accept || '').includes('text/event-stream');
+}
+
+/**
+ * Start an SSE stream on a response
+ * @param {Object} res - Express response
+ * @param {Object} headers - Additional response headers
+ */
+function openEventStream(res, headers = {}) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+    ...headers
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Write an event to an SSE stream
+ * @param {Object} res - Express response
+ * @param {*} data - Event data, serialized as JSON unless it is a string
+ * @param {Object} options - Event options
+ * @param {string} options.event - Event name
+ * @param {string} options.id - Event ID
+ */
+function writeEvent(res, data, options = {}) {
+  let frame = '';
+
+  if (options.id !== undefined) {
+    frame += `id: ${options.id}\n`;
+  }
+  if (options.event) {
+    frame += `event: ${options.event}\n`;
+  }
+
+  const payload = typeof data === 'string' ? data : JSON.stringify(data);
+  payload.split('\n').forEach(line => {
+    frame += `data: ${line}\n`;
+  });
+
+  res.write(`${frame}\n`);
+}
+
+/**
+ * Keep an SSE stream open by periodically writing comment lines
+ * @param {Object} res - Express response
+ * @param {number} intervalMs - Heartbeat interval in milliseconds
+ * @param {Function} onHeartbeat - Optional callback invoked on each heartbeat
+ * @returns {Function} - Function that stops the heartbeat
+ */
+function startHeartbeat(res, intervalMs = 15000, onHeartbeat = null) {
+  const timer = setInterval(() => {
+    res.write(': keep-alive\n\n');
+    if (onHeartbeat) {
+      onHeartbeat();
+    }
+  }, intervalMs);
+
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  acceptsEventStream,
+  openEventStream,
+  writeEvent,
+  startHeartbeat
+};
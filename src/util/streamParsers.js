@@ -0,0 +1,93 @@
+/**
+ * Stream Parsers
+ *
+ * Parse streaming HTTP response bodies from model providers into events.
+ * Supports Server-Sent Events (OpenAI, Anthropic) and newline-delimited JSON (Ollama).
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Split a readable stream into lines
+ * @param {Object} stream - Readable stream
+ * @yields {string} - Lines without their line terminator
+ */
+async function* readLines(stream) {
+  // The decoder keeps multi-byte characters intact across chunk boundaries
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      yield buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      buffer = buffer.slice(newlineIndex + 1);
+    }
+  }
+
+  buffer += decoder.end();
+  if (buffer.length > 0) {
+    yield buffer;
+  }
+}
+
+/**
+ * Parse a Server-Sent Events stream
+ * @param {Object} stream - Readable stream
+ * @yields {Object} - Events as { event, data }, where data is the joined data lines
+ */
+async function* parseSSE(stream) {
+  let event = null;
+  let dataLines = [];
+
+  for await (const line of readLines(stream)) {
+    // A blank line dispatches the event
+    if (line === '') {
+      if (dataLines.length > 0) {
+        yield { event: event || 'message', data: dataLines.join('\n') };
+      }
+      event = null;
+      dataLines = [];
+      continue;
+    }
+
+    // Comment lines are used as keep-alives
+    if (line.startsWith(':')) {
+      continue;
+    }
+
+    const separatorIndex = line.indexOf(':');
+    const field = separatorIndex === -1 ? line : line.slice(0, separatorIndex);
+    const value = separatorIndex === -1 ? '' : line.slice(separatorIndex + 1).replace(/^ /, '');
+
+    if (field === 'event') {
+      event = value;
+    } else if (field === 'data') {
+      dataLines.push(value);
+    }
+  }
+
+  if (dataLines.length > 0) {
+    yield { event: event || 'message', data: dataLines.join('\n') };
+  }
+}
+
+/**
+ * Parse a newline-delimited JSON stream
+ * @param {Object} stream - Readable stream
+ * @yields {Object} - Parsed JSON objects
+ */
+async function* parseNDJSON(stream) {
+  for await (const line of readLines(stream)) {
+    if (line.trim()) {
+      yield JSON.parse(line);
+    }
+  }
+}
+
+module.exports = {
+  parseSSE,
+  parseNDJSON
+};
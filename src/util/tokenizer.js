@@ -0,0 +1,102 @@
+/**
+ * Tokenizer Utility
+ *
+ * Counts tokens for context accounting. OpenAI models are counted exactly with
+ * their BPE encoding (js-tiktoken). Other model families have no tokenizer
+ * available in Node, so their counts are approximated from the cl100k_base
+ * count with a per-family correction factor.
+ */
+
+const { getEncoding } = require('js-tiktoken');
+
+/**
+ * Encoding and correction factor by model family, first match wins
+ */
+const tokenizerTable = [
+  { pattern: /^(gpt-4o|gpt-4\.1|o1|o3|o4)/, encoding: 'o200k_base', factor: 1 },
+  { pattern: /^(gpt-4|gpt-3\.5)/, encoding: 'cl100k_base', factor: 1 },
+  { pattern: /claude/, encoding: 'cl100k_base', factor: 1.15 },
+  { pattern: /llama3|llama-3/, encoding: 'cl100k_base', factor: 1.0 },
+  { pattern: /llama|codellama/, encoding: 'cl100k_base', factor: 1.25 },
+  { pattern: /mistral|mixtral/, encoding: 'cl100k_base', factor: 1.2 },
+  { pattern: /qwen/, encoding: 'cl100k_base', factor: 1.0 },
+  { pattern: /phi/, encoding: 'cl100k_base', factor: 1.1 }
+];
+
+const defaultTokenizer = { encoding: 'cl100k_base', factor: 1.1 };
+
+// Tokens added per message for the role and message framing
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Loaded encodings by name; loading one parses its full rank table
+const encodings = new Map();
+
+/**
+ * Get a loaded encoding
+ * @param {string} name - Encoding name
+ * @returns {Object} - Encoding
+ */
+function loadEncoding(name) {
+  if (!encodings.has(name)) {
+    encodings.set(name, getEncoding(name));
+  }
+  return encodings.get(name);
+}
+
+/**
+ * Get the tokenizer settings for a model
+ * @param {string} model - Model identifier
+ * @returns {Object} - Encoding name and correction factor
+ */
+function getTokenizer(model = '') {
+  return tokenizerTable.find(entry => entry.pattern.test(model)) || defaultTokenizer;
+}
+
+/**
+ * Count the tokens of a text
+ * @param {string} text - Text
+ * @param {string} model - Model identifier
+ * @returns {number} - Token count
+ */
+function countTokens(text, model) {
+  if (!text) {
+    return 0;
+  }
+
+  const { encoding, factor } = getTokenizer(model);
+
+  // Special tokens such as <|endoftext|> in user text are counted as the plain text they are,
+  // the default of js-tiktoken would throw on them
+  const count = loadEncoding(encoding).encode(text, [], []).length;
+
+  return Math.ceil(count * factor);
+}
+
+/**
+ * Count the tokens of a context message, including tool calls and framing
+ * @param {Object} message - Message in the internal format
+ * @param {string} model - Model identifier
+ * @returns {number} - Token count
+ */
+function countMessageTokens(message, model) {
+  const content = typeof message.content === 'string'
+    ? message.content
+    : JSON.stringify(message.content ?? '');
+
+  let count = MESSAGE_OVERHEAD_TOKENS + countTokens(content, model);
+
+  if (message.name) {
+    count += countTokens(message.name, model);
+  }
+  if (message.toolCalls && message.toolCalls.length > 0) {
+    count += countTokens(JSON.stringify(message.toolCalls), model);
+  }
+
+  return count;
+}
+
+module.exports = {
+  countTokens,
+  countMessageTokens,
+  getTokenizer
+};
@@ -0,0 +1,51 @@
+/**
+ * $metadata document of an OData v2 purchase order service, used by the tests
+ * of the entity model and its consumers
+ */
+
+module.exports = `<?xml version="1.0" encoding="utf-8"?>
+<edmx:Edmx Version="1.0" xmlns:edmx="http://schemas.microsoft.com/ado/2007/06/edmx">
+  <edmx:DataServices m:DataServiceVersion="2.0">
+    <Schema Namespace="ZMM_PURCHASE_ORDER_SRV" xmlns:sap="http://www.sap.com/Protocols/SAPData">
+      <EntityType Name="PurchaseOrder">
+        <Key><PropertyRef Name="PurchaseOrder"/></Key>
+        <Property Name="PurchaseOrder" Type="Edm.String" Nullable="false" MaxLength="10" sap:label="Purchase Order" sap:creatable="false" sap:updatable="false"/>
+        <Property Name="CompanyCode" Type="Edm.String" Nullable="false" MaxLength="4" sap:updatable="false"/>
+        <Property Name="Supplier" Type="Edm.String" MaxLength="10" sap:label="Supplier"/>
+        <Property Name="Currency" Type="Edm.String" MaxLength="5"/>
+        <Property Name="DocumentDate" Type="Edm.DateTime"/>
+        <Property Name="NetAmount" Type="Edm.Decimal" Precision="15" Scale="2" sap:creatable="false" sap:updatable="false"/>
+        <Property Name="LastChangeDateTime" Type="Edm.DateTimeOffset" sap:creatable="false" sap:updatable="false"/>
+        <NavigationProperty Name="ToItems" Relationship="ZMM_PURCHASE_ORDER_SRV.HeaderItems" FromRole="Header" ToRole="Items"/>
+      </EntityType>
+      <EntityType Name="PurchaseOrderItem">
+        <Key><PropertyRef Name="PurchaseOrder"/><PropertyRef Name="ItemNumber"/></Key>
+        <Property Name="PurchaseOrder" Type="Edm.String" MaxLength="10" sap:creatable="false"/>
+        <Property Name="ItemNumber" Type="Edm.String" MaxLength="5"/>
+        <Property Name="Material" Type="Edm.String" MaxLength="40"/>
+        <Property Name="Plant" Type="Edm.String" MaxLength="4"/>
+        <Property Name="OrderQuantity" Type="Edm.Decimal" Precision="13" Scale="3"/>
+        <Property Name="NetPrice" Type="Edm.Decimal" Precision="11" Scale="2"/>
+      </EntityType>
+      <EntityType Name="Supplier">
+        <Key><PropertyRef Name="SupplierId"/></Key>
+        <Property Name="SupplierId" Type="Edm.Guid" Nullable="false"/>
+        <Property Name="Name" Type="Edm.String"/>
+        <Property Name="Blocked" Type="Edm.Boolean"/>
+        <Property Name="Rating" Type="Edm.Int32"/>
+      </EntityType>
+      <Association Name="HeaderItems">
+        <End Type="ZMM_PURCHASE_ORDER_SRV.PurchaseOrder" Multiplicity="1" Role="Header"/>
+        <End Type="ZMM_PURCHASE_ORDER_SRV.PurchaseOrderItem" Multiplicity="*" Role="Items"/>
+      </Association>
+      <EntityContainer Name="ZMM_PURCHASE_ORDER_SRV_Entities" m:IsDefaultEntityContainer="true">
+        <EntitySet Name="PurchaseOrderSet" EntityType="ZMM_PURCHASE_ORDER_SRV.PurchaseOrder"/>
+        <EntitySet Name="PurchaseOrderItemSet" EntityType="ZMM_PURCHASE_ORDER_SRV.PurchaseOrderItem"/>
+        <EntitySet Name="SupplierSet" EntityType="ZMM_PURCHASE_ORDER_SRV.Supplier"/>
+        <FunctionImport Name="ReleasePurchaseOrder" ReturnType="ZMM_PURCHASE_ORDER_SRV.PurchaseOrder" EntitySet="PurchaseOrderSet" m:HttpMethod="POST">
+          <Parameter Name="PurchaseOrder" Type="Edm.String" MaxLength="10"/>
+        </FunctionImport>
+      </EntityContainer>
+    </Schema>
+  </edmx:DataServices>
+</edmx:Edmx>`;
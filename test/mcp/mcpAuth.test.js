@@ -0,0 +1,81 @@
+/**
+ * Tests of the MCP API key authentication
+ */
+
+const express = require('express');
+const request = require('supertest');
+const mcpConfig = require('../../src/config/mcpConfig');
+const mcpAuth = require('../../src/mcp/mcpAuth');
+
+describe('McpAuth', () => {
+  const { authRequired } = mcpConfig.security;
+  let app;
+
+  beforeAll(() => {
+    // Routes mounted like in McpServer, answering with the authenticated caller
+    const router = express.Router();
+    router.use(mcpAuth.authenticate);
+    router.get('/*', (req, res) => res.json({ owner: req.auth.owner, scopes: req.auth.scopes }));
+
+    app = express();
+    app.use('/api', router);
+  });
+
+  beforeEach(() => {
+    mcpConfig.security.authRequired = true;
+  });
+
+  afterAll(() => {
+    mcpConfig.security.authRequired = authRequired;
+  });
+
+  test('records the owner of the API key on the request', async () => {
+    const apiKey = mcpAuth.generateApiKey({ scopes: ['context:manage'], owner: 'buyer-team-a' });
+
+    const response = await request(app).get('/api/context').set('Authorization', `Bearer ${apiKey}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ owner: 'buyer-team-a', scopes: ['context:manage'] });
+  });
+
+  test('checks the scope of the full path below the mount point', async () => {
+    const apiKey = mcpAuth.generateApiKey({ scopes: ['context:manage'], owner: 'buyer-team-a' });
+
+    const response = await request(app).get('/api/sap/purchaseorders').set('Authorization', `Bearer ${apiKey}`);
+
+    expect(response.status).toBe(403);
+    expect(response.body.message).toBe('Insufficient permissions for /api/sap/purchaseorders');
+  });
+
+  test('grants the scopes below a parent scope', async () => {
+    const apiKey = mcpAuth.generateApiKey({ scopes: ['sap:*'], owner: 'buyer-team-b' });
+
+    const response = await request(app).get('/api/sap/suppliers').set('Authorization', `Bearer ${apiKey}`);
+
+    expect(response.status).toBe(200);
+  });
+
+  test('rejects missing, malformed, unknown and revoked keys', async () => {
+    const apiKey = mcpAuth.generateApiKey({ scopes: ['*'] });
+    mcpAuth.revokeApiKey(apiKey);
+
+    const missing = await request(app).get('/api/context');
+    const malformed = await request(app).get('/api/context').set('Authorization', 'Basic abc');
+    const unknown = await request(app).get('/api/context').set('Authorization', 'Bearer unknown');
+    const revoked = await request(app).get('/api/context').set('Authorization', `Bearer ${apiKey}`);
+
+    expect([missing, malformed, unknown, revoked].map(response => response.status)).toEqual([401, 401, 401, 401]);
+    expect(missing.body.message).toBe('Authentication required');
+    expect(malformed.body.message).toBe('Invalid authorization format');
+    expect(revoked.body.message).toBe('Invalid API key');
+    expect(mcpAuth.revokeApiKey('unknown')).toBe(false);
+  });
+
+  test('lets all callers share one owner when authentication is not required', async () => {
+    mcpConfig.security.authRequired = false;
+
+    const response = await request(app).get('/api/context');
+
+    expect(response.body).toEqual({ owner: 'anonymous', scopes: ['*'] });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Tests of the context compaction strategies
+ */
+
+jest.mock('../../src/util/sapConnectivity');
+
+const mcpConfig = require('../../src/config/mcpConfig');
+const mcpContextCompaction = require('../../src/mcp/mcpContextCompaction');
+const mcpContextManager = require('../../src/mcp/mcpContextManager');
+const mcpModels = require('../../src/mcp/mcpModels');
+const { APIError } = require('../../src/middleware/errorHandler');
+
+/**
+ * Build a context whose messages have the given token counts
+ * @param {Array} messages - Messages, each with a tokenCount
+ * @param {string} compaction - Compaction strategy
+ * @returns {Object} - Context
+ */
+function buildContext(messages, compaction = 'drop') {
+  return {
+    id: 'context-1',
+    model: 'gpt-4',
+    compaction,
+    contents: messages,
+    tokenCount: messages.reduce((count, message) => count + message.tokenCount, 0)
+  };
+}
+
+const message = (role, content, tokenCount = 10, extra = {}) => ({ role, content, tokenCount, ...extra });
+const contentsOf = context => context.contents.map(entry => entry.content);
+
+describe('McpContextCompaction', () => {
+  const { keepRecentMessages, summaryMaxTokens } = mcpConfig.context;
+
+  beforeAll(() => {
+    mcpConfig.context.keepRecentMessages = 2;
+    mcpConfig.context.summaryMaxTokens = 10;
+  });
+
+  afterAll(async () => {
+    mcpConfig.context.keepRecentMessages = keepRecentMessages;
+    mcpConfig.context.summaryMaxTokens = summaryMaxTokens;
+    await mcpContextManager.stop();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('leaves contexts within their budget alone', async () => {
+    const context = buildContext([message('user', 'a'), message('assistant', 'b')], 'reject');
+
+    await mcpContextCompaction.compact(context, 20);
+
+    expect(contentsOf(context)).toEqual(['a', 'b']);
+  });
+
+  test('rejects unknown strategies', async () => {
+    const context = buildContext([message('user', 'a')], 'shuffle');
+
+    await expect(mcpContextCompaction.compact(context, 5)).rejects.toThrow('Unknown compaction strategy: shuffle');
+    expect(mcpContextCompaction.isValidStrategy('summarize')).toBe(true);
+    expect(mcpContextCompaction.isValidStrategy('toString')).toBe(false);
+  });
+
+  describe('drop', () => {
+    test('removes the oldest messages until the context fits', async () => {
+      const context = buildContext([message('user', 'a'), message('assistant', 'b'), message('user', 'c')]);
+
+      await mcpContextCompaction.compact(context, 20);
+
+      expect(contentsOf(context)).toEqual(['b', 'c']);
+      expect(context.tokenCount).toBe(20);
+    });
+
+    test('removes a tool call together with its results', async () => {
+      const context = buildContext([
+        message('assistant', '', 10, { toolCalls: [{ id: 'call_1' }] }),
+        message('tool', 'result 1', 10, { toolCallId: 'call_1' }),
+        message('user', [{ type: 'tool_result', toolCallId: 'call_1' }]),
+        message('assistant', 'answer')
+      ]);
+
+      await mcpContextCompaction.compact(context, 30);
+
+      expect(contentsOf(context)).toEqual(['answer']);
+    });
+  });
+
+  describe('reject', () => {
+    test('refuses the update with 413', async () => {
+      const context = buildContext([message('user', 'a', 30)], 'reject');
+
+      const error = await mcpContextCompaction.compact(context, 20).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(APIError);
+      expect(error).toMatchObject({ statusCode: 413, errorCode: 'ERR_CONTEXT_FULL' });
+    });
+
+    test('keeps the previous contents of a context whose update was refused', async () => {
+      const contextId = await mcpContextManager.createContext({
+        model: 'gpt-4',
+        maxTokens: 40,
+        compaction: 'reject',
+        contents: [{ role: 'user', content: 'Show purchase order 4500000001' }]
+      });
+
+      await expect(mcpContextManager.updateContext(contextId, 'append', { role: 'user', content: 'word '.repeat(100) }))
+        .rejects.toThrow(APIError);
+      const context = await mcpContextManager.getContext(contextId);
+
+      expect(context.contents).toHaveLength(1);
+      expect(context.tokenCount).toBe(context.contents[0].tokenCount);
+    });
+  });
+
+  describe('summarize', () => {
+    test('replaces the oldest unpinned messages with a summary of them', async () => {
+      const generate = jest.spyOn(mcpModels, 'generate').mockResolvedValue({ content: 'PO 4500000001 is late' });
+      const context = buildContext([
+        message('system', 'You are a purchasing assistant', 30),
+        message('user', 'Show PO 4500000001', 30),
+        message('assistant', 'It is late', 30),
+        message('user', 'Remind the supplier', 30),
+        message('assistant', 'Done', 30)
+      ], 'summarize');
+
+      await mcpContextCompaction.compact(context, 120);
+
+      const [{ model, prompt, parameters }] = generate.mock.calls[0];
+      expect(model).toBe('gpt-4');
+      expect(prompt).toMatch(/user: Show PO 4500000001\n\nassistant: It is late$/);
+      expect(parameters.maxTokens).toBe(10);
+      expect(contentsOf(context)).toEqual([
+        'You are a purchasing assistant',
+        'Summary of the earlier conversation:\nPO 4500000001 is late',
+        'Remind the supplier',
+        'Done'
+      ]);
+      expect(context.contents[1].summary).toBe(true);
+      expect(context.tokenCount).toBeLessThanOrEqual(120);
+    });
+
+    test('keeps the results of a summarized tool call with it', () => {
+      const context = buildContext([
+        message('assistant', '', 10, { toolCalls: [{ id: 'call_1' }] }),
+        message('tool', 'result', 10, { toolCallId: 'call_1' }),
+        message('user', 'Next'),
+        message('assistant', 'Answer')
+      ], 'summarize');
+
+      const selected = mcpContextCompaction.selectMessagesToSummarize(context, 35);
+
+      expect(selected.map(entry => entry.role)).toEqual(['assistant', 'tool']);
+    });
+
+    test('folds earlier summaries into the next one', () => {
+      const context = buildContext([
+        message('system', 'Summary of the earlier conversation:\nOld', 10, { summary: true }),
+        message('user', 'a'),
+        message('user', 'b'),
+        message('assistant', 'c')
+      ], 'summarize');
+
+      const selected = mcpContextCompaction.selectMessagesToSummarize(context, 25);
+
+      expect(selected[0].summary).toBe(true);
+    });
+
+    test('drops unpinned messages when the summary cannot be generated', async () => {
+      jest.spyOn(mcpModels, 'generate').mockRejectedValue(new Error('Model unavailable'));
+      const context = buildContext([
+        message('system', 'pinned'),
+        message('user', 'a'),
+        message('assistant', '', 10, { toolCalls: [{ id: 'call_1' }] }),
+        message('tool', 'result', 10, { toolCallId: 'call_1' }),
+        message('user', 'b')
+      ], 'summarize');
+
+      await mcpContextCompaction.compact(context, 20);
+
+      expect(contentsOf(context)).toEqual(['pinned', 'b']);
+    });
+
+    test('drops the oldest pinned messages when they alone exceed the budget', async () => {
+      jest.spyOn(mcpModels, 'generate').mockResolvedValue({ content: '' });
+      const context = buildContext([
+        message('system', 'first pinned', 15),
+        message('system', 'second pinned', 15),
+        message('user', 'a', 5)
+      ], 'summarize');
+
+      await mcpContextCompaction.compact(context, 20);
+
+      expect(contentsOf(context)).toEqual(['second pinned']);
+    });
+
+    test('keeps messages appended while the summary was generated', () => {
+      const first = message('user', 'a');
+      const context = buildContext([first, message('user', 'b')], 'summarize');
+
+      mcpContextCompaction.replaceWithSummary(context, [first], 'Summary');
+      mcpContextCompaction.replaceWithSummary(context, [first], 'Again');
+
+      expect(contentsOf(context)).toEqual(['Summary of the earlier conversation:\nSummary', 'b']);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Tests of the context export and import
+ */
+
+const mcpContextExport = require('../../src/mcp/mcpContextExport');
+const { ValidationError } = require('../../src/middleware/errorHandler');
+
+/**
+ * Build a context with the given messages
+ * @param {Array} contents - Messages
+ * @param {Object} extra - Further context fields
+ * @returns {Object} - Context
+ */
+function buildContext(contents, extra = {}) {
+  return {
+    id: 'context-1',
+    model: 'gpt-4',
+    maxTokens: 4000,
+    compaction: 'drop',
+    parentId: null,
+    owner: 'alice',
+    snapshots: [],
+    createdAt: new Date('2026-01-05T10:00:00Z'),
+    updatedAt: new Date('2026-01-05T10:05:00Z'),
+    tokenCount: 42,
+    contents,
+    ...extra
+  };
+}
+
+describe('McpContextExport', () => {
+  describe('json', () => {
+    test('exports the settings and messages without owner or token counts', () => {
+      const context = buildContext([{ role: 'user', content: 'Show PO 4500000001', tokenCount: 7 }]);
+
+      const { contentType, fileName, body } = mcpContextExport.exportContext(context, 'json');
+      const document = JSON.parse(body);
+
+      expect(contentType).toBe('application/json');
+      expect(fileName).toBe('context-context-1.json');
+      expect(document).toMatchObject({ format: 'mcp-context', version: 1 });
+      expect(document.context).toMatchObject({ id: 'context-1', model: 'gpt-4', maxTokens: 4000, compaction: 'drop' });
+      expect(document.context.owner).toBeUndefined();
+      expect(document.context.contents).toEqual([{ role: 'user', content: 'Show PO 4500000001' }]);
+    });
+
+    test('imports its own exports as context creation options', () => {
+      const context = buildContext([{ role: 'user', content: 'Show PO 4500000001', tokenCount: 7 }]);
+      const document = JSON.parse(mcpContextExport.exportContext(context, 'json').body);
+
+      expect(mcpContextExport.parseImport(document)).toEqual({
+        model: 'gpt-4',
+        maxTokens: 4000,
+        compaction: 'drop',
+        contents: [{ role: 'user', content: 'Show PO 4500000001' }]
+      });
+    });
+
+    test('rejects documents that are not valid context exports', () => {
+      const valid = { format: 'mcp-context', version: 1, context: { model: 'gpt-4', contents: [] } };
+      const withContext = context => ({ ...valid, context: { ...valid.context, ...context } });
+
+      expect(() => mcpContextExport.parseImport(null)).toThrow(ValidationError);
+      expect(() => mcpContextExport.parseImport({ format: 'other', context: {} })).toThrow('format "mcp-context"');
+      expect(() => mcpContextExport.parseImport({ ...valid, version: 2 })).toThrow('Unsupported context export version: 2');
+      expect(() => mcpContextExport.parseImport(withContext({ model: '' }))).toThrow('Imported context has no model');
+      expect(() => mcpContextExport.parseImport(withContext({ contents: 'text' }))).toThrow('no contents array');
+      expect(() => mcpContextExport.parseImport(withContext({ contents: [{ role: 'robot' }] })))
+        .toThrow('Imported context has invalid messages: messages[0].role');
+    });
+  });
+
+  describe('markdown', () => {
+    const markdownOf = context => mcpContextExport.exportContext(context, 'markdown').body;
+
+    test('renders a transcript with the context details', () => {
+      const body = markdownOf(buildContext([
+        { role: 'user', content: 'Show PO 4500000001' },
+        { role: 'assistant', content: 'It is open.' }
+      ], { parentId: 'context-0' }));
+
+      expect(body).toContain('# Conversation context-1');
+      expect(body).toContain('- Model: gpt-4');
+      expect(body).toContain('- Created: 2026-01-05T10:00:00.000Z');
+      expect(body).toContain('- Messages: 2 (42 tokens)');
+      expect(body).toContain('- Forked from: context-0');
+      expect(body).toContain('## User\n\nShow PO 4500000001\n\n## Assistant\n\nIt is open.\n');
+      expect(mcpContextExport.exportContext(buildContext([]), 'markdown')).toMatchObject({
+        contentType: 'text/markdown; charset=utf-8',
+        fileName: 'context-context-1.md'
+      });
+    });
+
+    test('renders SAP data stored as system messages as tables', () => {
+      const body = markdownOf(buildContext([{
+        role: 'system',
+        content: JSON.stringify({
+          status: 'success',
+          count: 2,
+          results: [
+            { __metadata: { uri: 'x' }, PurchaseOrder: '4500000001', Supplier: 'ACME | Co' },
+            { PurchaseOrder: '4500000002', Supplier: 'Globex', Note: 'two\nlines' }
+          ]
+        })
+      }]));
+
+      expect(body).toContain('**status:** success · **count:** 2');
+      expect(body).toContain([
+        '| PurchaseOrder | Supplier | Note |',
+        '| --- | --- | --- |',
+        '| 4500000001 | ACME \\| Co |  |',
+        '| 4500000002 | Globex | two<br>lines |'
+      ].join('\n'));
+      expect(body).not.toContain('__metadata');
+    });
+
+    test('renders tool calls, their results and summaries', () => {
+      const body = markdownOf(buildContext([
+        { role: 'assistant', content: '', toolCalls: [{ id: 'call_1', name: 'get_purchase_order', arguments: { id: '1' } }] },
+        { role: 'tool', toolCallId: 'call_1', name: 'get_purchase_order', content: '{"PurchaseOrder":"1"}' },
+        { role: 'tool', toolCallId: 'call_2', name: 'get_supplier', content: 'Not found', isError: true },
+        { role: 'system', content: 'Summary of the earlier conversation:\n{"a":1}', summary: true }
+      ]));
+
+      expect(body).toContain('> Called `get_purchase_order` with `{"id":"1"}`');
+      expect(body).toContain('## Tool result: get_purchase_order\n\n| field | value |\n| --- | --- |\n| PurchaseOrder | 1 |');
+      expect(body).toContain('## Tool result: get_supplier (failed)\n\nNot found');
+      expect(body).toContain('## Summary of earlier messages\n\nSummary of the earlier conversation:\n{"a":1}');
+    });
+
+    test('renders content parts and SAP entity references', () => {
+      const body = markdownOf(buildContext([
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: 'Compare these orders' },
+            {
+              type: 'sap_entity',
+              entity: 'PurchaseOrder',
+              id: '4500000001',
+              data: { Supplier: 'ACME', Items: [{ Item: '10', Material: 'M-1' }], Address: { City: 'Walldorf' } }
+            }
+          ]
+        },
+        {
+          role: 'assistant',
+          content: [{ type: 'tool_call', id: 'call_1', name: 'list_suppliers' }]
+        },
+        {
+          role: 'user',
+          content: [
+            { type: 'tool_result', toolCallId: 'call_1', name: 'list_suppliers', content: [{ Supplier: 'ACME' }] },
+            { type: 'tool_result', toolCallId: 'call_2', content: 'timeout', isError: true }
+          ]
+        }
+      ]));
+
+      expect(body).toContain('Compare these orders\n\n**SAP PurchaseOrder 4500000001**\n\n| field | value |');
+      expect(body).toContain('*Items*\n\n| Item | Material |\n| --- | --- |\n| 10 | M-1 |');
+      expect(body).toContain('*Address*\n\n| field | value |\n| --- | --- |\n| City | Walldorf |');
+      expect(body).toContain('> Called `list_suppliers` with `{}`');
+      expect(body).toContain('**Tool result: list_suppliers**\n\n| Supplier |\n| --- |\n| ACME |');
+      expect(body).toContain('**Tool result (failed)**\n\ntimeout');
+    });
+
+    test('shows lists of plain values as JSON and records without fields as no data', () => {
+      expect(mcpContextExport.renderData(['a', 'b'])).toEqual(['```json', JSON.stringify(['a', 'b'], null, 2), '```']);
+      expect(mcpContextExport.renderData({ status: 'success', result: {} })).toContain('_No data_');
+    });
+  });
+
+  test('knows its formats', () => {
+    expect(mcpContextExport.isSupportedFormat('markdown')).toBe(true);
+    expect(mcpContextExport.isSupportedFormat('pdf')).toBe(false);
+    expect(mcpContextExport.isSupportedFormat('constructor')).toBe(false);
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Tests of the MCP context manager
+ */
+
+const mcpContextManager = require('../../src/mcp/mcpContextManager');
+const { ConflictError, NotFoundError } = require('../../src/middleware/errorHandler');
+const { countMessageTokens } = require('../../src/util/tokenizer');
+
+const contentsOf = context => context.contents.map(message => message.content);
+
+describe('McpContextManager', () => {
+  afterAll(async () => {
+    await mcpContextManager.stop();
+  });
+
+  describe('token accounting', () => {
+    test('counts the tokens of every message with the tokenizer of the model', async () => {
+      const message = { role: 'user', content: 'Show purchase order 4500000001' };
+      const contextId = await mcpContextManager.createContext({ model: 'gpt-4', contents: [message] });
+
+      const context = await mcpContextManager.getContext(contextId);
+
+      expect(context.contents[0].tokenCount).toBe(countMessageTokens(message, 'gpt-4'));
+      expect(context.tokenCount).toBe(context.contents[0].tokenCount);
+    });
+
+    test('accepts text with special tokens of the tokenizer', async () => {
+      const contextId = await mcpContextManager.createContext({
+        model: 'gpt-4',
+        contents: [{ role: 'user', content: 'Long text pasted from SAP <|endoftext|>' }]
+      });
+
+      const context = await mcpContextManager.updateContext(contextId, 'append',
+        { role: 'user', content: '<|im_start|>system' });
+
+      expect(context.contents).toHaveLength(2);
+      expect(context.tokenCount).toBeGreaterThan(0);
+    });
+
+    test('caps the token budget at the context size of the model minus room for the response', () => {
+      expect(mcpContextManager.getTokenBudget({ maxTokens: 8192, contextSize: null })).toBe(8192);
+      expect(mcpContextManager.getTokenBudget({ maxTokens: 8192, contextSize: 4096 })).toBe(4096 - 1024);
+      expect(mcpContextManager.getTokenBudget({ maxTokens: 8192, contextSize: 2048 })).toBe(2048 - 512);
+      expect(mcpContextManager.getTokenBudget({ maxTokens: 1000, contextSize: 128000 })).toBe(1000);
+    });
+  });
+
+  describe('forks and snapshots', () => {
+    let contextId;
+
+    beforeEach(async () => {
+      contextId = await mcpContextManager.createContext({
+        model: 'gpt-4',
+        maxTokens: 4000,
+        compaction: 'reject',
+        contents: [{ role: 'user', content: 'Show PO 4500000001' }]
+      });
+    });
+
+    test('forks a context into a new one that records its parent', async () => {
+      const forkId = await mcpContextManager.forkContext(contextId);
+      await mcpContextManager.updateContext(forkId, 'append', { role: 'user', content: 'Split it across two suppliers' });
+
+      const fork = await mcpContextManager.getContext(forkId);
+      const parent = await mcpContextManager.getContext(contextId);
+
+      expect(fork).toMatchObject({ parentId: contextId, model: 'gpt-4', maxTokens: 4000, compaction: 'reject' });
+      expect(contentsOf(fork)).toEqual(['Show PO 4500000001', 'Split it across two suppliers']);
+      expect(contentsOf(parent)).toEqual(['Show PO 4500000001']);
+      await expect(mcpContextManager.forkContext('missing')).resolves.toBeNull();
+    });
+
+    test('restores a snapshot taken before later changes', async () => {
+      const snapshot = await mcpContextManager.createSnapshot(contextId, 'before-split');
+      await mcpContextManager.updateContext(contextId, 'append', { role: 'user', content: 'Split it' });
+
+      const restored = await mcpContextManager.restoreSnapshot(contextId, 'before-split');
+
+      expect(snapshot).toMatchObject({ name: 'before-split', messageCount: 1, tokenCount: restored.tokenCount });
+      expect(snapshot.contents).toBeUndefined();
+      expect(contentsOf(restored)).toEqual(['Show PO 4500000001']);
+      await expect(mcpContextManager.listSnapshots(contextId)).resolves.toEqual([snapshot]);
+    });
+
+    test('forks a context from one of its snapshots', async () => {
+      await mcpContextManager.createSnapshot(contextId, 'start');
+      await mcpContextManager.updateContext(contextId, 'append', { role: 'user', content: 'Split it' });
+
+      const forkId = await mcpContextManager.forkContext(contextId, 'start');
+
+      expect(contentsOf(await mcpContextManager.getContext(forkId))).toEqual(['Show PO 4500000001']);
+    });
+
+    test('rejects duplicate snapshot names and unknown snapshots', async () => {
+      await mcpContextManager.createSnapshot(contextId, 'start');
+
+      await expect(mcpContextManager.createSnapshot(contextId, 'start')).rejects.toThrow(ConflictError);
+      await expect(mcpContextManager.restoreSnapshot(contextId, 'missing')).rejects.toThrow(NotFoundError);
+      await expect(mcpContextManager.forkContext(contextId, 'missing')).rejects.toThrow('Snapshot missing not found');
+      await expect(mcpContextManager.createSnapshot('missing', 'start')).resolves.toBeNull();
+      await expect(mcpContextManager.listSnapshots('missing')).resolves.toBeNull();
+      await expect(mcpContextManager.restoreSnapshot('missing', 'start')).resolves.toBeNull();
+    });
+
+    test('keeps snapshots apart from later changes to the messages', async () => {
+      await mcpContextManager.createSnapshot(contextId, 'start');
+      const context = await mcpContextManager.getContext(contextId);
+
+      context.contents[0].content = 'Changed';
+
+      expect(context.snapshots[0].contents[0].content).toBe('Show PO 4500000001');
+    });
+  });
+
+  describe('ownership', () => {
+    let contextId;
+
+    beforeEach(async () => {
+      contextId = await mcpContextManager.createContext({
+        model: 'gpt-4',
+        owner: 'buyer-team-a',
+        contents: [{ role: 'user', content: 'Show PO 4500000001' }]
+      });
+    });
+
+    test('hides contexts from other owners and from callers without an owner', async () => {
+      await expect(mcpContextManager.getContext(contextId, 'buyer-team-a')).resolves.toMatchObject({ owner: 'buyer-team-a' });
+      await expect(mcpContextManager.getContext(contextId)).resolves.toMatchObject({ id: contextId });
+      await expect(mcpContextManager.getContext(contextId, 'buyer-team-b')).resolves.toBeNull();
+      await expect(mcpContextManager.getContext(contextId, null)).resolves.toBeNull();
+      await expect(mcpContextManager.updateContext(contextId, 'clear', [], 'buyer-team-b')).resolves.toBeNull();
+      await expect(mcpContextManager.forkContext(contextId, undefined, 'buyer-team-b')).resolves.toBeNull();
+    });
+
+    test('deletes contexts only for their owner', async () => {
+      const deleted = jest.fn();
+      mcpContextManager.once('contextDeleted', deleted);
+
+      await expect(mcpContextManager.deleteContext(contextId, 'buyer-team-b')).resolves.toBe(false);
+      await expect(mcpContextManager.deleteContext(contextId, 'buyer-team-a')).resolves.toBe(true);
+      await expect(mcpContextManager.deleteContext(contextId, 'buyer-team-a')).resolves.toBe(false);
+      expect(deleted).toHaveBeenCalledWith(contextId);
+    });
+
+    test('keeps the owner in forks', async () => {
+      const forkId = await mcpContextManager.forkContext(contextId, undefined, 'buyer-team-a');
+
+      await expect(mcpContextManager.getContext(forkId, 'buyer-team-a')).resolves.toMatchObject({ parentId: contextId });
+    });
+  });
+
+  describe('listContexts', () => {
+    let ids;
+
+    beforeEach(async () => {
+      ids = [];
+      for (const model of ['gpt-4', 'claude-3-haiku', 'gpt-4']) {
+        ids.push(await mcpContextManager.createContext({ model, owner: 'lister' }));
+      }
+      await mcpContextManager.createContext({ model: 'gpt-4', owner: 'someone-else' });
+
+      // Give the contexts distinct activity times, the first one most recent
+      const base = Date.now();
+      for (const [index, id] of ids.entries()) {
+        const context = await mcpContextManager.getContext(id);
+        context.updatedAt = new Date(base - index * 1000);
+        context.createdAt = new Date(base - (ids.length - index) * 1000);
+      }
+    });
+
+    afterEach(async () => {
+      const { contexts } = await mcpContextManager.listContexts({ limit: 1000 });
+      await Promise.all(contexts.map(context => mcpContextManager.deleteContext(context.id)));
+    });
+
+    test('lists the contexts of an owner, most recently active first', async () => {
+      const { total, contexts } = await mcpContextManager.listContexts({ owner: 'lister' });
+
+      expect(total).toBe(3);
+      expect(contexts.map(context => context.id)).toEqual(ids);
+      expect(contexts[0]).toEqual(expect.objectContaining({ owner: 'lister', messageCount: 0, tokenCount: 0 }));
+      expect(contexts[0].contents).toBeUndefined();
+    });
+
+    test('filters by model, sorts by creation time and pages', async () => {
+      const byModel = await mcpContextManager.listContexts({ owner: 'lister', model: 'gpt-4' });
+      const byCreation = await mcpContextManager.listContexts({ owner: 'lister', sort: 'createdAt', order: 'asc' });
+      const page = await mcpContextManager.listContexts({ owner: 'lister', limit: 1, offset: 1 });
+
+      expect(byModel.contexts.map(context => context.id)).toEqual([ids[0], ids[2]]);
+      expect(byCreation.contexts.map(context => context.id)).toEqual(ids);
+      expect(page).toEqual({ total: 3, contexts: [expect.objectContaining({ id: ids[1] })] });
+    });
+
+    test('lists nothing for callers without an owner', async () => {
+      await expect(mcpContextManager.listContexts({ owner: null })).resolves.toEqual({ total: 0, contexts: [] });
+    });
+  });
+});
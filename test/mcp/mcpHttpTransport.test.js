@@ -0,0 +1,209 @@
+/**
+ * Tests of the MCP streamable HTTP transport
+ */
+
+jest.mock('../../src/util/sapConnectivity');
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const McpHttpTransport = require('../../src/mcp/mcpHttpTransport');
+const mcpContextManager = require('../../src/mcp/mcpContextManager');
+const { errorCodes } = require('../../src/mcp/mcpProtocol');
+
+const initialize = { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18' } };
+const ping = { jsonrpc: '2.0', id: 2, method: 'ping' };
+
+describe('McpHttpTransport', () => {
+  let transport;
+  let app;
+
+  beforeEach(() => {
+    transport = new McpHttpTransport({ maxSessions: 2, allowedOrigins: ['http://localhost:6274'] });
+
+    // The owner of the caller is taken from a header instead of an API key
+    app = express();
+    app.use(express.json());
+    app.use(express.text());
+    app.use((req, res, next) => {
+      req.auth = { owner: req.get('X-Owner') || 'alice' };
+      next();
+    });
+    app.post('/mcp', transport.handlePost);
+    app.get('/mcp', transport.handleGet);
+    app.delete('/mcp', transport.handleDelete);
+  });
+
+  afterEach(() => {
+    transport.closeAll();
+  });
+
+  afterAll(async () => {
+    await mcpContextManager.stop();
+  });
+
+  // Initialize a session and return its ID
+  const startSession = async owner => {
+    const response = await request(app).post('/mcp').set('X-Owner', owner || 'alice').send(initialize).expect(200);
+    return response.headers['mcp-session-id'];
+  };
+
+  describe('sessions', () => {
+    test('creates a session backed by a context of the caller on initialize', async () => {
+      const response = await request(app).post('/mcp').send(initialize).expect(200);
+      const sessionId = response.headers['mcp-session-id'];
+      const session = transport.sessions.get(sessionId);
+
+      expect(response.body).toMatchObject({ id: 1, result: { protocolVersion: '2025-06-18' } });
+      expect(session.owner).toBe('alice');
+      await expect(mcpContextManager.getContext(session.contextId, 'alice')).resolves.toMatchObject({ owner: 'alice' });
+    });
+
+    test('answers requests of a session with JSON', async () => {
+      const sessionId = await startSession();
+
+      const response = await request(app).post('/mcp').set('Mcp-Session-Id', sessionId).send(ping).expect(200);
+
+      expect(response.body).toEqual({ jsonrpc: '2.0', id: 2, result: {} });
+      expect(response.headers['mcp-session-id']).toBe(sessionId);
+    });
+
+    test('rejects requests without a session or with the session of another owner', async () => {
+      const sessionId = await startSession('alice');
+
+      const missing = await request(app).post('/mcp').send(ping).expect(400);
+      await request(app).post('/mcp').set('X-Owner', 'bob').set('Mcp-Session-Id', sessionId).send(ping).expect(404);
+      await request(app).post('/mcp').set('Mcp-Session-Id', 'unknown').send(ping).expect(404);
+
+      expect(missing.body.error).toMatchObject({ code: errorCodes.INVALID_REQUEST, message: 'Missing Mcp-Session-Id header' });
+      expect(transport.sessions.has(sessionId)).toBe(true);
+    });
+
+    test('caps the number of live sessions', async () => {
+      await startSession();
+      await startSession();
+
+      const response = await request(app).post('/mcp').send(initialize).expect(503);
+
+      expect(response.body.error.code).toBe(errorCodes.INTERNAL_ERROR);
+      expect(transport.sessions.size).toBe(2);
+    });
+
+    test('deletes the session and its context on DELETE', async () => {
+      const sessionId = await startSession();
+      const { contextId } = transport.sessions.get(sessionId);
+
+      await request(app).delete('/mcp').set('Mcp-Session-Id', sessionId).expect(204);
+
+      expect(transport.sessions.has(sessionId)).toBe(false);
+      await expect(mcpContextManager.getContext(contextId)).resolves.toBeNull();
+      await request(app).post('/mcp').set('Mcp-Session-Id', sessionId).send(ping).expect(404);
+    });
+
+    test('ends sessions whose context was deleted', async () => {
+      const sessionId = await startSession();
+
+      await mcpContextManager.deleteContext(transport.sessions.get(sessionId).contextId);
+
+      expect(transport.sessions.has(sessionId)).toBe(false);
+    });
+  });
+
+  describe('messages', () => {
+    test('acknowledges notifications without a body', async () => {
+      const sessionId = await startSession();
+
+      await request(app)
+        .post('/mcp')
+        .set('Mcp-Session-Id', sessionId)
+        .send({ jsonrpc: '2.0', method: 'notifications/initialized' })
+        .expect(202, '');
+
+      expect(transport.sessions.get(sessionId).protocolSession.initialized).toBe(true);
+    });
+
+    test('streams the responses of a batch as events when the client accepts them', async () => {
+      const sessionId = await startSession();
+
+      const response = await request(app)
+        .post('/mcp')
+        .set('Mcp-Session-Id', sessionId)
+        .set('Accept', 'application/json, text/event-stream')
+        .send([ping, { ...ping, id: 3 }])
+        .expect(200)
+        .expect('Content-Type', /text\/event-stream/);
+
+      expect(response.text).toBe(
+        'event: message\ndata: {"jsonrpc":"2.0","id":2,"result":{}}\n\n' +
+        'event: message\ndata: {"jsonrpc":"2.0","id":3,"result":{}}\n\n'
+      );
+    });
+
+    test('rejects bodies that are not JSON-RPC messages', async () => {
+      const response = await request(app).post('/mcp').set('Content-Type', 'text/plain').send('ping');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe(errorCodes.PARSE_ERROR);
+    });
+  });
+
+  describe('origins', () => {
+    test('rejects browser origins that are not allowed', async () => {
+      const response = await request(app).post('/mcp').set('Origin', 'https://evil.example.com').send(initialize);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error.message).toBe('Origin https://evil.example.com is not allowed');
+      expect(transport.sessions.size).toBe(0);
+    });
+
+    test('accepts allowed origins and requests without an origin', async () => {
+      await request(app).post('/mcp').set('Origin', 'http://localhost:6274').send(initialize).expect(200);
+      await request(app).post('/mcp').send(initialize).expect(200);
+    });
+  });
+
+  describe('event streams', () => {
+    let server;
+
+    beforeEach(done => {
+      server = app.listen(0, '127.0.0.1', done);
+    });
+
+    afterEach(done => {
+      server.close(done);
+    });
+
+    test('require an event stream to be accepted', async () => {
+      const sessionId = await startSession();
+
+      const response = await request(app).get('/mcp').set('Mcp-Session-Id', sessionId).expect(405);
+
+      expect(response.headers.allow).toBe('POST, DELETE');
+    });
+
+    test('deliver server-initiated messages to the open streams of the session', async () => {
+      const sessionId = await startSession();
+      expect(transport.sendToSession(sessionId, { jsonrpc: '2.0', method: 'notifications/test' })).toBe(false);
+
+      const event = await new Promise((resolve, reject) => {
+        const req = http.get({
+          host: '127.0.0.1',
+          port: server.address().port,
+          path: '/mcp',
+          headers: { Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId, 'X-Owner': 'alice' }
+        }, res => {
+          res.setEncoding('utf8');
+          res.once('data', chunk => {
+            resolve(chunk);
+            req.destroy();
+          });
+          transport.sessions.get(sessionId).protocolSession.notify('notifications/resources/updated', { uri: 'sap://purchaseOrder/1' });
+        });
+        req.on('error', reject);
+      });
+
+      expect(event).toBe('event: message\ndata: {"jsonrpc":"2.0","method":"notifications/resources/updated",' +
+        '"params":{"uri":"sap://purchaseOrder/1"}}\n\n');
+    });
+  });
+});
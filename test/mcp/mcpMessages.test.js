@@ -0,0 +1,136 @@
+/**
+ * Tests of the structured message schema
+ */
+
+const mcpMessages = require('../../src/mcp/mcpMessages');
+
+describe('McpMessages', () => {
+  const entity = {
+    type: 'sap_entity',
+    entity: 'PurchaseOrder',
+    id: '4500000001',
+    data: {
+      __metadata: { uri: 'x' },
+      Supplier: 'ACME',
+      Note: null,
+      Items: [{ Item: '10', Material: 'M-1', Price: { Amount: 5 } }],
+      Address: { City: 'Walldorf', Street: null }
+    }
+  };
+
+  describe('validateMessages', () => {
+    test('accepts strings, content parts and tool calls', () => {
+      expect(mcpMessages.validateMessages([
+        { role: 'user', content: 'Show PO 4500000001' },
+        { role: 'user', content: [{ type: 'text', text: 'Compare' }, entity] },
+        { role: 'assistant', content: null, toolCalls: [{ id: 'call_1', name: 'get_purchase_order', arguments: {} }] },
+        { role: 'assistant', content: [{ type: 'tool_call', id: 'call_2', name: 'list_suppliers' }] },
+        { role: 'tool', toolCallId: 'call_1', content: '{}' },
+        { role: 'user', content: [{ type: 'tool_result', toolCallId: 'call_2', content: [{ Supplier: 'ACME' }] }] }
+      ])).toEqual([]);
+    });
+
+    test('reports invalid messages with their path', () => {
+      expect(mcpMessages.validateMessages([
+        { role: 'robot' },
+        { role: 'user', content: 42 },
+        { role: 'tool', content: 'result' }
+      ])).toEqual([
+        'messages[0].role must be one of: system, user, assistant, tool',
+        'messages[1].content must be of type string or array or null',
+        'messages[2].toolCallId is required in tool messages'
+      ]);
+      expect(mcpMessages.validateMessages({ content: 'Hi' })).toEqual(['message.role is required']);
+    });
+
+    test('reports invalid content parts', () => {
+      expect(mcpMessages.validateMessages([{
+        role: 'user',
+        content: [
+          { type: 'image', url: 'x' },
+          { type: 'text', text: 'Hi', lang: 'en' },
+          { type: 'sap_entity', entity: 'PurchaseOrder' },
+          { type: 'tool_call', id: 'call_1', name: 'list_suppliers' },
+          null
+        ]
+      }])).toEqual([
+        'messages[0].content[0].type must be one of: text, tool_call, tool_result, sap_entity',
+        'messages[0].content[1].lang is not allowed',
+        'messages[0].content[2].id is required',
+        'messages[0].content[3] is only allowed in assistant messages',
+        'messages[0].content[4].type must be one of: text, tool_call, tool_result, sap_entity'
+      ]);
+    });
+  });
+
+  describe('normalizeMessages', () => {
+    test('turns tool_call parts into tool calls followed by their results', () => {
+      expect(mcpMessages.normalizeMessages([
+        { role: 'user', content: 'Show suppliers' },
+        {
+          role: 'assistant',
+          content: [
+            { type: 'text', text: 'Looking them up' },
+            { type: 'tool_call', id: 'call_1', name: 'list_suppliers' },
+            { type: 'tool_result', toolCallId: 'call_1', name: 'list_suppliers', content: [{ Supplier: 'ACME' }] }
+          ]
+        }
+      ])).toEqual([
+        { role: 'user', content: 'Show suppliers' },
+        {
+          role: 'assistant',
+          content: [{ type: 'text', text: 'Looking them up' }],
+          toolCalls: [{ id: 'call_1', name: 'list_suppliers', arguments: {} }]
+        },
+        { role: 'tool', toolCallId: 'call_1', name: 'list_suppliers', content: '[{"Supplier":"ACME"}]', isError: false }
+      ]);
+    });
+
+    test('puts tool results of other messages before their remaining content', () => {
+      expect(mcpMessages.normalizeMessages([
+        {
+          role: 'user',
+          content: [
+            { type: 'tool_result', toolCallId: 'call_1', content: 'failed', isError: true },
+            entity
+          ]
+        },
+        { role: 'user', content: [{ type: 'tool_result', toolCallId: 'call_2', content: 'ok' }] }
+      ])).toEqual([
+        { role: 'tool', toolCallId: 'call_1', name: undefined, content: 'failed', isError: true },
+        { role: 'user', content: [entity] },
+        { role: 'tool', toolCallId: 'call_2', name: undefined, content: 'ok', isError: false }
+      ]);
+    });
+  });
+
+  describe('toText', () => {
+    test('renders parts as text, SAP entities as labelled fields', () => {
+      expect(mcpMessages.toText([
+        { type: 'text', text: 'Compare' },
+        entity,
+        { type: 'tool_call', id: 'call_1', name: 'list_suppliers', arguments: { top: 5 } },
+        { type: 'tool_result', toolCallId: 'call_1', name: 'list_suppliers', content: { count: 1 } },
+        { type: 'text', text: '' }
+      ])).toBe([
+        'Compare',
+        [
+          '[SAP PurchaseOrder 4500000001]',
+          'Supplier: ACME',
+          'Items:',
+          '- Item: 10, Material: M-1, Price: {"Amount":5}',
+          'Address: City: Walldorf'
+        ].join('\n'),
+        '[Tool call list_suppliers: {"top":5}]',
+        '[Tool result list_suppliers: {"count":1}]'
+      ].join('\n\n'));
+    });
+
+    test('passes strings through and renders missing content as empty text', () => {
+      expect(mcpMessages.toText('Hi')).toBe('Hi');
+      expect(mcpMessages.toText(null)).toBe('');
+      expect(mcpMessages.renderPart({ type: 'unknown' })).toBe('');
+      expect(mcpMessages.renderPart({ type: 'tool_result', content: 'ok' })).toBe('[Tool result: ok]');
+    });
+  });
+});
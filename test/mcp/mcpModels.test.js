@@ -0,0 +1,333 @@
+/**
+ * Tests of the MCP models module with a fake model provider
+ */
+
+jest.mock('../../src/util/sapConnectivity');
+
+const mcpConfig = require('../../src/config/mcpConfig');
+const mcpModels = require('../../src/mcp/mcpModels');
+const mcpContextManager = require('../../src/mcp/mcpContextManager');
+const mcpTools = require('../../src/mcp/mcpTools');
+const providerRegistry = require('../../src/mcp/providers/providerRegistry');
+const BaseProvider = require('../../src/mcp/providers/baseProvider');
+const { ModelProviderError, ValidationError } = require('../../src/middleware/errorHandler');
+
+// Provider whose answers are set by the tests through respond
+class FakeProvider extends BaseProvider {
+  constructor(name, models) {
+    super(name, { models, circuitBreaker: { failureThreshold: 100 } });
+    this.respond = jest.fn();
+  }
+
+  getCapabilities() {
+    return { contextSize: 8192, supportsFunctions: true, supportsVision: false, supportsStreaming: true };
+  }
+
+  async chat(model, messages, parameters, tools) {
+    return this.respond(model, [...messages], tools);
+  }
+
+  async stream(model, messages, parameters, onToken) {
+    const response = await this.respond(model, [...messages], []);
+    onToken(response.content);
+    return response;
+  }
+}
+
+/**
+ * Build a model response
+ * @param {string} content - Answer text
+ * @param {Array} toolCalls - Tool calls requested by the model
+ * @returns {Object} - Response as providers return it
+ */
+function answer(content, toolCalls = []) {
+  const responseMessage = { role: 'assistant', content };
+  if (toolCalls.length > 0) {
+    responseMessage.toolCalls = toolCalls;
+  }
+  return { content, responseMessage, toolCalls, usage: {} };
+}
+
+describe('McpModels', () => {
+  const provider = new FakeProvider('fake', ['fake-a', 'fake-b']);
+  const { retry, fallbackChains } = mcpConfig.models;
+
+  beforeAll(() => {
+    providerRegistry.register(provider);
+    mcpConfig.models.retry = { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 50 };
+    mcpConfig.models.fallbackChains = { 'fake-a': ['fake-b'] };
+  });
+
+  afterAll(async () => {
+    mcpConfig.models.retry = retry;
+    mcpConfig.models.fallbackChains = fallbackChains;
+    providerRegistry.providers.delete(provider.name);
+    await mcpContextManager.stop();
+  });
+
+  beforeEach(() => {
+    provider.respond.mockReset();
+  });
+
+  const calledModels = () => provider.respond.mock.calls.map(([model]) => model);
+
+  describe('agent loop', () => {
+    const getPurchaseOrder = id => ({ id: `call_${id}`, name: 'get_purchase_order', arguments: { id } });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('feeds tool results back until the model answers', async () => {
+      const callTool = jest.spyOn(mcpTools, 'callTool').mockResolvedValue({ Status: 'open' });
+      provider.respond
+        .mockResolvedValueOnce(answer('', [getPurchaseOrder('1'), getPurchaseOrder('2')]))
+        .mockResolvedValue(answer('Both are open'));
+
+      const response = await mcpModels.query({ query: 'Are PO 1 and 2 open?', model: 'fake-a' });
+      const [, secondMessages, secondTools] = provider.respond.mock.calls[1];
+
+      expect(callTool.mock.calls).toEqual([['get_purchase_order', { id: '1' }], ['get_purchase_order', { id: '2' }]]);
+      expect(secondMessages.slice(-2)).toEqual([
+        { role: 'tool', toolCallId: 'call_1', name: 'get_purchase_order', content: '{"Status":"open"}', isError: false },
+        { role: 'tool', toolCallId: 'call_2', name: 'get_purchase_order', content: '{"Status":"open"}', isError: false }
+      ]);
+      expect(secondTools.map(tool => tool.name)).toContain('get_purchase_order');
+      expect(response.content).toBe('Both are open');
+      expect(response.toolCalls).toEqual([
+        { ...getPurchaseOrder('1'), isError: false },
+        { ...getPurchaseOrder('2'), isError: false }
+      ]);
+    });
+
+    test('offers the write tools only when they are enabled', async () => {
+      provider.respond.mockResolvedValue(answer('Hello'));
+
+      await mcpModels.query({ query: 'Hi', model: 'fake-a' });
+      const offered = provider.respond.mock.calls[0][2].map(tool => tool.name);
+
+      expect(offered).toContain('get_purchase_order');
+      expect(offered).not.toContain('update_purchase_order');
+    });
+
+    test('reports failed and withheld tool calls to the model as errors', async () => {
+      jest.spyOn(mcpTools, 'callTool').mockRejectedValue(new ValidationError('Invalid arguments', ['id is required']));
+      provider.respond
+        .mockResolvedValueOnce(answer('', [
+          { id: 'call_1', name: 'get_purchase_order', arguments: {} },
+          { id: 'call_2', name: 'delete_purchase_order', arguments: { id: '1' } }
+        ]))
+        .mockResolvedValue(answer('Sorry'));
+
+      const response = await mcpModels.query({ query: 'Delete PO 1', model: 'fake-a' });
+      const toolMessages = provider.respond.mock.calls[1][1].filter(message => message.role === 'tool');
+
+      expect(toolMessages.map(message => message.content)).toEqual([
+        'Error: Invalid arguments (id is required)',
+        'Error: Tool delete_purchase_order is not available'
+      ]);
+      expect(response.toolCalls.map(toolCall => toolCall.isError)).toEqual([true, true]);
+    });
+
+    test('withholds the tools on the last iteration and fails without a final answer', async () => {
+      const { maxToolIterations } = mcpConfig.models;
+      mcpConfig.models.maxToolIterations = 1;
+      jest.spyOn(mcpTools, 'callTool').mockResolvedValue({});
+      provider.respond.mockResolvedValue(answer('', [getPurchaseOrder('1')]));
+
+      const error = await mcpModels.query({ query: 'Loop', model: 'fake-a' }).catch(caught => caught);
+      mcpConfig.models.maxToolIterations = maxToolIterations;
+
+      expect(error.message).toBe('Model fake-a did not produce a final answer after 1 tool iterations');
+      expect(provider.respond.mock.calls.map(([, , tools]) => tools.length > 0)).toEqual([true, false]);
+    });
+  });
+
+  describe('context', () => {
+    const roles = context => context.contents.map(({ role, toolCallId }) => (toolCallId ? `${role}:${toolCallId}` : role));
+
+    test('saves the query before the tool exchange and the answer', async () => {
+      const callTool = jest.spyOn(mcpTools, 'callTool').mockResolvedValue({ id: '4500000001' });
+      const contextId = await mcpContextManager.createContext({ model: 'fake-a' });
+      provider.respond
+        .mockResolvedValueOnce(answer('', [{ id: 'call_1', name: 'get_purchase_order', arguments: { id: '4500000001' } }]))
+        .mockResolvedValue(answer('It is open'));
+
+      await mcpModels.query({ contextId, query: 'Is PO 4500000001 open?', model: 'fake-a' });
+      const context = await mcpContextManager.getContext(contextId);
+
+      expect(roles(context)).toEqual(['user', 'assistant', 'tool:call_1', 'assistant']);
+      expect(context.contents[0].content).toBe('Is PO 4500000001 open?');
+      expect(provider.respond.mock.calls[0][1].filter(message => message.role === 'user')).toHaveLength(1);
+      callTool.mockRestore();
+    });
+
+    test('saves the prompt before the answer', async () => {
+      const contextId = await mcpContextManager.createContext({ model: 'fake-a' });
+      provider.respond.mockResolvedValue(answer('Hello'));
+
+      await mcpModels.generate({ contextId, prompt: 'Hi', model: 'fake-a' });
+      await mcpModels.generate({ contextId, prompt: 'And again', model: 'fake-a' });
+      const context = await mcpContextManager.getContext(contextId);
+
+      expect(context.contents.map(({ role, content }) => [role, content])).toEqual([
+        ['user', 'Hi'], ['assistant', 'Hello'], ['user', 'And again'], ['assistant', 'Hello']
+      ]);
+    });
+
+    test('saves the prompt of a stream before the streamed answer', async () => {
+      const contextId = await mcpContextManager.createContext({ model: 'fake-a' });
+      const tokens = [];
+      provider.respond.mockResolvedValue(answer('Streamed hello'));
+
+      await mcpModels.stream({ contextId, prompt: 'Hi', model: 'fake-a' }, token => tokens.push(token));
+      const context = await mcpContextManager.getContext(contextId);
+
+      expect(tokens).toEqual(['Streamed hello']);
+      expect(context.contents.map(({ role, content }) => [role, content])).toEqual([
+        ['user', 'Hi'], ['assistant', 'Streamed hello']
+      ]);
+    });
+  });
+
+  describe('streaming', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('falls back when a model fails before streaming any token', async () => {
+      provider.respond.mockImplementation(async model => {
+        if (model === 'fake-a') {
+          throw new ModelProviderError('Bad request', { status: 400 });
+        }
+        return answer('Hello from b');
+      });
+      const tokens = [];
+
+      const response = await mcpModels.stream({ prompt: 'Hi', model: 'fake-a' }, token => tokens.push(token));
+
+      expect(response).toMatchObject({ content: 'Hello from b', model: 'fake-b' });
+      expect(tokens).toEqual(['Hello from b']);
+    });
+
+    test('neither retries nor falls back once tokens were streamed', async () => {
+      const stream = jest.spyOn(provider, 'stream').mockImplementation(async (model, messages, parameters, onToken) => {
+        onToken('Hel');
+        throw new ModelProviderError('Connection reset', { network: true });
+      });
+      const tokens = [];
+
+      const error = await mcpModels.stream({ prompt: 'Hi', model: 'fake-a' }, token => tokens.push(token))
+        .catch(caught => caught);
+
+      expect(error).toMatchObject({ message: 'Connection reset', partial: true });
+      expect(stream).toHaveBeenCalledTimes(1);
+      expect(tokens).toEqual(['Hel']);
+    });
+
+    test('does not fall back when the client cancelled the stream', async () => {
+      const stream = jest.spyOn(provider, 'stream').mockRejectedValue(new ModelProviderError('Cancelled', {}));
+
+      const error = await mcpModels.stream({ prompt: 'Hi', model: 'fake-a' }, jest.fn(), { reason: { message: 'Client disconnected' } })
+        .catch(caught => caught);
+
+      expect(error.cancelled).toBe(true);
+      expect(stream).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('fallback and retries', () => {
+    test('retries a model that asks for a short wait', async () => {
+      provider.respond
+        .mockRejectedValueOnce(new ModelProviderError('Rate limited', { status: 429, retryAfterMs: 5 }))
+        .mockResolvedValue(answer('Hello'));
+
+      const response = await mcpModels.generate({ prompt: 'Hi', model: 'fake-a' });
+
+      expect(response).toMatchObject({ content: 'Hello', model: 'fake-a', requestedModel: 'fake-a' });
+      expect(calledModels()).toEqual(['fake-a', 'fake-a']);
+    });
+
+    test('falls back instead of retrying early when Retry-After is longer than the longest delay', async () => {
+      provider.respond.mockImplementation(async model => {
+        if (model === 'fake-a') {
+          throw new ModelProviderError('Rate limited', { status: 429, retryAfterMs: 60000 });
+        }
+        return answer('Hello from b');
+      });
+
+      const response = await mcpModels.generate({ prompt: 'Hi', model: 'fake-a' });
+
+      expect(response).toMatchObject({ content: 'Hello from b', model: 'fake-b', requestedModel: 'fake-a' });
+      expect(calledModels()).toEqual(['fake-a', 'fake-b']);
+    });
+
+    test('retries network failures', async () => {
+      provider.respond
+        .mockRejectedValueOnce(new ModelProviderError('Connection refused', { network: true }))
+        .mockResolvedValue(answer('Hello'));
+
+      await mcpModels.generate({ prompt: 'Hi', model: 'fake-a' });
+
+      expect(calledModels()).toEqual(['fake-a', 'fake-a']);
+    });
+
+    test('does not retry programming errors', async () => {
+      const recordFailure = jest.spyOn(provider.circuitBreaker, 'recordFailure');
+      provider.respond.mockImplementation(async model => {
+        if (model === 'fake-a') {
+          throw new TypeError('Cannot read properties of undefined');
+        }
+        return answer('Hello from b');
+      });
+
+      await mcpModels.generate({ prompt: 'Hi', model: 'fake-a' });
+
+      expect(calledModels()).toEqual(['fake-a', 'fake-b']);
+      expect(recordFailure).not.toHaveBeenCalled();
+      recordFailure.mockRestore();
+    });
+
+    test('reports the failures of every model when the whole chain fails', async () => {
+      provider.respond.mockRejectedValue(new ModelProviderError('Bad request', { status: 400 }));
+
+      const error = await mcpModels.generate({ prompt: 'Hi', model: 'fake-a' }).catch(caught => caught);
+
+      expect(error).toBeInstanceOf(ModelProviderError);
+      expect(error.message).toBe('No model in the fallback chain of fake-a could answer (fake-a: Bad request; fake-b: Bad request)');
+      expect(error.status).toBe(400);
+    });
+
+    test('fails with the error of the model when it has no fallback chain', async () => {
+      const failure = new ModelProviderError('Bad request', { status: 400 });
+      provider.respond.mockRejectedValue(failure);
+
+      await expect(mcpModels.generate({ prompt: 'Hi', model: 'fake-b' })).rejects.toBe(failure);
+    });
+
+    test('skips models whose provider has an open circuit', async () => {
+      const other = new FakeProvider('fake-other', ['fake-c']);
+      providerRegistry.register(other);
+      mcpConfig.models.fallbackChains = { 'fake-a': ['fake-c'] };
+      jest.spyOn(provider.circuitBreaker, 'canRequest').mockReturnValue(false);
+      other.respond.mockResolvedValue(answer('Hello from c'));
+
+      const response = await mcpModels.generate({ prompt: 'Hi', model: 'fake-a' });
+
+      mcpConfig.models.fallbackChains = { 'fake-a': ['fake-b'] };
+      providerRegistry.providers.delete(other.name);
+      jest.restoreAllMocks();
+      expect(response).toMatchObject({ content: 'Hello from c', model: 'fake-c', requestedModel: 'fake-a' });
+      expect(provider.respond).not.toHaveBeenCalled();
+    });
+
+    test('tries each model of the chain once', () => {
+      mcpConfig.models.fallbackChains = { 'fake-a': ['fake-b', 'fake-a', 'fake-b'] };
+      const chain = mcpModels.getModelChain('fake-a');
+      mcpConfig.models.fallbackChains = { 'fake-a': ['fake-b'] };
+
+      expect(chain).toEqual(['fake-a', 'fake-b']);
+      expect(mcpModels.getModelChain('fake-b')).toEqual(['fake-b']);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Tests of the MCP prompts catalog
+ */
+
+jest.mock('../../src/util/sapConnectivity');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mcpConfig = require('../../src/config/mcpConfig');
+const mcpPrompts = require('../../src/mcp/mcpPrompts');
+const mcpSapAdapter = require('../../src/mcp/mcpSapAdapter');
+const { NotFoundError, ValidationError } = require('../../src/middleware/errorHandler');
+
+describe('McpPrompts', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-prompts-'));
+  const catalogFile = path.join(directory, 'prompts.json');
+
+  beforeAll(() => {
+    fs.writeFileSync(catalogFile, JSON.stringify({
+      prompts: [
+        {
+          name: 'remind_supplier',
+          title: 'Remind supplier',
+          description: 'Remind the supplier of a purchase order',
+          arguments: [
+            { name: 'purchaseOrderId', description: 'Purchase order number', required: true },
+            { name: 'tone', description: 'Tone of the email', default: 'polite' }
+          ],
+          data: { po: { source: 'purchaseOrder', argument: 'purchaseOrderId' } },
+          messages: [
+            { role: 'user', text: 'Write a {{ tone }} reminder to {{po.SupplierName}} about {{po.PurchaseOrder}}.{{po.Missing}}' },
+            { role: 'user', text: 'Data: {{po}}' }
+          ]
+        },
+        { name: 'broken' },
+        {
+          name: 'unknown_source',
+          data: { invoice: { source: 'invoice', argument: 'id' } },
+          messages: [{ role: 'user', text: '{{invoice}}' }]
+        }
+      ]
+    }));
+    mcpPrompts.loadPrompts(catalogFile);
+  });
+
+  afterAll(() => {
+    mcpPrompts.loadPrompts(mcpConfig.protocol.promptsFile);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('loads the valid prompts of the catalog', () => {
+    expect(mcpPrompts.hasPrompt('remind_supplier')).toBe(true);
+    expect(mcpPrompts.hasPrompt('broken')).toBe(false);
+    expect(mcpPrompts.listPrompts()[0]).toEqual({
+      name: 'remind_supplier',
+      title: 'Remind supplier',
+      description: 'Remind the supplier of a purchase order',
+      arguments: [
+        { name: 'purchaseOrderId', description: 'Purchase order number', required: true },
+        { name: 'tone', description: 'Tone of the email', required: false }
+      ]
+    });
+  });
+
+  test('ships a catalog of procurement prompts', () => {
+    mcpPrompts.loadPrompts(mcpConfig.protocol.promptsFile);
+    const names = mcpPrompts.listPrompts().map(prompt => prompt.name);
+    mcpPrompts.loadPrompts(catalogFile);
+
+    expect(names).toEqual(expect.arrayContaining(['summarize_purchase_order', 'supplier_late_delivery_followup']));
+  });
+
+  test('renders the messages with the arguments, defaults and SAP data', async () => {
+    const getPurchaseOrder = jest.spyOn(mcpSapAdapter, 'getPurchaseOrderById').mockResolvedValue({
+      status: 'success',
+      result: { PurchaseOrder: '4500000001', SupplierName: 'ACME', _cachedAt: 1 }
+    });
+
+    const prompt = await mcpPrompts.getPrompt('remind_supplier', { purchaseOrderId: '4500000001' });
+
+    expect(getPurchaseOrder).toHaveBeenCalledWith('4500000001');
+    expect(prompt.description).toBe('Remind the supplier of a purchase order');
+    expect(prompt.messages[0]).toEqual({
+      role: 'user',
+      content: { type: 'text', text: 'Write a polite reminder to ACME about 4500000001.' }
+    });
+    expect(JSON.parse(prompt.messages[1].content.text.replace('Data: ', '')))
+      .toEqual({ PurchaseOrder: '4500000001', SupplierName: 'ACME' });
+  });
+
+  test('requires the required arguments', async () => {
+    await expect(mcpPrompts.getPrompt('remind_supplier', { purchaseOrderId: '' })).rejects.toThrow(ValidationError);
+    await expect(mcpPrompts.getPrompt('remind_supplier')).rejects
+      .toThrow('Missing required arguments for prompt remind_supplier: purchaseOrderId');
+  });
+
+  test('reports unknown prompts and missing SAP data as not found', async () => {
+    jest.spyOn(mcpSapAdapter, 'getPurchaseOrderById').mockResolvedValue({ status: 'error', message: 'Not found' });
+
+    await expect(mcpPrompts.getPrompt('unknown')).rejects.toThrow(NotFoundError);
+    await expect(mcpPrompts.getPrompt('remind_supplier', { purchaseOrderId: '1' })).rejects.toThrow('Not found');
+    await expect(mcpPrompts.getPrompt('unknown_source', {})).rejects.toThrow('Unknown data source invoice');
+  });
+
+  test('keeps no prompts when the catalog cannot be read', () => {
+    mcpPrompts.loadPrompts(path.join(directory, 'missing.json'));
+    const prompts = mcpPrompts.listPrompts();
+    mcpPrompts.loadPrompts(catalogFile);
+
+    expect(prompts).toEqual([]);
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Tests of the MCP JSON-RPC protocol handler
+ */
+
+jest.mock('../../src/util/sapConnectivity');
+
+const mcpProtocol = require('../../src/mcp/mcpProtocol');
+const mcpTools = require('../../src/mcp/mcpTools');
+const mcpResources = require('../../src/mcp/mcpResources');
+const mcpContextManager = require('../../src/mcp/mcpContextManager');
+const mcpSapAdapter = require('../../src/mcp/mcpSapAdapter');
+const { errorCodes } = require('../../src/mcp/mcpProtocol');
+const { ConflictError, NotFoundError } = require('../../src/middleware/errorHandler');
+
+/**
+ * Build a JSON-RPC request
+ * @param {number} id - Request ID
+ * @param {string} method - Method name
+ * @param {Object} params - Method parameters
+ * @returns {Object} - Request
+ */
+function request(id, method, params) {
+  return { jsonrpc: '2.0', id, method, params };
+}
+
+describe('McpProtocol', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mcpContextManager.stop();
+  });
+
+  describe('lifecycle', () => {
+    test('negotiates the protocol version and stores the client in the session', async () => {
+      const session = {};
+
+      const response = await mcpProtocol.handleMessage(request(1, 'initialize', {
+        protocolVersion: '2025-03-26',
+        clientInfo: { name: 'inspector' },
+        capabilities: { roots: {} }
+      }), session);
+
+      expect(response).toMatchObject({
+        jsonrpc: '2.0',
+        id: 1,
+        result: {
+          protocolVersion: '2025-03-26',
+          serverInfo: { name: 'sap-mmpur-mcp' },
+          capabilities: { tools: {}, resources: { subscribe: true }, prompts: {} }
+        }
+      });
+      expect(session).toMatchObject({ protocolVersion: '2025-03-26', clientInfo: { name: 'inspector' } });
+    });
+
+    test('answers unknown protocol versions with the newest supported one', async () => {
+      const response = await mcpProtocol.handleMessage(request(1, 'initialize', { protocolVersion: '1999-01-01' }));
+
+      expect(response.result.protocolVersion).toBe('2025-06-18');
+    });
+
+    test('does not answer notifications', async () => {
+      const session = {};
+
+      await expect(mcpProtocol.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' }, session))
+        .resolves.toBeNull();
+      await expect(mcpProtocol.handleMessage({ jsonrpc: '2.0', method: 'notifications/unknown' }, session))
+        .resolves.toBeNull();
+      expect(session.initialized).toBe(true);
+    });
+
+    test('answers ping', async () => {
+      await expect(mcpProtocol.handleMessage(request('a', 'ping')))
+        .resolves.toEqual({ jsonrpc: '2.0', id: 'a', result: {} });
+    });
+  });
+
+  describe('errors', () => {
+    test('rejects messages that are not JSON-RPC 2.0', async () => {
+      const response = await mcpProtocol.handleMessage({ id: 1, method: 'ping' });
+
+      expect(response).toEqual({
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: errorCodes.INVALID_REQUEST, message: 'Invalid JSON-RPC 2.0 message' }
+      });
+    });
+
+    test('answers unknown methods and requests without a method', async () => {
+      await expect(mcpProtocol.handleMessage(request(2, 'tools/unknown'))).resolves.toMatchObject({
+        id: 2,
+        error: { code: errorCodes.METHOD_NOT_FOUND }
+      });
+      await expect(mcpProtocol.handleMessage({ jsonrpc: '2.0', id: 3 })).resolves.toMatchObject({
+        id: 3,
+        error: { code: errorCodes.INVALID_REQUEST, message: 'Missing method' }
+      });
+    });
+
+    test('ignores responses to requests of the server', async () => {
+      await expect(mcpProtocol.handleMessage({ jsonrpc: '2.0', id: 4, result: {} })).resolves.toBeNull();
+    });
+
+    test('reports unexpected errors of handlers as internal errors', async () => {
+      jest.spyOn(mcpTools, 'listTools').mockImplementation(() => {
+        throw new Error('Broken');
+      });
+
+      await expect(mcpProtocol.handleMessage(request(5, 'tools/list'))).resolves.toMatchObject({
+        id: 5,
+        error: { code: errorCodes.INTERNAL_ERROR, message: 'Broken' }
+      });
+    });
+  });
+
+  describe('batches', () => {
+    test('answers each request of a batch and skips notifications', async () => {
+      const responses = await mcpProtocol.handleMessage([
+        request(1, 'ping'),
+        { jsonrpc: '2.0', method: 'notifications/initialized' },
+        request(2, 'unknown')
+      ], {});
+
+      expect(responses).toHaveLength(2);
+      expect(responses[0]).toMatchObject({ id: 1, result: {} });
+      expect(responses[1]).toMatchObject({ id: 2, error: { code: errorCodes.METHOD_NOT_FOUND } });
+    });
+
+    test('rejects empty batches and does not answer batches of notifications', async () => {
+      await expect(mcpProtocol.handleMessage([])).resolves.toMatchObject({
+        id: null,
+        error: { code: errorCodes.INVALID_REQUEST }
+      });
+      await expect(mcpProtocol.handleMessage([{ jsonrpc: '2.0', method: 'notifications/initialized' }], {}))
+        .resolves.toBeNull();
+    });
+  });
+
+  describe('tools', () => {
+    test('lists the tools with their input schemas', async () => {
+      const response = await mcpProtocol.handleMessage(request(1, 'tools/list'));
+      const names = response.result.tools.map(tool => tool.name);
+
+      expect(names).toEqual(expect.arrayContaining(['get_purchase_order', 'update_purchase_order']));
+      response.result.tools.forEach(tool => expect(tool.inputSchema).toMatchObject({ type: 'object' }));
+    });
+
+    test('calls a tool and returns its result as text and structured content', async () => {
+      const getPurchaseOrder = jest.spyOn(mcpSapAdapter, 'getPurchaseOrderById')
+        .mockResolvedValue({ status: 'success', result: { PurchaseOrder: '4500000001' } });
+
+      const response = await mcpProtocol.handleMessage(request(1, 'tools/call', {
+        name: 'get_purchase_order',
+        arguments: { id: '4500000001' }
+      }));
+
+      expect(getPurchaseOrder).toHaveBeenCalledWith('4500000001');
+      expect(response.result.isError).toBe(false);
+      expect(JSON.parse(response.result.content[0].text)).toEqual(response.result.structuredContent);
+    });
+
+    test('answers unknown tools and invalid arguments with invalid params', async () => {
+      await expect(mcpProtocol.handleMessage(request(1, 'tools/call', { name: 'drop_tables' }))).resolves.toMatchObject({
+        error: { code: errorCodes.INVALID_PARAMS, message: 'Unknown tool: drop_tables' }
+      });
+      await expect(mcpProtocol.handleMessage(request(2, 'tools/call', { name: 'get_purchase_order', arguments: {} })))
+        .resolves.toMatchObject({ error: { code: errorCodes.INVALID_PARAMS } });
+    });
+
+    test('reports failed tool calls in the result with their details', async () => {
+      jest.spyOn(mcpTools, 'callTool').mockRejectedValue(
+        new ConflictError('Purchase order 4500000001 was changed', { current: { Supplier: '174' } }));
+
+      const response = await mcpProtocol.handleMessage(request(1, 'tools/call', {
+        name: 'update_purchase_order',
+        arguments: { id: '4500000001', etag: 'W/"1"', changes: { Currency: 'USD' } }
+      }));
+
+      expect(response.result.isError).toBe(true);
+      expect(response.result.content[0].text).toBe('Purchase order 4500000001 was changed');
+      expect(JSON.parse(response.result.content[1].text)).toEqual({ current: { Supplier: '174' } });
+    });
+
+    test('records tool calls in the context of the session', async () => {
+      jest.spyOn(mcpTools, 'callTool').mockResolvedValue({ PurchaseOrder: '4500000001' });
+      const contextId = await mcpContextManager.createContext({ model: 'gpt-4' });
+
+      await mcpProtocol.handleMessage(request(1, 'tools/call', {
+        name: 'get_purchase_order',
+        arguments: { id: '4500000001' }
+      }), { contextId });
+      const { contents } = await mcpContextManager.getContext(contextId);
+
+      expect(contents).toHaveLength(2);
+      expect(contents[0].content[0]).toMatchObject({ type: 'tool_call', name: 'get_purchase_order' });
+      expect(contents[1]).toMatchObject({ role: 'tool', toolCallId: contents[0].content[0].id });
+      expect(contents[1].content[0]).toMatchObject({ type: 'tool_result', isError: false });
+    });
+  });
+
+  describe('resources and prompts', () => {
+    test('answers unknown resources with resource not found', async () => {
+      jest.spyOn(mcpResources, 'readResource').mockRejectedValue(new NotFoundError('Unknown resource URI: x'));
+
+      await expect(mcpProtocol.handleMessage(request(1, 'resources/read', { uri: 'x' }))).resolves.toMatchObject({
+        error: { code: errorCodes.RESOURCE_NOT_FOUND, data: { uri: 'x' } }
+      });
+      await expect(mcpProtocol.handleMessage(request(2, 'resources/subscribe', { uri: 'x' }), { notify: jest.fn() }))
+        .resolves.toMatchObject({ error: { code: errorCodes.RESOURCE_NOT_FOUND } });
+    });
+
+    test('rejects subscriptions of sessions that cannot be notified', async () => {
+      await expect(mcpProtocol.handleMessage(request(1, 'resources/subscribe', { uri: 'sap://purchaseOrder/1' }), {}))
+        .resolves.toMatchObject({ error: { code: errorCodes.INVALID_REQUEST } });
+    });
+
+    test('ends the subscriptions of a session', async () => {
+      const session = { notify: jest.fn() };
+      const uri = 'sap://purchaseOrder/4500000001';
+
+      await mcpProtocol.handleMessage(request(1, 'resources/subscribe', { uri }), session);
+      mcpProtocol.endSession(session);
+      mcpResources.notifyUpdated(uri);
+
+      expect(session.notify).not.toHaveBeenCalled();
+    });
+
+    test('lists the resource templates and prompts', async () => {
+      const templates = await mcpProtocol.handleMessage(request(1, 'resources/templates/list'));
+      const prompts = await mcpProtocol.handleMessage(request(2, 'prompts/list'));
+
+      expect(templates.result.resourceTemplates.map(template => template.name))
+        .toEqual(['purchaseOrder', 'supplier', 'material']);
+      expect(prompts.result.prompts.length).toBeGreaterThan(0);
+    });
+
+    test('answers unknown prompts and missing arguments with invalid params', async () => {
+      const [prompt] = (await mcpProtocol.handleMessage(request(1, 'prompts/list'))).result.prompts;
+
+      await expect(mcpProtocol.handleMessage(request(2, 'prompts/get', { name: 'unknown' }))).resolves.toMatchObject({
+        error: { code: errorCodes.INVALID_PARAMS, message: 'Unknown prompt: unknown' }
+      });
+      await expect(mcpProtocol.handleMessage(request(3, 'prompts/get', { name: prompt.name }))).resolves.toMatchObject({
+        error: { code: errorCodes.INVALID_PARAMS }
+      });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Tests of the MCP resources
+ */
+
+jest.mock('../../src/util/sapConnectivity');
+
+const mcpResources = require('../../src/mcp/mcpResources');
+const mcpSapAdapter = require('../../src/mcp/mcpSapAdapter');
+const { NotFoundError, ValidationError } = require('../../src/middleware/errorHandler');
+
+describe('McpResources', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    mcpResources.subscriptions.clear();
+  });
+
+  describe('URIs', () => {
+    test('build and parse URIs of SAP entities', () => {
+      const uri = mcpResources.buildUri('material', 'MAT 01/A');
+
+      expect(uri).toBe('sap://material/MAT%2001%2FA');
+      expect(mcpResources.parseUri(uri)).toEqual({ type: 'material', id: 'MAT 01/A' });
+    });
+
+    test('do not parse URIs of other schemes or entity types', () => {
+      expect(mcpResources.parseUri('file:///etc/passwd')).toBeNull();
+      expect(mcpResources.parseUri('sap://invoice/1')).toBeNull();
+      expect(mcpResources.parseUri(undefined)).toBeNull();
+    });
+
+    test('are listed as templates', () => {
+      expect(mcpResources.listTemplates()).toContainEqual(expect.objectContaining({
+        uriTemplate: 'sap://purchaseOrder/{id}',
+        mimeType: 'application/json'
+      }));
+    });
+  });
+
+  describe('listResources', () => {
+    test('lists the most recent entities of each type', async () => {
+      jest.spyOn(mcpSapAdapter, 'getPurchaseOrders').mockResolvedValue({
+        results: [{ PurchaseOrder: '4500000001', SupplierName: 'ACME', StatusDescription: 'Open' }]
+      });
+      jest.spyOn(mcpSapAdapter, 'getSuppliers').mockResolvedValue({
+        results: [{ SupplierId: '173', Name: 'ACME', City: 'Walldorf', Country: 'DE' }]
+      });
+      jest.spyOn(mcpSapAdapter, 'getMaterials').mockResolvedValue({ results: [{ MaterialId: 'M-01' }] });
+
+      await expect(mcpResources.listResources()).resolves.toEqual([
+        {
+          uri: 'sap://purchaseOrder/4500000001',
+          name: 'Purchase order 4500000001',
+          description: 'ACME - Open',
+          mimeType: 'application/json'
+        },
+        { uri: 'sap://supplier/173', name: 'Supplier 173', description: 'ACME, Walldorf, DE', mimeType: 'application/json' },
+        { uri: 'sap://material/M-01', name: 'Material M-01', description: '', mimeType: 'application/json' }
+      ]);
+    });
+
+    test('lists the other types when one entity set is unavailable', async () => {
+      jest.spyOn(mcpSapAdapter, 'getPurchaseOrders').mockRejectedValue(new Error('Service unavailable'));
+      jest.spyOn(mcpSapAdapter, 'getSuppliers').mockResolvedValue({ results: [{ SupplierId: '173' }] });
+      jest.spyOn(mcpSapAdapter, 'getMaterials').mockResolvedValue({});
+
+      const resources = await mcpResources.listResources();
+
+      expect(resources.map(resource => resource.uri)).toEqual(['sap://supplier/173']);
+    });
+  });
+
+  describe('readResource', () => {
+    test('reads an entity without its internal fields', async () => {
+      const getPurchaseOrder = jest.spyOn(mcpSapAdapter, 'getPurchaseOrderById').mockResolvedValue({
+        status: 'success',
+        result: { PurchaseOrder: '4500000001', _etag: 'W/"1"' }
+      });
+
+      const contents = await mcpResources.readResource('sap://purchaseOrder/4500000001');
+
+      expect(getPurchaseOrder).toHaveBeenCalledWith('4500000001');
+      expect(contents).toMatchObject({ uri: 'sap://purchaseOrder/4500000001', mimeType: 'application/json' });
+      expect(JSON.parse(contents.text)).toEqual({ PurchaseOrder: '4500000001' });
+    });
+
+    test('reports unknown URIs and missing entities as not found', async () => {
+      jest.spyOn(mcpSapAdapter, 'getSupplierById').mockResolvedValue({ status: 'error', message: 'Supplier 999 not found' });
+      jest.spyOn(mcpSapAdapter, 'getMaterialById').mockResolvedValue(null);
+
+      await expect(mcpResources.readResource('sap://invoice/1')).rejects.toThrow(NotFoundError);
+      await expect(mcpResources.readResource('sap://supplier/999')).rejects.toThrow('Supplier 999 not found');
+      await expect(mcpResources.readResource('sap://material/M-99')).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('subscriptions', () => {
+    const uri = 'sap://purchaseOrder/4500000001';
+
+    test('notify subscribed sessions when a purchase order is updated', () => {
+      const session = { notify: jest.fn() };
+      const other = { notify: jest.fn() };
+      mcpResources.subscribe(uri, session);
+      mcpResources.subscribe('sap://purchaseOrder/4500000002', other);
+
+      mcpSapAdapter.emit('purchaseOrderUpdated', '4500000001');
+
+      expect(session.notify).toHaveBeenCalledWith('notifications/resources/updated', { uri });
+      expect(other.notify).not.toHaveBeenCalled();
+    });
+
+    test('stop after unsubscribing', () => {
+      const session = { notify: jest.fn() };
+      mcpResources.subscribe(uri, session);
+
+      mcpResources.unsubscribe(uri, session);
+      mcpResources.unsubscribe(uri, session);
+      mcpResources.notifyUpdated(uri);
+
+      expect(session.notify).not.toHaveBeenCalled();
+      expect(mcpResources.subscriptions.has(uri)).toBe(false);
+    });
+
+    test('require a known URI and a session that can be notified', () => {
+      expect(() => mcpResources.subscribe('sap://invoice/1', { notify: jest.fn() })).toThrow(NotFoundError);
+      expect(() => mcpResources.subscribe(uri, {})).toThrow(ValidationError);
+    });
+  });
+});
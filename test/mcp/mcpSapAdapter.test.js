@@ -0,0 +1,334 @@
+/**
+ * Tests of the MCP SAP adapter
+ */
+
+jest.mock('../../src/util/sapConnectivity', () => ({
+  ...jest.requireActual('../../src/util/sapConnectivity'),
+  executeODataRequest: jest.fn(),
+  executeBatchRequest: jest.fn()
+}));
+
+const { executeODataRequest, executeBatchRequest } = require('../../src/util/sapConnectivity');
+const mcpConfig = require('../../src/config/mcpConfig');
+const mcpSapAdapter = require('../../src/mcp/mcpSapAdapter');
+const mcpSchemaRegistry = require('../../src/mcp/mcpSchemaRegistry');
+const { ConflictError, ValidationError } = require('../../src/middleware/errorHandler');
+const metadata = require('../fixtures/purchaseOrderMetadata');
+
+describe('McpSapAdapter conflicts', () => {
+  const id = '4500000001';
+  let sapPurchaseOrder;
+
+  // Fake SAP service that changed the purchase order after it was read
+  const answerWithPreconditionFailed = async (url, method) => {
+    if (url.endsWith('$metadata')) {
+      throw new Error('No metadata');
+    }
+
+    if (method === 'GET') {
+      return {
+        status: 200,
+        headers: { etag: sapPurchaseOrder.__metadata.etag },
+        data: { d: sapPurchaseOrder }
+      };
+    }
+
+    // Someone else changed the purchase order in the meantime
+    sapPurchaseOrder = { ...sapPurchaseOrder, Supplier: '174', __metadata: { etag: 'W/"2"' } };
+
+    const error = new Error('Request failed with status code 412');
+    error.response = { status: 412, headers: {}, data: {} };
+    throw error;
+  };
+
+  // Fake SAP service that accepts changes, answering them with no content
+  const answerChanges = async (url, method) => {
+    if (method === 'GET') {
+      return answerWithPreconditionFailed(url, method);
+    }
+    return undefined;
+  };
+
+  beforeEach(() => {
+    sapPurchaseOrder = { PurchaseOrder: id, Supplier: '173', Currency: 'EUR', __metadata: { etag: 'W/"1"' } };
+    executeODataRequest.mockReset();
+    executeODataRequest.mockImplementation(answerWithPreconditionFailed);
+    mcpSapAdapter.cache.purchaseOrders.clear();
+  });
+
+  const getChangeRequest = method => executeODataRequest.mock.calls.find(call => call[1] === method);
+
+  test('turns a 412 on update into a ConflictError with the current purchase order', async () => {
+    const error = await mcpSapAdapter.updatePurchaseOrder(id, { Currency: 'USD' }, { etag: 'W/"1"' })
+      .catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.statusCode).toBe(409);
+    expect(error.data.current).toMatchObject({ PurchaseOrder: id, Supplier: '174' });
+
+    const [url, , changes, , options] = getChangeRequest('MERGE');
+    expect(url).toMatch(/\/PurchaseOrderSet\('4500000001'\)$/);
+    expect(changes).toEqual({ Currency: 'USD' });
+    expect(options.headers).toEqual({ 'If-Match': 'W/"1"' });
+  });
+
+  test('rejects an update based on an older version without sending it', async () => {
+    sapPurchaseOrder = { ...sapPurchaseOrder, Supplier: '174', __metadata: { etag: 'W/"2"' } };
+
+    const error = await mcpSapAdapter.updatePurchaseOrder(id, { Currency: 'USD' }, { etag: 'W/"1"' })
+      .catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.data.current).toMatchObject({ Supplier: '174', _etag: 'W/"2"' });
+    expect(getChangeRequest('MERGE')).toBeUndefined();
+  });
+
+  test('updates any version with the entity tag *', async () => {
+    executeODataRequest.mockImplementation(answerChanges);
+
+    await mcpSapAdapter.updatePurchaseOrder(id, { Currency: 'USD' }, { etag: '*' });
+
+    expect(getChangeRequest('MERGE')[4].headers).toEqual({ 'If-Match': '*' });
+  });
+
+  test('updates unconditionally without an entity tag', async () => {
+    executeODataRequest.mockImplementation(answerChanges);
+
+    await mcpSapAdapter.updatePurchaseOrder(id, { Currency: 'USD' });
+
+    expect(getChangeRequest('MERGE')[4].headers).toEqual({});
+  });
+
+  test('turns a 412 on delete into a ConflictError with the current purchase order', async () => {
+    const error = await mcpSapAdapter.deletePurchaseOrder(id, { etag: 'W/"1"' }).catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ConflictError);
+    expect(error.data.current).toMatchObject({ PurchaseOrder: id, Supplier: '174' });
+    expect(getChangeRequest('DELETE')[4].headers).toEqual({ 'If-Match': 'W/"1"' });
+  });
+
+  test('deletes with the entity tag of the caller only, not the one of a cached read', async () => {
+    executeODataRequest.mockImplementation(answerChanges);
+
+    await mcpSapAdapter.getPurchaseOrderById(id);
+    await mcpSapAdapter.deletePurchaseOrder(id);
+
+    expect(getChangeRequest('DELETE')[4].headers).toEqual({});
+  });
+});
+
+describe('McpSapAdapter batches', () => {
+  beforeEach(() => {
+    executeBatchRequest.mockReset();
+  });
+
+  const expectRejected = (requests, message) => {
+    expect(() => mcpSapAdapter.validateBatch(requests)).toThrow(ValidationError);
+    expect(() => mcpSapAdapter.validateBatch(requests)).toThrow(message);
+  };
+
+  test('accepts requests and changesets of changes', () => {
+    expect(() => mcpSapAdapter.validateBatch([
+      { method: 'GET', url: 'PurchaseOrderSet(\'4500000001\')' },
+      { changeset: [{ method: 'MERGE', url: 'PurchaseOrderSet(\'4500000001\')', headers: { 'If-Match': '*' } }] }
+    ])).not.toThrow();
+  });
+
+  test('rejects line breaks in URLs that would add requests', () => {
+    expectRejected([{
+      method: 'GET',
+      url: 'PurchaseOrderSet HTTP/1.1\r\n\r\n--batch_1\r\nContent-Type: application/http\r\n\r\nDELETE PurchaseOrderSet(\'1\')'
+    }], 'requests[0].url must be a non-empty string without whitespace or line breaks');
+  });
+
+  test('rejects line breaks in headers, also within changesets', () => {
+    expectRejected([{
+      changeset: [{ method: 'MERGE', url: 'PurchaseOrderSet(\'1\')', headers: { 'If-Match': '*\r\nX-Other: 1' } }]
+    }], 'requests[0].changeset[0].headers.If-Match must be a string without line breaks');
+    expectRejected([{ method: 'GET', url: 'PurchaseOrderSet', headers: { 'A\nB': 'x' } }], 'invalid header name');
+  });
+
+  test('rejects headers that are not an object of strings', () => {
+    expectRejected([{ method: 'GET', url: 'PurchaseOrderSet', headers: 'If-Match: *' }],
+      'requests[0].headers must be an object of header names and string values');
+    expectRejected([{ method: 'GET', url: 'PurchaseOrderSet', headers: { 'If-Match': ['*'] } }],
+      'requests[0].headers.If-Match must be a string without line breaks');
+  });
+
+  test('does not send rejected batches', async () => {
+    await expect(mcpSapAdapter.executeBatch([{ method: 'GET', url: 'PurchaseOrderSet\r\n' }]))
+      .rejects.toThrow(ValidationError);
+    expect(executeBatchRequest).not.toHaveBeenCalled();
+  });
+});
+
+describe('McpSapAdapter message parts', () => {
+  test('turns the records of a query result into SAP entity parts', () => {
+    const parts = mcpSapAdapter.toMessageParts('open orders of ACME', {
+      status: 'success',
+      results: [{ PurchaseOrder: '4500000001', Supplier: 'ACME' }, { SupplierId: '173' }, { Plant: '1010' }]
+    });
+
+    expect(parts).toEqual([
+      { type: 'text', text: 'SAP query "open orders of ACME" returned 3 records.' },
+      { type: 'sap_entity', entity: 'PurchaseOrder', id: '4500000001', data: { PurchaseOrder: '4500000001', Supplier: 'ACME' } },
+      { type: 'sap_entity', entity: 'Supplier', id: '173', data: { SupplierId: '173' } },
+      { type: 'text', text: '{"Plant":"1010"}' }
+    ]);
+  });
+
+  test('describes single records and failed queries as text', () => {
+    const single = mcpSapAdapter.toMessageParts('material M-1', { status: 'success', result: { MaterialId: 'M-1' } });
+    const failed = mcpSapAdapter.toMessageParts('material M-2', { status: 'error', message: 'Not found' });
+
+    expect(single[0].text).toBe('SAP query "material M-1" returned 1 record.');
+    expect(single[1]).toMatchObject({ entity: 'Material', id: 'M-1' });
+    expect(failed).toEqual([{ type: 'text', text: 'SAP query "material M-2" failed: Not found' }]);
+  });
+});
+
+describe('McpSapAdapter OData v4', () => {
+  const { odataVersion } = mcpConfig.sap;
+  let adapter;
+
+  // S/4HANA Cloud purchase order with its items expanded
+  const sapPurchaseOrder = {
+    '@odata.etag': 'W/"20240131101500"',
+    PurchaseOrder: '4500000001',
+    Supplier: '17300001',
+    NetAmount: '1000.50',
+    _Item: [{ ItemNumber: '10', Material: 'M-1', OrderQuantity: '5', NetPrice: '200.10' }]
+  };
+
+  beforeAll(() => {
+    mcpConfig.sap.odataVersion = '4.0';
+    adapter = new mcpSapAdapter.constructor();
+  });
+
+  afterAll(() => {
+    mcpConfig.sap.odataVersion = odataVersion;
+  });
+
+  beforeEach(() => {
+    executeODataRequest.mockReset();
+    executeODataRequest.mockImplementation(async (url, method) => {
+      if (url.endsWith('$metadata')) {
+        throw new Error('No metadata');
+      }
+      if (method !== 'GET') {
+        return undefined;
+      }
+      return url.includes('PurchaseOrder(')
+        ? { status: 200, headers: {}, data: sapPurchaseOrder }
+        : { value: [sapPurchaseOrder], '@odata.nextLink': null };
+    });
+    adapter.cache.purchaseOrders.clear();
+  });
+
+  const requestedUrls = () => executeODataRequest.mock.calls.map(call => decodeURIComponent(call[0]));
+
+  test('reads the value envelope and the _Item navigation', async () => {
+    const { results } = await adapter.getPurchaseOrders({ limit: 5 });
+
+    expect(requestedUrls()).toContain(`${mcpConfig.sap.serviceUrl}/PurchaseOrder?$top=5&$expand=_Item`);
+    expect(executeODataRequest.mock.calls[executeODataRequest.mock.calls.length - 1][4]).toMatchObject({ version: '4.0' });
+    expect(results[0]).toMatchObject({
+      PurchaseOrder: '4500000001',
+      NetAmount: 1000.5,
+      Items: [expect.objectContaining({ Material: 'M-1', OrderQuantity: 5 })],
+      _etag: 'W/"20240131101500"'
+    });
+  });
+
+  test('searches with contains()', async () => {
+    await adapter.searchPurchaseOrders('ACME');
+
+    expect(requestedUrls().find(url => url.includes('$filter'))).toContain('contains(CompanyName, \'ACME\') or contains(PurchaseOrderType, \'ACME\')');
+  });
+
+  test('updates with PATCH and the entity tag of the caller', async () => {
+    await adapter.updatePurchaseOrder('4500000001', { Supplier: '17300002' }, { etag: 'W/"20240131101500"' });
+
+    const patch = executeODataRequest.mock.calls.find(call => call[1] === 'PATCH');
+    expect(patch[0]).toBe(`${mcpConfig.sap.serviceUrl}/PurchaseOrder('4500000001')`);
+    expect(patch[2]).toEqual({ Supplier: '17300002' });
+    expect(patch[4].headers).toEqual({ 'If-Match': 'W/"20240131101500"' });
+  });
+
+  test('sends the items of a new purchase order as a plain array', async () => {
+    executeODataRequest.mockImplementationOnce(async () => sapPurchaseOrder);
+
+    await adapter.createPurchaseOrder({
+      CompanyCode: '1010',
+      Supplier: '17300001',
+      Items: [{ ItemNumber: '10', Material: 'M-1', OrderQuantity: 5, NetPrice: 200.1 }]
+    });
+
+    const post = executeODataRequest.mock.calls.find(call => call[1] === 'POST');
+    expect(post[2]._Item).toEqual([expect.objectContaining({ Material: 'M-1', OrderQuantity: '5', NetPrice: '200.1' })]);
+  });
+});
+
+describe('McpSapAdapter entity model', () => {
+  const serviceUrl = mcpSapAdapter.sapServiceUrl;
+
+  beforeAll(async () => {
+    executeODataRequest.mockReset();
+    executeODataRequest.mockResolvedValueOnce(metadata);
+    await mcpSchemaRegistry.load();
+  });
+
+  afterAll(() => {
+    mcpSchemaRegistry.model = null;
+  });
+
+  test('writes keys as literals of their EDM types', () => {
+    expect(mcpSapAdapter.buildEntityUrl('SupplierSet', '0050569E-1B2C-1EDA-A1B2-000000000001'))
+      .toBe(`${serviceUrl}/SupplierSet(${encodeURIComponent('guid\'0050569E-1B2C-1EDA-A1B2-000000000001\'')})`);
+    expect(() => mcpSapAdapter.buildEntityUrl('PurchaseOrderSet', '4500000001\'))'))
+      .toThrow(new ValidationError('Invalid ID for PurchaseOrderSet: 4500000001\')) is not a valid Edm.String of at most 10 characters'));
+    expect(() => mcpSapAdapter.buildEntityUrl('SupplierSet', '17300001')).toThrow('is not a valid Edm.Guid');
+    expect(() => mcpSapAdapter.buildEntityUrl('PurchaseOrderItemSet', '10')).toThrow('has a composite key');
+  });
+
+  test('takes over and coerces the declared properties of purchase orders', () => {
+    const purchaseOrder = mcpSapAdapter.transformPurchaseOrder({
+      __metadata: { etag: 'W/"1"' },
+      PurchaseOrder: '4500000001',
+      NetAmount: '1000.50',
+      DocumentDate: '/Date(1706659200000)/',
+      ToItems: { results: [{ ItemNumber: '00010', OrderQuantity: '5.000' }] }
+    });
+
+    expect(purchaseOrder).toMatchObject({
+      PurchaseOrder: '4500000001',
+      NetAmount: 1000.5,
+      DocumentDate: '2024-01-31T00:00:00.000Z',
+      Items: [expect.objectContaining({ ItemNumber: '00010', OrderQuantity: 5 })],
+      _etag: 'W/"1"'
+    });
+  });
+
+  test('sends only the changed updatable fields, serialized for the service', () => {
+    const current = { PurchaseOrder: '4500000001', Supplier: '173', Currency: 'EUR', NetAmount: 10 };
+
+    expect(mcpSapAdapter.getChangedFields(current, {
+      Supplier: '174',
+      Currency: 'EUR',
+      NetAmount: 20,
+      DocumentDate: '2024-01-31'
+    })).toEqual({ Supplier: '174', DocumentDate: '/Date(1706659200000)/' });
+  });
+
+  test('validates purchase orders against the entity model', async () => {
+    const error = await mcpSapAdapter.createPurchaseOrder({ Supplier: 'A-VERY-LONG-SUPPLIER', Items: [{ Material: 5 }] })
+      .catch(caught => caught);
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.message).toBe('Invalid purchase order data for create');
+    expect(error.data).toEqual([
+      'PurchaseOrderSet.Supplier must be at most 10 characters long',
+      'PurchaseOrderSet.Items[0].Material must be of type string or null'
+    ]);
+  });
+});
@@ -0,0 +1,219 @@
+/**
+ * Tests of the entity schema registry read from the service $metadata
+ */
+
+jest.mock('../../src/util/sapConnectivity');
+
+const { executeODataRequest } = require('../../src/util/sapConnectivity');
+const mcpConfig = require('../../src/config/mcpConfig');
+const mcpSchemaRegistry = require('../../src/mcp/mcpSchemaRegistry');
+const { ValidationError } = require('../../src/middleware/errorHandler');
+const metadata = require('../fixtures/purchaseOrderMetadata');
+
+const McpSchemaRegistry = mcpSchemaRegistry.constructor;
+
+describe('McpSchemaRegistry', () => {
+  const { odataVersion } = mcpConfig.sap;
+  let registry;
+  let now;
+
+  beforeEach(() => {
+    now = 1000000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    executeODataRequest.mockReset();
+    executeODataRequest.mockResolvedValue(metadata);
+    registry = new McpSchemaRegistry();
+  });
+
+  afterEach(() => {
+    mcpConfig.sap.odataVersion = odataVersion;
+    jest.restoreAllMocks();
+  });
+
+  describe('loading', () => {
+    test('reads the $metadata document of the service once for concurrent callers', async () => {
+      const [model] = await Promise.all([registry.ensureLoaded(), registry.ensureLoaded()]);
+      await registry.ensureLoaded();
+
+      expect(executeODataRequest).toHaveBeenCalledTimes(1);
+      expect(executeODataRequest.mock.calls[0][0]).toBe(`${mcpConfig.sap.serviceUrl.replace(/\/+$/, '')}/$metadata`);
+      expect(executeODataRequest.mock.calls[0][4].headers).toEqual({ 'Accept': 'application/xml' });
+      expect(Object.keys(model.entitySets)).toEqual(['PurchaseOrderSet', 'PurchaseOrderItemSet', 'SupplierSet']);
+      expect(registry.describe()).toMatchObject({ loadedAt: new Date(now).toISOString(), version: '2.0' });
+    });
+
+    test('waits a minute before loading again after a failed load', async () => {
+      executeODataRequest.mockRejectedValueOnce(new Error('SAP unreachable'));
+
+      await expect(registry.ensureLoaded()).resolves.toBeNull();
+      now += 30000;
+      await expect(registry.ensureLoaded()).resolves.toBeNull();
+      now += 30000;
+      await expect(registry.ensureLoaded()).resolves.not.toBeNull();
+
+      expect(executeODataRequest).toHaveBeenCalledTimes(2);
+    });
+
+    test('refreshes an expired model in the background and keeps it when the refresh fails', async () => {
+      const model = await registry.ensureLoaded();
+      executeODataRequest.mockRejectedValueOnce(new Error('SAP unreachable'));
+
+      now += mcpConfig.sap.metadataCacheTtlMs;
+      await expect(registry.ensureLoaded()).resolves.toBe(model);
+      await registry.pendingLoad?.catch(() => {});
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(executeODataRequest).toHaveBeenCalledTimes(2);
+      expect(registry.getModel()).toBe(model);
+      expect(registry.failedAt).toBe(now);
+    });
+
+    test('describes nothing and knows no entity sets before a model is loaded', () => {
+      expect(registry.describe()).toBeNull();
+      expect(registry.getEntityType('PurchaseOrderSet')).toBeNull();
+      expect(registry.getFunctionImport('ReleasePurchaseOrder')).toBeNull();
+      expect(registry.toJsonSchema('PurchaseOrderSet')).toBeNull();
+      expect(registry.validateEntity('PurchaseOrderSet', { Supplier: 5 })).toEqual([]);
+      expect(registry.parseFilter('PurchaseOrderSet', { NetAmount: '5' })).toEqual({ NetAmount: '5' });
+    });
+  });
+
+  describe('entity model', () => {
+    let purchaseOrder;
+
+    beforeEach(async () => {
+      await registry.ensureLoaded();
+      purchaseOrder = registry.getEntityType('PurchaseOrderSet');
+    });
+
+    test('finds entity types, navigation targets and function imports', () => {
+      expect(purchaseOrder.keys).toEqual(['PurchaseOrder']);
+      expect(registry.getNavigationTarget(purchaseOrder, 'ToItems').name).toBe('ZMM_PURCHASE_ORDER_SRV.PurchaseOrderItem');
+      expect(registry.getNavigationTarget(purchaseOrder, 'ToSupplier')).toBeNull();
+      expect(registry.getFunctionImport('ReleasePurchaseOrder')).toMatchObject({ httpMethod: 'POST' });
+      expect(registry.getEntityType('UnknownSet')).toBeNull();
+    });
+
+    test('lists the properties that creates and updates can set', () => {
+      expect(registry.getWritableProperties(purchaseOrder, 'create')).toEqual(['CompanyCode', 'Supplier', 'Currency', 'DocumentDate']);
+      expect(registry.getWritableProperties(purchaseOrder, 'update')).toEqual(['Supplier', 'Currency', 'DocumentDate']);
+    });
+
+    test('coerces decimals to numbers and v2 dates to ISO 8601', () => {
+      expect(registry.coerceEntity(purchaseOrder, {
+        PurchaseOrder: '4500000001',
+        NetAmount: '1000.50',
+        DocumentDate: '/Date(1706659200000)/',
+        LastChangeDateTime: '/Date(1706695500000+0000)/',
+        Supplier: null,
+        Unknown: 'dropped'
+      })).toEqual({
+        PurchaseOrder: '4500000001',
+        CompanyCode: undefined,
+        Supplier: null,
+        Currency: undefined,
+        DocumentDate: '2024-01-31T00:00:00.000Z',
+        NetAmount: 1000.5,
+        LastChangeDateTime: '2024-01-31T10:05:00.000Z'
+      });
+    });
+
+    test('serializes values in the format of the OData version', () => {
+      const data = { NetAmount: 1000.5, DocumentDate: '2024-01-31', LastChangeDateTime: '2024-01-31T10:05:00Z', Currency: null };
+
+      expect(registry.serializeEntity(purchaseOrder, data)).toEqual({
+        Currency: null,
+        DocumentDate: '/Date(1706659200000)/',
+        NetAmount: '1000.5',
+        LastChangeDateTime: '/Date(1706695500000+0000)/'
+      });
+
+      mcpConfig.sap.odataVersion = '4.0';
+      expect(registry.serializeEntity(purchaseOrder, data, ['NetAmount', 'LastChangeDateTime', 'Unknown'])).toEqual({
+        NetAmount: 1000.5,
+        LastChangeDateTime: '2024-01-31T10:05:00.000Z'
+      });
+    });
+  });
+
+  describe('JSON Schemas', () => {
+    beforeEach(async () => {
+      await registry.ensureLoaded();
+    });
+
+    test('describe the properties of an entity set by their EDM types and facets', () => {
+      const schema = registry.toJsonSchema('PurchaseOrderSet');
+
+      expect(schema).toMatchObject({ type: 'object', additionalProperties: false });
+      expect(schema.properties.PurchaseOrder).toEqual({ type: 'string', maxLength: 10, description: 'Purchase Order (Edm.String)' });
+      expect(schema.properties.Supplier).toMatchObject({ type: ['string', 'null'], description: 'Supplier (Edm.String)' });
+      expect(schema.properties.NetAmount).toMatchObject({ type: ['number', 'string', 'null'], description: 'Edm.Decimal' });
+      expect(registry.toJsonSchema('SupplierSet').properties.Rating).toMatchObject({ type: ['integer', 'null'], maximum: 2147483647 });
+    });
+
+    test('contain only the writable properties and the expanded items for writes', () => {
+      const create = registry.toJsonSchema('PurchaseOrderSet', { mode: 'create', expand: { Items: 'ToItems', Supplier: 'ToSupplier' } });
+      const update = registry.toJsonSchema('PurchaseOrderSet', { mode: 'update' });
+
+      expect(Object.keys(create.properties)).toEqual(['CompanyCode', 'Supplier', 'Currency', 'DocumentDate', 'Items']);
+      expect(Object.keys(create.properties.Items.items.properties)).toEqual(['ItemNumber', 'Material', 'Plant', 'OrderQuantity', 'NetPrice']);
+      expect(Object.keys(update.properties)).toEqual(['Supplier', 'Currency', 'DocumentDate']);
+    });
+
+    test('validate entity data', () => {
+      expect(registry.validateEntity('PurchaseOrderSet', {
+        Supplier: 'A-VERY-LONG-SUPPLIER',
+        DocumentDate: 'yesterday',
+        NetAmount: '10,5',
+        Items: []
+      })).toEqual([
+        'PurchaseOrderSet.Supplier must be at most 10 characters long',
+        expect.stringMatching(/^PurchaseOrderSet\.DocumentDate must match the pattern/),
+        expect.stringMatching(/^PurchaseOrderSet\.NetAmount must match the pattern/),
+        'PurchaseOrderSet.Items is not allowed'
+      ]);
+    });
+  });
+
+  describe('parseFilter', () => {
+    beforeEach(async () => {
+      await registry.ensureLoaded();
+    });
+
+    test('types the text values of a filter by the fields they compare', () => {
+      expect(registry.parseFilter('PurchaseOrderSet', {
+        NetAmount: { gt: '1000', in: ['1', '2.5'] },
+        DocumentDate: { ge: '2024-01-01' },
+        Supplier: { contains: 'ACME' },
+        Currency: 'EUR',
+        $or: [{ LastChangeDateTime: { eq: 'null' } }, { Unknown: '1' }],
+        $not: { PurchaseOrder: ['4500000001'] }
+      })).toEqual({
+        NetAmount: { gt: { type: 'decimal', value: '1000' }, in: [{ type: 'decimal', value: '1' }, { type: 'decimal', value: '2.5' }] },
+        DocumentDate: { ge: { type: 'datetime', value: '2024-01-01' } },
+        Supplier: { contains: 'ACME' },
+        Currency: 'EUR',
+        $or: [{ LastChangeDateTime: { eq: null } }, { Unknown: '1' }],
+        $not: { PurchaseOrder: ['4500000001'] }
+      });
+    });
+
+    test('parses numbers, booleans and GUIDs', () => {
+      expect(registry.parseFilter('SupplierSet', {
+        Rating: { ge: '3' },
+        Blocked: 'false',
+        SupplierId: '0050569e-1b2c-1eda-a1b2-000000000001'
+      })).toEqual({
+        Rating: { ge: 3 },
+        Blocked: false,
+        SupplierId: { type: 'guid', value: '0050569e-1b2c-1eda-a1b2-000000000001' }
+      });
+    });
+
+    test('rejects values that are not of the type of their field', () => {
+      expect(() => registry.parseFilter('SupplierSet', { Rating: 'high' }))
+        .toThrow(new ValidationError('Invalid Edm.Int32 value for Rating in filter: high'));
+      expect(() => registry.parseFilter('PurchaseOrderSet', { NetAmount: { lt: '1e3' } })).toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests of the MCP stdio transport
+ */
+
+jest.mock('../../src/util/sapConnectivity');
+
+const { PassThrough } = require('stream');
+const McpStdioTransport = require('../../src/mcp/mcpStdioTransport');
+const mcpProtocol = require('../../src/mcp/mcpProtocol');
+const mcpContextManager = require('../../src/mcp/mcpContextManager');
+const { errorCodes } = require('../../src/mcp/mcpProtocol');
+
+describe('McpStdioTransport', () => {
+  let input;
+  let output;
+  let transport;
+
+  // Messages written to stdout, one JSON-RPC message per line
+  const written = () => output.read()?.toString().trim().split('\n').map(line => JSON.parse(line)) || [];
+
+  // Close stdin and wait until all messages are answered
+  const close = () => new Promise(resolve => {
+    transport.once('close', resolve);
+    input.end();
+  });
+
+  beforeEach(() => {
+    input = new PassThrough();
+    output = new PassThrough();
+    transport = new McpStdioTransport({ input, output });
+    transport.start();
+  });
+
+  afterEach(() => {
+    transport.stop();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mcpContextManager.stop();
+  });
+
+  test('answers each line of newline-delimited JSON-RPC', async () => {
+    input.write(`${JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' })}\n`);
+    input.write(`${JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'initialize', params: {} })}\r\n`);
+    await close();
+
+    const responses = written();
+    expect(responses).toHaveLength(2);
+    expect(responses[0]).toEqual({ jsonrpc: '2.0', id: 1, result: {} });
+    expect(responses[1]).toMatchObject({ id: 2, result: { serverInfo: { name: 'sap-mmpur-mcp' } } });
+    expect(transport.session.protocolVersion).toBe('2025-06-18');
+  });
+
+  test('assembles messages split across chunks and skips blank lines', async () => {
+    const line = JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' });
+
+    input.write(line.slice(0, 10));
+    input.write(`${line.slice(10)}\n\n   \n`);
+    await close();
+
+    expect(written()).toEqual([{ jsonrpc: '2.0', id: 1, result: {} }]);
+  });
+
+  test('answers invalid JSON with a parse error', async () => {
+    input.write('{"jsonrpc": "2.0", \n');
+    await close();
+
+    expect(written()).toEqual([{ jsonrpc: '2.0', id: null, error: { code: errorCodes.PARSE_ERROR, message: 'Parse error' } }]);
+  });
+
+  test('does not answer notifications', async () => {
+    input.write(`${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' })}\n`);
+    await close();
+
+    expect(written()).toEqual([]);
+    expect(transport.session.initialized).toBe(true);
+  });
+
+  test('answers failures of the protocol handler with an internal error', async () => {
+    jest.spyOn(mcpProtocol, 'handleMessage').mockRejectedValue(new Error('Broken'));
+
+    input.write(`${JSON.stringify({ jsonrpc: '2.0', id: 7, method: 'ping' })}\n`);
+    await close();
+
+    expect(written()).toEqual([{ jsonrpc: '2.0', id: 7, error: { code: errorCodes.INTERNAL_ERROR, message: 'Broken' } }]);
+  });
+
+  test('sends notifications of the session to stdout', () => {
+    transport.session.notify('notifications/resources/updated', { uri: 'sap://purchaseOrder/4500000001' });
+
+    expect(written()).toEqual([{
+      jsonrpc: '2.0',
+      method: 'notifications/resources/updated',
+      params: { uri: 'sap://purchaseOrder/4500000001' }
+    }]);
+  });
+
+  test('ends the session and stops reading when stopped', () => {
+    const endSession = jest.spyOn(mcpProtocol, 'endSession');
+
+    transport.start();
+    transport.stop();
+    input.write(`${JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' })}\n`);
+
+    expect(endSession).toHaveBeenCalledWith(transport.session);
+    expect(transport.isRunning).toBe(false);
+    expect(transport.pending.size).toBe(0);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Tests of the MCP tools
+ */
+
+jest.mock('../../src/util/sapConnectivity');
+
+const { executeODataRequest } = require('../../src/util/sapConnectivity');
+const mcpTools = require('../../src/mcp/mcpTools');
+const mcpSapAdapter = require('../../src/mcp/mcpSapAdapter');
+const mcpSchemaRegistry = require('../../src/mcp/mcpSchemaRegistry');
+const { ValidationError } = require('../../src/middleware/errorHandler');
+const metadata = require('../fixtures/purchaseOrderMetadata');
+
+describe('McpTools', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('purchase order changes', () => {
+    test('pass the entity tag of the update to the adapter', async () => {
+      const update = jest.spyOn(mcpSapAdapter, 'updatePurchaseOrder').mockResolvedValue({ PurchaseOrder: '4500000001' });
+
+      await mcpTools.callTool('update_purchase_order', {
+        id: '4500000001',
+        etag: 'W/"1"',
+        changes: { Currency: 'USD' }
+      });
+
+      expect(update).toHaveBeenCalledWith('4500000001', { Currency: 'USD' }, { etag: 'W/"1"' });
+    });
+
+    test('pass the entity tag of the deletion to the adapter', async () => {
+      const remove = jest.spyOn(mcpSapAdapter, 'deletePurchaseOrder').mockResolvedValue(true);
+
+      await mcpTools.callTool('delete_purchase_order', { id: '4500000001', etag: 'W/"1"' });
+
+      expect(remove).toHaveBeenCalledWith('4500000001', { etag: 'W/"1"' });
+    });
+
+    test('require an entity tag', async () => {
+      const update = jest.spyOn(mcpSapAdapter, 'updatePurchaseOrder');
+      const remove = jest.spyOn(mcpSapAdapter, 'deletePurchaseOrder');
+
+      await expect(mcpTools.callTool('update_purchase_order', { id: '4500000001', changes: { Currency: 'USD' } }))
+        .rejects.toThrow(ValidationError);
+      await expect(mcpTools.callTool('delete_purchase_order', { id: '4500000001' }))
+        .rejects.toThrow(ValidationError);
+      expect(update).not.toHaveBeenCalled();
+      expect(remove).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('input schemas', () => {
+    const inputSchemaOf = name => mcpTools.listTools().find(tool => tool.name === name).inputSchema;
+
+    afterEach(() => {
+      mcpSchemaRegistry.model = null;
+    });
+
+    test('are the declared ones without an entity model', () => {
+      expect(inputSchemaOf('update_purchase_order').properties.changes.properties).toHaveProperty('PurchasingGroup');
+    });
+
+    test('are built from the entity model of the service once it is loaded', async () => {
+      executeODataRequest.mockResolvedValueOnce(metadata);
+      await mcpSchemaRegistry.load();
+
+      const create = inputSchemaOf('create_purchase_order').properties.purchaseOrder;
+      const update = inputSchemaOf('update_purchase_order');
+
+      expect(create.required).toEqual(['CompanyCode', 'Supplier', 'Items']);
+      expect(create.properties.Items.items.required).toEqual(['Material', 'Plant', 'OrderQuantity', 'NetPrice']);
+      expect(create.properties.Supplier.maxLength).toBe(10);
+      expect(update.required).toEqual(['id', 'etag', 'changes']);
+      expect(Object.keys(update.properties.changes.properties)).toEqual(['Supplier', 'Currency', 'DocumentDate']);
+    });
+
+    test('reject arguments the entity model does not allow', async () => {
+      executeODataRequest.mockResolvedValueOnce(metadata);
+      await mcpSchemaRegistry.load();
+      const update = jest.spyOn(mcpSapAdapter, 'updatePurchaseOrder');
+
+      await expect(mcpTools.callTool('update_purchase_order', {
+        id: '4500000001',
+        etag: 'W/"1"',
+        changes: { NetAmount: 5 }
+      })).rejects.toThrow(ValidationError);
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+});
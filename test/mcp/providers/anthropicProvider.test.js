@@ -0,0 +1,210 @@
+/**
+ * Tests of the Anthropic model provider against a fake messages API
+ */
+
+const http = require('http');
+const AnthropicProvider = require('../../../src/mcp/providers/anthropicProvider');
+
+describe('AnthropicProvider', () => {
+  let server;
+  let provider;
+  let requests;
+  let answer;
+
+  beforeAll(done => {
+    // Fake API recording the requests and answering them with answer(body, res)
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        const request = { url: req.url, headers: req.headers, body: JSON.parse(body) };
+        requests.push(request);
+        answer(request, res);
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      provider = new AnthropicProvider('anthropic', {
+        baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+        apiKey: 'sk-ant-test',
+        models: ['claude-3-haiku']
+      });
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  const json = (res, status, data) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+
+  const tools = [{
+    name: 'get_purchase_order',
+    description: 'Get a purchase order',
+    inputSchema: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] }
+  }];
+
+  describe('tool use', () => {
+    test('offers the tools and returns the requested tool uses', async () => {
+      answer = (request, res) => json(res, 200, {
+        content: [
+          { type: 'text', text: 'Let me look it up.' },
+          { type: 'tool_use', id: 'toolu_1', name: 'get_purchase_order', input: { id: '4500000001' } }
+        ],
+        usage: { input_tokens: 10, output_tokens: 5 }
+      });
+
+      const response = await provider.chat('claude-3-haiku', [
+        { role: 'system', content: 'You are a purchasing assistant' },
+        { role: 'user', content: 'Show PO 4500000001' }
+      ], {}, tools);
+
+      expect(requests[0].url).toBe('/v1/messages');
+      expect(requests[0].headers).toMatchObject({ 'x-api-key': 'sk-ant-test', 'anthropic-version': '2023-06-01' });
+      expect(requests[0].body).toMatchObject({
+        system: 'You are a purchasing assistant',
+        messages: [{ role: 'user', content: 'Show PO 4500000001' }],
+        tools: [{ name: 'get_purchase_order', description: 'Get a purchase order', input_schema: tools[0].inputSchema }]
+      });
+      expect(response).toMatchObject({
+        content: 'Let me look it up.',
+        toolCalls: [{ id: 'toolu_1', name: 'get_purchase_order', arguments: { id: '4500000001' } }],
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+      });
+      expect(response.responseMessage.toolCalls).toEqual(response.toolCalls);
+    });
+
+    test('sends tool uses and the results of parallel calls in one user message', async () => {
+      answer = (request, res) => json(res, 200, { content: [{ type: 'text', text: 'Both are open' }] });
+
+      await provider.chat('claude-3-haiku', [
+        { role: 'user', content: 'Are PO 1 and 2 open?' },
+        {
+          role: 'assistant',
+          content: '',
+          toolCalls: [
+            { id: 'toolu_1', name: 'get_purchase_order', arguments: { id: '1' } },
+            { id: 'toolu_2', name: 'get_purchase_order', arguments: { id: '2' } }
+          ]
+        },
+        { role: 'tool', toolCallId: 'toolu_1', content: '{"Status":"open"}' },
+        { role: 'tool', toolCallId: 'toolu_2', content: 'Error: not found', isError: true }
+      ]);
+
+      expect(requests[0].body.messages.slice(1)).toEqual([
+        {
+          role: 'assistant',
+          content: [
+            { type: 'tool_use', id: 'toolu_1', name: 'get_purchase_order', input: { id: '1' } },
+            { type: 'tool_use', id: 'toolu_2', name: 'get_purchase_order', input: { id: '2' } }
+          ]
+        },
+        {
+          role: 'user',
+          content: [
+            { type: 'tool_result', tool_use_id: 'toolu_1', content: '{"Status":"open"}', is_error: false },
+            { type: 'tool_result', tool_use_id: 'toolu_2', content: 'Error: not found', is_error: true }
+          ]
+        }
+      ]);
+    });
+  });
+
+  describe('messages', () => {
+    test('send later system messages as assistant messages', () => {
+      const { system, messages } = provider.toAnthropicMessages([
+        { role: 'system', content: 'First' },
+        { role: 'user', content: 'Hi' },
+        { role: 'system', content: 'Second' }
+      ]);
+
+      expect(system).toBe('First');
+      expect(messages).toEqual([{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Second' }]);
+    });
+
+    test('send content parts as text blocks and system parts as text', () => {
+      const { system, messages } = provider.toAnthropicMessages([
+        { role: 'system', content: [{ type: 'text', text: 'You are a purchasing assistant' }] },
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: 'Is it late?' },
+            { type: 'sap_entity', entity: 'PurchaseOrder', id: '4500000001', data: { Supplier: 'ACME' } }
+          ]
+        }
+      ]);
+
+      expect(system).toBe('You are a purchasing assistant');
+      expect(messages).toEqual([{
+        role: 'user',
+        content: [
+          { type: 'text', text: 'Is it late?' },
+          { type: 'text', text: '[SAP PurchaseOrder 4500000001]\nSupplier: ACME' }
+        ]
+      }]);
+    });
+
+    test('fail with the status of the API', async () => {
+      answer = (request, res) => json(res, 529, { type: 'error', error: { type: 'overloaded_error' } });
+
+      await expect(provider.chat('claude-3-haiku', [{ role: 'user', content: 'Hi' }]))
+        .rejects.toMatchObject({ provider: 'anthropic', status: 529 });
+    });
+  });
+
+  describe('streaming', () => {
+    const sse = (res, events) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      events.forEach(data => res.write(`event: ${data.type}\ndata: ${JSON.stringify(data)}\n\n`));
+      res.end();
+    };
+
+    test('reports each text delta and counts the tokens', async () => {
+      answer = (request, res) => sse(res, [
+        { type: 'message_start', message: { usage: { input_tokens: 10 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Purchase order ' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: '4500000001' } },
+        { type: 'message_delta', usage: { output_tokens: 4 } },
+        { type: 'message_stop' }
+      ]);
+      const tokens = [];
+
+      const response = await provider.stream('claude-3-haiku', [{ role: 'user', content: 'Hi' }], {}, token => tokens.push(token));
+
+      expect(requests[0].body.stream).toBe(true);
+      expect(tokens).toEqual(['Purchase order ', '4500000001']);
+      expect(response).toMatchObject({
+        content: 'Purchase order 4500000001',
+        usage: { prompt_tokens: 10, completion_tokens: 4, total_tokens: 14 }
+      });
+    });
+
+    test('fails on error events in the stream', async () => {
+      answer = (request, res) => sse(res, [
+        { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Purch' } },
+        { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+      ]);
+
+      await expect(provider.stream('claude-3-haiku', [{ role: 'user', content: 'Hi' }], {}, jest.fn()))
+        .rejects.toThrow('Failed to stream from Anthropic API: Overloaded');
+    });
+  });
+
+  describe('capabilities', () => {
+    test('depend on the model family', () => {
+      expect(provider.getCapabilities('claude-3-haiku')).toMatchObject({ contextSize: 200000, supportsFunctions: true });
+      expect(provider.getCapabilities('claude-2.1')).toMatchObject({ contextSize: 100000, supportsFunctions: false });
+      expect(provider.getCapabilities('claude-instant').contextSize).toBe(9000);
+    });
+  });
+});
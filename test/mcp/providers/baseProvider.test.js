@@ -0,0 +1,79 @@
+/**
+ * Tests of the base model provider
+ */
+
+const axios = require('axios');
+const BaseProvider = require('../../../src/mcp/providers/baseProvider');
+const { isRetryableError } = require('../../../src/util/retry');
+
+describe('BaseProvider', () => {
+  const provider = new BaseProvider('test', { models: ['test-model'] });
+
+  describe('interface', () => {
+    test('serves the configured models with conservative capabilities', async () => {
+      await expect(provider.listModels()).resolves.toEqual(['test-model']);
+      expect(provider.supportsModel('test-model')).toBe(true);
+      expect(provider.supportsModel('other-model')).toBe(false);
+      expect(provider.getCapabilities('test-model')).toEqual({
+        contextSize: 2048,
+        supportsFunctions: false,
+        supportsVision: false,
+        supportsStreaming: true
+      });
+    });
+
+    test('requires subclasses to implement chat and streaming', async () => {
+      await expect(provider.chat('test-model', [])).rejects.toThrow('Provider test does not implement chat');
+      await expect(provider.stream('test-model', [], {}, jest.fn())).rejects.toThrow('Provider test does not support streaming');
+    });
+
+    test('parses tool arguments given as JSON strings or objects', () => {
+      expect(provider.parseToolArguments('{"id":"1"}')).toEqual({ id: '1' });
+      expect(provider.parseToolArguments({ id: '1' })).toEqual({ id: '1' });
+      expect(provider.parseToolArguments('')).toEqual({});
+      expect(provider.parseToolArguments('{')).toEqual({});
+    });
+
+    test('creates assistant messages with tool calls only when there are any', () => {
+      const toolCalls = [{ id: 'call_1', name: 'get_purchase_order', arguments: {} }];
+
+      expect(provider.createAssistantMessage('Hi')).toEqual({ role: 'assistant', content: 'Hi' });
+      expect(provider.createAssistantMessage('', toolCalls)).toEqual({ role: 'assistant', content: '', toolCalls });
+    });
+  });
+
+  describe('createError', () => {
+    test('keeps the status and Retry-After of HTTP errors', () => {
+      const error = Object.assign(new Error('Request failed with status code 429'), {
+        request: {},
+        response: { status: 429, headers: { 'retry-after': '3' } }
+      });
+
+      expect(provider.createError('Failed to call API', error)).toMatchObject({
+        provider: 'test',
+        status: 429,
+        retryAfterMs: 3000,
+        network: false,
+        cancelled: false
+      });
+    });
+
+    test('marks requests that got no response as network failures', () => {
+      const error = Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:11434'), { code: 'ECONNREFUSED', request: {} });
+      const wrapped = provider.createError('Failed to call API', error);
+
+      expect(wrapped.network).toBe(true);
+      expect(isRetryableError(wrapped)).toBe(true);
+    });
+
+    test('does not mark programming errors and cancellations as network failures', () => {
+      const broken = provider.createError('Failed to call API', new TypeError('Cannot read properties of undefined'));
+      const cancelled = provider.createError('Failed to call API', new axios.Cancel('Client disconnected'));
+
+      expect(broken.network).toBe(false);
+      expect(isRetryableError(broken)).toBe(false);
+      expect(cancelled).toMatchObject({ network: false, cancelled: true });
+      expect(isRetryableError(cancelled)).toBe(false);
+    });
+  });
+});
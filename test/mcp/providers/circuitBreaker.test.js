@@ -0,0 +1,83 @@
+/**
+ * Tests of the provider circuit breaker
+ */
+
+const CircuitBreaker = require('../../../src/mcp/providers/circuitBreaker');
+
+const { STATES } = CircuitBreaker;
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    breaker = new CircuitBreaker('provider test', { failureThreshold: 2, resetTimeoutMs: 1000 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('opens after the threshold of consecutive failures', () => {
+    breaker.recordFailure();
+    expect(breaker.canRequest()).toBe(true);
+
+    breaker.recordFailure();
+
+    expect(breaker.getStatus()).toEqual({ state: STATES.OPEN, failures: 2 });
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  test('counts only consecutive failures', () => {
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+
+    expect(breaker.getStatus()).toEqual({ state: STATES.CLOSED, failures: 1 });
+  });
+
+  test('lets a single trial request through once the reset timeout passed', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+
+    now += 1000;
+
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.getStatus().state).toBe(STATES.HALF_OPEN);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  test('closes when the trial succeeds and opens again when it fails', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    now += 1000;
+    breaker.canRequest();
+
+    breaker.recordFailure();
+    expect(breaker.getStatus().state).toBe(STATES.OPEN);
+
+    now += 1000;
+    breaker.canRequest();
+    breaker.recordSuccess();
+    expect(breaker.getStatus()).toEqual({ state: STATES.CLOSED, failures: 0 });
+  });
+
+  test('allows another trial when the outcome of the last one was never recorded', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    now += 1000;
+    breaker.canRequest();
+
+    now += 1000;
+
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('defaults to five failures and thirty seconds', () => {
+    const defaults = new CircuitBreaker('provider defaults');
+
+    expect(defaults).toMatchObject({ failureThreshold: 5, resetTimeoutMs: 30000 });
+  });
+});
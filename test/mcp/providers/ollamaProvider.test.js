@@ -0,0 +1,236 @@
+/**
+ * Tests of the Ollama model provider against a fake Ollama server
+ */
+
+const http = require('http');
+const OllamaProvider = require('../../../src/mcp/providers/ollamaProvider');
+
+describe('OllamaProvider', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let answer;
+
+  beforeAll(done => {
+    // Fake server recording the requests and answering them with answer(request, res)
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        const request = { method: req.method, url: req.url, body: body ? JSON.parse(body) : null };
+        requests.push(request);
+        answer(request, res);
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  const json = (res, status, data) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+
+  describe('model discovery', () => {
+    let installed;
+    let down;
+
+    // Fake Ollama answering version, tags and show requests for the installed models
+    const answerDiscovery = (request, res) => {
+      if (request.url === '/api/version') {
+        return down ? json(res, 500, {}) : json(res, 200, { version: '0.5.0' });
+      }
+      if (request.url === '/api/tags') {
+        return json(res, 200, { models: Object.keys(installed).map(name => ({ name })) });
+      }
+      if (request.url === '/api/show' && installed[request.body.model]) {
+        return json(res, 200, installed[request.body.model]);
+      }
+      return json(res, 404, { error: 'not found' });
+    };
+
+    const discoveries = () => requests.filter(request => request.url === '/api/tags').length;
+
+    beforeEach(() => {
+      down = false;
+      installed = {
+        'llama3.1:latest': { model_info: { 'llama.context_length': 131072 }, capabilities: ['completion', 'tools'] },
+        'phi3:mini': { model_info: {}, capabilities: ['completion'] }
+      };
+      answer = answerDiscovery;
+    });
+
+    test('lists the installed models next to the configured ones', async () => {
+      const provider = new OllamaProvider('ollama', { baseUrl, models: ['llama3.1', 'mistral'] });
+
+      await expect(provider.listModels()).resolves.toEqual(['mistral', 'llama3.1:latest', 'phi3:mini']);
+      expect(provider.supportsModel('phi3:mini')).toBe(true);
+      expect(provider.supportsModel('gemma2')).toBe(false);
+    });
+
+    test('takes the context size and tool support of installed models from /api/show', async () => {
+      const provider = new OllamaProvider('ollama', { baseUrl, models: [] });
+
+      await provider.refreshModels();
+
+      expect(provider.getCapabilities('llama3.1')).toMatchObject({ contextSize: 131072, supportsFunctions: true });
+      expect(provider.getCapabilities('phi3:mini')).toMatchObject({ contextSize: 4096, supportsFunctions: false });
+    });
+
+    test('caches the discovery and shares it between concurrent callers', async () => {
+      const provider = new OllamaProvider('ollama', { baseUrl, models: [] });
+
+      await Promise.all([provider.listModels(), provider.listModels(), provider.refreshModels()]);
+      await provider.refreshModels(true);
+
+      expect(discoveries()).toBe(1);
+    });
+
+    test('refreshes a forced discovery once the minimum interval passed', async () => {
+      const provider = new OllamaProvider('ollama', { baseUrl, models: [] });
+      await provider.refreshModels();
+      installed['gemma2:latest'] = { model_info: {} };
+
+      provider.lastDiscovery -= 10000;
+      await provider.refreshModels(true);
+
+      expect(discoveries()).toBe(2);
+      expect(provider.supportsModel('gemma2')).toBe(true);
+    });
+
+    test('lists no models while Ollama is down', async () => {
+      down = true;
+      const provider = new OllamaProvider('ollama', { baseUrl, models: ['llama3.1'] });
+
+      await expect(provider.listModels()).resolves.toEqual([]);
+      expect(discoveries()).toBe(0);
+    });
+
+    test('keeps the previous discovery when listing the models fails', async () => {
+      const provider = new OllamaProvider('ollama', { baseUrl, models: [] });
+      await provider.refreshModels();
+      answer = (request, res) => (request.url === '/api/tags' ? json(res, 500, {}) : answerDiscovery(request, res));
+
+      provider.lastDiscovery = 0;
+      await provider.refreshModels();
+
+      expect(provider.supportsModel('phi3:mini')).toBe(true);
+    });
+
+    test('serves only the configured models when discovery is disabled', async () => {
+      const provider = new OllamaProvider('ollama', { baseUrl, models: ['llama3.1'], discovery: false });
+
+      await expect(provider.listModels()).resolves.toEqual(['llama3.1']);
+      expect(requests).toEqual([]);
+    });
+  });
+
+  describe('chat', () => {
+    const tools = [{
+      name: 'get_purchase_order',
+      description: 'Get a purchase order',
+      inputSchema: { type: 'object', properties: { id: { type: 'string' } } }
+    }];
+    let provider;
+
+    beforeEach(() => {
+      provider = new OllamaProvider('ollama', { baseUrl, models: ['llama3.1'], discovery: false });
+    });
+
+    test('offers the tools and assigns IDs to the requested calls', async () => {
+      answer = (request, res) => json(res, 200, {
+        message: {
+          role: 'assistant',
+          content: '',
+          tool_calls: [{ function: { name: 'get_purchase_order', arguments: { id: '4500000001' } } }]
+        }
+      });
+
+      const response = await provider.chat('llama3.1', [{ role: 'user', content: 'Show PO 4500000001' }], {}, tools);
+
+      expect(requests[0]).toMatchObject({ method: 'POST', url: '/api/chat' });
+      expect(requests[0].body).toMatchObject({
+        model: 'llama3.1',
+        stream: false,
+        tools: [{
+          type: 'function',
+          function: { name: 'get_purchase_order', description: 'Get a purchase order', parameters: tools[0].inputSchema }
+        }]
+      });
+      expect(response.toolCalls).toEqual([{
+        id: expect.stringMatching(/^call_\d+_0$/),
+        name: 'get_purchase_order',
+        arguments: { id: '4500000001' }
+      }]);
+      expect(response.usage).toBeNull();
+    });
+
+    test('sends tool calls and their results back in the Ollama format', async () => {
+      answer = (request, res) => json(res, 200, { message: { role: 'assistant', content: 'It is open' } });
+
+      const response = await provider.chat('llama3.1', [
+        { role: 'assistant', content: '', toolCalls: [{ id: 'call_1', name: 'get_purchase_order', arguments: { id: '1' } }] },
+        { role: 'tool', toolCallId: 'call_1', content: '{"Status":"open"}' }
+      ]);
+
+      expect(requests[0].body.messages).toEqual([
+        { role: 'assistant', content: '', tool_calls: [{ function: { name: 'get_purchase_order', arguments: { id: '1' } } }] },
+        { role: 'tool', content: '{"Status":"open"}' }
+      ]);
+      expect(response).toMatchObject({ content: 'It is open', toolCalls: [] });
+    });
+
+    test('supports tools only for the model families that can call them', () => {
+      expect(provider.getCapabilities('llama3.1:8b').supportsFunctions).toBe(true);
+      expect(provider.getCapabilities('llama2').supportsFunctions).toBe(false);
+    });
+
+    test('streams newline-delimited JSON and reports the token counts', async () => {
+      answer = (request, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        res.write('{"message":{"role":"assistant","content":"Purchase order "},"done":false}\n');
+        res.write('{"message":{"role":"assistant","content":"4500000001"},"done":false}\n');
+        res.end('{"message":{"role":"assistant","content":""},"done":true,"prompt_eval_count":10,"eval_count":4}\n');
+      };
+      const tokens = [];
+
+      const response = await provider.stream('llama3.1', [{ role: 'user', content: 'Hi' }], {}, token => tokens.push(token));
+
+      expect(requests[0].body.stream).toBe(true);
+      expect(tokens).toEqual(['Purchase order ', '4500000001']);
+      expect(response).toMatchObject({
+        content: 'Purchase order 4500000001',
+        usage: { prompt_tokens: 10, completion_tokens: 4, total_tokens: 14 }
+      });
+    });
+
+    test('fails on errors reported in the stream', async () => {
+      answer = (request, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        res.end('{"error":"model runner has unexpectedly stopped"}\n');
+      };
+
+      await expect(provider.stream('llama3.1', [{ role: 'user', content: 'Hi' }], {}, jest.fn()))
+        .rejects.toThrow('Failed to stream from Ollama API: model runner has unexpectedly stopped');
+    });
+
+    test('fails with the status of the server', async () => {
+      answer = (request, res) => json(res, 404, { error: 'model "llama9" not found' });
+
+      await expect(provider.chat('llama9', [{ role: 'user', content: 'Hi' }]))
+        .rejects.toMatchObject({ provider: 'ollama', status: 404 });
+    });
+  });
+});
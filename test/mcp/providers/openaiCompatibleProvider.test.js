@@ -0,0 +1,75 @@
+/**
+ * Tests of the OpenAI-compatible model provider against a fake inference server
+ */
+
+const http = require('http');
+const OpenAICompatibleProvider = require('../../../src/mcp/providers/openaiCompatibleProvider');
+
+describe('OpenAICompatibleProvider', () => {
+  let server;
+  let baseUrl;
+  let requests;
+
+  beforeAll(done => {
+    // Fake server answering every chat completion with the same text
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: 'Hello' } }] }));
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  test('requires a base URL', () => {
+    expect(() => new OpenAICompatibleProvider('vllm', { models: ['qwen2.5-7b'] }))
+      .toThrow('Provider vllm requires a baseUrl');
+  });
+
+  test('calls the chat completions API at its base URL without a key', async () => {
+    const provider = new OpenAICompatibleProvider('vllm', { baseUrl: `${baseUrl}/`, models: ['qwen2.5-7b'] });
+
+    const response = await provider.chat('qwen2.5-7b', [{ role: 'user', content: 'Hi' }]);
+
+    expect(requests[0].url).toBe('/v1/chat/completions');
+    expect(requests[0].headers.authorization).toBeUndefined();
+    expect(response).toMatchObject({ content: 'Hello', provider: 'vllm', model: 'qwen2.5-7b' });
+  });
+
+  test('sends a configured key and content parts as plain text', async () => {
+    const provider = new OpenAICompatibleProvider('lmstudio', { baseUrl, apiKey: 'local-key', models: ['phi-3'] });
+
+    await provider.chat('phi-3', [{ role: 'user', content: [{ type: 'text', text: 'Summarize' }] }]);
+
+    expect(requests[0].headers.authorization).toBe('Bearer local-key');
+    expect(requests[0].body.messages).toEqual([{ role: 'user', content: 'Summarize' }]);
+  });
+
+  test('takes capabilities from the configuration instead of the model name', () => {
+    const provider = new OpenAICompatibleProvider('vllm', {
+      baseUrl,
+      models: ['gpt-4-clone', 'qwen2.5-7b'],
+      capabilities: { contextSize: 32768 },
+      modelCapabilities: { 'qwen2.5-7b': { supportsFunctions: true } }
+    });
+
+    expect(provider.getCapabilities('gpt-4-clone')).toMatchObject({ contextSize: 32768, supportsFunctions: false });
+    expect(provider.getCapabilities('qwen2.5-7b')).toMatchObject({ contextSize: 32768, supportsFunctions: true });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Tests of the OpenAI model provider against a fake chat completions API
+ */
+
+const http = require('http');
+const OpenAIProvider = require('../../../src/mcp/providers/openaiProvider');
+
+describe('OpenAIProvider', () => {
+  let server;
+  let provider;
+  let requests;
+  let answer;
+
+  beforeAll(done => {
+    // Fake API recording the requests and answering them with answer(body, res)
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        const request = { url: req.url, headers: req.headers, body: JSON.parse(body) };
+        requests.push(request);
+        answer(request, res);
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      provider = new OpenAIProvider('openai', {
+        baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+        apiKey: 'sk-test',
+        models: ['gpt-4']
+      });
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  const json = (res, status, data) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  };
+
+  const tools = [{
+    name: 'get_purchase_order',
+    description: 'Get a purchase order',
+    inputSchema: { type: 'object', properties: { id: { type: 'string' } }, required: ['id'] }
+  }];
+
+  describe('tool calling', () => {
+    test('offers the tools as functions and returns the requested calls', async () => {
+      answer = (request, res) => json(res, 200, {
+        choices: [{
+          message: {
+            role: 'assistant',
+            content: null,
+            tool_calls: [{
+              id: 'call_1',
+              type: 'function',
+              function: { name: 'get_purchase_order', arguments: '{"id":"4500000001"}' }
+            }]
+          }
+        }],
+        usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+      });
+
+      const response = await provider.chat('gpt-4', [{ role: 'user', content: 'Show PO 4500000001' }], {}, tools);
+
+      expect(requests[0].url).toBe('/v1/chat/completions');
+      expect(requests[0].headers.authorization).toBe('Bearer sk-test');
+      expect(requests[0].body.tools).toEqual([{
+        type: 'function',
+        function: { name: 'get_purchase_order', description: 'Get a purchase order', parameters: tools[0].inputSchema }
+      }]);
+      expect(response.toolCalls).toEqual([{ id: 'call_1', name: 'get_purchase_order', arguments: { id: '4500000001' } }]);
+      expect(response.responseMessage).toEqual({ role: 'assistant', content: '', toolCalls: response.toolCalls });
+      expect(response.usage.total_tokens).toBe(15);
+    });
+
+    test('sends tool calls and their results back in the OpenAI format', async () => {
+      answer = (request, res) => json(res, 200, { choices: [{ message: { role: 'assistant', content: 'It is open' } }] });
+
+      const response = await provider.chat('gpt-4', [
+        { role: 'user', content: 'Is PO 4500000001 open?' },
+        { role: 'assistant', content: '', toolCalls: [{ id: 'call_1', name: 'get_purchase_order', arguments: { id: '4500000001' } }] },
+        { role: 'tool', toolCallId: 'call_1', name: 'get_purchase_order', content: '{"Status":"open"}' }
+      ]);
+
+      expect(requests[0].body.tools).toBeUndefined();
+      expect(requests[0].body.messages.slice(1)).toEqual([
+        {
+          role: 'assistant',
+          content: null,
+          tool_calls: [{
+            id: 'call_1',
+            type: 'function',
+            function: { name: 'get_purchase_order', arguments: '{"id":"4500000001"}' }
+          }]
+        },
+        { role: 'tool', tool_call_id: 'call_1', content: '{"Status":"open"}' }
+      ]);
+      expect(response).toMatchObject({ content: 'It is open', toolCalls: [], provider: 'openai', model: 'gpt-4' });
+    });
+
+    test('ignores tool arguments that are not valid JSON', async () => {
+      answer = (request, res) => json(res, 200, {
+        choices: [{
+          message: {
+            role: 'assistant',
+            tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'get_purchase_order', arguments: '{"id":' } }]
+          }
+        }]
+      });
+
+      const response = await provider.chat('gpt-4', [{ role: 'user', content: 'Show PO' }], {}, tools);
+
+      expect(response.toolCalls[0].arguments).toEqual({});
+    });
+  });
+
+  describe('requests', () => {
+    test('send the generation parameters and content parts as text parts', async () => {
+      answer = (request, res) => json(res, 200, { choices: [{ message: { role: 'assistant', content: 'Done' } }] });
+
+      await provider.chat('gpt-4', [
+        { role: 'user', content: [{ type: 'text', text: 'Summarize' }] }
+      ], { temperature: 0, maxTokens: 100 });
+
+      expect(requests[0].body).toMatchObject({
+        model: 'gpt-4',
+        temperature: 0,
+        max_tokens: 100,
+        messages: [{ role: 'user', content: [{ type: 'text', text: 'Summarize' }] }]
+      });
+    });
+
+    test('fail with the status and Retry-After of the API', async () => {
+      answer = (request, res) => {
+        res.writeHead(429, { 'Retry-After': '2' });
+        res.end();
+      };
+
+      await expect(provider.chat('gpt-4', [{ role: 'user', content: 'Hi' }])).rejects.toMatchObject({
+        name: 'ModelProviderError',
+        provider: 'openai',
+        status: 429,
+        retryAfterMs: 2000
+      });
+    });
+  });
+
+  describe('streaming', () => {
+    const sse = (res, events) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      events.forEach(data => res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`));
+      res.end();
+    };
+
+    test('reports each text delta and assembles the answer', async () => {
+      answer = (request, res) => sse(res, [
+        { choices: [{ delta: { role: 'assistant' } }] },
+        { choices: [{ delta: { content: 'Purchase order ' } }] },
+        { choices: [{ delta: { content: '4500000001' } }] },
+        { choices: [], usage: { total_tokens: 12 } },
+        '[DONE]'
+      ]);
+      const tokens = [];
+
+      const response = await provider.stream('gpt-4', [{ role: 'user', content: 'Hi' }], {}, token => tokens.push(token));
+
+      expect(requests[0].body).toMatchObject({ stream: true, stream_options: { include_usage: true } });
+      expect(tokens).toEqual(['Purchase order ', '4500000001']);
+      expect(response).toMatchObject({
+        content: 'Purchase order 4500000001',
+        responseMessage: { role: 'assistant', content: 'Purchase order 4500000001' },
+        usage: { total_tokens: 12 }
+      });
+    });
+
+    test('fails with the status of the API', async () => {
+      answer = (request, res) => {
+        res.writeHead(503);
+        res.end();
+      };
+
+      await expect(provider.stream('gpt-4', [{ role: 'user', content: 'Hi' }], {}, jest.fn()))
+        .rejects.toMatchObject({ provider: 'openai', status: 503 });
+    });
+  });
+
+  describe('capabilities', () => {
+    test('depend on the model family', () => {
+      expect(provider.getCapabilities('gpt-4')).toMatchObject({ contextSize: 8192, supportsFunctions: true });
+      expect(provider.getCapabilities('gpt-4-32k').contextSize).toBe(32768);
+      expect(provider.getCapabilities('gpt-3.5-turbo-16k')).toMatchObject({ contextSize: 16384, supportsFunctions: true });
+      expect(provider.getCapabilities('davinci')).toMatchObject({ contextSize: 2048, supportsFunctions: false });
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests of the model provider registry
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const providerRegistry = require('../../../src/mcp/providers/providerRegistry');
+const BaseProvider = require('../../../src/mcp/providers/baseProvider');
+const OpenAIProvider = require('../../../src/mcp/providers/openaiProvider');
+const OpenAICompatibleProvider = require('../../../src/mcp/providers/openaiCompatibleProvider');
+const AnthropicProvider = require('../../../src/mcp/providers/anthropicProvider');
+
+const ProviderRegistry = providerRegistry.constructor;
+
+// Provider whose models are only known after a refresh
+class DiscoveringProvider extends BaseProvider {
+  async refreshModels() {
+    this.models = ['discovered-model'];
+  }
+}
+
+describe('ProviderRegistry', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-providers-'));
+  let registry;
+
+  beforeEach(() => {
+    registry = new ProviderRegistry();
+    registry.providers.clear();
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('creates the built-in providers from the configuration', () => {
+    expect(providerRegistry.get('openai')).toBeInstanceOf(OpenAIProvider);
+    expect(providerRegistry.get('anthropic')).toBeInstanceOf(AnthropicProvider);
+    expect(providerRegistry.findProvider('gpt-4').name).toBe('openai');
+  });
+
+  describe('createProvider', () => {
+    test('selects the implementation by type, or by name for built-in providers', () => {
+      const gateway = registry.createProvider('gateway', { type: 'openai', models: ['gpt-4o'] });
+      const anthropic = registry.createProvider('anthropic', { models: ['claude-3-haiku'] });
+
+      expect(gateway).toBeInstanceOf(OpenAIProvider);
+      expect(gateway.name).toBe('gateway');
+      expect(anthropic).toBeInstanceOf(AnthropicProvider);
+      expect(() => registry.createProvider('mystery', {})).toThrow('Unknown provider type mystery');
+    });
+
+    test('loads implementations from modules that export a BaseProvider subclass', () => {
+      const modulePath = path.join(directory, 'customProvider.js');
+      const notAProvider = path.join(directory, 'notAProvider.js');
+      fs.writeFileSync(modulePath, `module.exports = class extends require(${JSON.stringify(require.resolve('../../../src/mcp/providers/baseProvider'))}) {};`);
+      fs.writeFileSync(notAProvider, 'module.exports = class {};');
+
+      const provider = registry.createProvider('custom', { module: modulePath, models: ['custom-model'] });
+
+      expect(provider).toBeInstanceOf(BaseProvider);
+      expect(provider.supportsModel('custom-model')).toBe(true);
+      expect(() => registry.createProvider('broken', { module: notAProvider })).toThrow('must export a BaseProvider subclass');
+    });
+
+    test('uses types registered later', () => {
+      registry.registerType('discovering', DiscoveringProvider);
+
+      expect(registry.createProvider('local', { type: 'discovering' })).toBeInstanceOf(DiscoveringProvider);
+      expect(() => registry.registerType('plain', class {})).toThrow('Provider type plain must extend BaseProvider');
+    });
+  });
+
+  describe('loadProviders', () => {
+    test('adds the providers of the providers file and skips disabled and misconfigured ones', () => {
+      const filePath = path.join(directory, 'providers.json');
+      fs.writeFileSync(filePath, JSON.stringify({
+        providers: {
+          vllm: { type: 'openai-compatible', baseUrl: 'http://localhost:8000/v1', models: ['qwen2.5-7b'] },
+          broken: { type: 'openai-compatible', models: ['no-url'] },
+          disabled: { type: 'openai', enabled: false, models: ['gpt-4o'] }
+        }
+      }));
+
+      registry.loadProviders({ anthropic: { models: ['claude-3-haiku'] } }, filePath);
+
+      expect(registry.list().map(provider => provider.name)).toEqual(['anthropic', 'vllm']);
+      expect(registry.get('vllm')).toBeInstanceOf(OpenAICompatibleProvider);
+    });
+
+    test('keeps the configured providers when the providers file cannot be read', () => {
+      registry.loadProviders({ anthropic: { models: ['claude-3-haiku'] } }, path.join(directory, 'missing.json'));
+
+      expect(registry.list().map(provider => provider.name)).toEqual(['anthropic']);
+    });
+  });
+
+  describe('getProviderForModel', () => {
+    test('refreshes the model lists for unknown models', async () => {
+      registry.register(new DiscoveringProvider('local'));
+
+      expect(registry.findProvider('discovered-model')).toBeUndefined();
+      await expect(registry.getProviderForModel('discovered-model')).resolves.toBe(registry.get('local'));
+    });
+
+    test('fails for models that no provider serves', async () => {
+      registry.register(new BaseProvider('static', { models: ['static-model'] }));
+
+      await expect(registry.getProviderForModel('unknown-model')).rejects.toThrow('No provider found for model unknown-model');
+    });
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Tests of the file context store and the replay of its log
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createContextStore } = require('../../../src/mcp/storage');
+const FileContextStore = require('../../../src/mcp/storage/fileContextStore');
+
+/**
+ * Build a context that expires in an hour
+ * @param {string} id - Context ID
+ * @param {Object} extra - Further context fields
+ * @returns {Object} - Context
+ */
+function buildContext(id, extra = {}) {
+  const now = new Date();
+
+  return {
+    id,
+    contents: [],
+    createdAt: now,
+    updatedAt: now,
+    expiresAt: new Date(now.getTime() + 3600000),
+    ...extra
+  };
+}
+
+describe('FileContextStore', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-contexts-'));
+  let logs = 0;
+  let filePath;
+  let stores;
+
+  // Open a store on the log file, closed after the test
+  const openStore = () => {
+    const store = new FileContextStore({ filePath });
+    stores.push(store);
+    return store;
+  };
+
+  const readRecords = () => fs.readFileSync(filePath, 'utf8').trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+  beforeEach(() => {
+    // Each test gets its own, not yet existing, log directory
+    filePath = path.join(directory, `log-${++logs}`, 'contexts.ndjson');
+    stores = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(stores.map(store => store.close()));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('requires a file path', () => {
+    expect(() => new FileContextStore()).toThrow('File context store requires a filePath');
+    expect(createContextStore({ type: 'file', filePath: path.join(directory, 'factory.ndjson') }))
+      .toBeInstanceOf(FileContextStore);
+  });
+
+  test('restores contexts, touches and deletes from the log with Dates', async () => {
+    const store = openStore();
+    const expiresAt = new Date(Date.now() + 7200000);
+    await store.set(buildContext('context-1', { contents: [{ role: 'user', content: 'Show PO 4500000001' }] }));
+    await store.set(buildContext('context-2'));
+    await store.touch('context-1', expiresAt);
+    await store.touch('missing', expiresAt);
+    await store.delete('context-2');
+    await store.delete('context-2');
+    await store.close();
+
+    expect(readRecords().map(record => record.op)).toEqual(['set', 'set', 'touch', 'delete']);
+
+    const reopened = openStore();
+    const context = await reopened.get('context-1');
+
+    expect((await reopened.list()).map(entry => entry.id)).toEqual(['context-1']);
+    expect(context.contents).toEqual([{ role: 'user', content: 'Show PO 4500000001' }]);
+    expect(context.createdAt).toBeInstanceOf(Date);
+    expect(context.expiresAt).toEqual(expiresAt);
+  });
+
+  test('writes the context as it was when it was set', async () => {
+    const store = openStore();
+    const context = buildContext('context-1');
+
+    await store.set(context);
+    context.contents.push({ role: 'user', content: 'later' });
+    await store.close();
+
+    expect(readRecords()[0].context.contents).toEqual([]);
+  });
+
+  test('drops expired contexts and skips damaged records on startup', () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, [
+      JSON.stringify({ op: 'set', context: buildContext('live') }),
+      JSON.stringify({ op: 'set', context: buildContext('expired', { expiresAt: new Date(0) }) }),
+      '{"op":"set","context":{"id":"cut'
+    ].join('\n'));
+
+    const store = openStore();
+
+    expect(Array.from(store.contexts.keys())).toEqual(['live']);
+    expect(readRecords()).toEqual([expect.objectContaining({ op: 'set', context: expect.objectContaining({ id: 'live' }) })]);
+    expect(store.records).toBe(1);
+  });
+
+  test('rewrites the log once superseded records outnumber the live contexts', async () => {
+    const store = openStore();
+    await store.set(buildContext('context-1'));
+    await store.set(buildContext('context-2'));
+    await store.delete('context-2');
+
+    store.records = 999;
+    await store.touch('context-1', new Date(Date.now() + 7200000));
+
+    expect(readRecords().map(record => record.op)).toEqual(['set']);
+    expect(store.records).toBe(1);
+  });
+
+  test('keeps writing after a write failed', async () => {
+    const store = openStore();
+    jest.spyOn(fs.promises, 'appendFile').mockRejectedValueOnce(new Error('disk full'));
+
+    await expect(store.set(buildContext('context-1'))).rejects.toThrow('disk full');
+    await store.set(buildContext('context-2'));
+    jest.restoreAllMocks();
+
+    expect(readRecords().map(record => record.context.id)).toEqual(['context-2']);
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests of the in-memory context store and the store factory
+ */
+
+const { createContextStore } = require('../../../src/mcp/storage');
+const BaseContextStore = require('../../../src/mcp/storage/baseContextStore');
+const MemoryContextStore = require('../../../src/mcp/storage/memoryContextStore');
+
+describe('MemoryContextStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryContextStore();
+  });
+
+  test('stores, lists and deletes contexts', async () => {
+    await store.set({ id: 'context-1', contents: [] });
+    await store.set({ id: 'context-2', contents: [] });
+
+    expect(await store.get('context-1')).toEqual({ id: 'context-1', contents: [] });
+    expect(await store.get('missing')).toBeNull();
+    expect((await store.list()).map(context => context.id)).toEqual(['context-1', 'context-2']);
+    await expect(store.delete('context-1')).resolves.toBe(true);
+    await expect(store.delete('context-1')).resolves.toBe(false);
+    expect(await store.list()).toHaveLength(1);
+  });
+
+  test('extends the expiry of stored contexts only', async () => {
+    const expiresAt = new Date('2030-01-01T00:00:00Z');
+    await store.set({ id: 'context-1', expiresAt: new Date(0) });
+
+    await store.touch('context-1', expiresAt);
+    await store.touch('missing', expiresAt);
+
+    expect((await store.get('context-1')).expiresAt).toBe(expiresAt);
+    expect(await store.get('missing')).toBeNull();
+  });
+});
+
+describe('BaseContextStore', () => {
+  test('names the backend that lacks an operation', async () => {
+    const store = new BaseContextStore('partial');
+
+    await expect(store.get('context-1')).rejects.toThrow('Context store partial does not implement get');
+    await expect(store.set({ id: 'context-1' })).rejects.toThrow('does not implement set');
+    await expect(store.delete('context-1')).rejects.toThrow('does not implement delete');
+    await expect(store.list()).rejects.toThrow('does not implement list');
+    await expect(store.close()).resolves.toBeUndefined();
+  });
+
+  test('extends the expiry by rewriting the context by default', async () => {
+    const contexts = new Map([['context-1', { id: 'context-1', expiresAt: new Date(0) }]]);
+    const store = new BaseContextStore('rewriting');
+    store.get = async contextId => contexts.get(contextId) || null;
+    store.set = jest.fn(async context => contexts.set(context.id, context));
+    const expiresAt = new Date('2030-01-01T00:00:00Z');
+
+    await store.touch('context-1', expiresAt);
+    await store.touch('missing', expiresAt);
+
+    expect(store.set).toHaveBeenCalledTimes(1);
+    expect(contexts.get('context-1').expiresAt).toBe(expiresAt);
+  });
+});
+
+describe('createContextStore', () => {
+  test('creates a memory store by default and rejects unknown types', () => {
+    expect(createContextStore()).toBeInstanceOf(MemoryContextStore);
+    expect(createContextStore({ type: 'memory' }).name).toBe('memory');
+    expect(() => createContextStore({ type: 'redis' })).toThrow('Unknown context storage type: redis');
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Tests of the EDMX $metadata parser
+ */
+
+const { parseXml, parseEdmx } = require('../../src/util/edmx');
+
+// OData v2 Gateway service with SAP annotations, an association and a function import
+const V2_METADATA = `<?xml version="1.0" encoding="utf-8"?>
+<edmx:Edmx Version="1.0" xmlns:edmx="http://schemas.microsoft.com/ado/2007/06/edmx">
+  <edmx:DataServices m:DataServiceVersion="2.0">
+    <Schema Namespace="ZMM_PURCHASE_ORDER_SRV" Alias="PO" xmlns:sap="http://www.sap.com/Protocols/SAPData">
+      <!-- Header -->
+      <EntityType Name="PurchaseOrder">
+        <Key><PropertyRef Name="PurchaseOrder"/></Key>
+        <Property Name="PurchaseOrder" Type="Edm.String" Nullable="false" MaxLength="10" sap:label="Purchasing Doc." sap:creatable="false" sap:updatable="false"/>
+        <Property Name="Supplier" Type="Edm.String" MaxLength="10" sap:label="Supplier &amp; Co &#x41;"/>
+        <Property Name="NetAmount" Type="Edm.Decimal" Precision="15" Scale="2"/>
+        <NavigationProperty Name="ToItems" Relationship="PO.HeaderItems" FromRole="Header" ToRole="Items"/>
+      </EntityType>
+      <EntityType Name="PurchaseOrderItem">
+        <Key><PropertyRef Name="PurchaseOrder"/><PropertyRef Name="ItemNumber"/></Key>
+        <Property Name="PurchaseOrder" Type="Edm.String"/>
+        <Property Name="ItemNumber" Type="Edm.String"/>
+      </EntityType>
+      <Association Name="HeaderItems">
+        <End Type="PO.PurchaseOrder" Multiplicity="1" Role="Header"/>
+        <End Type="PO.PurchaseOrderItem" Multiplicity="*" Role="Items"/>
+      </Association>
+      <EntityContainer Name="ZMM_PURCHASE_ORDER_SRV_Entities" m:IsDefaultEntityContainer="true">
+        <EntitySet Name="PurchaseOrderSet" EntityType="PO.PurchaseOrder"/>
+        <EntitySet Name="PurchaseOrderItemSet" EntityType="ZMM_PURCHASE_ORDER_SRV.PurchaseOrderItem"/>
+        <FunctionImport Name="ReleasePurchaseOrder" ReturnType="PO.PurchaseOrder" EntitySet="PurchaseOrderSet" m:HttpMethod="POST">
+          <Parameter Name="PurchaseOrder" Type="Edm.String" MaxLength="10"/>
+        </FunctionImport>
+        <FunctionImport Name="GetOpenCount" ReturnType="Edm.Int32"/>
+      </EntityContainer>
+    </Schema>
+  </edmx:DataServices>
+</edmx:Edmx>`;
+
+// OData v4 S/4HANA Cloud service with a derived type, a function and an action
+const V4_METADATA = `<?xml version="1.0" encoding="utf-8"?>
+<edmx:Edmx Version="4.0" xmlns:edmx="http://docs.oasis-open.org/odata/ns/edmx">
+  <edmx:DataServices>
+    <Schema Namespace="com.sap.gateway.srvd_a2x.api_purchaseorder_2.v0001" Alias="SAP__self">
+      <EntityType Name="DocumentType" Abstract="true">
+        <Key><PropertyRef Name="PurchaseOrder"/></Key>
+        <Property Name="PurchaseOrder" Type="Edm.String" Nullable="false" MaxLength="10"/>
+      </EntityType>
+      <EntityType Name="PurchaseOrderType" BaseType="SAP__self.DocumentType">
+        <Property Name="PurchaseOrderDate" Type="Edm.Date"/>
+        <NavigationProperty Name="_Item" Type="Collection(SAP__self.PurchaseOrderItemType)"/>
+        <NavigationProperty Name="_Supplier" Type="SAP__self.SupplierType"/>
+      </EntityType>
+      <EntityType Name="PurchaseOrderItemType">
+        <Key><PropertyRef Name="PurchaseOrderItem"/></Key>
+        <Property Name="PurchaseOrderItem" Type="Edm.String"/>
+      </EntityType>
+      <Function Name="GetOutputPreview" IsBound="false">
+        <Parameter Name="PurchaseOrder" Type="Edm.String"/>
+        <ReturnType Type="Edm.Binary"/>
+      </Function>
+      <Action Name="Release" IsBound="false">
+        <Parameter Name="PurchaseOrder" Type="Edm.String"/>
+      </Action>
+      <EntityContainer Name="Container">
+        <EntitySet Name="PurchaseOrder" EntityType="SAP__self.PurchaseOrderType"/>
+        <FunctionImport Name="GetOutputPreview" Function="SAP__self.GetOutputPreview"/>
+        <ActionImport Name="ReleasePurchaseOrder" Action="SAP__self.Release" EntitySet="PurchaseOrder"/>
+        <ActionImport Name="Missing" Action="SAP__self.Missing"/>
+      </EntityContainer>
+    </Schema>
+  </edmx:DataServices>
+</edmx:Edmx>`;
+
+describe('parseEdmx', () => {
+  describe('v2', () => {
+    const model = parseEdmx(V2_METADATA);
+
+    test('reads entity sets and their entity types with resolved aliases', () => {
+      expect(model.version).toBe('2.0');
+      expect(model.entitySets.PurchaseOrderSet).toEqual({
+        name: 'PurchaseOrderSet',
+        entityType: 'ZMM_PURCHASE_ORDER_SRV.PurchaseOrder'
+      });
+      expect(model.entityTypes['ZMM_PURCHASE_ORDER_SRV.PurchaseOrderItem'].keys).toEqual(['PurchaseOrder', 'ItemNumber']);
+    });
+
+    test('reads properties with their facets and SAP annotations', () => {
+      const { properties } = model.entityTypes['ZMM_PURCHASE_ORDER_SRV.PurchaseOrder'];
+
+      expect(properties.PurchaseOrder).toEqual({
+        type: 'Edm.String',
+        nullable: false,
+        maxLength: 10,
+        precision: undefined,
+        scale: undefined,
+        label: 'Purchasing Doc.',
+        creatable: false,
+        updatable: false
+      });
+      expect(properties.Supplier).toMatchObject({ nullable: true, label: 'Supplier & Co A', creatable: true });
+      expect(properties.NetAmount).toMatchObject({ type: 'Edm.Decimal', precision: 15, scale: 2 });
+    });
+
+    test('finds the targets of navigation properties through their associations', () => {
+      expect(model.entityTypes['ZMM_PURCHASE_ORDER_SRV.PurchaseOrder'].navigationProperties.ToItems).toEqual({
+        type: 'ZMM_PURCHASE_ORDER_SRV.PurchaseOrderItem',
+        collection: true
+      });
+    });
+
+    test('reads function imports with their parameters', () => {
+      expect(model.functionImports.ReleasePurchaseOrder).toMatchObject({
+        name: 'ReleasePurchaseOrder',
+        kind: 'function',
+        httpMethod: 'POST',
+        returnType: 'PO.PurchaseOrder',
+        entitySet: 'PurchaseOrderSet',
+        parameters: { PurchaseOrder: expect.objectContaining({ type: 'Edm.String', maxLength: 10 }) }
+      });
+      expect(model.functionImports.GetOpenCount).toMatchObject({ httpMethod: 'GET', parameters: {} });
+    });
+  });
+
+  describe('v4', () => {
+    const model = parseEdmx(V4_METADATA);
+    const namespace = 'com.sap.gateway.srvd_a2x.api_purchaseorder_2.v0001';
+
+    test('inherits the keys and properties of base types', () => {
+      const purchaseOrder = model.entityTypes[`${namespace}.PurchaseOrderType`];
+
+      expect(model.version).toBe('4.0');
+      expect(purchaseOrder.keys).toEqual(['PurchaseOrder']);
+      expect(Object.keys(purchaseOrder.properties)).toEqual(['PurchaseOrder', 'PurchaseOrderDate']);
+    });
+
+    test('reads collection and single navigation properties', () => {
+      expect(model.entityTypes[`${namespace}.PurchaseOrderType`].navigationProperties).toEqual({
+        _Item: { type: `${namespace}.PurchaseOrderItemType`, collection: true },
+        _Supplier: { type: `${namespace}.SupplierType`, collection: false }
+      });
+    });
+
+    test('reads function and action imports from their functions and actions', () => {
+      expect(model.functionImports.GetOutputPreview).toMatchObject({
+        kind: 'function',
+        httpMethod: 'GET',
+        returnType: 'Edm.Binary',
+        parameters: { PurchaseOrder: expect.objectContaining({ type: 'Edm.String' }) }
+      });
+      expect(model.functionImports.ReleasePurchaseOrder).toMatchObject({
+        name: 'ReleasePurchaseOrder',
+        kind: 'action',
+        httpMethod: 'POST',
+        returnType: undefined,
+        entitySet: 'PurchaseOrder'
+      });
+      expect(model.functionImports.Missing).toBeUndefined();
+    });
+  });
+
+  test('rejects documents that are not EDMX', () => {
+    expect(() => parseEdmx('<html><body/></html>')).toThrow('The document is not an EDMX document');
+  });
+});
+
+describe('parseXml', () => {
+  test('skips comments, CDATA and declarations', () => {
+    const document = parseXml('<?xml version="1.0"?><!DOCTYPE a><a x=\'1\'><!-- <b/> --><![CDATA[<c/>]]><d:e/></a>');
+
+    expect(document.children).toEqual([{
+      name: 'a',
+      attributes: { x: '1' },
+      children: [{ name: 'e', attributes: {}, children: [] }]
+    }]);
+  });
+
+  test('rejects badly nested documents', () => {
+    expect(() => parseXml('<a><b></a>')).toThrow('Unexpected closing tag </a>');
+    expect(() => parseXml('</a>')).toThrow('Unexpected closing tag </a>');
+    expect(() => parseXml('<a><b/>')).toThrow('Unclosed element <a>');
+  });
+});
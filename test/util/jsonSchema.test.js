@@ -0,0 +1,67 @@
+/**
+ * Tests of the JSON Schema validator
+ */
+
+const { validateSchema } = require('../../src/util/jsonSchema');
+
+describe('validateSchema', () => {
+  const schema = {
+    type: 'object',
+    required: ['PurchaseOrder', 'Items'],
+    properties: {
+      PurchaseOrder: { type: 'string', minLength: 10, maxLength: 10, pattern: '^45' },
+      Status: { type: 'string', enum: ['open', 'closed'] },
+      NetAmount: { type: ['number', 'null'], minimum: 0, maximum: 1000 },
+      Items: {
+        type: 'array',
+        items: { type: 'object', properties: { Quantity: { type: 'integer' } }, additionalProperties: false }
+      }
+    },
+    additionalProperties: { type: 'string' }
+  };
+
+  test('accepts valid values', () => {
+    expect(validateSchema(schema, {
+      PurchaseOrder: '4500000001',
+      Status: 'open',
+      NetAmount: 10.5,
+      Items: [{ Quantity: 5 }],
+      Note: 'urgent'
+    })).toEqual([]);
+    expect(validateSchema(schema, { PurchaseOrder: '4500000001', NetAmount: null, Items: [] })).toEqual([]);
+  });
+
+  test('reports every violation with its path', () => {
+    expect(validateSchema(schema, {
+      PurchaseOrder: '5500',
+      Status: 'late',
+      NetAmount: 1001,
+      Items: [{ Quantity: 1.5, Unit: 'PC' }],
+      Note: 5
+    }, 'purchaseOrder')).toEqual([
+      'purchaseOrder.PurchaseOrder must be at least 10 characters long',
+      'purchaseOrder.PurchaseOrder must match the pattern ^45',
+      'purchaseOrder.Status must be one of: open, closed',
+      'purchaseOrder.NetAmount must be <= 1000',
+      'purchaseOrder.Items[0].Quantity must be of type integer',
+      'purchaseOrder.Items[0].Unit is not allowed',
+      'purchaseOrder.Note must be of type string'
+    ]);
+    expect(validateSchema(schema, { PurchaseOrder: '45000000012', NetAmount: -1 })).toEqual([
+      'value.Items is required',
+      'value.PurchaseOrder must be at most 10 characters long',
+      'value.NetAmount must be >= 0'
+    ]);
+  });
+
+  test('treats integers as numbers but not numbers as integers', () => {
+    expect(validateSchema({ type: 'number' }, 3)).toEqual([]);
+    expect(validateSchema({ type: 'integer' }, 3.5)).toEqual(['value must be of type integer']);
+    expect(validateSchema({ type: 'array' }, {})).toEqual(['value must be of type array']);
+    expect(validateSchema({ type: 'object' }, null)).toEqual(['value must be of type object']);
+  });
+
+  test('accepts anything without a schema', () => {
+    expect(validateSchema(undefined, 'anything')).toEqual([]);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Tests of the OData v2 and v4 dialects
+ */
+
+const { getODataDialect } = require('../../src/util/odataDialect');
+
+describe('getODataDialect', () => {
+  const date = new Date('2024-01-31T10:15:00Z');
+
+  test('accepts the usual spellings of the versions', () => {
+    expect(getODataDialect().version).toBe('2.0');
+    expect(['2', 'v2', '2.0'].map(version => getODataDialect(version).version)).toEqual(['2.0', '2.0', '2.0']);
+    expect(['4', 'V4', '4.01'].map(version => getODataDialect(version).version)).toEqual(['4.0', '4.0', '4.0']);
+    expect(() => getODataDialect('3.0')).toThrow('Unsupported OData version: 3.0 (supported: 2.0, 4.0)');
+  });
+
+  describe('v2', () => {
+    const dialect = getODataDialect('2.0');
+
+    test('reads the d envelope', () => {
+      const body = { d: { results: [{ PurchaseOrder: '1' }], __count: '12', __next: 'PurchaseOrderSet?$skiptoken=1' } };
+
+      expect(dialect.parseCollection(body)).toEqual({
+        results: [{ PurchaseOrder: '1' }],
+        count: 12,
+        nextLink: 'PurchaseOrderSet?$skiptoken=1'
+      });
+      expect(dialect.parseCollection({ d: { results: [] } }).count).toBeUndefined();
+      expect(dialect.parseEntity({ d: { PurchaseOrder: '1' } })).toEqual({ PurchaseOrder: '1' });
+      expect(dialect.parseExpanded({ results: [{ ItemNumber: '10' }] })).toEqual([{ ItemNumber: '10' }]);
+      expect(dialect.parseExpanded(undefined)).toEqual([]);
+      expect(dialect.getETag({ __metadata: { etag: 'W/"1"' } })).toBe('W/"1"');
+      expect(dialect.errorMessage({ error: { message: { value: 'Not found' } } })).toBe('Not found');
+    });
+
+    test('writes Gateway names, functions and literals', () => {
+      expect(dialect).toMatchObject({ countParameter: '$inlinecount=allpages', updateMethod: 'MERGE', headers: {} });
+      expect(dialect.entitySet('PurchaseOrder')).toBe('PurchaseOrderSet');
+      expect(dialect.navigation.purchaseOrderItems).toBe('ToItems');
+      expect(dialect.toExpanded([{ ItemNumber: '10' }])).toEqual({ results: [{ ItemNumber: '10' }] });
+      expect(dialect.substringFilter('SupplierName', 'O\'Neil')).toBe('substringof(\'O\'\'Neil\', SupplierName)');
+      expect(dialect.formatDate(date)).toBe('datetime\'2024-01-31T00:00:00\'');
+      expect(dialect.formatDateTime(date)).toBe('datetime\'2024-01-31T10:15:00.000\'');
+      expect(dialect.formatDateTimeOffset(date)).toBe('datetimeoffset\'2024-01-31T10:15:00.000Z\'');
+      expect(dialect.formatGuid('0050569e-1b2c')).toBe('guid\'0050569e-1b2c\'');
+      expect(dialect.formatDecimal('1000.50')).toBe('1000.50M');
+      expect(dialect.formatInt64(123)).toBe('123L');
+    });
+  });
+
+  describe('v4', () => {
+    const dialect = getODataDialect('4.0');
+
+    test('reads the value envelope and annotations', () => {
+      const body = { value: [{ PurchaseOrder: '1' }], '@odata.count': 12, '@odata.nextLink': 'PurchaseOrder?$skiptoken=1' };
+
+      expect(dialect.parseCollection(body)).toEqual({
+        results: [{ PurchaseOrder: '1' }],
+        count: 12,
+        nextLink: 'PurchaseOrder?$skiptoken=1'
+      });
+      expect(dialect.parseEntity({ PurchaseOrder: '1' })).toEqual({ PurchaseOrder: '1' });
+      expect(dialect.parseExpanded([{ PurchaseOrderItem: '10' }])).toEqual([{ PurchaseOrderItem: '10' }]);
+      expect(dialect.parseExpanded(null)).toEqual([]);
+      expect(dialect.getETag({ '@odata.etag': 'W/"1"' })).toBe('W/"1"');
+      expect(dialect.errorMessage({ error: { message: 'Not found' } })).toBe('Not found');
+      expect(dialect.errorMessage({ error: { message: { value: 'Locked' } } })).toBe('Locked');
+    });
+
+    test('writes S/4HANA Cloud names, functions and literals', () => {
+      expect(dialect).toMatchObject({
+        countParameter: '$count=true',
+        updateMethod: 'PATCH',
+        headers: { 'OData-Version': '4.0', 'OData-MaxVersion': '4.0' }
+      });
+      expect(dialect.entitySet('PurchaseOrder')).toBe('PurchaseOrder');
+      expect(dialect.navigation.purchaseOrderItems).toBe('_Item');
+      expect(dialect.toExpanded([{ PurchaseOrderItem: '10' }])).toEqual([{ PurchaseOrderItem: '10' }]);
+      expect(dialect.substringFilter('SupplierName', 'ACME')).toBe('contains(SupplierName, \'ACME\')');
+      expect(dialect.formatDate(date)).toBe('2024-01-31');
+      expect(dialect.formatDateTime(date)).toBe('2024-01-31T10:15:00.000Z');
+      expect(dialect.formatDateTimeOffset(date)).toBe('2024-01-31T10:15:00.000Z');
+      expect(dialect.formatGuid('0050569e-1b2c')).toBe('0050569e-1b2c');
+      expect(dialect.formatDecimal('1000.50')).toBe('1000.50');
+      expect(dialect.formatInt64(123)).toBe(123);
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Tests of the OData filter builder
+ */
+
+const { compileFilter, fromFilterObject } = require('../../src/util/odataFilter');
+const { ValidationError } = require('../../src/middleware/errorHandler');
+
+describe('compileFilter', () => {
+  test('doubles quotes in string values so they cannot end the literal', () => {
+    const filter = compileFilter({ type: 'compare', field: 'Supplier', operator: 'eq', value: '173\' or 1 eq 1 or \'' });
+
+    expect(filter).toBe('Supplier eq \'173\'\' or 1 eq 1 or \'\'\'');
+  });
+
+  test('doubles quotes in the values of string functions', () => {
+    const node = { type: 'contains', field: 'SupplierName', value: 'O\'Neil' };
+
+    expect(compileFilter(node, { version: '2.0' })).toBe('substringof(\'O\'\'Neil\', SupplierName)');
+    expect(compileFilter(node, { version: '4.0' })).toBe('contains(SupplierName, \'O\'\'Neil\')');
+  });
+
+  test('rejects fields that are not on the allow-list', () => {
+    const node = fromFilterObject({ Supplier: { eq: '173' }, Password: { eq: 'x' } });
+
+    expect(() => compileFilter(node, { fields: ['Supplier'] })).toThrow(ValidationError);
+    expect(() => compileFilter(node, { fields: ['Supplier'] })).toThrow('Cannot filter by Password');
+  });
+
+  test('accepts fields on the allow-list', () => {
+    const node = fromFilterObject({ Supplier: { eq: '173' }, NetAmount: { gt: 1000 } });
+
+    expect(compileFilter(node, { fields: ['Supplier', 'NetAmount'] })).toBe('Supplier eq \'173\' and NetAmount gt 1000');
+  });
+
+  test('rejects field names that are not property names or paths', () => {
+    const node = { type: 'compare', field: 'Supplier eq \'1\' or Supplier', operator: 'eq', value: '2' };
+
+    expect(() => compileFilter(node)).toThrow('Invalid field name in filter');
+  });
+
+  test('parenthesizes nested junctions and negations but not the top level', () => {
+    const node = {
+      type: 'and',
+      conditions: [
+        { type: 'or', conditions: [
+          { type: 'startswith', field: 'Supplier', value: '17' },
+          { type: 'endswith', field: 'Supplier', value: '3' }
+        ] },
+        { type: 'not', condition: { type: 'in', field: 'Plant', values: ['1000', '2000'] } },
+        { type: 'in', field: '_Supplier/Country', values: ['DE'] }
+      ]
+    };
+
+    expect(compileFilter(node)).toBe('(startswith(Supplier, \'17\') or endswith(Supplier, \'3\')) and ' +
+      'not ((Plant eq \'1000\' or Plant eq \'2000\')) and _Supplier/Country eq \'DE\'');
+  });
+
+  test('leaves out junctions and negations without conditions', () => {
+    expect(compileFilter({ type: 'and', conditions: [] })).toBe('');
+    expect(compileFilter({
+      type: 'or',
+      conditions: [{ type: 'not', condition: { type: 'and', conditions: [] } }, { type: 'compare', field: 'Plant', operator: 'ne', value: null }]
+    })).toBe('Plant ne null');
+  });
+
+  test('writes numbers, booleans, dates and typed literals for the OData version', () => {
+    const date = new Date('2024-01-31T10:15:00Z');
+    const node = {
+      type: 'and',
+      conditions: [
+        { type: 'compare', field: 'OrderQuantity', operator: 'ge', value: 2.5 },
+        { type: 'compare', field: 'Blocked', operator: 'eq', value: false },
+        { type: 'compare', field: 'CreatedAt', operator: 'lt', value: date },
+        { type: 'compare', field: 'NetAmount', operator: 'gt', value: { type: 'decimal', value: '1000.50' } },
+        { type: 'compare', field: 'SupplierId', operator: 'eq', value: { type: 'guid', value: '0050569e-1b2c-1eda-a1b2-000000000001' } },
+        { type: 'compare', field: 'DocumentDate', operator: 'le', value: { type: 'date', value: '2024-01-31T10:15:00Z' } },
+        { type: 'compare', field: 'ChangedAt', operator: 'le', value: { type: 'datetimeoffset', value: date.getTime() } },
+        { type: 'compare', field: 'PostedAt', operator: 'ge', value: { type: 'datetime', value: date } }
+      ]
+    };
+
+    expect(compileFilter(node, { version: '2.0' }).split(' and ')).toEqual([
+      'OrderQuantity ge 2.5',
+      'Blocked eq false',
+      'CreatedAt lt datetime\'2024-01-31T10:15:00.000\'',
+      'NetAmount gt 1000.50M',
+      'SupplierId eq guid\'0050569e-1b2c-1eda-a1b2-000000000001\'',
+      'DocumentDate le datetime\'2024-01-31T00:00:00\'',
+      'ChangedAt le datetimeoffset\'2024-01-31T10:15:00.000Z\'',
+      'PostedAt ge datetime\'2024-01-31T10:15:00.000\''
+    ]);
+    expect(compileFilter(node, { version: '4.0' }).split(' and ')).toEqual([
+      'OrderQuantity ge 2.5',
+      'Blocked eq false',
+      'CreatedAt lt 2024-01-31T10:15:00.000Z',
+      'NetAmount gt 1000.50',
+      'SupplierId eq 0050569e-1b2c-1eda-a1b2-000000000001',
+      'DocumentDate le 2024-01-31',
+      'ChangedAt le 2024-01-31T10:15:00.000Z',
+      'PostedAt ge 2024-01-31T10:15:00.000Z'
+    ]);
+  });
+
+  test('rejects values that are not valid literals', () => {
+    const compare = value => compileFilter({ type: 'compare', field: 'NetAmount', operator: 'eq', value });
+
+    expect(() => compare({ type: 'decimal', value: '1e3' })).toThrow(new ValidationError('Invalid decimal value in filter: 1e3'));
+    expect(() => compare({ type: 'guid', value: '4500000001' })).toThrow('Invalid guid value in filter: 4500000001');
+    expect(() => compare({ type: 'datetime', value: 'yesterday' })).toThrow('Invalid datetime value in filter: yesterday');
+    expect(() => compare({ type: 'date', value: true })).toThrow('Invalid date value in filter: true');
+    expect(() => compare(Infinity)).toThrow('Invalid number in filter: Infinity');
+    expect(() => compare({ amount: 5 })).toThrow('Unsupported value in filter: {"amount":5}');
+  });
+
+  test('rejects malformed nodes', () => {
+    expect(() => compileFilter({ type: 'compare', field: 'NetAmount', operator: 'like', value: 5 }))
+      .toThrow('Unsupported operator in filter: like');
+    expect(() => compileFilter({ type: 'compare', field: 'NetAmount', operator: 'gt', value: null }))
+      .toThrow('NetAmount can only be compared with null using eq or ne');
+    expect(() => compileFilter({ type: 'in', field: 'Plant', values: [] }))
+      .toThrow('Filter in for Plant needs a non-empty list of values');
+    expect(() => compileFilter({ type: 'contains', field: 'Supplier', value: 173 }))
+      .toThrow('contains needs a string value in filter');
+    expect(() => compileFilter({ type: 'or', conditions: 'Supplier eq 1' })).toThrow('Filter or needs a list of conditions');
+    expect(() => compileFilter({ type: 'not', condition: { type: 'toString' } })).toThrow('Unsupported filter node: {"type":"toString"}');
+    expect(() => compileFilter(null)).toThrow(ValidationError);
+  });
+});
+
+describe('fromFilterObject', () => {
+  test('converts field values by their type', () => {
+    const date = new Date('2024-01-31T00:00:00Z');
+
+    expect(fromFilterObject({
+      Supplier: 'ACME',
+      NetAmount: 1000,
+      Blocked: false,
+      SupplierId: { type: 'guid', value: '0050569e-1b2c-1eda-a1b2-000000000001' },
+      DocumentDate: date,
+      Plant: ['1000', '2000'],
+      Material: null,
+      Currency: undefined
+    })).toEqual({
+      type: 'and',
+      conditions: [
+        { type: 'contains', field: 'Supplier', value: 'ACME' },
+        { type: 'compare', field: 'NetAmount', operator: 'eq', value: 1000 },
+        { type: 'compare', field: 'Blocked', operator: 'eq', value: false },
+        { type: 'compare', field: 'SupplierId', operator: 'eq', value: { type: 'guid', value: '0050569e-1b2c-1eda-a1b2-000000000001' } },
+        { type: 'compare', field: 'DocumentDate', operator: 'eq', value: { type: 'date', value: date } },
+        { type: 'in', field: 'Plant', values: ['1000', '2000'] }
+      ]
+    });
+  });
+
+  test('converts objects of operators and logical keys', () => {
+    const node = fromFilterObject({
+      NetAmount: { ge: 100, lt: 1000, ne: undefined },
+      Supplier: { startswith: '17', in: ['173', '174'] },
+      $or: [{ Plant: { eq: null } }, { Plant: { endswith: '00' } }],
+      $not: { Material: { contains: 'SCRAP' } }
+    });
+
+    expect(compileFilter(node, { version: '4.0' })).toBe('NetAmount ge 100 and NetAmount lt 1000 and startswith(Supplier, \'17\') and ' +
+      '(Supplier eq \'173\' or Supplier eq \'174\') and (Plant eq null or endswith(Plant, \'00\')) and not (contains(Material, \'SCRAP\'))');
+  });
+
+  test('rejects filters that are not objects of field conditions', () => {
+    expect(() => fromFilterObject('Supplier eq 1')).toThrow(new ValidationError('A filter must be an object of field conditions'));
+    expect(() => fromFilterObject([{ Supplier: '173' }])).toThrow('A filter must be an object of field conditions');
+    expect(() => fromFilterObject({ $and: { Supplier: '173' } })).toThrow('$and needs a list of filters');
+    expect(() => fromFilterObject({ $not: 'Supplier' })).toThrow('A filter must be an object of field conditions');
+    expect(() => fromFilterObject({ Supplier: { like: '17%' } })).toThrow('Unsupported operator for Supplier: like');
+    expect(() => fromFilterObject({ Supplier: Symbol('173') })).toThrow('Unsupported filter for Supplier');
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Tests of the OData paging cursors and page fetching
+ */
+
+const {
+  encodeCursor,
+  decodeCursor,
+  fetchPages,
+  getNextPagePath,
+  getQueryParameter,
+  setQueryParameter
+} = require('../../src/util/odataPaging');
+const { ValidationError } = require('../../src/middleware/errorHandler');
+
+describe('cursors', () => {
+  const path = 'PurchaseOrderSet?$top=100&$skip=100';
+
+  test('decode to the path they were encoded from', () => {
+    expect(decodeCursor(encodeCursor(path), 'PurchaseOrderSet')).toBe(path);
+  });
+
+  test('are rejected when the payload was changed', () => {
+    const [, signature] = encodeCursor(path).split('.');
+    const payload = Buffer.from(JSON.stringify({ path: 'SupplierSet?$top=100' })).toString('base64url');
+
+    expect(() => decodeCursor(`${payload}.${signature}`, 'SupplierSet')).toThrow(ValidationError);
+  });
+
+  test('are rejected when the signature was changed', () => {
+    const [payload, signature] = encodeCursor(path).split('.');
+    const tampered = `${signature[0] === 'A' ? 'B' : 'A'}${signature.slice(1)}`;
+
+    expect(() => decodeCursor(`${payload}.${tampered}`, 'PurchaseOrderSet')).toThrow('Invalid cursor');
+    expect(() => decodeCursor(payload, 'PurchaseOrderSet')).toThrow('Invalid cursor');
+  });
+
+  test('are rejected for other entity sets', () => {
+    expect(() => decodeCursor(encodeCursor(path), 'SupplierSet')).toThrow('Invalid cursor');
+  });
+});
+
+describe('getNextPagePath', () => {
+  const serviceUrl = 'https://sap.example.com/sap/opu/odata/sap/ZMM_PURCHASE_ORDER_SRV/';
+
+  test('advances $skip by $top after a full page', () => {
+    expect(getNextPagePath('PurchaseOrderSet?$top=2', { results: [{}, {}] }, serviceUrl)).toBe('PurchaseOrderSet?$top=2&$skip=2');
+    expect(getNextPagePath('PurchaseOrderSet?$skip=2&$top=2', { results: [{}, {}] }, serviceUrl)).toBe('PurchaseOrderSet?$top=2&$skip=4');
+  });
+
+  test('ends after a short page or without $top', () => {
+    expect(getNextPagePath('PurchaseOrderSet?$top=2', { results: [{}] }, serviceUrl)).toBeNull();
+    expect(getNextPagePath('PurchaseOrderSet', { results: [{}, {}] }, serviceUrl)).toBeNull();
+  });
+
+  test('follows next links relative to the service root', () => {
+    const page = nextLink => ({ results: [], nextLink });
+
+    expect(getNextPagePath('PurchaseOrderSet', page('PurchaseOrderSet?$skiptoken=2'), serviceUrl)).toBe('PurchaseOrderSet?$skiptoken=2');
+    expect(getNextPagePath('PurchaseOrderSet', page(`${serviceUrl}PurchaseOrderSet?$skiptoken=2`), serviceUrl))
+      .toBe('PurchaseOrderSet?$skiptoken=2');
+    expect(getNextPagePath('PurchaseOrderSet', page('/sap/opu/odata/sap/ZMM_PURCHASE_ORDER_SRV/PurchaseOrderSet?$skiptoken=2'), serviceUrl))
+      .toBe('PurchaseOrderSet?$skiptoken=2');
+    expect(() => getNextPagePath('PurchaseOrderSet', page('https://other.example.com/PurchaseOrderSet'), serviceUrl))
+      .toThrow('Next link https://other.example.com/PurchaseOrderSet is outside the service');
+  });
+});
+
+describe('fetchPages', () => {
+  const serviceUrl = 'https://sap.example.com/sap/opu/odata/sap/ZMM_PURCHASE_ORDER_SRV/';
+  const orders = ['1', '2', '3', '4', '5', '6', '7'].map(id => ({ PurchaseOrder: id }));
+  let fetchPage;
+
+  beforeEach(() => {
+    // Pages through the orders by $skip and $top like the service would
+    fetchPage = jest.fn(async pagePath => {
+      const skip = parseInt(getQueryParameter(pagePath, '$skip'), 10) || 0;
+      const top = parseInt(getQueryParameter(pagePath, '$top'), 10);
+      return { results: orders.slice(skip, skip + top) };
+    });
+  });
+
+  test('fetches one page with a cursor of the next one', async () => {
+    const { results, nextCursor, truncated } = await fetchPages({ path: 'PurchaseOrderSet?$top=2', serviceUrl, fetchPage });
+
+    expect(results).toEqual(orders.slice(0, 2));
+    expect(truncated).toBe(false);
+    expect(decodeCursor(nextCursor, 'PurchaseOrderSet')).toBe('PurchaseOrderSet?$skip=2&$top=2');
+  });
+
+  test('follows pages up to the maximum, asking only for the remaining results', async () => {
+    const { results, nextCursor, truncated } = await fetchPages({
+      path: 'PurchaseOrderSet?$top=2',
+      serviceUrl,
+      fetchPage,
+      all: true,
+      maxResults: 5
+    });
+
+    expect(fetchPage.mock.calls.map(([pagePath]) => pagePath)).toEqual([
+      'PurchaseOrderSet?$top=2',
+      'PurchaseOrderSet?$skip=2&$top=2',
+      'PurchaseOrderSet?$skip=4&$top=1'
+    ]);
+    expect(results).toEqual(orders.slice(0, 5));
+    expect(truncated).toBe(false);
+    expect(decodeCursor(nextCursor, 'PurchaseOrderSet')).toBe('PurchaseOrderSet?$skip=5&$top=2');
+  });
+
+  test('stops on the last page', async () => {
+    const { results, nextCursor } = await fetchPages({ path: 'PurchaseOrderSet?$top=3', serviceUrl, fetchPage, all: true });
+
+    expect(results).toEqual(orders);
+    expect(nextCursor).toBeNull();
+  });
+
+  test('cuts off pages sized by the server without a cursor', async () => {
+    fetchPage.mockResolvedValueOnce({ results: orders.slice(0, 3), nextLink: 'PurchaseOrderSet?$skiptoken=3' });
+
+    const { results, nextCursor, truncated } = await fetchPages({
+      path: 'PurchaseOrderSet',
+      serviceUrl,
+      fetchPage,
+      all: true,
+      maxResults: 2
+    });
+
+    expect(fetchPage).toHaveBeenCalledTimes(1);
+    expect(results).toEqual(orders.slice(0, 2));
+    expect(nextCursor).toBeNull();
+    expect(truncated).toBe(true);
+  });
+});
+
+describe('query parameters', () => {
+  test('are read and set without touching the others', () => {
+    expect(getQueryParameter('PurchaseOrderSet?$top=2&$filter=Plant%20eq%20\'1000\'', '$filter')).toBe('Plant%20eq%20\'1000\'');
+    expect(getQueryParameter('PurchaseOrderSet', '$top')).toBeUndefined();
+    expect(setQueryParameter('PurchaseOrderSet', '$top', 10)).toBe('PurchaseOrderSet?$top=10');
+    expect(setQueryParameter('PurchaseOrderSet?$top=2&$skip=2', '$top', 10)).toBe('PurchaseOrderSet?$skip=2&$top=10');
+  });
+});
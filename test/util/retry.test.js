@@ -0,0 +1,82 @@
+/**
+ * Tests of the retry utility
+ */
+
+const { parseRetryAfter, isNetworkError, isRetryableError, retryWithBackoff } = require('../../src/util/retry');
+
+describe('parseRetryAfter', () => {
+  test('parses delays in seconds and HTTP dates', () => {
+    expect(parseRetryAfter('2')).toBe(2000);
+    expect(parseRetryAfter(new Date(Date.now() + 60000).toUTCString())).toBeGreaterThan(58000);
+    expect(parseRetryAfter(undefined)).toBeUndefined();
+    expect(parseRetryAfter('soon')).toBeUndefined();
+  });
+});
+
+describe('isRetryableError', () => {
+  test('retries timeouts, rate limits and server errors', () => {
+    expect(isRetryableError({ status: 408 })).toBe(true);
+    expect(isRetryableError({ status: 429 })).toBe(true);
+    expect(isRetryableError({ status: 503 })).toBe(true);
+    expect(isRetryableError({ status: 400 })).toBe(false);
+    expect(isRetryableError({ status: 503, cancelled: true })).toBe(false);
+  });
+
+  test('retries requests that got no response', () => {
+    const refused = Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+    const noResponse = Object.assign(new Error('socket hang up'), { request: {} });
+
+    expect(isNetworkError(refused)).toBe(true);
+    expect(isRetryableError(refused)).toBe(true);
+    expect(isRetryableError(noResponse)).toBe(true);
+    expect(isRetryableError({ network: true })).toBe(true);
+  });
+
+  test('does not retry programming errors', () => {
+    expect(isRetryableError(new TypeError('Cannot read properties of undefined'))).toBe(false);
+    expect(isRetryableError(new Error('Unexpected response'))).toBe(false);
+  });
+});
+
+describe('retryWithBackoff', () => {
+  const options = { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 50 };
+
+  test('retries retryable failures until the call succeeds', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce({ status: 503, message: 'Unavailable' })
+      .mockRejectedValueOnce({ status: 429, retryAfterMs: 10, message: 'Too many requests' })
+      .mockResolvedValue('answer');
+
+    await expect(retryWithBackoff(fn, options)).resolves.toBe('answer');
+    expect(fn).toHaveBeenCalledTimes(3);
+  });
+
+  test('waits at least as long as Retry-After asks', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce({ status: 429, retryAfterMs: 40, message: 'Too many requests' })
+      .mockResolvedValue('answer');
+    const start = Date.now();
+
+    await retryWithBackoff(fn, options);
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(35);
+  });
+
+  test('does not retry before a Retry-After longer than the longest delay', async () => {
+    const error = { status: 429, retryAfterMs: 60000, message: 'Too many requests' };
+    const fn = jest.fn().mockRejectedValue(error);
+
+    await expect(retryWithBackoff(fn, options)).rejects.toBe(error);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up after the maximum retries and on errors that are not retryable', async () => {
+    const unavailable = jest.fn().mockRejectedValue({ status: 503, message: 'Unavailable' });
+    const broken = jest.fn().mockRejectedValue(new TypeError('x is not a function'));
+
+    await expect(retryWithBackoff(unavailable, options)).rejects.toMatchObject({ status: 503 });
+    expect(unavailable).toHaveBeenCalledTimes(3);
+    await expect(retryWithBackoff(broken, options)).rejects.toThrow(TypeError);
+    expect(broken).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Tests of the $batch requests of the SAP connectivity layer against a local fake SAP service
+ */
+
+const http = require('http');
+const { executeBatchRequest, validateBatchRequest, parseBatchResponse } = require('../../src/util/sapConnectivity');
+
+const CRLF = '\r\n';
+
+// A GET answered with an entity, and a changeset that failed as a whole
+const FAILED_CHANGESET_RESPONSE = [
+  '--batchresponse_1',
+  'Content-Type: application/http',
+  'Content-Transfer-Encoding: binary',
+  '',
+  'HTTP/1.1 200 OK',
+  'Content-Type: application/json',
+  '',
+  '{"d":{"PurchaseOrder":"4500000001"}}',
+  '--batchresponse_1',
+  'Content-Type: application/http',
+  'Content-Transfer-Encoding: binary',
+  '',
+  'HTTP/1.1 400 Bad Request',
+  'Content-Type: application/json',
+  '',
+  '{"error":{"message":{"value":"Material M-02 does not exist"}}}',
+  '--batchresponse_1--',
+  ''
+].join(CRLF);
+
+describe('executeBatchRequest', () => {
+  let server;
+  let serviceUrl;
+  let batchRequest;
+  let batchCount = 0;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      if (req.headers['x-csrf-token'] === 'Fetch') {
+        res.writeHead(200, { 'x-csrf-token': 'token-1' });
+        res.end('{}');
+        return;
+      }
+
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        batchCount += 1;
+        batchRequest = { url: req.url, headers: req.headers, body };
+        res.writeHead(202, { 'Content-Type': 'multipart/mixed; boundary=batchresponse_1' });
+        res.end(FAILED_CHANGESET_RESPONSE);
+      });
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      serviceUrl = `http://127.0.0.1:${server.address().port}/sap/opu/odata/sap/ZMM_PURCHASE_ORDER_SRV`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  const requests = [
+    { method: 'GET', url: 'PurchaseOrderSet(\'4500000001\')' },
+    {
+      changeset: [
+        { method: 'POST', url: 'PurchaseOrderItemSet', data: { PurchaseOrder: '4500000001', Material: 'M-01' } },
+        { method: 'POST', url: 'PurchaseOrderItemSet', data: { PurchaseOrder: '4500000001', Material: 'M-02' } }
+      ]
+    }
+  ];
+
+  test('sends the requests and changesets as a multipart body', async () => {
+    await executeBatchRequest(`${serviceUrl}/$batch`, requests, {}, { version: '2.0', serviceUrl });
+
+    const boundary = /boundary=(\S+)/.exec(batchRequest.headers['content-type'])[1];
+    const changesetBoundary = new RegExp(`boundary=(changeset_1_${boundary})`).exec(batchRequest.body)[1];
+
+    expect(batchRequest.url).toBe('/sap/opu/odata/sap/ZMM_PURCHASE_ORDER_SRV/$batch');
+    expect(batchRequest.headers['x-csrf-token']).toBe('token-1');
+    expect(batchRequest.body).toContain(`--${boundary}${CRLF}Content-Type: application/http`);
+    expect(batchRequest.body).toContain('GET PurchaseOrderSet(\'4500000001\') HTTP/1.1');
+    expect(batchRequest.body).toContain('Content-ID: 1');
+    expect(batchRequest.body).toContain('Content-ID: 2');
+    expect(batchRequest.body).toContain('{"PurchaseOrder":"4500000001","Material":"M-02"}');
+    expect(batchRequest.body.split(`--${changesetBoundary}${CRLF}`)).toHaveLength(3);
+    expect(batchRequest.body).toContain(`--${changesetBoundary}--`);
+    expect(batchRequest.body.endsWith(`--${boundary}--${CRLF}`)).toBe(true);
+  });
+
+  test('reports a changeset answered with a single error response as failed', async () => {
+    const results = await executeBatchRequest(`${serviceUrl}/$batch`, requests, {}, { version: '2.0', serviceUrl });
+
+    expect(results[0]).toMatchObject({ status: 200, body: { d: { PurchaseOrder: '4500000001' } } });
+    expect(results[1]).toMatchObject({
+      changeset: true,
+      success: false,
+      responses: [{ status: 400, body: { error: { message: { value: 'Material M-02 does not exist' } } } }]
+    });
+  });
+
+  test('does not send requests with line breaks in their URL or headers', async () => {
+    const injected = [
+      { method: 'GET', url: 'PurchaseOrderSet HTTP/1.1\r\n\r\n--batch\r\nDELETE PurchaseOrderSet(\'1\')' },
+      { method: 'GET', url: 'PurchaseOrderSet', headers: { 'X-Note': 'a\r\nContent-Length: 0' } }
+    ];
+    const sentBatches = batchCount;
+
+    for (const request of injected) {
+      await expect(executeBatchRequest(`${serviceUrl}/$batch`, [request], {}, { version: '2.0', serviceUrl }))
+        .rejects.toThrow('Invalid batch request');
+    }
+    expect(batchCount).toBe(sentBatches);
+  });
+});
+
+describe('validateBatchRequest', () => {
+  test('accepts relative URLs and string headers', () => {
+    expect(validateBatchRequest({ method: 'GET', url: 'PurchaseOrderSet?$top=10', headers: { 'If-Match': 'W/"1"' } }))
+      .toEqual([]);
+    expect(validateBatchRequest({ method: 'GET', url: 'PurchaseOrderSet' })).toEqual([]);
+  });
+
+  test('rejects whitespace and line breaks in the URL', () => {
+    expect(validateBatchRequest({ url: 'PurchaseOrderSet\r\nX-Injected: 1' })).toHaveLength(1);
+    expect(validateBatchRequest({ url: 'PurchaseOrderSet\nGET SupplierSet' })).toHaveLength(1);
+    expect(validateBatchRequest({ url: 'PurchaseOrderSet HTTP/1.1' })).toHaveLength(1);
+    expect(validateBatchRequest({ url: '' })).toHaveLength(1);
+  });
+
+  test('rejects line breaks in header names and values', () => {
+    expect(validateBatchRequest({ url: 'PurchaseOrderSet', headers: { 'X-A\r\nX-B': '1' } }))
+      .toEqual([expect.stringContaining('invalid header name')]);
+    expect(validateBatchRequest({ url: 'PurchaseOrderSet', headers: { 'If-Match': '*\r\n\r\n--batch' } }))
+      .toEqual(['headers.If-Match must be a string without line breaks']);
+  });
+
+  test('rejects headers that are not an object of strings', () => {
+    expect(validateBatchRequest({ url: 'PurchaseOrderSet', headers: ['If-Match: *'] })).toHaveLength(1);
+    expect(validateBatchRequest({ url: 'PurchaseOrderSet', headers: null })).toHaveLength(1);
+    expect(validateBatchRequest({ url: 'PurchaseOrderSet', headers: { 'If-Match': 1 } })).toHaveLength(1);
+    expect(validateBatchRequest({ url: 'PurchaseOrderSet', headers: { 'If-Match': { value: '*' } } })).toHaveLength(1);
+  });
+});
+
+describe('parseBatchResponse', () => {
+  test('parses the responses of a successful changeset with their Content-IDs', () => {
+    const body = [
+      '--batchresponse_2',
+      'Content-Type: multipart/mixed; boundary=changesetresponse_1',
+      '',
+      '--changesetresponse_1',
+      'Content-Type: application/http',
+      'Content-ID: 1',
+      '',
+      'HTTP/1.1 204 No Content',
+      '',
+      '',
+      '--changesetresponse_1',
+      'Content-Type: application/http',
+      'Content-ID: 2',
+      '',
+      'HTTP/1.1 201 Created',
+      'Content-Type: application/json',
+      '',
+      '{"d":{"PurchaseOrderItem":"20"}}',
+      '--changesetresponse_1--',
+      '--batchresponse_2--',
+      ''
+    ].join(CRLF);
+
+    expect(parseBatchResponse(body, 'multipart/mixed; boundary=batchresponse_2')).toEqual([{
+      changeset: true,
+      responses: [
+        { contentId: '1', status: 204, statusText: 'No Content', headers: {}, body: null },
+        {
+          contentId: '2',
+          status: 201,
+          statusText: 'Created',
+          headers: { 'content-type': 'application/json' },
+          body: { d: { PurchaseOrderItem: '20' } }
+        }
+      ]
+    }]);
+  });
+
+  test('rejects responses that are not multipart', () => {
+    expect(() => parseBatchResponse('{}', 'application/json')).toThrow('Batch response is not multipart');
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Tests of the SAP HTTP client against a local fake SAP service
+ */
+
+const http = require('http');
+const SapHttpClient = require('../../src/util/sapHttpClient');
+
+describe('SapHttpClient', () => {
+  let server;
+  let serviceUrl;
+  let requests;
+  let handleWrite;
+  let tokenCount;
+
+  beforeAll(done => {
+    server = http.createServer((req, res) => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers });
+
+      if (req.headers['x-csrf-token'] === 'Fetch') {
+        tokenCount += 1;
+        res.writeHead(200, {
+          'x-csrf-token': `token-${tokenCount}`,
+          'set-cookie': `SAP_SESSIONID=session-${tokenCount}; path=/`
+        });
+        res.end('{}');
+        return;
+      }
+
+      req.resume();
+      req.on('end', () => handleWrite(req, res));
+    });
+
+    server.listen(0, '127.0.0.1', () => {
+      serviceUrl = `http://127.0.0.1:${server.address().port}/sap/opu/odata/sap/ZMM_PURCHASE_ORDER_SRV/`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+    tokenCount = 0;
+  });
+
+  const rejectCsrfToken = res => {
+    res.writeHead(403, { 'x-csrf-token': 'Required' });
+    res.end('CSRF token validation failed');
+  };
+
+  const post = client => client.request({
+    method: 'POST',
+    url: `${serviceUrl}PurchaseOrderSet`,
+    data: { Supplier: '173' }
+  }, { credentials: { username: 'user', password: 'secret' }, serviceUrl });
+
+  test('fetches a new token and retries once when SAP rejects the token', async () => {
+    handleWrite = (req, res) => {
+      if (req.headers['x-csrf-token'] === 'token-1') {
+        rejectCsrfToken(res);
+        return;
+      }
+      res.writeHead(201, { 'Content-Type': 'application/json' });
+      res.end('{"d":{"PurchaseOrder":"4500000001"}}');
+    };
+
+    const response = await post(new SapHttpClient());
+
+    expect(response.status).toBe(201);
+    expect(requests.map(request => [request.method, request.headers['x-csrf-token']])).toEqual([
+      ['GET', 'Fetch'],
+      ['POST', 'token-1'],
+      ['GET', 'Fetch'],
+      ['POST', 'token-2']
+    ]);
+    expect(requests[3].headers.cookie).toBe('SAP_SESSIONID=session-2');
+  });
+
+  test('does not retry a second time', async () => {
+    handleWrite = (req, res) => rejectCsrfToken(res);
+
+    await expect(post(new SapHttpClient())).rejects.toMatchObject({ response: { status: 403 } });
+    expect(requests.filter(request => request.method === 'POST')).toHaveLength(2);
+  });
+
+  test('does not retry other 403 responses', async () => {
+    handleWrite = (req, res) => {
+      res.writeHead(403, { 'Content-Type': 'application/json' });
+      res.end('{"error":{"message":{"value":"Not authorized"}}}');
+    };
+
+    await expect(post(new SapHttpClient())).rejects.toMatchObject({ response: { status: 403 } });
+    expect(requests.filter(request => request.method === 'POST')).toHaveLength(1);
+  });
+});
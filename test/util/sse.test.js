@@ -0,0 +1,84 @@
+/**
+ * Tests of the Server-Sent Events utility
+ */
+
+const { acceptsEventStream, openEventStream, writeEvent, startHeartbeat } = require('../../src/util/sse');
+
+/**
+ * Build a fake Express response that records what is written to it
+ * @returns {Object} - Fake response
+ */
+function createResponse() {
+  const res = {
+    written: '',
+    headers: {},
+    status: jest.fn(() => res),
+    set: jest.fn(headers => Object.assign(res.headers, headers)),
+    flushHeaders: jest.fn(),
+    write: jest.fn(chunk => {
+      res.written += chunk;
+    })
+  };
+  return res;
+}
+
+describe('acceptsEventStream', () => {
+  test('checks the Accept header', () => {
+    expect(acceptsEventStream({ headers: { accept: 'application/json, text/event-stream' } })).toBe(true);
+    expect(acceptsEventStream({ headers: { accept: 'application/json' } })).toBe(false);
+    expect(acceptsEventStream({ headers: {} })).toBe(false);
+  });
+});
+
+describe('openEventStream', () => {
+  test('sends the event stream headers right away', () => {
+    const res = createResponse();
+
+    openEventStream(res, { 'Mcp-Session-Id': 'abc' });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.headers).toMatchObject({ 'Content-Type': 'text/event-stream', 'Mcp-Session-Id': 'abc' });
+    expect(res.flushHeaders).toHaveBeenCalled();
+  });
+});
+
+describe('writeEvent', () => {
+  test('writes JSON data with the event name and ID', () => {
+    const res = createResponse();
+
+    writeEvent(res, { content: 'Hi' }, { event: 'token', id: 0 });
+
+    expect(res.written).toBe('id: 0\nevent: token\ndata: {"content":"Hi"}\n\n');
+  });
+
+  test('writes each line of text data as a data line', () => {
+    const res = createResponse();
+
+    writeEvent(res, 'first\nsecond');
+
+    expect(res.written).toBe('data: first\ndata: second\n\n');
+  });
+});
+
+describe('startHeartbeat', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('writes keep-alive comments until stopped', () => {
+    const res = createResponse();
+    const onHeartbeat = jest.fn();
+
+    const stop = startHeartbeat(res, 1000, onHeartbeat);
+    jest.advanceTimersByTime(2500);
+    stop();
+    jest.advanceTimersByTime(5000);
+
+    expect(res.written).toBe(': keep-alive\n\n: keep-alive\n\n');
+    expect(onHeartbeat).toHaveBeenCalledTimes(2);
+  });
+});
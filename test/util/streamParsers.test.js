@@ -0,0 +1,59 @@
+/**
+ * Tests of the stream parsers for model provider responses
+ */
+
+const { Readable } = require('stream');
+const { parseSSE, parseNDJSON } = require('../../src/util/streamParsers');
+
+/**
+ * Collect the items of an async iterable
+ * @param {AsyncIterable} iterable - Async iterable
+ * @returns {Array} - Items
+ */
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+describe('parseSSE', () => {
+  test('parses events with names and data across chunks', async () => {
+    const stream = Readable.from(['event: content_block_delta\nda', 'ta: {"text":"Hi"}\n\ndata: [DONE]\n\n']);
+
+    await expect(collect(parseSSE(stream))).resolves.toEqual([
+      { event: 'content_block_delta', data: '{"text":"Hi"}' },
+      { event: 'message', data: '[DONE]' }
+    ]);
+  });
+
+  test('joins multi-line data, skips comments and accepts CRLF line endings', async () => {
+    const stream = Readable.from([': keep-alive\r\n\r\ndata: first\r\ndata:second\r\nid: 1\r\n\r\n']);
+
+    await expect(collect(parseSSE(stream))).resolves.toEqual([{ event: 'message', data: 'first\nsecond' }]);
+  });
+
+  test('dispatches a last event that is not followed by a blank line', async () => {
+    await expect(collect(parseSSE(Readable.from(['data: last'])))).resolves.toEqual([{ event: 'message', data: 'last' }]);
+  });
+
+  test('keeps multi-byte characters split across chunks', async () => {
+    const bytes = Buffer.from('data: Größe\n\n');
+    const stream = Readable.from([bytes.subarray(0, 10), bytes.subarray(10)]);
+
+    await expect(collect(parseSSE(stream))).resolves.toEqual([{ event: 'message', data: 'Größe' }]);
+  });
+});
+
+describe('parseNDJSON', () => {
+  test('parses one JSON object per line and skips blank lines', async () => {
+    const stream = Readable.from(['{"message":{"content":"Hel', 'lo"}}\n\n{"done":true}']);
+
+    await expect(collect(parseNDJSON(stream))).resolves.toEqual([{ message: { content: 'Hello' } }, { done: true }]);
+  });
+
+  test('fails on lines that are not JSON', async () => {
+    await expect(collect(parseNDJSON(Readable.from(['not json\n'])))).rejects.toThrow(SyntaxError);
+  });
+});
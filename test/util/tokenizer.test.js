@@ -0,0 +1,47 @@
+/**
+ * Tests of the tokenizer utility
+ */
+
+const { countTokens, countMessageTokens, getTokenizer } = require('../../src/util/tokenizer');
+
+describe('countTokens', () => {
+  test('counts the tokens of a text with the encoding of the model', () => {
+    expect(countTokens('Hello world', 'gpt-4')).toBe(2);
+    expect(countTokens('', 'gpt-4')).toBe(0);
+  });
+
+  test('applies the correction factor of the model family', () => {
+    expect(getTokenizer('llama2:13b')).toMatchObject({ encoding: 'cl100k_base', factor: 1.25 });
+    expect(countTokens('Hello world', 'llama2:13b')).toBe(Math.ceil(2 * 1.25));
+  });
+
+  test('counts special tokens in the text as plain text', () => {
+    const text = 'Pasted long text <|endoftext|> with <|im_start|>special tokens';
+
+    expect(() => countTokens(text, 'gpt-4')).not.toThrow();
+    expect(() => countTokens(text, 'gpt-4o')).not.toThrow();
+    expect(countTokens('<|endoftext|>', 'gpt-4')).toBeGreaterThan(1);
+  });
+});
+
+describe('countMessageTokens', () => {
+  test('adds the message framing, name and tool calls', () => {
+    const content = countTokens('Show purchase order 4500000001', 'gpt-4');
+    const message = {
+      role: 'assistant',
+      content: 'Show purchase order 4500000001',
+      name: 'agent',
+      toolCalls: [{ id: 'call_1', name: 'get_purchase_order', arguments: { id: '4500000001' } }]
+    };
+
+    expect(countMessageTokens(message, 'gpt-4')).toBe(4 + content + countTokens('agent', 'gpt-4') +
+      countTokens(JSON.stringify(message.toolCalls), 'gpt-4'));
+  });
+
+  test('counts structured content as JSON', () => {
+    const content = [{ type: 'text', text: 'Hello <|endoftext|>' }];
+
+    expect(countMessageTokens({ role: 'user', content }, 'gpt-4'))
+      .toBe(4 + countTokens(JSON.stringify(content), 'gpt-4'));
+  });
+});